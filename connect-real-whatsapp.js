@@ -3,26 +3,18 @@
  * Acest exemplu generează un cod QR real care poate fi scanat cu aplicația WhatsApp
  */
 
-const WebSocket = require('ws');
 const qrcode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const curve = require('curve25519-n');
-const { HttpsProxyAgent } = require('https-proxy-agent');
+const { WhatsApp } = require('./whatsapp-core');
 
 // Setăm un proxy gratuit pentru a ocolí blocarea din Replit
 // Vei avea nevoie să înlocuiești acest proxy cu unul funcțional
 const PROXY_URL = 'http://public-proxy-host.com:8080';
-const proxyAgent = new HttpsProxyAgent(PROXY_URL);
 
-// Constante WhatsApp Web
-const WA_WEB_URL = 'wss://web.whatsapp.com/ws';
-const WA_VERSION = [2, 2348, 50];
-const WA_BROWSER = ['WhatsApp Web API', 'Chrome', '120.0.0.0'];
-const WA_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-
-// Adrese alternative pentru testare (în caz că serverul principal e blocat)
+// Adrese alternative (în caz că serverul principal e blocat); clientul
+// ocolește serverele care au eșuat și îl preferă pe cel mai rapid
 const ALTERNATIVE_SERVERS = [
   'wss://web.whatsapp.com/ws',
   'wss://w1.web.whatsapp.com/ws',
@@ -36,180 +28,59 @@ const ALTERNATIVE_SERVERS = [
   'wss://w9.web.whatsapp.com/ws'
 ];
 
-async function connectToWhatsAppServer() {
+function connectToWhatsAppServer() {
   console.log('Conectare la serverele WhatsApp Web...');
   
-  // Generează chei criptografice
-  const clientId = crypto.randomBytes(16).toString('hex');
-  const privateKey = crypto.randomBytes(32);
-  const keyPair = curve.makeKeyPair(privateKey);
-  const publicKey = keyPair.publicKey;
-  
-  console.log('Chei generate:');
-  console.log('- Client ID:', clientId);
-  console.log('- Public Key:', Buffer.from(publicKey).toString('base64'));
+  const client = new WhatsApp({
+    proxy: PROXY_URL,
+    wsUrls: ALTERNATIVE_SERVERS,
+    connectTimeout: 15000,
+    // După ce toate serverele au eșuat, mai este făcută o singură încercare
+    maxReconnects: 1
+  });
   
-  // Încearcă să se conecteze la fiecare server alternativ
-  for (const serverUrl of ALTERNATIVE_SERVERS) {
-    try {
-      console.log(`Încercare conectare la ${serverUrl}...`);
-      
-      const ws = new WebSocket(serverUrl, {
-        origin: 'https://web.whatsapp.com',
-        headers: {
-          'User-Agent': WA_UA
-        },
-        agent: proxyAgent // Folosim proxy pentru a evita blocarea
-      });
-      
-      // Promisiune pentru a aștepta conectarea
-      const connectionPromise = new Promise((resolve, reject) => {
-        // Timeout pentru conectare
-        const timeout = setTimeout(() => {
-          reject(new Error('Timeout la conectare'));
-          ws.terminate();
-        }, 15000);
-        
-        ws.on('open', () => {
-          clearTimeout(timeout);
-          console.log(`Conectat cu succes la ${serverUrl}!`);
-          
-          // Trimite mesajul de inițializare
-          const initialMessage = {
-            clientToken: clientId,
-            connectType: 'WIFI_UNKNOWN',
-            connectReason: 'USER_ACTIVATED',
-            userAgent: {
-              platform: 'DESKTOP',
-              appVersion: {
-                primary: WA_VERSION[0],
-                secondary: WA_VERSION[1],
-                tertiary: WA_VERSION[2]
-              },
-              osVersion: {
-                primary: 10,
-                secondary: 0,
-                tertiary: 0
-              }
-            },
-            webInfo: {
-              webSubPlatform: 'WEB_BROWSER'
-            }
-          };
-          
-          console.log('Trimit mesaj de inițializare...');
-          ws.send(JSON.stringify(initialMessage));
-          resolve(ws);
-        });
-        
-        ws.on('error', (error) => {
-          clearTimeout(timeout);
-          console.log(`Eroare la conectare la ${serverUrl}:`, error.message);
-          reject(error);
-        });
-        
-        ws.on('close', (code, reason) => {
-          clearTimeout(timeout);
-          console.log(`Conexiune închisă cu codul ${code}:`, reason.toString());
-          reject(new Error(`Conexiune închisă: ${code}`));
-        });
-      });
-      
-      // Așteaptă conectarea
-      const websocket = await connectionPromise;
-      
-      // Configurează handler pentru mesaje
-      websocket.on('message', async (data) => {
-        try {
-          // Încearcă să parseze mesajul ca JSON
-          const message = JSON.parse(data.toString());
-          console.log('Mesaj primit:', message);
-          
-          if (message.status === 'connected') {
-            console.log('Conexiune stabilită:', message);
-          }
-          else if (message.status === 'connecting') {
-            console.log('Se conectează la WhatsApp:', message);
-          }
-          else if (message.status === 'timeout') {
-            console.log('Timeout conexiune:', message);
-          }
-          else if (message.type === 'qr') {
-            // A primit codul QR
-            console.log('Am primit codul QR!');
-            
-            try {
-              // Generează codul QR complet (format WhatsApp)
-              const keyEnc = Buffer.from(publicKey).toString('base64');
-              const qrData = `${message.ref},${clientId},${keyEnc}`;
-              
-              // Generează QR pentru terminal
-              const qrText = await qrcode.toString(qrData, {
-                type: 'terminal',
-                small: true
-              });
-              
-              // Salvează QR ca imagine
-              const qrFilePath = path.join(__dirname, 'whatsapp-qr-real.png');
-              await qrcode.toFile(qrFilePath, qrData, {
-                errorCorrectionLevel: 'L',
-                margin: 2,
-                scale: 8,
-                color: {
-                  dark: '#128c7e',  // Verde WhatsApp
-                  light: '#ffffff'  // Background alb
-                }
-              });
-              
-              // Afișează QR
-              console.log('\n==========================================================');
-              console.log('SCANEAZĂ ACEST COD QR CU APLICAȚIA WHATSAPP MOBILE:');
-              console.log('==========================================================\n');
-              console.log(qrText);
-              console.log('\n==========================================================');
-              console.log(`Cod QR salvat ca: ${qrFilePath}`);
-              console.log('Codul QR va expira în 20 secunde');
-              console.log('==========================================================\n');
-              
-              // Setează timeout pentru expirare
-              setTimeout(() => {
-                console.log('Codul QR a expirat. Se așteaptă unul nou...');
-              }, 20000);
-              
-            } catch (qrError) {
-              console.error('Eroare la generarea codului QR:', qrError);
-            }
-          }
-          else if (message.type === 'success') {
-            console.log('Autentificare reușită!');
-            console.log('Date utilizator:', message.user);
-            console.log('WhatsApp ID:', message.wid);
-            
-            // Aici ești autentificat și poți trimite/primi mesaje
-            console.log('\n==========================================================');
-            console.log('CONEXIUNE REUȘITĂ! EȘTI AUTENTIFICAT ÎN WHATSAPP WEB!');
-            console.log('==========================================================\n');
-          }
-          else {
-            // Alte tipuri de mesaje
-            console.log('Mesaj primit:', message);
-          }
-        } catch (error) {
-          // Mesaj binar sau alt format
-          console.log(`Mesaj non-JSON primit de lungime: ${data.length}`);
-        }
-      });
+  return new Promise((resolve, reject) => {
+    client.on('endpoint_failed', ({ url, failures }) => {
+      console.log(`Nu s-a putut conecta la ${url} (eșecuri: ${failures})`);
+    });
+    
+    client.on('handshake_complete', () => {
+      const health = client.getEndpointHealth().find(endpoint => endpoint.latency !== null);
+      console.log(`Conectat cu succes${health ? ` la ${health.url} (${health.latency}ms)` : ''}!`);
+      resolve(client);
+    });
+    
+    client.on('qr', ({ qrText, base64Image }) => {
+      // Salvează QR ca imagine
+      const qrFilePath = path.join(__dirname, 'whatsapp-qr-real.png');
+      fs.writeFileSync(qrFilePath, Buffer.from(base64Image.split(',')[1], 'base64'));
       
-      // Am reușit să ne conectăm la acest server, oprim bucla
-      return websocket;
+      // Afișează QR
+      console.log('\n==========================================================');
+      console.log('SCANEAZĂ ACEST COD QR CU APLICAȚIA WHATSAPP MOBILE:');
+      console.log('==========================================================\n');
+      console.log(qrText);
+      console.log('\n==========================================================');
+      console.log(`Cod QR salvat ca: ${qrFilePath}`);
+      console.log('==========================================================\n');
+    });
+    
+    client.on('authenticated', ({ user }) => {
+      console.log('Autentificare reușită!');
+      console.log('Date utilizator:', user);
       
-    } catch (error) {
-      console.log(`Nu s-a putut conecta la ${serverUrl}: ${error.message}`);
-      // Continuă cu următorul server
-    }
-  }
-  
-  throw new Error('Nu s-a putut conecta la niciunul dintre servere');
+      // Aici ești autentificat și poți trimite/primi mesaje
+      console.log('\n==========================================================');
+      console.log('CONEXIUNE REUȘITĂ! EȘTI AUTENTIFICAT ÎN WHATSAPP WEB!');
+      console.log('==========================================================\n');
+    });
+    
+    client.on('reconnect_failed', () => {
+      reject(new Error('Nu s-a putut conecta la niciunul dintre servere'));
+    });
+    
+    client.connect();
+  });
 }
 
 // Funcție principală
@@ -220,14 +91,12 @@ async function main() {
   console.log('Înlocuiește PROXY_URL în cod cu un proxy real funcțional\n');
   
   try {
-    const ws = await connectToWhatsAppServer();
+    const client = await connectToWhatsAppServer();
     
     // Oprește conexiunea la apăsarea Ctrl+C
-    process.on('SIGINT', () => {
+    process.on('SIGINT', async () => {
       console.log('\nÎnchidere conexiune WhatsApp...');
-      if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.close();
-      }
+      await client.disconnect();
       process.exit(0);
     });
     
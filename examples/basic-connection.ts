@@ -2,13 +2,13 @@
  * Exemplu de conectare basic la WhatsApp Web
  */
 
-import { WAConnection, ConnectionState } from '../src';
+import { WAConnection, ConnectionState, FileAuthStateStore } from '../src';
 import * as qrcode from 'qrcode';
-import * as fs from 'fs';
 
-// Creare instanță WhatsApp
+// Creare instanță WhatsApp (starea de autentificare este salvată automat în ./auth)
 const client = new WAConnection({
-  debug: true
+  debug: true,
+  authState: new FileAuthStateStore('./auth')
 });
 
 // Eveniment pentru cod QR
@@ -31,11 +31,6 @@ client.on('state_change', ({ from, to }) => {
 client.on('authenticated', ({ user }) => {
   console.log('Authentication successful!');
   console.log(`User: ${user.name} (${user.id})`);
-  
-  // Salvare sesiune
-  const session = client.getSession();
-  fs.writeFileSync('./session.json', JSON.stringify(session));
-  console.log('Session saved!');
 });
 
 // Eveniment pentru pregătit
@@ -53,18 +48,5 @@ client.on('message', (message) => {
   }
 });
 
-// Verificare dacă există o sesiune salvată
-if (fs.existsSync('./session.json')) {
-  try {
-    const sessionData = JSON.parse(fs.readFileSync('./session.json', 'utf8'));
-    client.restoreSession(sessionData);
-    console.log('Session restored!');
-  } catch (error) {
-    console.error('Error restoring session:', error);
-    console.log('Connecting with QR code...');
-    client.connect();
-  }
-} else {
-  console.log('No saved session found. Connecting with QR code...');
-  client.connect();
-}
\ No newline at end of file
+// Conectare: sesiunea salvată este reluată automat, altfel se afișează codul QR
+client.connect();
\ No newline at end of file
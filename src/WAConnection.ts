@@ -0,0 +1,1130 @@
+/**
+ * Clientul WhatsApp Web - interfața publică a bibliotecii
+ */
+
+import { EventEmitter } from 'events';
+import { Agent } from 'http';
+import WebSocket from 'ws';
+import { Readable } from 'stream';
+import { WA_WEB_URL, WA_UA, ConnectionState, DisconnectReason } from './constants';
+import { WhatsAppOptions, Session, Message, MessageType, ForwardBatchOptions, ForwardResult, Group, GroupParticipant, AuthStateStore, AuthStateNamespace, MessageStore } from './types';
+import { ProtocolManager, WAQueryError } from './protocol/ProtocolManager';
+import { NoiseKeyPair } from './protocol/NoiseHandler';
+import { QRAuth } from './auth/QRAuth';
+import { PairingCodeAuth } from './auth/PairingCodeAuth';
+import { MessageHandler } from './messaging/MessageHandler';
+import { GroupHandler } from './groups/GroupHandler';
+import { MediaHandler } from './media/MediaHandler';
+import { Outbox } from './messaging/Outbox';
+import { SendScheduler, SendSchedulerMetrics } from './protocol/SendScheduler';
+import { KeepAlive } from './protocol/KeepAlive';
+import { EndpointPool, EndpointHealth } from './protocol/EndpointPool';
+import { MemoryMessageStore } from './store/MemoryMessageStore';
+import { LRUMap } from './store/LRUMap';
+import { ReceiptHandler, MessageReceipts } from './messaging/ReceiptHandler';
+import { HistorySyncHandler } from './messaging/HistorySyncHandler';
+import { AppStateHandler } from './appstate/AppStateHandler';
+import { PollHandler, PollResults } from './messaging/PollHandler';
+import { SignalHandler, SignalStore } from './signal';
+import { DeviceHandler } from './devices/DeviceHandler';
+import { MemoryAuthStateStore } from './auth/MemoryAuthStateStore';
+import { EncryptedAuthStateStore, AuthStateDecryptionError } from './auth/EncryptedAuthStateStore';
+import { deserialize } from './utils/serialize';
+import { generateKeyPair } from './utils/crypto';
+import { createProxyAgent, redactProxyUrl } from './utils/proxy';
+
+export class WAConnection extends EventEmitter {
+  public options: Required<Omit<WhatsAppOptions, 'wsUrls' | 'proxy' | 'agent' | 'mediaProxy' | 'mediaAgent' | 'authState' | 'authStatePassphrase' | 'mediaHost' | 'outbox' | 'sendScheduler' | 'store'>> & WhatsAppOptions;
+  public state: ConnectionState = ConnectionState.DISCONNECTED;
+  public session: Session | null = null;
+  public user: Session['me'] | null = null;
+  public ws: WebSocket | null = null;
+  
+  // Stocarea stării de autentificare (credențiale, chei și sesiuni Signal)
+  public authState: AuthStateStore;
+  
+  // Cheia statică Noise (persistată în sesiune)
+  public noiseKey: NoiseKeyPair = generateKeyPair();
+  
+  // Contoare pentru reconnect
+  public reconnectCount = 0;
+  public qrRetryCount = 0;
+  
+  // Motivul ultimei închideri (setat înainte de închiderea socket-ului)
+  public disconnectReason: DisconnectReason | null = null;
+  private lastReconnectDelay = 0;
+  
+  // Timer-e
+  public reconnectTimer: NodeJS.Timeout | null = null;
+  public qrRefreshTimer: NodeJS.Timeout | null = null;
+  private connectTimer: NodeJS.Timeout | null = null;
+  
+  // Endpoint-urile WebSocket și cel folosit de conexiunea curentă
+  public endpoints: EndpointPool;
+  private endpoint: string | null = null;
+  private connectStartedAt = 0;
+  private handshakeComplete = false;
+  
+  public protocolManager: ProtocolManager;
+  public authHandler: QRAuth | PairingCodeAuth;
+  public messageHandler: MessageHandler;
+  public receiptHandler: ReceiptHandler;
+  public historySyncHandler: HistorySyncHandler;
+  public appStateHandler: AppStateHandler;
+  public pollHandler: PollHandler;
+  public groupHandler: GroupHandler;
+  public mediaHandler: MediaHandler;
+  public signalHandler: SignalHandler;
+  public deviceHandler: DeviceHandler;
+  
+  // Coada de mesaje care așteaptă să fie trimise
+  public outbox: Outbox;
+  
+  // Limitele de rată pentru nodurile trimise
+  public sendScheduler: SendScheduler;
+  
+  // Ping-uri periodice și detectarea conexiunii moarte
+  public keepAlive: KeepAlive;
+  
+  // Agenții HTTP pentru WebSocket și pentru încărcarea/descărcarea media
+  public agent: Agent | undefined;
+  public mediaAgent: Agent | undefined;
+  
+  // Datele de stocare (mesaje, conversații, contacte)
+  public store: MessageStore;
+  
+  // Ultima prezență cunoscută pentru fiecare contact (doar în memorie)
+  public presences: LRUMap<string, any> = new LRUMap(1000);
+  
+  public log: (...args: any[]) => void;
+  
+  /**
+   * Creează o nouă instanță WhatsApp
+   * @param {WhatsAppOptions} options Opțiuni de configurare
+   */
+  constructor(options: WhatsAppOptions = {}) {
+    super();
+    
+    // Configurare opțiuni implicite
+    this.options = {
+      debug: options.debug ?? false,
+      maxReconnects: options.maxReconnects ?? 5,
+      reconnectDelay: options.reconnectDelay ?? 3000,
+      maxReconnectDelay: options.maxReconnectDelay ?? 60000,
+      autoReconnect: options.autoReconnect !== false,
+      qrMaxRetries: options.qrMaxRetries ?? 3,
+      qrTimeout: options.qrTimeout ?? 60000,
+      historySyncTimeout: options.historySyncTimeout ?? 60000,
+      queryTimeout: options.queryTimeout ?? 60000,
+      keepAliveInterval: options.keepAliveInterval ?? 20000,
+      keepAliveTimeout: options.keepAliveTimeout ?? 45000,
+      connectTimeout: options.connectTimeout ?? 20000,
+      wsUrl: options.wsUrl ?? WA_WEB_URL,
+      wsUrls: options.wsUrls,
+      userAgent: options.userAgent ?? WA_UA,
+      proxy: options.proxy,
+      agent: options.agent,
+      mediaProxy: options.mediaProxy,
+      mediaAgent: options.mediaAgent,
+      authMethod: options.authMethod ?? 'qr',
+      authState: options.authState,
+      authStatePassphrase: options.authStatePassphrase,
+      mediaHost: options.mediaHost,
+      outbox: options.outbox,
+      sendScheduler: options.sendScheduler,
+      store: options.store
+    };
+    
+    // Debug logger (disponibil și handler-elor create mai jos)
+    this.log = (...args: any[]) => {
+      if (this.options.debug) {
+        console.log('[WhatsApp]', ...args);
+      }
+    };
+    
+    this.authState = this.options.authState || new MemoryAuthStateStore();
+    this.store = this.options.store || new MemoryMessageStore();
+    
+    // Criptarea stării de autentificare cu o cheie derivată din parolă
+    if (this.options.authStatePassphrase) {
+      this.authState = new EncryptedAuthStateStore(this.authState, { passphrase: this.options.authStatePassphrase });
+    }
+    
+    // Proxy pentru WebSocket; media folosește proxy-ul secundar, dacă există
+    this.agent = this.options.agent || (this.options.proxy ? createProxyAgent(this.options.proxy) : undefined);
+    this.mediaAgent = this.options.mediaAgent ||
+      (this.options.mediaProxy ? createProxyAgent(this.options.mediaProxy) : this.agent);
+    
+    this.endpoints = new EndpointPool(this.options.wsUrls && this.options.wsUrls.length > 0
+      ? this.options.wsUrls
+      : [this.options.wsUrl]);
+    
+    // Manager-ul intern de protocol binar
+    this.protocolManager = new ProtocolManager(this);
+    
+    // Handlers pentru diferite funcționalități
+    this.authHandler = this.options.authMethod === 'pairing-code'
+      ? new PairingCodeAuth(this)
+      : new QRAuth(this);
+    this.messageHandler = new MessageHandler(this);
+    this.receiptHandler = new ReceiptHandler(this);
+    this.historySyncHandler = new HistorySyncHandler(this);
+    this.appStateHandler = new AppStateHandler(this);
+    this.pollHandler = new PollHandler(this);
+    this.groupHandler = new GroupHandler(this);
+    this.mediaHandler = new MediaHandler(this);
+    this.signalHandler = new SignalHandler(this);
+    this.deviceHandler = new DeviceHandler(this);
+    this.outbox = new Outbox(this, this.options.outbox);
+    this.sendScheduler = new SendScheduler(this, this.options.sendScheduler);
+    this.keepAlive = new KeepAlive(this);
+    
+    // Salvare credențiale și publicare chei Signal după autentificare
+    this.on('authenticated', () => {
+      this.authState.set('creds', 'session', this.session).catch((error) => {
+        this.log('Error saving session credentials:', error);
+      });
+      this.signalHandler.ensurePreKeys().catch((error) => {
+        this.log('Error publishing Signal prekeys:', error);
+      });
+    });
+    
+    // Latența handshake-ului decide endpoint-ul preferat la conectările următoare
+    this.on('handshake_complete', () => {
+      this._clearConnectTimer();
+      this.handshakeComplete = true;
+      if (this.endpoint) {
+        this.endpoints.recordSuccess(this.endpoint, Date.now() - this.connectStartedAt);
+      }
+    });
+    
+    // Mesajele trimise sunt păstrate în store alături de cele primite
+    this.on('message_sent', (message) => {
+      this.store.saveMessage({
+        ...message,
+        chatJid: message.to,
+        text: message.text !== undefined ? message.text : message.body
+      }).catch((error) => {
+        this.log('Error saving sent message to store:', error);
+      });
+    });
+  }
+  
+  /**
+   * Conectare la serverele WhatsApp Web
+   * @returns {Promise<void>}
+   */
+  public async connect(): Promise<void> {
+    if (this.state !== ConnectionState.DISCONNECTED) {
+      this.log('Already connecting or connected');
+      return;
+    }
+    
+    this.state = ConnectionState.CONNECTING;
+    this.emit('state_change', { from: ConnectionState.DISCONNECTED, to: ConnectionState.CONNECTING });
+    
+    try {
+      this.log(this.options.proxy
+        ? `Connecting to WhatsApp Web servers via ${redactProxyUrl(this.options.proxy)}...`
+        : 'Connecting to WhatsApp Web servers...');
+      this.disconnectReason = null;
+      this.endpoint = null;
+      
+      // Reluare sesiune salvată în stocarea de autentificare
+      if (!this.session) {
+        this.session = (await this.authState.get('creds', 'session')) || null;
+      }
+      
+      // Generare client ID nou
+      if (!this.session) {
+        this.authHandler.generateKeys();
+      } else if (this.session.noiseKey) {
+        this.noiseKey = {
+          privateKey: Buffer.from(this.session.noiseKey.private, 'base64'),
+          publicKey: Buffer.from(this.session.noiseKey.public, 'base64')
+        };
+      }
+      
+      // Conectare WebSocket la cel mai bun endpoint disponibil
+      this.endpoint = this.endpoints.select();
+      this.connectStartedAt = Date.now();
+      this.handshakeComplete = false;
+      this.log(`Using endpoint ${this.endpoint}`);
+      
+      this.ws = new WebSocket(this.endpoint, {
+        origin: 'https://web.whatsapp.com',
+        headers: {
+          'User-Agent': this.options.userAgent
+        },
+        agent: this.agent
+      });
+      
+      // Un endpoint blocat poate lăsa conexiunea deschisă fără răspuns
+      this.connectTimer = setTimeout(() => {
+        this.connectTimer = null;
+        this.log(`No handshake from ${this.endpoint} after ${this.options.connectTimeout}ms`);
+        this.protocolManager.closeWithReason(DisconnectReason.TIMED_OUT);
+      }, this.options.connectTimeout);
+      
+      // Configurare evenimente WebSocket
+      this.ws.on('open', () => this._onWebSocketOpen());
+      this.ws.on('message', (data) => this._onWebSocketMessage(data));
+      this.ws.on('close', (code, reason) => this._onWebSocketClose(code, reason));
+      this.ws.on('error', (error) => this._onWebSocketError(error));
+    
+    } catch (error) {
+      this.log('Error connecting to WhatsApp Web:', error);
+      this._clearConnectTimer();
+      if (this.endpoint) {
+        this.emit('endpoint_failed', this.endpoints.recordFailure(this.endpoint));
+      }
+      this.state = ConnectionState.DISCONNECTED;
+      this.emit('state_change', { from: ConnectionState.CONNECTING, to: ConnectionState.DISCONNECTED });
+      this.emit('connection_failure', error);
+      
+      // O parolă greșită sau o stare modificată nu se rezolvă prin reconectare
+      if (this.options.autoReconnect && !(error instanceof AuthStateDecryptionError)) {
+        this._scheduleReconnect(DisconnectReason.CONNECTION_LOST);
+      }
+    }
+  }
+  
+  /**
+   * Deconectare de la serverele WhatsApp Web
+   * @returns {Promise<void>}
+   */
+  public async disconnect(): Promise<void> {
+    if (this.state === ConnectionState.DISCONNECTED) {
+      // Între încercări de reconectare: anulare reconectare programată
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+      return;
+    }
+    
+    const prevState = this.state;
+    this.state = ConnectionState.DISCONNECTED;
+    this.disconnectReason = DisconnectReason.CONNECTION_CLOSED;
+    
+    // Anulare timer-e
+    this._clearConnectTimer();
+    
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    
+    if (this.qrRefreshTimer) {
+      clearTimeout(this.qrRefreshTimer);
+      this.qrRefreshTimer = null;
+    }
+    
+    // Logout dacă suntem autentificați
+    if (prevState === ConnectionState.AUTHENTICATED || prevState === ConnectionState.READY) {
+      try {
+        // Trimitere mesaj de logout
+        await this.protocolManager.sendLogout();
+      } catch (error) {
+        this.log('Error sending logout message:', error);
+      }
+    }
+    
+    // Închidere WebSocket
+    if (this.ws) {
+      try {
+        this.ws.close();
+      } catch (error) {
+        this.log('Error closing WebSocket:', error);
+      }
+      this.ws = null;
+    }
+    
+    this.emit('state_change', { from: prevState, to: ConnectionState.DISCONNECTED });
+    this.emit('disconnected', { disconnectReason: DisconnectReason.CONNECTION_CLOSED });
+    
+    this.log('Disconnected from WhatsApp Web servers');
+  }
+  
+  /**
+   * Trimitere mesaj text
+   * @param {string} to Număr sau grup destinație (format: 1234567890@s.whatsapp.net sau ID@g.us)
+   * @param {string} text Textul mesajului
+   * @param {Object} options Opțiuni de trimitere
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendTextMessage(to: string, text: string, options: any = {}): Promise<Message> {
+    return this.outbox.send('text', [to, text, options]);
+  }
+  
+  /**
+   * Trimitere mesaj media (imagine, video, audio, document)
+   * @param {string} to Număr sau grup destinație
+   * @param {Buffer|string} media Conținutul media sau calea către fișier
+   * @param {Object} options Opțiuni media (caption, filename, etc)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendMediaMessage(to: string, media: Buffer | string, options: any = {}): Promise<Message> {
+    return this.outbox.send('media', [to, media, options]);
+  }
+  
+  /**
+   * Descărcare și decriptare media dintr-un mesaj primit sau trimis
+   * @param {Object} message Mesajul media
+   * @param {Object} options Opțiuni (stream, start, end)
+   * @returns {Promise<Buffer|Readable>} Conținutul decriptat
+   */
+  public async downloadMedia(
+    message: any,
+    options: { stream?: boolean, start?: number, end?: number } = {}
+  ): Promise<Buffer | Readable> {
+    return this.mediaHandler.downloadMedia(message, options);
+  }
+  
+  /**
+   * Trimitere mesaj imagine
+   * @param {string} to Număr sau grup destinație
+   * @param {Buffer|string} image Conținutul imaginii sau calea către fișier
+   * @param {Object} options Opțiuni (caption, etc)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendImage(to: string, image: Buffer | string, options: any = {}): Promise<Message> {
+    options.type = MessageType.IMAGE;
+    return this.sendMediaMessage(to, image, options);
+  }
+  
+  /**
+   * Trimitere mesaj video
+   * @param {string} to Număr sau grup destinație
+   * @param {Buffer|string} video Conținutul video sau calea către fișier
+   * @param {Object} options Opțiuni (caption, etc)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendVideo(to: string, video: Buffer | string, options: any = {}): Promise<Message> {
+    options.type = MessageType.VIDEO;
+    return this.sendMediaMessage(to, video, options);
+  }
+  
+  /**
+   * Trimitere mesaj audio
+   * @param {string} to Număr sau grup destinație
+   * @param {Buffer|string} audio Conținutul audio sau calea către fișier
+   * @param {Object} options Opțiuni (ptt, etc)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendAudio(to: string, audio: Buffer | string, options: any = {}): Promise<Message> {
+    options.type = MessageType.AUDIO;
+    return this.sendMediaMessage(to, audio, options);
+  }
+  
+  /**
+   * Trimitere document
+   * @param {string} to Număr sau grup destinație
+   * @param {Buffer|string} document Conținutul documentului sau calea către fișier
+   * @param {Object} options Opțiuni (filename, mimetype, etc)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendDocument(to: string, document: Buffer | string, options: any = {}): Promise<Message> {
+    options.type = MessageType.DOCUMENT;
+    return this.sendMediaMessage(to, document, options);
+  }
+  
+  /**
+   * Trimitere mesaj locație
+   * @param {string} to Număr sau grup destinație
+   * @param {number} latitude Latitudinea
+   * @param {number} longitude Longitudinea
+   * @param {Object} options Opțiuni (name, address, etc)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendLocation(to: string, latitude: number, longitude: number, options: any = {}): Promise<Message> {
+    return this.outbox.send('location', [to, latitude, longitude, options]);
+  }
+  
+  /**
+   * Trimitere contact
+   * @param {string} to Număr sau grup destinație
+   * @param {string|string[]} contacts Număr(e) de contact sau vCards
+   * @param {Object} options Opțiuni de trimitere
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendContact(to: string, contacts: string | string[] | any[], options: any = {}): Promise<Message> {
+    return this.outbox.send('contact', [to, contacts, options]);
+  }
+  
+  /**
+   * Trimitere mesaj buton
+   * @param {string} to Număr sau grup destinație
+   * @param {string} text Textul mesajului
+   * @param {Array} buttons Array de butoane {id, text}
+   * @param {Object} options Opțiuni (footer, etc)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendButtons(to: string, text: string, buttons: { id?: string, text: string }[], options: any = {}): Promise<Message> {
+    return this.outbox.send('buttons', [to, text, buttons, options]);
+  }
+  
+  /**
+   * Trimitere mesaj listă
+   * @param {string} to Număr sau grup destinație
+   * @param {string} title Titlul listei
+   * @param {string} buttonText Textul butonului
+   * @param {Array} sections Secțiunile listei
+   * @param {Object} options Opțiuni (footer, etc)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendList(to: string, title: string, buttonText: string, sections: any[], options: any = {}): Promise<Message> {
+    return this.outbox.send('list', [to, title, buttonText, sections, options]);
+  }
+  
+  /**
+   * Trimitere reacție la un mesaj
+   * @param {Object} messageKey Mesajul vizat (chatJid sau remoteJid, id, fromMe, participant); merge și un mesaj din store
+   * @param {string} emoji Reacția; un șir gol elimină reacția
+   * @returns {Promise<Object>} Reacția trimisă
+   */
+  public async sendReaction(messageKey: any, emoji: string): Promise<Message> {
+    const chatJid = messageKey.chatJid || messageKey.remoteJid;
+    if (!chatJid || !messageKey.id) {
+      throw new Error('Message key needs a chat JID and a message ID');
+    }
+    
+    return this.outbox.send('reaction', [chatJid, messageKey, emoji, {}]);
+  }
+  
+  /**
+   * Trimitere sondaj
+   * @param {string} chatId Număr sau grup destinație
+   * @param {string} question Întrebarea
+   * @param {string[]} options Opțiunile (între 2 și 12)
+   * @param {Object} settings selectableCount: numărul maxim de opțiuni alese (0 = oricâte)
+   * @returns {Promise<Object>} Obiectul mesajului trimis
+   */
+  public async sendPoll(chatId: string, question: string, options: string[], settings: { selectableCount?: number } = {}): Promise<Message> {
+    this.pollHandler.validatePoll(options, settings.selectableCount);
+    return this.outbox.send('poll', [chatId, question, options, settings]);
+  }
+  
+  /**
+   * Redirecționare mesaj; media este trimisă fără reîncărcare
+   *
+   * Cu o listă de destinatari, mesajul este trimis pe rând, cu o pauză între
+   * trimiteri (batch.delay plus o valoare aleatoare până la batch.jitter, în ms).
+   * O trimitere eșuată nu oprește restul listei.
+   * @param {string|string[]} to Destinatarul sau lista de destinatari
+   * @param {Object} message Mesajul redirecționat (din store sau dintr-un eveniment)
+   * @param {Object} options batch: { delay, jitter } pentru lista de destinatari
+   * @returns {Promise<Object|Object[]>} Mesajul trimis sau rezultatul pentru fiecare destinatar
+   */
+  public forwardMessage(to: string, message: any, options?: { batch?: ForwardBatchOptions }): Promise<Message>;
+  public forwardMessage(to: string[], message: any, options?: { batch?: ForwardBatchOptions }): Promise<ForwardResult[]>;
+  public async forwardMessage(
+    to: string | string[],
+    message: any,
+    options: { batch?: ForwardBatchOptions } = {}
+  ): Promise<Message | ForwardResult[]> {
+    this.messageHandler.validateForward(message);
+    
+    if (!Array.isArray(to)) {
+      return this.outbox.send('forward', [to, message, { type: message.type }]);
+    }
+    
+    const { delay = 1000, jitter = 500 } = options.batch || {};
+    const results: ForwardResult[] = [];
+    
+    for (const [index, jid] of to.entries()) {
+      if (index > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay + Math.floor(Math.random() * jitter)));
+      }
+      
+      try {
+        results.push({ to: jid, message: await this.outbox.send('forward', [jid, message, { type: message.type }]) });
+      } catch (error) {
+        results.push({ to: jid, error: error as Error });
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Rezultatele unui sondaj (din store)
+   * @param {string} pollId ID-ul sondajului
+   * @returns {Promise<Object|null>} Voturile pe opțiuni sau null dacă sondajul nu este cunoscut
+   */
+  public async getPollResults(pollId: string): Promise<PollResults | null> {
+    return this.pollHandler.getPollResults(pollId);
+  }
+  
+  /**
+   * Starea endpoint-urilor WebSocket (eșecuri, perioada de ocolire, latența medie)
+   * @returns {Object[]} Câte o intrare pentru fiecare URL, în ordinea din configurare
+   */
+  public getEndpointHealth(): EndpointHealth[] {
+    return this.endpoints.getHealth();
+  }
+  
+  /**
+   * Statisticile planificatorului de trimitere
+   * @returns {Object} Adâncimea cozii, nodurile trimise și întârzierile (ms)
+   */
+  public getSendMetrics(): SendSchedulerMetrics {
+    return this.sendScheduler.getMetrics();
+  }
+  
+  /**
+   * Obținere confirmări de livrare/citire pentru un mesaj
+   * @param {string} messageId ID-ul mesajului
+   * @returns {Object|null} Statusul agregat și confirmările per destinatar
+   */
+  public getMessageReceipts(messageId: string): MessageReceipts | null {
+    return this.receiptHandler.getMessageReceipts(messageId);
+  }
+  
+  /**
+   * Marcare mesaje ca citite (trimitere confirmări de citire)
+   * @param {string} chatId Conversația
+   * @param {string[]} messageIds ID-urile mesajelor
+   * @returns {Promise<void>}
+   */
+  public async markRead(chatId: string, messageIds: string[]): Promise<void> {
+    this._assertConnected();
+    return this.receiptHandler.markRead(chatId, messageIds);
+  }
+  
+  /**
+   * Editare mesaj text trimis
+   * @param {string} chatId Conversația
+   * @param {string} messageId ID-ul mesajului
+   * @param {string} newText Noul text
+   * @returns {Promise<Object>} Mesajul actualizat
+   */
+  public async editMessage(chatId: string, messageId: string, newText: string): Promise<Message> {
+    this._assertConnected();
+    return this.messageHandler.editMessage(chatId, messageId, newText);
+  }
+  
+  /**
+   * Ștergere mesaj
+   * @param {string} chatId Conversația
+   * @param {string} messageId ID-ul mesajului
+   * @param {Object} options forEveryone (ștergere pentru toți; în grupuri, administratorii pot șterge
+   * și mesajele altora) și participant (expeditorul, dacă mesajul nu este în store)
+   * @returns {Promise<void>}
+   */
+  public async deleteMessage(
+    chatId: string,
+    messageId: string,
+    options: { forEveryone?: boolean, participant?: string } = {}
+  ): Promise<void> {
+    this._assertConnected();
+    
+    if (options.forEveryone) {
+      await this.messageHandler.revokeMessage(chatId, messageId, options.participant);
+      return;
+    }
+    
+    return this.appStateHandler.deleteMessageForMe(chatId, messageId);
+  }
+  
+  /**
+   * Arhivare/dezarhivare conversație (sincronizat cu celelalte dispozitive)
+   * @param {string} chatId Conversația
+   * @param {boolean} archive true pentru arhivare, false pentru dezarhivare
+   * @returns {Promise<void>}
+   */
+  public async archiveChat(chatId: string, archive: boolean = true): Promise<void> {
+    this._assertConnected();
+    return this.appStateHandler.archiveChat(chatId, archive);
+  }
+  
+  /**
+   * Fixare/anulare fixare conversație în partea de sus a listei
+   * @param {string} chatId Conversația
+   * @param {boolean} pin true pentru fixare
+   * @returns {Promise<void>}
+   */
+  public async pinChat(chatId: string, pin: boolean = true): Promise<void> {
+    this._assertConnected();
+    return this.appStateHandler.pinChat(chatId, pin);
+  }
+  
+  /**
+   * Dezactivare notificări pentru o conversație
+   * @param {string} chatId Conversația
+   * @param {number|null} until Momentul reactivării (timestamp ms) sau null pentru reactivare imediată
+   * @returns {Promise<void>}
+   */
+  public async muteChat(chatId: string, until: number | null): Promise<void> {
+    this._assertConnected();
+    return this.appStateHandler.muteChat(chatId, until);
+  }
+  
+  /**
+   * Marcare mesaj cu stea
+   * @param {string} chatId Conversația
+   * @param {string} messageId ID-ul mesajului
+   * @param {boolean} star true pentru marcare, false pentru eliminarea stelei
+   * @returns {Promise<void>}
+   */
+  public async starMessage(chatId: string, messageId: string, star: boolean = true): Promise<void> {
+    this._assertConnected();
+    return this.appStateHandler.starMessage(chatId, messageId, star);
+  }
+  
+  /**
+   * Marcare conversație ca necitită (sau anularea marcajului)
+   * @param {string} chatId Conversația
+   * @param {boolean} unread true pentru necitită
+   * @returns {Promise<void>}
+   */
+  public async markChatUnread(chatId: string, unread: boolean = true): Promise<void> {
+    this._assertConnected();
+    return this.appStateHandler.markChatUnread(chatId, unread);
+  }
+  
+  /**
+   * Creare grup
+   * @param {string} name Numele grupului
+   * @param {string[]} participants Array de numere de telefon pentru participanți
+   * @returns {Promise<Object>} Informații despre grupul creat
+   */
+  public async createGroup(name: string, participants: string[]): Promise<Group> {
+    this._assertConnected();
+    return this.groupHandler.create(name, participants);
+  }
+  
+  /**
+   * Obținere informații despre un grup
+   * @param {string} groupId ID-ul grupului (format: 123456789@g.us)
+   * @returns {Promise<Object>} Informații despre grup
+   */
+  public async getGroupInfo(groupId: string): Promise<Group> {
+    this._assertConnected();
+    return this.groupHandler.getInfo(groupId);
+  }
+  
+  /**
+   * Obținere participanți grup
+   * @param {string} groupId ID-ul grupului
+   * @returns {Promise<Array>} Lista de participanți
+   */
+  public async getGroupParticipants(groupId: string): Promise<GroupParticipant[]> {
+    this._assertConnected();
+    return this.groupHandler.getParticipants(groupId);
+  }
+  
+  /**
+   * Adăugare participanți la grup
+   * @param {string} groupId ID-ul grupului
+   * @param {string[]} participants Participanții de adăugat
+   * @returns {Promise<boolean>} Succes sau eșec
+   */
+  public async addGroupParticipants(groupId: string, participants: string[]): Promise<boolean> {
+    this._assertConnected();
+    return this.groupHandler.addParticipants(groupId, participants);
+  }
+  
+  /**
+   * Eliminare participanți din grup
+   * @param {string} groupId ID-ul grupului
+   * @param {string[]} participants Participanții de eliminat
+   * @returns {Promise<boolean>} Succes sau eșec
+   */
+  public async removeGroupParticipants(groupId: string, participants: string[]): Promise<boolean> {
+    this._assertConnected();
+    return this.groupHandler.removeParticipants(groupId, participants);
+  }
+  
+  /**
+   * Promovare participanți la admin
+   * @param {string} groupId ID-ul grupului
+   * @param {string[]} participants Participanții de promovat
+   * @returns {Promise<boolean>} Succes sau eșec
+   */
+  public async promoteGroupParticipants(groupId: string, participants: string[]): Promise<boolean> {
+    this._assertConnected();
+    return this.groupHandler.promoteParticipants(groupId, participants);
+  }
+  
+  /**
+   * Retrogradare participanți din admin
+   * @param {string} groupId ID-ul grupului
+   * @param {string[]} participants Participanții de retrogradat
+   * @returns {Promise<boolean>} Succes sau eșec
+   */
+  public async demoteGroupParticipants(groupId: string, participants: string[]): Promise<boolean> {
+    this._assertConnected();
+    return this.groupHandler.demoteParticipants(groupId, participants);
+  }
+  
+  /**
+   * Obținere toate conversațiile
+   * @returns {Promise<Array>} Lista de conversații
+   */
+  public async getChats(): Promise<any[]> {
+    this._assertConnected();
+    return this.store.getChats();
+  }
+  
+  /**
+   * Obținere contacte
+   * @returns {Promise<Array>} Lista de contacte
+   */
+  public async getContacts(): Promise<any[]> {
+    this._assertConnected();
+    return this.store.getContacts();
+  }
+  
+  /**
+   * Obținere mesaje din conversație
+   * @param {string} chatId ID-ul conversației
+   * @param {number} limit Numărul maxim de mesaje
+   * @param {string} before ID-ul mesajului înainte de care să se obțină mesajele
+   * @returns {Promise<Array>} Lista de mesaje
+   */
+  public async getChatMessages(chatId: string, limit = 20, before: string | null = null): Promise<Message[]> {
+    this._assertConnected();
+    return this.messageHandler.getChatMessages(chatId, limit, before);
+  }
+  
+  /**
+   * Dispozitivele unui contact (telefonul și dispozitivele companion asociate)
+   * @param {string|string[]} jids Numărul sau JID-ul contactului (sau o listă)
+   * @param {Object} options useCache (implicit true; false forțează interogarea serverului)
+   * @returns {Promise<string[]>} JID-urile dispozitivelor, fără dispozitivul curent
+   * @throws {WAQueryError} Răspunsul de eroare al serverului
+   */
+  public async getUserDevices(jids: string | string[], options: { useCache?: boolean } = {}): Promise<string[]> {
+    this._assertConnected();
+    
+    const list = (Array.isArray(jids) ? jids : [jids])
+      .map(jid => (jid.includes('@') ? jid : `${jid.replace(/[^0-9]/g, '')}@s.whatsapp.net`));
+    
+    return this.deviceHandler.getDevices(list, options);
+  }
+  
+  /**
+   * Verificare dacă numărul este înregistrat pe WhatsApp
+   * @param {string} number Numărul de telefon de verificat (format: 1234567890)
+   * @returns {Promise<boolean>} Este înregistrat sau nu
+   * @throws {WAQueryError} Alte erori decât 404 (ex: 429 la prea multe verificări)
+   */
+  public async isRegisteredUser(number: string): Promise<boolean> {
+    this._assertConnected();
+    
+    // Formatare număr
+    const jid = `${number.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    
+    try {
+      const node = {
+        id: this.protocolManager._generateMessageTag(),
+        type: 'action',
+        data: {
+          type: 'get',
+          xmlns: 'contact',
+          jid
+        }
+      };
+      
+      await this.protocolManager.query(node);
+      return true;
+    } catch (error) {
+      // 404: numărul nu are cont WhatsApp
+      if (error instanceof WAQueryError && error.code === 404) {
+        return false;
+      }
+      
+      this.log('Error checking registered user:', error);
+      throw WAQueryError.wrap(error, 'Failed to check registered user');
+    }
+  }
+  
+  /**
+   * Interogare directă a serverului
+   * @param {Object} node Nodul de trimis ({ id, type, data })
+   * @param {Object} options timeout (ms, implicit `queryTimeout`)
+   * @returns {Promise<Object>} Răspunsul serverului
+   * @throws {WAQueryError} Răspuns de eroare (code, text) sau timeout (408)
+   */
+  public async query(node: any, options: { timeout?: number } = {}): Promise<any> {
+    this._assertConnected();
+    return this.protocolManager.query(node, options);
+  }
+  
+  /**
+   * Setare status prezență (typing, recording, etc)
+   * @param {string} chatId ID-ul conversației
+   * @param {string} presence Tipul prezenței (typing, recording, available, unavailable, paused)
+   * @returns {Promise<boolean>} Succes sau eșec
+   */
+  public async setPresence(chatId: string, presence: string): Promise<boolean> {
+    this._assertConnected();
+    return this.protocolManager.sendPresence(chatId, presence);
+  }
+  
+  /**
+   * Obținerea datelor sesiunii pentru salvare
+   * @returns {Object|null} Datele sesiunii sau null dacă nu este autentificat
+   */
+  public getSession(): Session | null {
+    if (!this.session) {
+      return null;
+    }
+    
+    // Cu stocarea în memorie, cheile Signal sunt incluse în sesiune (criptate,
+    // dacă starea are o parolă); celelalte adaptoare le persistă singure
+    const store = this.authState instanceof EncryptedAuthStateStore ? this.authState.unwrap() : this.authState;
+    if (store instanceof MemoryAuthStateStore) {
+      return { ...this.session, signal: store.toJSON() };
+    }
+    
+    return { ...this.session };
+  }
+  
+  /**
+   * Restaurare sesiune din date salvate
+   * @param {Object} session Datele sesiunii salvate anterior
+   * @returns {Promise<boolean>} Succes sau eșec
+   */
+  public async restoreSession(session: Session): Promise<boolean> {
+    if (this.state !== ConnectionState.DISCONNECTED) {
+      await this.disconnect();
+    }
+    
+    const { signal, ...credentials } = session;
+    
+    // Cheile exportate cu parolă sunt copiate criptate, împreună cu metadatele
+    const encrypted = EncryptedAuthStateStore.isEncryptedExport(signal);
+    if (encrypted && !(this.authState instanceof EncryptedAuthStateStore)) {
+      throw new Error('The session was exported from an encrypted auth state; set authStatePassphrase to restore it');
+    }
+    const target = this.authState instanceof EncryptedAuthStateStore && encrypted ? this.authState.unwrap() : this.authState;
+    
+    // Import chei Signal exportate de `getSession`
+    for (const [namespace, entries] of Object.entries<any>(signal || {})) {
+      for (const [key, value] of Object.entries(entries)) {
+        await target.set(namespace as AuthStateNamespace, key, deserialize(value));
+      }
+    }
+    
+    // Metadatele importate înlocuiesc cheile derivate deja de stocarea criptată
+    if (this.authState instanceof EncryptedAuthStateStore && encrypted) {
+      this.authState.reload();
+    }
+    
+    this.session = credentials;
+    this.signalHandler.store = new SignalStore(this.authState);
+    this.deviceHandler.reset();
+    await this.authState.set('creds', 'session', credentials);
+    await this.connect();
+    return true;
+  }
+  
+  /**
+   * Solicitare cod de asociere (pentru authMethod: 'pairing-code')
+   * @param {string} phoneNumber Numărul de telefon (format: 1234567890)
+   * @returns {Promise<void>}
+   */
+  public async requestPairingCode(phoneNumber: string): Promise<void> {
+    if (!(this.authHandler instanceof PairingCodeAuth)) {
+      throw new Error('Pairing code authentication requires authMethod: \'pairing-code\'');
+    }
+    
+    // Așteptare deschidere conexiune dacă suntem încă în curs de conectare
+    if (this.state === ConnectionState.CONNECTING) {
+      await new Promise(resolve => this.once('connected', resolve));
+    }
+    
+    return this.authHandler.requestPairingCode(phoneNumber);
+  }
+  
+  /**
+   * Handler pentru deschiderea conexiunii WebSocket
+   * @private
+   */
+  private _onWebSocketOpen(): void {
+    this.log('WebSocket connection established');
+    this.state = ConnectionState.CONNECTED;
+    this.emit('state_change', { from: ConnectionState.CONNECTING, to: ConnectionState.CONNECTED });
+    this.emit('connected');
+    
+    // Pornire handshake Noise (mesajul de inițializare pleacă în ClientFinish)
+    this.protocolManager.startHandshake().catch((error) => {
+      this.log('Error starting Noise handshake:', error);
+    });
+  }
+  
+  /**
+   * Handler pentru mesajele primite pe WebSocket
+   * @param {*} data Datele primite
+   * @private
+   */
+  private _onWebSocketMessage(data: WebSocket.RawData): void {
+    try {
+      // Convertire la Buffer dacă nu este deja
+      const buffer = Array.isArray(data)
+        ? Buffer.concat(data)
+        : Buffer.isBuffer(data) ? data : Buffer.from(data);
+      
+      // Orice cadru dovedește că serverul este încă accesibil
+      this.keepAlive.touch();
+      
+      // Procesare mesaj
+      this.protocolManager.processMessage(buffer);
+    } catch (error) {
+      this.log('Error processing WebSocket message:', error);
+    }
+  }
+  
+  /**
+   * Handler pentru închiderea WebSocket
+   * @param {number} code Codul de închidere
+   * @param {string} reason Motivul închiderii
+   * @private
+   */
+  private _onWebSocketClose(code: number, reason: Buffer): void {
+    this.log(`WebSocket closed with code ${code}: ${reason}`);
+    
+    // Niciun răspuns nu mai poate sosi pe acest socket
+    this.protocolManager.rejectPending();
+    
+    // Deconectare cerută de utilizator; evenimentele au fost deja emise
+    if (this.state === ConnectionState.DISCONNECTED) {
+      return;
+    }
+    
+    const disconnectReason = this.disconnectReason ||
+      (code === 1000 ? DisconnectReason.CONNECTION_CLOSED : DisconnectReason.CONNECTION_LOST);
+    this.disconnectReason = disconnectReason;
+    
+    this._clearConnectTimer();
+    
+    // Conexiunea a căzut înainte de handshake: endpoint-ul este ocolit o perioadă
+    let failover = false;
+    if (this.endpoint && !this.handshakeComplete) {
+      const health = this.endpoints.recordFailure(this.endpoint);
+      this.log(`Endpoint ${this.endpoint} failed (${disconnectReason})`);
+      this.emit('endpoint_failed', health);
+      failover = this.endpoints.hasAlternative(this.endpoint);
+    }
+    
+    const prevState = this.state;
+    this.state = ConnectionState.DISCONNECTED;
+    
+    this.emit('state_change', { from: prevState, to: ConnectionState.DISCONNECTED });
+    this.emit('disconnected', { code, reason, disconnectReason });
+    
+    // Credențialele respinse de server nu mai pot fi folosite
+    if (disconnectReason === DisconnectReason.LOGGED_OUT || disconnectReason === DisconnectReason.BAD_SESSION) {
+      this._clearSession(disconnectReason);
+      return;
+    }
+    
+    // Reconectare doar când problema este de rețea sau serverul a cerut-o
+    if (this.options.autoReconnect && this._shouldReconnect(disconnectReason)) {
+      this._scheduleReconnect(disconnectReason, failover);
+    }
+  }
+  
+  /**
+   * Anulare timeout de conectare
+   * @private
+   */
+  private _clearConnectTimer(): void {
+    if (this.connectTimer) {
+      clearTimeout(this.connectTimer);
+      this.connectTimer = null;
+    }
+  }
+  
+  /**
+   * Motivele după care sesiunea poate fi reluată
+   * @private
+   */
+  private _shouldReconnect(reason: DisconnectReason): boolean {
+    return reason === DisconnectReason.RESTART_REQUIRED ||
+      reason === DisconnectReason.TIMED_OUT ||
+      reason === DisconnectReason.CONNECTION_LOST;
+  }
+  
+  /**
+   * Ștergere sesiune după delogare sau sesiune invalidă; următoarea
+   * conectare pornește o autentificare nouă
+   * @private
+   */
+  private _clearSession(reason: DisconnectReason): void {
+    this.session = null;
+    this.user = null;
+    
+    this.authState.delete('creds', 'session').catch((error) => {
+      this.log('Error deleting session credentials:', error);
+    });
+    
+    this.emit('session_invalidated', { reason });
+  }
+  
+  /**
+   * Handler pentru erori WebSocket
+   * @param {Error} error Eroarea WebSocket
+   * @private
+   */
+  private _onWebSocketError(error: Error): void {
+    this.log('WebSocket error:', error);
+    this.emit('connection_error', error);
+  }
+  
+  /**
+   * Planificare reconectare automată, cu backoff exponențial cu jitter
+   * decorelat: fiecare pauză este aleasă aleator între `reconnectDelay` și
+   * de trei ori pauza anterioară, plafonată la `maxReconnectDelay`
+   * @param {DisconnectReason} reason Motivul deconectării
+   * @param {boolean} failover Trecere imediată la alt endpoint disponibil
+   * @private
+   */
+  private _scheduleReconnect(reason: DisconnectReason, failover = false): void {
+    const { maxReconnects, reconnectDelay, maxReconnectDelay } = this.options;
+    let delay = 0;
+    
+    // Repornirea cerută de server și trecerea la alt endpoint sunt imediate
+    // și nu consumă o încercare
+    if (reason !== DisconnectReason.RESTART_REQUIRED && !failover) {
+      // 0 sau Infinity = fără limită
+      if (maxReconnects > 0 && this.reconnectCount >= maxReconnects) {
+        this.log('Maximum reconnect attempts reached');
+        this.emit('reconnect_failed', { attempts: this.reconnectCount, reason });
+        return;
+      }
+      
+      const previous = this.reconnectCount === 0 ? reconnectDelay : this.lastReconnectDelay;
+      delay = Math.min(maxReconnectDelay, Math.round(reconnectDelay + Math.random() * Math.max(0, previous * 3 - reconnectDelay)));
+      
+      this.reconnectCount++;
+      this.lastReconnectDelay = delay;
+    }
+    
+    const limit = maxReconnects > 0 ? maxReconnects : '∞';
+    this.log(`Scheduling reconnect attempt ${this.reconnectCount}/${limit} in ${delay}ms (${reason})`);
+    this.emit('reconnecting', { attempt: this.reconnectCount, delay, reason });
+    
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+    }
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.log(`Reconnecting (attempt ${this.reconnectCount}/${limit})...`);
+      this.connect();
+    }, delay);
+  }
+  
+  /**
+   * Verificare că este conectat
+   * @private
+   */
+  private _assertConnected(): void {
+    if (this.state !== ConnectionState.AUTHENTICATED && this.state !== ConnectionState.READY) {
+      throw new Error('Not connected or authenticated to WhatsApp');
+    }
+  }
+}
@@ -0,0 +1,775 @@
+/**
+ * Handler pentru sincronizarea stării aplicației (syncd)
+ *
+ * Setările conversațiilor (arhivare, fixare, notificări, stele, etichete)
+ * sunt păstrate de server în colecții versionate de mutații criptate.
+ * Cheile de criptare vin de la telefon (`appStateSyncKeyShare`); serverul
+ * anunță modificările prin notificări `server_sync`.
+ */
+
+import { decodeJid } from '../utils/jid';
+import { encodeProto, decodeProto, getBytes, getNumber, getString, getMessages } from '../utils/proto';
+import { WAQueryError } from '../protocol/ProtocolManager';
+import {
+  MutationKeys,
+  SyncdOperation,
+  DecryptedMutation,
+  LT_HASH_LENGTH,
+  expandAppStateKey,
+  ltHashUpdate,
+  generateSnapshotMac,
+  generatePatchMac,
+  encryptMutation,
+  decryptMutation,
+  decodeVersion,
+  macEquals
+} from './syncdCrypto';
+
+export type AppStateCollection = 'critical_block' | 'critical_unblock_low' | 'regular_high' | 'regular' | 'regular_low';
+
+export const APP_STATE_COLLECTIONS: AppStateCollection[] = [
+  'critical_block',
+  'critical_unblock_low',
+  'regular_high',
+  'regular',
+  'regular_low'
+];
+
+interface CollectionState {
+  version: number;
+  hash: Buffer;
+  // base64(indexMac) -> valueMac
+  indexValueMap: { [indexMac: string]: Buffer };
+}
+
+interface OutgoingMutation {
+  index: any[];
+  value: Buffer;
+  version: number;
+}
+
+// Cheia folosită pentru mutațiile trimise (cea mai recentă primită)
+const CURRENT_KEY_ID = 'app-state-sync-key-id';
+
+// Cheia de sincronizare lipsește (telefonul nu a trimis-o încă)
+class MissingKeyError extends Error {
+  constructor(keyId: Buffer) {
+    super(`App state sync key ${keyId.toString('base64')} not available`);
+  }
+}
+
+export class AppStateHandler {
+  private client: any;
+  private queue: Promise<any> = Promise.resolve();
+  private keys: Map<string, MutationKeys> = new Map();
+  // Colecții care așteaptă o cheie lipsă
+  private blocked: Set<AppStateCollection> = new Set();
+  
+  constructor(client: any) {
+    this.client = client;
+    
+    // Recuperare modificări făcute cât timp clientul a fost deconectat
+    this.client.on('state_change', ({ to }: { to: string }) => {
+      if (to === 'READY') {
+        this._resyncIfKeyed();
+      }
+    });
+  }
+  
+  /**
+   * Arhivare/dezarhivare conversație
+   * @param {string} chatId Conversația
+   * @param {boolean} archive true pentru arhivare
+   * @returns {Promise<void>}
+   */
+  public async archiveChat(chatId: string, archive: boolean): Promise<void> {
+    const jid = this._chatJid(chatId);
+    return this._push('regular_low', 'archive chat', async () => ({
+      index: ['archive', jid],
+      version: 3,
+      value: encodeProto([
+        [1, Date.now()],
+        [17, encodeProto([[1, archive], [2, await this._messageRange(jid)]])]
+      ])
+    }));
+  }
+  
+  /**
+   * Fixare/anulare fixare conversație
+   * @param {string} chatId Conversația
+   * @param {boolean} pin true pentru fixare
+   * @returns {Promise<void>}
+   */
+  public async pinChat(chatId: string, pin: boolean): Promise<void> {
+    const jid = this._chatJid(chatId);
+    return this._push('regular_low', 'pin chat', async () => ({
+      index: ['pin_v1', jid],
+      version: 5,
+      value: encodeProto([[1, Date.now()], [5, encodeProto([[1, pin]])]])
+    }));
+  }
+  
+  /**
+   * Dezactivare notificări până la un moment dat
+   * @param {string} chatId Conversația
+   * @param {number|null} until Sfârșitul perioadei (ms) sau null pentru reactivare
+   * @returns {Promise<void>}
+   */
+  public async muteChat(chatId: string, until: number | null): Promise<void> {
+    const jid = this._chatJid(chatId);
+    
+    if (until !== null && until <= Date.now()) {
+      throw new Error('Mute end time must be in the future');
+    }
+    
+    return this._push('regular_high', 'mute chat', async () => ({
+      index: ['mute', jid],
+      version: 2,
+      value: encodeProto([
+        [1, Date.now()],
+        [4, encodeProto([[1, until !== null], [2, until !== null ? until : undefined]])]
+      ])
+    }));
+  }
+  
+  /**
+   * Marcare/demarcare mesaj cu stea
+   * @param {string} chatId Conversația
+   * @param {string} messageId ID-ul mesajului
+   * @param {boolean} star true pentru marcare
+   * @returns {Promise<void>}
+   */
+  public async starMessage(chatId: string, messageId: string, star: boolean): Promise<void> {
+    const jid = this._chatJid(chatId);
+    return this._push('regular_high', 'star message', async () => {
+      const message = await this.client.store.getMessage(jid, messageId);
+      
+      return {
+        index: ['star', jid, messageId, message && message.fromMe ? '1' : '0', (message && message.participant) || '0'],
+        version: 2,
+        value: encodeProto([[1, Date.now()], [2, encodeProto([[1, star]])]])
+      };
+    });
+  }
+  
+  /**
+   * Ștergere mesaj doar pentru acest cont (sincronizat cu celelalte dispozitive)
+   * @param {string} chatId Conversația
+   * @param {string} messageId ID-ul mesajului
+   * @returns {Promise<void>}
+   */
+  public async deleteMessageForMe(chatId: string, messageId: string): Promise<void> {
+    const jid = this._chatJid(chatId);
+    
+    return this._push('regular_high', 'delete message for me', async () => {
+      const message = await this.client.store.getMessage(jid, messageId);
+      const timestamp = message ? Math.floor((message.timestamp || 0) / 1000) : undefined;
+      
+      return {
+        index: ['deleteMessageForMe', jid, messageId, message && message.fromMe ? '1' : '0', (message && message.participant) || '0'],
+        version: 3,
+        value: encodeProto([[1, Date.now()], [18, encodeProto([[1, true], [2, timestamp]])]])
+      };
+    });
+  }
+  
+  /**
+   * Marcare conversație ca necitită/citită
+   * @param {string} chatId Conversația
+   * @param {boolean} unread true pentru necitită
+   * @returns {Promise<void>}
+   */
+  public async markChatUnread(chatId: string, unread: boolean): Promise<void> {
+    const jid = this._chatJid(chatId);
+    return this._push('regular_low', 'mark chat unread', async () => ({
+      index: ['markChatAsRead', jid],
+      version: 3,
+      value: encodeProto([
+        [1, Date.now()],
+        [20, encodeProto([[1, !unread], [2, await this._messageRange(jid)]])]
+      ])
+    }));
+  }
+  
+  /**
+   * Sincronizare colecții cu serverul
+   * @param {AppStateCollection[]} collections Colecțiile (implicit toate)
+   * @returns {Promise<void>}
+   */
+  public resync(collections: AppStateCollection[] = APP_STATE_COLLECTIONS): Promise<void> {
+    const run = this.queue.then(() => this._sync(collections));
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
+  
+  /**
+   * Procesare chei de sincronizare primite de la telefon
+   * @param {Object} message Mesajul care conține cheile
+   * @param {Array} keys Cheile ({ keyId, keyData, timestamp })
+   * @returns {Promise<void>}
+   */
+  public async handleKeyShare(message: any, keys: { keyId: Buffer, keyData: Buffer, timestamp?: number }[]): Promise<void> {
+    const sender = message.participant || message.from;
+    const own = this.client.user ? decodeJid(this.client.user.id).user : null;
+    
+    // Cheile pot veni doar de la propriul telefon
+    if (!sender || decodeJid(sender).user !== own) {
+      this.client.log(`Ignoring app state keys from ${sender}`);
+      return;
+    }
+    
+    let newest: { keyId: Buffer, timestamp: number } | null = null;
+    
+    for (const key of keys) {
+      if (!Buffer.isBuffer(key.keyId) || !Buffer.isBuffer(key.keyData)) {
+        continue;
+      }
+      
+      const timestamp = Number(key.timestamp) || 0;
+      await this.client.authState.set('app-state-sync-keys', key.keyId.toString('base64'), {
+        keyData: key.keyData,
+        timestamp
+      });
+      
+      if (!newest || timestamp >= newest.timestamp) {
+        newest = { keyId: key.keyId, timestamp };
+      }
+    }
+    
+    if (!newest) {
+      return;
+    }
+    
+    const current = await this.client.authState.get('creds', CURRENT_KEY_ID);
+    if (!current || newest.timestamp >= (current.timestamp || 0)) {
+      await this.client.authState.set('creds', CURRENT_KEY_ID, newest);
+    }
+    
+    // Prima cheie (sau cheia care lipsea) deblochează sincronizarea
+    const collections = this.blocked.size > 0 && current ? Array.from(this.blocked) : APP_STATE_COLLECTIONS;
+    this.resync(collections).catch((error: Error) => {
+      this.client.log('Error syncing app state:', error);
+    });
+  }
+  
+  /**
+   * Procesare notificare `server_sync` (colecții modificate pe alt dispozitiv)
+   * @param {Object} notification Notificarea
+   */
+  public handleServerSyncNotification(notification: any): void {
+    const collections = (Array.isArray(notification.content) ? notification.content : [])
+      .filter((child: any) => child.type === 'collection' && APP_STATE_COLLECTIONS.includes(child.name))
+      .map((child: any) => child.name);
+    
+    if (collections.length === 0) {
+      return;
+    }
+    
+    this.resync(collections).catch((error: Error) => {
+      this.client.log('Error syncing app state:', error);
+    });
+  }
+  
+  /**
+   * Sincronizare la reconectare, dacă avem deja chei
+   * @private
+   */
+  private _resyncIfKeyed(): void {
+    this.client.authState.get('creds', CURRENT_KEY_ID)
+      .then((current: any) => current ? this.resync() : undefined)
+      .catch((error: Error) => {
+        this.client.log('Error syncing app state:', error);
+      });
+  }
+  
+  /**
+   * Descărcare și aplicare patch-uri până la ultima versiune
+   * @param {AppStateCollection[]} collections Colecțiile
+   * @private
+   */
+  private async _sync(collections: AppStateCollection[]): Promise<void> {
+    const pending = new Set(collections);
+    const reset = new Set<AppStateCollection>();
+    
+    while (pending.size > 0) {
+      const names = Array.from(pending);
+      const states = new Map<AppStateCollection, CollectionState>();
+      for (const name of names) {
+        states.set(name, await this._loadState(name));
+      }
+      
+      const node = {
+        id: this.client.protocolManager._generateMessageTag(),
+        type: 'iq',
+        data: {
+          type: 'set',
+          xmlns: 'w:sync:app:state',
+          to: 's.whatsapp.net',
+          content: [{
+            type: 'sync',
+            content: names.map(name => ({
+              type: 'collection',
+              name,
+              version: String(states.get(name)!.version),
+              return_snapshot: String(states.get(name)!.version === 0)
+            }))
+          }]
+        }
+      };
+      
+      const response = await this.client.protocolManager.query(node);
+      const sync = this._child(response && response.data, 'sync');
+      const results = sync && Array.isArray(sync.content) ? sync.content : [];
+      
+      for (const name of names) {
+        const result = results.find((child: any) => child.type === 'collection' && child.name === name);
+        
+        if (!result || this._child(result, 'error')) {
+          this.client.log(`App state collection ${name} not synced`);
+          pending.delete(name);
+          continue;
+        }
+        
+        try {
+          const mutations: DecryptedMutation[] = [];
+          let state = states.get(name)!;
+          
+          const snapshot = this._child(result, 'snapshot');
+          if (snapshot && Buffer.isBuffer(snapshot.content)) {
+            state = await this._applySnapshot(name, snapshot.content, mutations);
+          }
+          
+          const patches = this._child(result, 'patches');
+          const decoded = (patches && Array.isArray(patches.content) ? patches.content : [])
+            .filter((child: any) => child.type === 'patch' && Buffer.isBuffer(child.content))
+            .map((child: any) => decodeProto(child.content))
+            .sort((a: any, b: any) => decodeVersion(getBytes(a, 1)) - decodeVersion(getBytes(b, 1)));
+          
+          for (const patch of decoded) {
+            if (decodeVersion(getBytes(patch, 1)) > state.version) {
+              state = await this._applyPatch(name, state, patch, mutations);
+            }
+          }
+          
+          // Starea se salvează doar după verificarea tuturor MAC-urilor
+          await this.client.authState.set('app-state-versions', name, state);
+          this.blocked.delete(name);
+          
+          for (const mutation of mutations) {
+            await this._applyAction(mutation);
+          }
+          
+          if (result.has_more_patches !== 'true') {
+            pending.delete(name);
+          }
+        } catch (error) {
+          if (error instanceof MissingKeyError) {
+            // Reluare când telefonul trimite cheia
+            this.client.log(`App state collection ${name} waiting for key:`, error.message);
+            this.blocked.add(name);
+            pending.delete(name);
+          } else if (!reset.has(name)) {
+            // Stare locală inconsistentă: reluare de la snapshot
+            this.client.log(`App state collection ${name} failed verification, resyncing from snapshot:`, error);
+            reset.add(name);
+            await this.client.authState.delete('app-state-versions', name);
+          } else {
+            this.client.log(`Error syncing app state collection ${name}:`, error);
+            this.client.emit('app_state_sync_failed', { collection: name, error });
+            pending.delete(name);
+          }
+        }
+      }
+    }
+  }
+  
+  /**
+   * Criptare, trimitere și aplicare locală a unei mutații
+   * @param {AppStateCollection} collection Colecția
+   * @param {string} description Acțiunea (pentru mesajele de eroare)
+   * @param {Function} build Construirea mutației (după sincronizare)
+   * @private
+   */
+  private async _push(collection: AppStateCollection, description: string, build: () => Promise<OutgoingMutation>): Promise<void> {
+    const run = this.queue.then(async () => {
+      // Patch-ul trebuie construit peste ultima versiune de pe server
+      await this._sync([collection]);
+      if (this.blocked.has(collection)) {
+        throw new Error(`App state collection ${collection} is not synced`);
+      }
+      
+      const current = await this.client.authState.get('creds', CURRENT_KEY_ID);
+      if (!current) {
+        throw new Error('No app state sync key available');
+      }
+      
+      const keyId: Buffer = current.keyId;
+      const keys = await this._getKeys(keyId);
+      const state = await this._loadState(collection);
+      const mutation = await build();
+      
+      const encrypted = encryptMutation({ operation: SyncdOperation.SET, ...mutation }, keyId, keys);
+      const indexValueMap = { ...state.indexValueMap };
+      const indexKey = encrypted.indexMac.toString('base64');
+      const previous = indexValueMap[indexKey];
+      indexValueMap[indexKey] = encrypted.valueMac;
+      
+      const version = state.version + 1;
+      const hash = ltHashUpdate(state.hash, [encrypted.valueMac], previous ? [previous] : []);
+      const snapshotMac = generateSnapshotMac(hash, version, collection, keys.snapshotMacKey);
+      const patchMac = generatePatchMac(snapshotMac, [encrypted.valueMac], version, collection, keys.patchMacKey);
+      
+      const patch = encodeProto([
+        [1, encodeProto([[1, version]])],
+        [2, encodeProto([
+          [1, SyncdOperation.SET],
+          [2, encodeProto([
+            [1, encodeProto([[1, encrypted.indexMac]])],
+            [2, encodeProto([[1, encrypted.valueBlob]])],
+            [3, encodeProto([[1, keyId]])]
+          ])]
+        ])],
+        [4, snapshotMac],
+        [5, patchMac],
+        [6, encodeProto([[1, keyId]])]
+      ]);
+      
+      const node = {
+        id: this.client.protocolManager._generateMessageTag(),
+        type: 'iq',
+        data: {
+          type: 'set',
+          xmlns: 'w:sync:app:state',
+          to: 's.whatsapp.net',
+          content: [{
+            type: 'sync',
+            content: [{
+              type: 'collection',
+              name: collection,
+              version: String(state.version),
+              return_snapshot: 'false',
+              content: [{ type: 'patch', content: patch }]
+            }]
+          }]
+        }
+      };
+      
+      await this.client.protocolManager.query(node);
+      await this.client.authState.set('app-state-versions', collection, { version, hash, indexValueMap });
+      
+      await this._applyAction({
+        operation: SyncdOperation.SET,
+        index: mutation.index,
+        indexMac: encrypted.indexMac,
+        valueMac: encrypted.valueMac,
+        value: decodeProto(mutation.value)
+      });
+    });
+    
+    this.queue = run.catch(() => undefined);
+    
+    try {
+      await run;
+    } catch (error) {
+      this.client.log(`Error trying to ${description}:`, error);
+      throw WAQueryError.wrap(error, `Failed to ${description}`);
+    }
+  }
+  
+  /**
+   * Reconstruire stare din snapshot (ExternalBlobReference)
+   * @private
+   */
+  private async _applySnapshot(name: AppStateCollection, reference: Buffer, mutations: DecryptedMutation[]): Promise<CollectionState> {
+    const snapshot = decodeProto(await this._downloadBlob(reference));
+    const version = decodeVersion(getBytes(snapshot, 1));
+    const indexValueMap: { [indexMac: string]: Buffer } = {};
+    const added: Buffer[] = [];
+    
+    for (const record of getMessages(snapshot, 2)) {
+      const mutation = await this._decryptRecord(SyncdOperation.SET, record);
+      indexValueMap[mutation.indexMac.toString('base64')] = mutation.valueMac;
+      added.push(mutation.valueMac);
+      mutations.push(mutation);
+    }
+    
+    const hash = ltHashUpdate(Buffer.alloc(LT_HASH_LENGTH), added);
+    const keys = await this._getKeys(this._keyId(getBytes(snapshot, 4)));
+    
+    if (!macEquals(generateSnapshotMac(hash, version, name, keys.snapshotMacKey), getBytes(snapshot, 3))) {
+      throw new Error(`Snapshot MAC mismatch for ${name} v${version}`);
+    }
+    
+    return { version, hash, indexValueMap };
+  }
+  
+  /**
+   * Aplicare și verificare patch (SyncdPatch)
+   * @private
+   */
+  private async _applyPatch(
+    name: AppStateCollection,
+    state: CollectionState,
+    patch: Map<number, (Buffer | number)[]>,
+    mutations: DecryptedMutation[]
+  ): Promise<CollectionState> {
+    const version = decodeVersion(getBytes(patch, 1));
+    let records = getMessages(patch, 2);
+    
+    // Patch-urile mari sunt încărcate separat
+    const external = getBytes(patch, 3);
+    if (external) {
+      records = getMessages(decodeProto(await this._downloadBlob(external)), 1);
+    }
+    
+    const indexValueMap = { ...state.indexValueMap };
+    const added: Buffer[] = [];
+    const removed: Buffer[] = [];
+    const valueMacs: Buffer[] = [];
+    
+    for (const item of records) {
+      const operation = getNumber(item, 1) === SyncdOperation.REMOVE ? SyncdOperation.REMOVE : SyncdOperation.SET;
+      const mutation = await this._decryptRecord(operation, decodeProto(getBytes(item, 2) || Buffer.alloc(0)));
+      const indexKey = mutation.indexMac.toString('base64');
+      
+      if (indexValueMap[indexKey]) {
+        removed.push(indexValueMap[indexKey]);
+      }
+      
+      if (operation === SyncdOperation.SET) {
+        indexValueMap[indexKey] = mutation.valueMac;
+        added.push(mutation.valueMac);
+      } else {
+        delete indexValueMap[indexKey];
+      }
+      
+      valueMacs.push(mutation.valueMac);
+      mutations.push(mutation);
+    }
+    
+    const hash = ltHashUpdate(state.hash, added, removed);
+    const keys = await this._getKeys(this._keyId(getBytes(patch, 6)));
+    const snapshotMac = generateSnapshotMac(hash, version, name, keys.snapshotMacKey);
+    
+    if (!macEquals(snapshotMac, getBytes(patch, 4))) {
+      throw new Error(`Snapshot MAC mismatch for ${name} v${version}`);
+    }
+    
+    if (!macEquals(generatePatchMac(snapshotMac, valueMacs, version, name, keys.patchMacKey), getBytes(patch, 5))) {
+      throw new Error(`Patch MAC mismatch for ${name} v${version}`);
+    }
+    
+    return { version, hash, indexValueMap };
+  }
+  
+  /**
+   * Decriptare înregistrare (SyncdRecord)
+   * @private
+   */
+  private async _decryptRecord(operation: SyncdOperation, record: Map<number, (Buffer | number)[]>): Promise<DecryptedMutation> {
+    const index = getBytes(record, 1);
+    const value = getBytes(record, 2);
+    const keyId = this._keyId(getBytes(record, 3));
+    
+    const indexMac = index ? getBytes(decodeProto(index), 1) : undefined;
+    const valueBlob = value ? getBytes(decodeProto(value), 1) : undefined;
+    
+    if (!indexMac || !valueBlob) {
+      throw new Error('Invalid app state record');
+    }
+    
+    return decryptMutation(operation, indexMac, valueBlob, keyId, await this._getKeys(keyId));
+  }
+  
+  /**
+   * Aplicare acțiune asupra store-ului și emitere evenimente
+   * @param {DecryptedMutation} mutation Mutația decriptată
+   * @private
+   */
+  private async _applyAction(mutation: DecryptedMutation): Promise<void> {
+    if (mutation.operation !== SyncdOperation.SET || !Array.isArray(mutation.index)) {
+      return;
+    }
+    
+    const [action, id, ...args] = mutation.index;
+    const value = mutation.value;
+    const timestamp = getNumber(value, 1) || Date.now();
+    const field = (number: number) => {
+      const bytes = getBytes(value, number);
+      return bytes ? decodeProto(bytes) : new Map<number, (Buffer | number)[]>();
+    };
+    
+    try {
+      switch (action) {
+        case 'archive':
+          await this._updateChat(id, { archived: getNumber(field(17), 1) === 1 });
+          break;
+        
+        case 'pin_v1':
+          await this._updateChat(id, { pinned: getNumber(field(5), 1) === 1 ? timestamp : 0 });
+          break;
+        
+        case 'mute': {
+          const mute = field(4);
+          // -1: fără limită de timp
+          await this._updateChat(id, { muteEndTime: getNumber(mute, 1) === 1 ? (getNumber(mute, 2) || -1) : 0 });
+          break;
+        }
+        
+        case 'markChatAsRead':
+          // -1: marcată manual ca necitită
+          await this._updateChat(id, { unreadCount: getNumber(field(20), 1) === 1 ? 0 : -1 });
+          break;
+        
+        case 'star': {
+          const starred = getNumber(field(2), 1) === 1;
+          const messageId = args[0];
+          await this.client.store.updateMessage(id, messageId, { starred });
+          this.client.emit('message_update', { chatJid: id, id: messageId, starred });
+          break;
+        }
+        
+        case 'deleteMessageForMe': {
+          const messageId = args[0];
+          await this.client.store.deleteMessage(id, messageId);
+          this.client.emit('message_delete', { chatJid: id, id: messageId });
+          break;
+        }
+        
+        case 'label_edit': {
+          const label = field(14);
+          this.client.emit('label_update', {
+            id,
+            name: getString(label, 1),
+            color: getNumber(label, 2),
+            deleted: getNumber(label, 4) === 1
+          });
+          break;
+        }
+        
+        case 'label_jid': {
+          const jid = args[0];
+          const labeled = getNumber(field(15), 1) === 1;
+          const chat = await this.client.store.getChat(jid);
+          const labels: string[] = (chat && chat.labels ? chat.labels : []).filter((label: string) => label !== id);
+          await this._updateChat(jid, { labels: labeled ? [...labels, id] : labels });
+          break;
+        }
+        
+        default:
+          this.client.log(`Unhandled app state action: ${action}`);
+      }
+    } catch (error) {
+      this.client.log(`Error applying app state action ${action}:`, error);
+    }
+  }
+  
+  /**
+   * Actualizare conversație în store și emitere `chat_update`
+   * @private
+   */
+  private async _updateChat(jid: string, changes: any): Promise<void> {
+    await this.client.store.saveChat({ jid, ...changes });
+    this.client.emit('chat_update', { jid, ...changes });
+  }
+  
+  /**
+   * Ultimul mesaj al conversației (SyncActionMessageRange)
+   * @private
+   */
+  private async _messageRange(jid: string): Promise<Buffer> {
+    const [last] = await this.client.store.queryMessages({ chatJid: jid, limit: 1 });
+    if (!last) {
+      return encodeProto([]);
+    }
+    
+    const timestamp = Math.floor((last.timestamp || 0) / 1000);
+    const key = encodeProto([
+      [1, jid],
+      [2, !!last.fromMe],
+      [3, last.id],
+      [4, last.participant]
+    ]);
+    
+    return encodeProto([
+      [1, timestamp],
+      [3, encodeProto([[1, key], [2, timestamp]])]
+    ]);
+  }
+  
+  /**
+   * Cheile mutațiilor pentru un ID de cheie
+   * @private
+   */
+  private async _getKeys(keyId: Buffer): Promise<MutationKeys> {
+    const id = keyId.toString('base64');
+    const cached = this.keys.get(id);
+    if (cached) {
+      return cached;
+    }
+    
+    const stored = await this.client.authState.get('app-state-sync-keys', id);
+    if (!stored || !Buffer.isBuffer(stored.keyData)) {
+      throw new MissingKeyError(keyId);
+    }
+    
+    const keys = expandAppStateKey(stored.keyData);
+    this.keys.set(id, keys);
+    return keys;
+  }
+  
+  /**
+   * Starea salvată a unei colecții (versiunea 0 dacă nu există)
+   * @private
+   */
+  private async _loadState(name: AppStateCollection): Promise<CollectionState> {
+    const state = await this.client.authState.get('app-state-versions', name);
+    
+    return state && Buffer.isBuffer(state.hash)
+      ? { version: state.version, hash: state.hash, indexValueMap: state.indexValueMap || {} }
+      : { version: 0, hash: Buffer.alloc(LT_HASH_LENGTH), indexValueMap: {} };
+  }
+  
+  /**
+   * Descărcare blob extern (ExternalBlobReference)
+   * @private
+   */
+  private async _downloadBlob(reference: Buffer): Promise<Buffer> {
+    const fields = decodeProto(reference);
+    
+    return this.client.mediaHandler.downloadMedia({
+      type: 'app-state',
+      mediaKey: getBytes(fields, 1),
+      directPath: getString(fields, 2),
+      fileLength: getNumber(fields, 4),
+      fileSha256: getBytes(fields, 5),
+      fileEncSha256: getBytes(fields, 6)
+    });
+  }
+  
+  /**
+   * ID-ul dintr-un mesaj KeyId
+   * @private
+   */
+  private _keyId(bytes: Buffer | undefined): Buffer {
+    return (bytes && getBytes(decodeProto(bytes), 1)) || Buffer.alloc(0);
+  }
+  
+  /**
+   * JID-ul conversației (acceptă și numărul de telefon)
+   * @private
+   */
+  private _chatJid(chatId: string): string {
+    return chatId.includes('@') ? chatId : `${chatId.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+  }
+  
+  /**
+   * Primul copil cu tipul dat
+   * @private
+   */
+  private _child(node: any, type: string): any {
+    return node && Array.isArray(node.content)
+      ? node.content.find((child: any) => child && child.type === type)
+      : undefined;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Criptografia sincronizării stării aplicației (syncd)
+ *
+ * Fiecare mutație are un index (JSON) autentificat cu HMAC și o valoare
+ * criptată AES-256-CBC: `iv || ciphertext || valueMac`. Starea unei colecții
+ * este rezumată de un LT-hash (suma pe 16 biți a valorilor extinse din
+ * `valueMac`), verificat prin MAC-urile de snapshot și de patch.
+ */
+
+import * as crypto from 'crypto';
+import { hkdf, aesEncrypt, aesDecrypt, hmacSign } from '../utils/crypto';
+import { encodeProto, decodeProto, getBytes, getNumber } from '../utils/proto';
+
+export interface MutationKeys {
+  indexKey: Buffer;
+  valueEncryptionKey: Buffer;
+  valueMacKey: Buffer;
+  snapshotMacKey: Buffer;
+  patchMacKey: Buffer;
+}
+
+export enum SyncdOperation {
+  SET = 0,
+  REMOVE = 1
+}
+
+export interface DecryptedMutation {
+  operation: SyncdOperation;
+  index: any[];
+  indexMac: Buffer;
+  valueMac: Buffer;
+  // Câmpurile SyncActionValue
+  value: Map<number, (Buffer | number)[]>;
+}
+
+export interface EncryptedMutation {
+  indexMac: Buffer;
+  valueBlob: Buffer;
+  valueMac: Buffer;
+}
+
+// Lungimea LT-hash-ului unei colecții
+export const LT_HASH_LENGTH = 128;
+
+const MUTATION_KEYS_INFO = 'WhatsApp Mutation Keys';
+const LT_HASH_INFO = 'WhatsApp Patch Integrity';
+const VALUE_MAC_LENGTH = 32;
+
+/**
+ * Extinderea cheii de sincronizare în cheile mutațiilor
+ * @param {Buffer} keyData Cheia primită de la telefon
+ */
+export function expandAppStateKey(keyData: Buffer): MutationKeys {
+  const expanded = hkdf(keyData, 160, Buffer.from(MUTATION_KEYS_INFO));
+  
+  return {
+    indexKey: expanded.slice(0, 32),
+    valueEncryptionKey: expanded.slice(32, 64),
+    valueMacKey: expanded.slice(64, 96),
+    snapshotMacKey: expanded.slice(96, 128),
+    patchMacKey: expanded.slice(128, 160)
+  };
+}
+
+/**
+ * Aplicare valori adăugate și scoase asupra unui LT-hash
+ * @param {Buffer} hash Hash-ul curent
+ * @param {Buffer[]} added MAC-urile valorilor adăugate
+ * @param {Buffer[]} removed MAC-urile valorilor scoase
+ * @returns {Buffer} Noul hash
+ */
+export function ltHashUpdate(hash: Buffer, added: Buffer[], removed: Buffer[] = []): Buffer {
+  const result = Buffer.from(hash);
+  
+  const apply = (valueMac: Buffer, sign: number) => {
+    const expanded = hkdf(valueMac, LT_HASH_LENGTH, Buffer.from(LT_HASH_INFO));
+    for (let i = 0; i < LT_HASH_LENGTH; i += 2) {
+      result.writeUInt16LE((result.readUInt16LE(i) + sign * expanded.readUInt16LE(i) + 0x10000) & 0xffff, i);
+    }
+  };
+  
+  removed.forEach(valueMac => apply(valueMac, -1));
+  added.forEach(valueMac => apply(valueMac, 1));
+  
+  return result;
+}
+
+/**
+ * MAC-ul stării unei colecții la o versiune
+ * @param {Buffer} ltHash LT-hash-ul colecției
+ * @param {number} version Versiunea
+ * @param {string} name Numele colecției
+ * @param {Buffer} key Cheia snapshotMacKey
+ */
+export function generateSnapshotMac(ltHash: Buffer, version: number, name: string, key: Buffer): Buffer {
+  return hmacSign(Buffer.concat([ltHash, encodeVersion(version), Buffer.from(name)]), key);
+}
+
+/**
+ * MAC-ul unui patch
+ * @param {Buffer} snapshotMac MAC-ul stării după patch
+ * @param {Buffer[]} valueMacs MAC-urile valorilor din patch
+ * @param {number} version Versiunea patch-ului
+ * @param {string} name Numele colecției
+ * @param {Buffer} key Cheia patchMacKey
+ */
+export function generatePatchMac(snapshotMac: Buffer, valueMacs: Buffer[], version: number, name: string, key: Buffer): Buffer {
+  return hmacSign(Buffer.concat([snapshotMac, ...valueMacs, encodeVersion(version), Buffer.from(name)]), key);
+}
+
+/**
+ * Criptare mutație
+ * @param {Object} mutation Operația, indexul, valoarea (SyncActionValue) și versiunea acțiunii
+ * @param {Buffer} keyId ID-ul cheii
+ * @param {MutationKeys} keys Cheile mutațiilor
+ */
+export function encryptMutation(
+  mutation: { operation: SyncdOperation, index: any[], value: Buffer, version: number },
+  keyId: Buffer,
+  keys: MutationKeys
+): EncryptedMutation {
+  const index = Buffer.from(JSON.stringify(mutation.index));
+  const data = encodeProto([
+    [1, index],
+    [2, mutation.value],
+    [3, Buffer.alloc(0)],
+    [4, mutation.version]
+  ]);
+  
+  const iv = crypto.randomBytes(16);
+  const content = Buffer.concat([iv, aesEncrypt(data, keys.valueEncryptionKey, iv)]);
+  const valueMac = generateValueMac(mutation.operation, content, keyId, keys.valueMacKey);
+  
+  return {
+    indexMac: hmacSign(index, keys.indexKey),
+    valueBlob: Buffer.concat([content, valueMac]),
+    valueMac
+  };
+}
+
+/**
+ * Decriptare și verificare mutație (SyncdRecord)
+ * @param {SyncdOperation} operation Operația
+ * @param {Buffer} indexMac MAC-ul indexului din înregistrare
+ * @param {Buffer} valueBlob Valoarea criptată
+ * @param {Buffer} keyId ID-ul cheii
+ * @param {MutationKeys} keys Cheile mutațiilor
+ */
+export function decryptMutation(
+  operation: SyncdOperation,
+  indexMac: Buffer,
+  valueBlob: Buffer,
+  keyId: Buffer,
+  keys: MutationKeys
+): DecryptedMutation {
+  if (valueBlob.length < 16 + VALUE_MAC_LENGTH) {
+    throw new Error('Invalid mutation value');
+  }
+  
+  const content = valueBlob.slice(0, -VALUE_MAC_LENGTH);
+  const valueMac = valueBlob.slice(-VALUE_MAC_LENGTH);
+  
+  if (!macEquals(generateValueMac(operation, content, keyId, keys.valueMacKey), valueMac)) {
+    throw new Error('Mutation value MAC mismatch');
+  }
+  
+  const data = decodeProto(aesDecrypt(content.slice(16), keys.valueEncryptionKey, content.slice(0, 16)));
+  const index = getBytes(data, 1) || Buffer.alloc(0);
+  
+  if (!macEquals(hmacSign(index, keys.indexKey), indexMac)) {
+    throw new Error('Mutation index MAC mismatch');
+  }
+  
+  const value = getBytes(data, 2);
+  
+  return {
+    operation,
+    index: JSON.parse(index.toString('utf8')),
+    indexMac,
+    valueMac,
+    value: value ? decodeProto(value) : new Map()
+  };
+}
+
+/**
+ * Comparare MAC-uri în timp constant
+ * @param {Buffer} expected MAC-ul calculat
+ * @param {Buffer} actual MAC-ul primit
+ */
+export function macEquals(expected: Buffer, actual: Buffer | undefined): boolean {
+  return !!actual && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Citire versiune dintr-un mesaj SyncdVersion
+ * @param {Buffer} bytes Mesajul encodat
+ */
+export function decodeVersion(bytes: Buffer | undefined): number {
+  return bytes ? getNumber(decodeProto(bytes), 1) || 0 : 0;
+}
+
+/**
+ * MAC-ul valorii unei mutații (HMAC-SHA512 trunchiat)
+ */
+function generateValueMac(operation: SyncdOperation, content: Buffer, keyId: Buffer, key: Buffer): Buffer {
+  const keyData = Buffer.concat([Buffer.from([operation === SyncdOperation.SET ? 0x01 : 0x02]), keyId]);
+  const length = Buffer.alloc(8);
+  length.writeUInt8(keyData.length, 7);
+  
+  return crypto.createHmac('sha512', key)
+    .update(Buffer.concat([keyData, content, length]))
+    .digest()
+    .slice(0, VALUE_MAC_LENGTH);
+}
+
+/**
+ * Versiune pe 8 octeți big-endian
+ */
+function encodeVersion(version: number): Buffer {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt32BE(Math.floor(version / 0x100000000), 0);
+  buffer.writeUInt32BE(version % 0x100000000, 4);
+  return buffer;
+}
@@ -0,0 +1,328 @@
+/**
+ * Criptarea stării de autentificare la stocare
+ *
+ * Învelește orice `AuthStateStore`: valorile sunt criptate AES-256-GCM cu o
+ * cheie derivată din parolă (scrypt). Fiecare intrare este legată de
+ * spațiul și cheia ei (AAD), deci fișierele modificate sau mutate sunt
+ * detectate la citire.
+ */
+
+import * as crypto from 'crypto';
+import { AuthStateStore, AuthStateNamespace, AUTH_STATE_NAMESPACES } from '../types';
+import { scrypt, sha256, aesGcmEncrypt, aesGcmDecrypt } from '../utils/crypto';
+import { serialize, deserialize } from '../utils/serialize';
+
+// Intrarea (necriptată) cu parametrii de derivare a cheii
+const META_NAMESPACE: AuthStateNamespace = 'creds';
+const META_KEY = 'encryption';
+
+// Text cunoscut, folosit pentru verificarea parolei
+const CHECK_VALUE = Buffer.from('whatsapp-web-core auth state');
+
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+export type AuthStateErrorCode = 'WRONG_PASSPHRASE' | 'TAMPERED' | 'NOT_ENCRYPTED';
+
+export class AuthStateDecryptionError extends Error {
+  public code: AuthStateErrorCode;
+  
+  constructor(code: AuthStateErrorCode, message: string) {
+    super(message);
+    this.name = 'AuthStateDecryptionError';
+    this.code = code;
+  }
+}
+
+interface KeyInfo {
+  kid: string;
+  salt: Buffer;
+  params: { N: number, r: number, p: number };
+  check: { iv: Buffer, data: Buffer };
+}
+
+interface WrappedKey {
+  kid: string;
+  iv: Buffer;
+  wrappedKey: Buffer;
+}
+
+interface EncryptionMeta {
+  version: 1;
+  current: KeyInfo;
+  // Cheile anterioare, criptate cu cea curentă, cât timp rotația nu este completă
+  // (formatul vechi păstra o singură cheie, ca obiect)
+  previous?: WrappedKey[] | WrappedKey;
+}
+
+export class EncryptedAuthStateStore implements AuthStateStore {
+  private inner: AuthStateStore;
+  private passphrase: string;
+  private ready: Promise<void> | null = null;
+  private derivedKeys: Map<string, Buffer> = new Map();
+  private currentKid = '';
+  
+  /**
+   * @param {AuthStateStore} inner Stocarea în care se salvează datele criptate
+   * @param {Object} options Opțiuni ({ passphrase })
+   */
+  constructor(inner: AuthStateStore, options: { passphrase: string }) {
+    if (!options || !options.passphrase) {
+      throw new Error('A passphrase is required to encrypt the auth state');
+    }
+    
+    this.inner = inner;
+    this.passphrase = options.passphrase;
+  }
+  
+  /**
+   * Citire și decriptare valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   */
+  public async get(namespace: AuthStateNamespace, key: string): Promise<any | undefined> {
+    await this._init();
+    
+    const envelope = await this.inner.get(namespace, key);
+    if (envelope === undefined) {
+      return undefined;
+    }
+    
+    return this._decrypt(namespace, key, envelope);
+  }
+  
+  /**
+   * Criptare și scriere valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   * @param {*} value Valoarea
+   */
+  public async set(namespace: AuthStateNamespace, key: string, value: any): Promise<void> {
+    await this._init();
+    await this.inner.set(namespace, key, this._encrypt(namespace, key, value));
+  }
+  
+  /**
+   * Ștergere valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   */
+  public async delete(namespace: AuthStateNamespace, key: string): Promise<void> {
+    await this.inner.delete(namespace, key);
+  }
+  
+  /**
+   * Stocarea învelită (intrările ei sunt criptate)
+   */
+  public unwrap(): AuthStateStore {
+    return this.inner;
+  }
+  
+  /**
+   * Renunțare la cheile derivate: metadatele sunt recitite la următorul acces
+   * (după ce stocarea învelită a fost modificată direct, ex: la importul unei sesiuni)
+   */
+  public reload(): void {
+    this.ready = null;
+    this.derivedKeys.clear();
+    this.currentKid = '';
+  }
+  
+  /**
+   * Verificare dacă o stare exportată (`toJSON`) conține intrări criptate
+   * @param {Object} state Starea exportată, pe spații de chei
+   */
+  public static isEncryptedExport(state: { [namespace: string]: { [key: string]: any } } | undefined): boolean {
+    return Boolean(state && state[META_NAMESPACE] && state[META_NAMESPACE][META_KEY] !== undefined);
+  }
+  
+  /**
+   * Listare chei dintr-un spațiu (fără intrarea de metadate)
+   * @param {string} namespace Spațiul de chei
+   */
+  public async keys(namespace: AuthStateNamespace): Promise<string[]> {
+    if (!this.inner.keys) {
+      throw new Error('The underlying auth state store does not support listing keys');
+    }
+    
+    const keys = await this.inner.keys(namespace);
+    return namespace === META_NAMESPACE ? keys.filter(key => key !== META_KEY) : keys;
+  }
+  
+  /**
+   * Schimbare parolă: toate intrările sunt recriptate cu o cheie nouă
+   *
+   * Cheile vechi rămân disponibile (criptate cu cea nouă) până la finalul
+   * recriptării, deci o întrerupere nu face starea ilizibilă; un nou apel
+   * cu aceeași parolă reia rotația. O rotație începută înaintea finalizării
+   * celei anterioare păstrează toate cheile încă folosite.
+   * @param {string} newPassphrase Parola nouă
+   * @returns {Promise<void>}
+   */
+  public async rotatePassphrase(newPassphrase: string): Promise<void> {
+    if (!this.inner.keys) {
+      throw new Error('Key rotation requires an auth state store that can list keys');
+    }
+    
+    await this._init();
+    
+    if (newPassphrase !== this.passphrase) {
+      const current = await this._createKeyInfo(newPassphrase);
+      const newKey = this.derivedKeys.get(current.kid)!;
+      
+      // Cheia curentă și cele rămase din rotații neterminate
+      const previous: WrappedKey[] = [];
+      for (const [kid, key] of this.derivedKeys) {
+        if (kid !== current.kid) {
+          const iv = crypto.randomBytes(12);
+          previous.push({ kid, iv, wrappedKey: aesGcmEncrypt(key, newKey, iv, Buffer.from(kid)) });
+        }
+      }
+      
+      const meta: EncryptionMeta = { version: 1, current, previous };
+      
+      await this.inner.set(META_NAMESPACE, META_KEY, meta);
+      this.passphrase = newPassphrase;
+      this.currentKid = current.kid;
+    }
+    
+    // Recriptare intrări care nu folosesc cheia curentă
+    for (const namespace of AUTH_STATE_NAMESPACES) {
+      for (const key of await this.keys(namespace)) {
+        const envelope = await this.inner.get(namespace, key);
+        if (envelope && envelope.kid !== this.currentKid) {
+          const value = this._decrypt(namespace, key, envelope);
+          await this.inner.set(namespace, key, this._encrypt(namespace, key, value));
+        }
+      }
+    }
+    
+    const meta: EncryptionMeta = await this.inner.get(META_NAMESPACE, META_KEY);
+    if (meta.previous) {
+      delete meta.previous;
+      await this.inner.set(META_NAMESPACE, META_KEY, meta);
+    }
+    
+    // Cheile vechi nu mai sunt folosite de nicio intrare
+    for (const kid of [...this.derivedKeys.keys()]) {
+      if (kid !== this.currentKid) {
+        this.derivedKeys.delete(kid);
+      }
+    }
+  }
+  
+  /**
+   * Încărcare sau creare metadate de criptare și derivare chei
+   * @private
+   */
+  private _init(): Promise<void> {
+    if (!this.ready) {
+      this.ready = this._loadKeys();
+      this.ready.catch(() => {
+        this.ready = null;
+      });
+    }
+    
+    return this.ready;
+  }
+  
+  /**
+   * @private
+   */
+  private async _loadKeys(): Promise<void> {
+    const meta: EncryptionMeta | undefined = await this.inner.get(META_NAMESPACE, META_KEY);
+    
+    if (!meta) {
+      const current = await this._createKeyInfo(this.passphrase);
+      await this.inner.set(META_NAMESPACE, META_KEY, { version: 1, current });
+      this.currentKid = current.kid;
+      return;
+    }
+    
+    const key = await scrypt(this.passphrase, meta.current.salt, 32, meta.current.params);
+    try {
+      const check = aesGcmDecrypt(meta.current.check.data, key, meta.current.check.iv);
+      if (!check.equals(CHECK_VALUE)) {
+        throw new Error('check mismatch');
+      }
+    } catch (error) {
+      throw new AuthStateDecryptionError(
+        'WRONG_PASSPHRASE',
+        'Cannot decrypt auth state: wrong passphrase or corrupted encryption metadata'
+      );
+    }
+    
+    this.derivedKeys.set(meta.current.kid, key);
+    this.currentKid = meta.current.kid;
+    
+    // Rotație neterminată: cheile anterioare sunt necesare pentru intrările rămase
+    const previous = Array.isArray(meta.previous) ? meta.previous : meta.previous ? [meta.previous] : [];
+    for (const wrapped of previous) {
+      this.derivedKeys.set(wrapped.kid, aesGcmDecrypt(wrapped.wrappedKey, key, wrapped.iv, Buffer.from(wrapped.kid)));
+    }
+  }
+  
+  /**
+   * Generare salt și cheie nouă pentru o parolă
+   * @private
+   */
+  private async _createKeyInfo(passphrase: string): Promise<KeyInfo> {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(passphrase, salt, 32, SCRYPT_PARAMS);
+    const kid = sha256(salt).toString('hex').slice(0, 16);
+    const iv = crypto.randomBytes(12);
+    
+    this.derivedKeys.set(kid, key);
+    
+    return {
+      kid,
+      salt,
+      params: SCRYPT_PARAMS,
+      check: { iv, data: aesGcmEncrypt(CHECK_VALUE, key, iv) }
+    };
+  }
+  
+  /**
+   * Criptare valoare cu cheia curentă
+   * @private
+   */
+  private _encrypt(namespace: AuthStateNamespace, key: string, value: any): any {
+    const iv = crypto.randomBytes(12);
+    const plaintext = Buffer.from(JSON.stringify(serialize(value)));
+    const aad = Buffer.from(`${namespace}/${key}`);
+    
+    return {
+      enc: 1,
+      kid: this.currentKid,
+      iv,
+      data: aesGcmEncrypt(plaintext, this.derivedKeys.get(this.currentKid)!, iv, aad)
+    };
+  }
+  
+  /**
+   * Decriptare valoare (cu verificarea integrității)
+   * @private
+   */
+  private _decrypt(namespace: AuthStateNamespace, key: string, envelope: any): any {
+    if (!envelope || envelope.enc !== 1 || !Buffer.isBuffer(envelope.iv) || !Buffer.isBuffer(envelope.data)) {
+      throw new AuthStateDecryptionError('NOT_ENCRYPTED', `Auth state entry ${namespace}/${key} is not encrypted`);
+    }
+    
+    const encryptionKey = this.derivedKeys.get(envelope.kid);
+    if (!encryptionKey) {
+      throw new AuthStateDecryptionError(
+        'WRONG_PASSPHRASE',
+        `Auth state entry ${namespace}/${key} was encrypted with an unknown key`
+      );
+    }
+    
+    try {
+      const plaintext = aesGcmDecrypt(envelope.data, encryptionKey, envelope.iv, Buffer.from(`${namespace}/${key}`));
+      return deserialize(JSON.parse(plaintext.toString('utf8')));
+    } catch (error) {
+      throw new AuthStateDecryptionError(
+        'TAMPERED',
+        `Auth state entry ${namespace}/${key} has been tampered with or is corrupted`
+      );
+    }
+  }
+}
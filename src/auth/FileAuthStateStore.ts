@@ -0,0 +1,121 @@
+/**
+ * Stocare în fișiere pentru starea de autentificare
+ *
+ * Fiecare cheie este salvată într-un fișier JSON separat, într-un subdirector
+ * per spațiu de chei: `<dir>/<namespace>/<key>.json`. Scrierile sunt atomice
+ * (fișier temporar + rename) și serializate per fișier.
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { AuthStateStore, AuthStateNamespace } from '../types';
+import { serialize, deserialize } from '../utils/serialize';
+
+export class FileAuthStateStore implements AuthStateStore {
+  private directory: string;
+  private writeQueue: Map<string, Promise<void>> = new Map();
+  
+  /**
+   * @param {string} directory Directorul în care se salvează starea
+   */
+  constructor(directory: string) {
+    this.directory = path.resolve(directory);
+  }
+  
+  /**
+   * Citire valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   */
+  public async get(namespace: AuthStateNamespace, key: string): Promise<any | undefined> {
+    const file = this._filePath(namespace, key);
+    
+    // Se așteaptă scrierile în curs pentru același fișier
+    await this.writeQueue.get(file);
+    
+    try {
+      return deserialize(JSON.parse(await fs.readFile(file, 'utf8')));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return undefined;
+      }
+      throw new Error(`Failed to read auth state ${namespace}/${key}: ${(error as Error).message}`);
+    }
+  }
+  
+  /**
+   * Scriere valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   * @param {*} value Valoarea
+   */
+  public async set(namespace: AuthStateNamespace, key: string, value: any): Promise<void> {
+    const file = this._filePath(namespace, key);
+    const data = JSON.stringify(serialize(value));
+    
+    return this._enqueue(file, async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, data, { mode: 0o600 });
+      await fs.rename(tempFile, file);
+    });
+  }
+  
+  /**
+   * Ștergere valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   */
+  public async delete(namespace: AuthStateNamespace, key: string): Promise<void> {
+    const file = this._filePath(namespace, key);
+    
+    return this._enqueue(file, async () => {
+      await fs.rm(file, { force: true });
+    });
+  }
+  
+  /**
+   * Listare chei dintr-un spațiu
+   * @param {string} namespace Spațiul de chei
+   */
+  public async keys(namespace: AuthStateNamespace): Promise<string[]> {
+    try {
+      const files = await fs.readdir(path.join(this.directory, namespace));
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Calea fișierului pentru o cheie
+   * @private
+   */
+  private _filePath(namespace: AuthStateNamespace, key: string): string {
+    return path.join(this.directory, namespace, `${encodeURIComponent(key)}.json`);
+  }
+  
+  /**
+   * Serializare operații pe același fișier
+   * @private
+   */
+  private _enqueue(file: string, operation: () => Promise<void>): Promise<void> {
+    const previous = this.writeQueue.get(file) || Promise.resolve();
+    const next = previous.catch(() => undefined).then(operation);
+    
+    this.writeQueue.set(file, next);
+    next.catch(() => undefined).then(() => {
+      if (this.writeQueue.get(file) === next) {
+        this.writeQueue.delete(file);
+      }
+    });
+    
+    return next;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Stocare în memorie pentru starea de autentificare
+ *
+ * Valorile sunt păstrate în formă serializată, deci fiecare `get` întoarce o
+ * copie independentă. Starea poate fi exportată cu `toJSON` și importată prin
+ * constructor.
+ */
+
+import { AuthStateStore, AuthStateNamespace } from '../types';
+import { serialize, deserialize } from '../utils/serialize';
+
+export class MemoryAuthStateStore implements AuthStateStore {
+  private data: Map<string, Map<string, any>> = new Map();
+  
+  /**
+   * @param {Object} initial Stare exportată anterior cu `toJSON` (opțional)
+   */
+  constructor(initial?: { [namespace: string]: { [key: string]: any } }) {
+    for (const [namespace, entries] of Object.entries(initial || {})) {
+      this.data.set(namespace, new Map(Object.entries(entries)));
+    }
+  }
+  
+  /**
+   * Citire valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   */
+  public async get(namespace: AuthStateNamespace, key: string): Promise<any | undefined> {
+    const value = this.data.get(namespace)?.get(key);
+    return value === undefined ? undefined : deserialize(value);
+  }
+  
+  /**
+   * Scriere valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   * @param {*} value Valoarea
+   */
+  public async set(namespace: AuthStateNamespace, key: string, value: any): Promise<void> {
+    if (!this.data.has(namespace)) {
+      this.data.set(namespace, new Map());
+    }
+    this.data.get(namespace)!.set(key, serialize(value));
+  }
+  
+  /**
+   * Ștergere valoare
+   * @param {string} namespace Spațiul de chei
+   * @param {string} key Cheia
+   */
+  public async delete(namespace: AuthStateNamespace, key: string): Promise<void> {
+    this.data.get(namespace)?.delete(key);
+  }
+  
+  /**
+   * Listare chei dintr-un spațiu
+   * @param {string} namespace Spațiul de chei
+   */
+  public async keys(namespace: AuthStateNamespace): Promise<string[]> {
+    return Array.from(this.data.get(namespace)?.keys() || []);
+  }
+  
+  /**
+   * Export stare completă (serializabilă JSON)
+   */
+  public toJSON(): { [namespace: string]: { [key: string]: any } } {
+    const result: { [namespace: string]: { [key: string]: any } } = {};
+    
+    for (const [namespace, entries] of this.data) {
+      result[namespace] = Object.fromEntries(entries);
+    }
+    
+    return result;
+  }
+}
@@ -3,12 +3,50 @@
  */
 
 import * as crypto from 'crypto';
-import * as curve from 'curve25519-n';
+import { WA_BROWSER } from '../constants';
+import { generateKeyPair, sharedKey, hkdf, aesCtr, aesGcmEncrypt, pbkdf2 } from '../utils/crypto';
+import { decodeJid } from '../utils/jid';
+import { KeyPair } from '../types';
+
+// Iterațiile PBKDF2 pentru cheia derivată din codul de asociere
+const PAIRING_CODE_ITERATIONS = 2 << 16;
+
+// Tipul clientului afișat pe telefon (Chrome)
+const COMPANION_PLATFORM_ID = '1';
+
+// Alfabetul codurilor de asociere (Crockford, fără 0, I, O, U)
+const PAIRING_CODE_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTVWXYZ';
+
+/**
+ * Codificare în alfabetul codurilor de asociere (5 biți pe caracter)
+ * @param {Buffer} bytes Octeții aleatori
+ */
+function toCrockford(bytes: Buffer): string {
+  let value = 0;
+  let bits = 0;
+  let code = '';
+  
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      code += PAIRING_CODE_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  return code;
+}
 
 export class PairingCodeAuth {
   private client: any;
-  private clientId: string | null = null;
-  private keys: any = null;
+  public clientId: string | null = null;
+  public keys: any = null;
+  
+  // Cererea în curs: codul, cheia efemeră și JID-ul telefonului
+  private pairingCode: string | null = null;
+  private ephemeralKey: KeyPair | null = null;
+  private phoneJid: string | null = null;
   
   constructor(client: any) {
     this.client = client;
@@ -21,11 +59,10 @@ export class PairingCodeAuth {
     this.clientId = crypto.randomBytes(16).toString('hex');
     
     // Generare pereche de chei pentru curve25519
-    const privateKey = crypto.randomBytes(32);
-    const keyPair = curve.makeKeyPair(privateKey);
+    const keyPair = generateKeyPair();
     
     this.keys = {
-      private: privateKey,
+      private: keyPair.privateKey,
       public: keyPair.publicKey
     };
     
@@ -34,6 +71,10 @@ export class PairingCodeAuth {
   
   /**
    * Solicită un cod de asociere pentru autentificare
+   *
+   * Codul (8 caractere) este generat local; serverul primește cheia efemeră
+   * a asocierii criptată cu o cheie derivată din cod, iar telefonul, după
+   * introducerea codului, răspunde prin notificarea `link_code_companion_reg`.
    * @param {string} phoneNumber Numărul de telefon (format: 1234567890)
    */
   public async requestPairingCode(phoneNumber: string): Promise<void> {
@@ -47,22 +88,40 @@ export class PairingCodeAuth {
         ? phoneNumber 
         : `${phoneNumber.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
       
-      // Creare mesaj de solicitare
-      const pairingMessage = {
-        type: 'request_pair',
-        ref: crypto.randomBytes(8).toString('hex').toUpperCase(),
-        publicKey: Buffer.from(this.keys.public).toString('base64'),
-        phone: formattedPhone
-      };
+      this.phoneJid = formattedPhone;
+      this.pairingCode = toCrockford(crypto.randomBytes(5));
       
       // Emitere eveniment de solicitare
       this.client.emit('pairing_code_request', formattedPhone);
       
-      // Trimitere mesaj
-      await this.client.protocolManager.sendJSON(pairingMessage);
+      const node = {
+        type: 'iq',
+        data: {
+          to: 's.whatsapp.net',
+          type: 'set',
+          xmlns: 'md',
+          content: [{
+            type: 'link_code_companion_reg',
+            jid: formattedPhone,
+            stage: 'companion_hello',
+            should_show_push_notification: 'true',
+            content: [
+              { type: 'link_code_pairing_wrapped_companion_ephemeral_pub', content: await this._wrapEphemeralKey() },
+              { type: 'companion_server_auth_key_pub', content: this.client.noiseKey.publicKey },
+              { type: 'companion_platform_id', content: COMPANION_PLATFORM_ID },
+              { type: 'companion_platform_display', content: `${WA_BROWSER[1]} (${WA_BROWSER[0]})` },
+              { type: 'link_code_pairing_nonce', content: '0' }
+            ]
+          }]
+        }
+      };
       
+      await this.client.protocolManager.query(node);
       this.client.log(`Pairing code requested for phone: ${formattedPhone}`);
       
+      // Emitere eveniment cu codul
+      this.client.emit('pairing_code', this.pairingCode);
+      
     } catch (error) {
       this.client.log('Error requesting pairing code:', error);
       this.client.emit('pairing_code_error', error);
@@ -70,53 +129,138 @@ export class PairingCodeAuth {
   }
   
   /**
-   * Procesare răspuns la solicitarea codului de asociere
-   * @param {Object} data Datele răspunsului
+   * Procesare notificare `link_code_companion_reg` (codul a fost introdus pe
+   * telefon): schimb de chei cu telefonul, derivarea secretului ADV și
+   * trimiterea pachetului de chei criptat (`companion_finish`); asocierea se
+   * încheie apoi cu `pair-success`
+   * @param {Object} notification Notificarea
+   * @returns {Promise<void>}
    */
-  public handlePairingCodeResponse(data: any): void {
-    if (data.type === 'pair_success') {
-      // Cod generat cu succes
-      this.client.log('Pairing code generated successfully');
-      
-      // Emitere eveniment cu codul
-      this.client.emit('pairing_code', data.code);
-      
-    } else if (data.type === 'pair_error') {
-      // Eroare la generarea codului
-      this.client.log(`Error generating pairing code: ${data.reason || 'Unknown error'}`);
-      
-      // Emitere eveniment de eroare
-      this.client.emit('pairing_code_error', {
-        reason: data.reason || 'Unknown error'
-      });
+  public async handleLinkCodeNotification(notification: any): Promise<void> {
+    const registration = this._child(notification, 'link_code_companion_reg');
+    const ref = this._childContent(registration, 'link_code_pairing_ref');
+    const primaryIdentity = this._childContent(registration, 'primary_identity_pub');
+    const wrappedPrimaryEphemeral = this._childContent(registration, 'link_code_pairing_wrapped_primary_ephemeral_pub');
+    
+    if (!this.pairingCode || !this.ephemeralKey || !this.phoneJid) {
+      throw new Error('Pairing code notification without a pending request');
+    }
+    if (!ref || !primaryIdentity || !wrappedPrimaryEphemeral || wrappedPrimaryEphemeral.length < 80) {
+      throw new Error('Incomplete pairing code notification');
     }
+    
+    // Cheia efemeră a telefonului, criptată cu cheia derivată din cod
+    const salt = wrappedPrimaryEphemeral.slice(0, 32);
+    const iv = wrappedPrimaryEphemeral.slice(32, 48);
+    const codeKey = await pbkdf2(this.pairingCode, salt, PAIRING_CODE_ITERATIONS);
+    const primaryEphemeral = aesCtr(wrappedPrimaryEphemeral.slice(48, 80), codeKey, iv);
+    
+    const { identityKey } = await this.client.signalHandler.store.getCreds();
+    const companionShared = sharedKey(this.ephemeralKey.privateKey, primaryEphemeral);
+    const random = crypto.randomBytes(32);
+    
+    // Pachetul de chei: identitatea proprie, identitatea telefonului și secretul aleator
+    const bundleSalt = crypto.randomBytes(32);
+    const bundleIv = crypto.randomBytes(12);
+    const bundleKey = hkdf(companionShared, 32, Buffer.from('link_code_pairing_key_bundle_encryption_key'), bundleSalt);
+    const bundle = aesGcmEncrypt(
+      Buffer.concat([identityKey.publicKey, primaryIdentity, random]),
+      bundleKey,
+      bundleIv,
+      Buffer.alloc(0)
+    );
+    
+    // Secretul ADV cu care telefonul autentifică identitatea din `pair-success`
+    const identityShared = sharedKey(identityKey.privateKey, primaryIdentity);
+    const advSecretKey = hkdf(Buffer.concat([companionShared, identityShared, random]), 32, Buffer.from('adv_secret'));
+    await this.client.deviceHandler.setAdvSecretKey(advSecretKey.toString('base64'));
+    
+    const node = {
+      type: 'iq',
+      data: {
+        to: 's.whatsapp.net',
+        type: 'set',
+        xmlns: 'md',
+        content: [{
+          type: 'link_code_companion_reg',
+          jid: this.phoneJid,
+          stage: 'companion_finish',
+          content: [
+            { type: 'link_code_pairing_wrapped_key_bundle', content: Buffer.concat([bundleSalt, bundleIv, bundle]) },
+            { type: 'companion_identity_public', content: identityKey.publicKey },
+            { type: 'link_code_pairing_ref', content: ref }
+          ]
+        }]
+      }
+    };
+    
+    await this.client.protocolManager.query(node);
+    this.client.log('Pairing code accepted, waiting for pair-success');
   }
   
   /**
-   * Procesare autentificare reușită (același ca la QR)
-   * @param {Object} data Datele de autentificare
+   * Cheia publică efemeră a asocierii, criptată AES-CTR cu cheia derivată din cod
+   * (salt || iv || cheie criptată)
+   * @private
    */
-  public handleAuthSuccess(data: any): void {
+  private async _wrapEphemeralKey(): Promise<Buffer> {
+    this.ephemeralKey = generateKeyPair();
+    
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(16);
+    const key = await pbkdf2(this.pairingCode!, salt, PAIRING_CODE_ITERATIONS);
+    
+    return Buffer.concat([salt, iv, aesCtr(this.ephemeralKey.publicKey, key, iv)]);
+  }
+  
+  /**
+   * Primul copil cu tipul dat
+   * @private
+   */
+  private _child(node: any, type: string): any {
+    return node && Array.isArray(node.content) ? node.content.find((child: any) => child && child.type === type) : undefined;
+  }
+  
+  /**
+   * Conținutul binar al primului copil cu tipul dat
+   * @private
+   */
+  private _childContent(node: any, type: string): Buffer | undefined {
+    const child = this._child(node, type);
+    return child && Buffer.isBuffer(child.content) ? child.content : undefined;
+  }
+  
+  /**
+   * Procesare autentificare reușită (nodul `success` după login)
+   * @param {Object} data Atributele nodului `success`
+   * @returns {Promise<void>}
+   */
+  public async handleAuthSuccess(data: any): Promise<void> {
+    // Identitatea contului vine din asociere (JID-ul dispozitivului)
+    const jid = await this.client.deviceHandler.getOwnDeviceJid();
+    if (!jid) {
+      throw new Error('Authentication success without a paired device');
+    }
+    
+    const me = {
+      id: jid,
+      name: (this.client.session && this.client.session.me.name) || '',
+      phone: decodeJid(jid).user
+    };
+    
     // Salvare sesiune
     this.client.session = {
       clientId: this.clientId,
-      serverToken: data.session,
-      clientToken: data.clientToken,
-      encKey: this.keys.encKey,
-      macKey: this.keys.macKey,
-      me: {
-        id: data.wid,
-        name: data.pushname,
-        phone: data.phone
-      }
+      noiseKey: {
+        private: this.client.noiseKey.privateKey.toString('base64'),
+        public: this.client.noiseKey.publicKey.toString('base64')
+      },
+      lid: data.lid,
+      me
     };
     
     // Salvare informații utilizator
-    this.client.user = {
-      id: data.wid,
-      name: data.pushname,
-      phone: data.phone
-    };
+    this.client.user = { ...me };
     
     // Actualizare stare
     const prevState = this.client.state;
@@ -132,13 +276,13 @@ export class PairingCodeAuth {
     // Resetare contoare de reconectare
     this.client.reconnectCount = 0;
     
-    // Setare stare pregătit după un scurt delay
-    setTimeout(() => {
+    // Setare stare pregătit după sincronizarea inițială a istoricului
+    this.client.historySyncHandler.waitForBootstrap().then(() => {
       if (this.client.state === 'AUTHENTICATED') {
         this.client.state = 'READY';
         this.client.emit('state_change', { from: 'AUTHENTICATED', to: 'READY' });
         this.client.emit('ready');
       }
-    }, 1000);
+    });
   }
 }
\ No newline at end of file
@@ -6,12 +6,16 @@ import * as crypto from 'crypto';
 import * as qrcode from 'qrcode';
 import * as fs from 'fs';
 import * as path from 'path';
-import * as curve from 'curve25519-n';
+import { generateKeyPair } from '../utils/crypto';
+import { decodeJid } from '../utils/jid';
 
 export class QRAuth {
   private client: any;
-  private clientId: string | null = null;
-  private keys: any = null;
+  public clientId: string | null = null;
+  public keys: any = null;
+  
+  // Referințele rămase din ultimul `pair-device` (câte una pentru fiecare cod QR)
+  private refs: string[] = [];
   
   constructor(client: any) {
     this.client = client;
@@ -24,17 +28,26 @@ export class QRAuth {
     this.clientId = crypto.randomBytes(16).toString('hex');
     
     // Generare pereche de chei pentru curve25519
-    const privateKey = crypto.randomBytes(32);
-    const keyPair = curve.makeKeyPair(privateKey);
+    const keyPair = generateKeyPair();
     
     this.keys = {
-      private: privateKey,
+      private: keyPair.privateKey,
       public: keyPair.publicKey
     };
     
     this.client.log('Generated new client ID and keys');
   }
   
+  /**
+   * Procesare referințe QR trimise de server (`pair-device`); prima este
+   * afișată imediat, următoarele la expirarea codului curent
+   * @param {string[]} refs Referințele
+   */
+  public handlePairDevice(refs: string[]): void {
+    this.refs = refs.slice(1);
+    this.handleQRCode(refs[0]);
+  }
+  
   /**
    * Procesare cod QR primit
    * @param {string} ref Referința codului QR
@@ -45,9 +58,16 @@ export class QRAuth {
     }
     
     try {
-      // Generare cod QR complet
-      const keyEnc = Buffer.from(this.keys.public).toString('base64');
-      const qrData = `${ref},${this.clientId},${keyEnc}`;
+      // Cod QR multi-device: referința, cheia Noise, cheia de identitate Signal
+      // și secretul ADV cu care telefonul autentifică identitatea dispozitivului
+      const { identityKey } = await this.client.signalHandler.store.getCreds();
+      const { advSecretKey } = await this.client.deviceHandler.getCreds();
+      const qrData = [
+        ref,
+        Buffer.from(this.client.noiseKey.publicKey).toString('base64'),
+        Buffer.from(identityKey.publicKey).toString('base64'),
+        advSecretKey
+      ].join(',');
       
       // Generare imagine QR
       const qrImage = await qrcode.toDataURL(qrData, {
@@ -77,18 +97,14 @@ export class QRAuth {
       });
       
       // Afișare în consolă
-      this.client.log('
-==========================================================');
+      this.client.log('\n==========================================================');
       this.client.log('SCAN THIS QR CODE WITH YOUR WHATSAPP MOBILE APP:');
-      this.client.log('==========================================================
-');
+      this.client.log('==========================================================\n');
       this.client.log(qrText);
-      this.client.log('
-==========================================================');
+      this.client.log('\n==========================================================');
       this.client.log(`QR code saved as: ${qrFilePath}`);
       this.client.log('QR code will expire in 60 seconds');
-      this.client.log('==========================================================
-');
+      this.client.log('==========================================================\n');
       
       // Setare timer pentru expirare QR
       if (this.client.qrRefreshTimer) {
@@ -100,6 +116,11 @@ export class QRAuth {
         if (this.client.qrRetryCount < this.client.options.qrMaxRetries) {
           this.client.log(`QR code expired. Retrying (${this.client.qrRetryCount}/${this.client.options.qrMaxRetries})...`);
           this.client.emit('qr_expired');
+          
+          const next = this.refs.shift();
+          if (next) {
+            this.handleQRCode(next);
+          }
         } else {
           this.client.log('Maximum QR code retries reached');
           this.client.emit('qr_max_retries');
@@ -113,30 +134,36 @@ export class QRAuth {
   }
   
   /**
-   * Procesare autentificare reușită
-   * @param {Object} data Datele de autentificare
+   * Procesare autentificare reușită (nodul `success` după login)
+   * @param {Object} data Atributele nodului `success`
+   * @returns {Promise<void>}
    */
-  public handleAuthSuccess(data: any): void {
+  public async handleAuthSuccess(data: any): Promise<void> {
+    // Identitatea contului vine din asociere (JID-ul dispozitivului)
+    const jid = await this.client.deviceHandler.getOwnDeviceJid();
+    if (!jid) {
+      throw new Error('Authentication success without a paired device');
+    }
+    
+    const me = {
+      id: jid,
+      name: (this.client.session && this.client.session.me.name) || '',
+      phone: decodeJid(jid).user
+    };
+    
     // Salvare sesiune
     this.client.session = {
       clientId: this.clientId,
-      serverToken: data.session,
-      clientToken: data.clientToken,
-      encKey: this.keys.encKey,
-      macKey: this.keys.macKey,
-      me: {
-        id: data.wid,
-        name: data.pushname,
-        phone: data.phone
-      }
+      noiseKey: {
+        private: this.client.noiseKey.privateKey.toString('base64'),
+        public: this.client.noiseKey.publicKey.toString('base64')
+      },
+      lid: data.lid,
+      me
     };
     
     // Salvare informații utilizator
-    this.client.user = {
-      id: data.wid,
-      name: data.pushname,
-      phone: data.phone
-    };
+    this.client.user = { ...me };
     
     // Actualizare stare
     const prevState = this.client.state;
@@ -159,13 +186,13 @@ export class QRAuth {
       this.client.qrRefreshTimer = null;
     }
     
-    // Setare stare pregătit după un scurt delay
-    setTimeout(() => {
+    // Setare stare pregătit după sincronizarea inițială a istoricului
+    this.client.historySyncHandler.waitForBootstrap().then(() => {
       if (this.client.state === 'AUTHENTICATED') {
         this.client.state = 'READY';
         this.client.emit('state_change', { from: 'AUTHENTICATED', to: 'READY' });
         this.client.emit('ready');
       }
-    }, 1000);
+    });
   }
 }
\ No newline at end of file
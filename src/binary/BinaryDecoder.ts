@@ -0,0 +1,246 @@
+/**
+ * Decoder pentru protocolul binar WhatsApp (WABinary)
+ */
+
+import { SINGLE_BYTE_TOKENS, DOUBLE_BYTE_TOKENS, BinaryTag } from '../constants';
+import { BinaryNode } from '../types';
+
+// Serverul JID-urilor de dispozitiv după tipul de domeniu (restul sunt agenți pe s.whatsapp.net)
+const AD_JID_SERVERS: { [domain: number]: string } = {
+  1: 'lid',
+  128: 'hosted',
+  129: 'hosted.lid'
+};
+
+export class BinaryDecoder {
+  private buffer: Buffer = Buffer.alloc(0);
+  private index = 0;
+  
+  /**
+   * Decodare buffer binar
+   * @param {Buffer} buffer Buffer-ul de decodat
+   * @returns {BinaryNode} Nodul decodat
+   */
+  public decode(buffer: Buffer): BinaryNode {
+    this.buffer = buffer;
+    this.index = 0;
+    
+    return this._readNode();
+  }
+  
+  /**
+   * Citire nod
+   * @private
+   */
+  private _readNode(): BinaryNode {
+    const size = this._readListSize(this._readByte());
+    if (size === 0) {
+      throw new Error('Invalid binary node: empty list');
+    }
+    
+    const tagByte = this._readByte();
+    if (tagByte === BinaryTag.STREAM_END) {
+      throw new Error('Unexpected stream end');
+    }
+    
+    const tag = this._readString(tagByte) || '';
+    const attrs: { [key: string]: string } = {};
+    const attrCount = (size - 1) >> 1;
+    
+    for (let i = 0; i < attrCount; i++) {
+      const key = this._readString(this._readByte()) || '';
+      attrs[key] = this._readString(this._readByte()) || '';
+    }
+    
+    let content: BinaryNode['content'];
+    if (size % 2 === 0) {
+      const contentTag = this._readByte();
+      
+      if (this._isListTag(contentTag)) {
+        const count = this._readListSize(contentTag);
+        const children: BinaryNode[] = [];
+        for (let i = 0; i < count; i++) {
+          children.push(this._readNode());
+        }
+        content = children;
+      } else if (contentTag === BinaryTag.BINARY_8) {
+        content = this._readBytes(this._readByte());
+      } else if (contentTag === BinaryTag.BINARY_20) {
+        content = this._readBytes(this._readInt20());
+      } else if (contentTag === BinaryTag.BINARY_32) {
+        content = this._readBytes(this._readInt(4));
+      } else {
+        content = this._readString(contentTag) || '';
+      }
+    }
+    
+    return { tag, attrs, content };
+  }
+  
+  /**
+   * Citire string în funcție de tag
+   * @param {number} tag Tag-ul de tip
+   * @private
+   */
+  private _readString(tag: number): string | null {
+    if (tag >= 1 && tag < SINGLE_BYTE_TOKENS.length) {
+      return SINGLE_BYTE_TOKENS[tag];
+    }
+    
+    switch (tag) {
+      case BinaryTag.DICTIONARY_0:
+      case BinaryTag.DICTIONARY_1:
+      case BinaryTag.DICTIONARY_2:
+      case BinaryTag.DICTIONARY_3: {
+        const dictionary = DOUBLE_BYTE_TOKENS[tag - BinaryTag.DICTIONARY_0];
+        const index = this._readByte();
+        const token = dictionary && dictionary[index];
+        if (!token) {
+          throw new Error(`Invalid double-byte token: ${tag}/${index}`);
+        }
+        return token;
+      }
+      
+      case BinaryTag.LIST_EMPTY:
+        return null;
+      
+      case BinaryTag.BINARY_8:
+        return this._readBytes(this._readByte()).toString('utf8');
+      
+      case BinaryTag.BINARY_20:
+        return this._readBytes(this._readInt20()).toString('utf8');
+      
+      case BinaryTag.BINARY_32:
+        return this._readBytes(this._readInt(4)).toString('utf8');
+      
+      case BinaryTag.JID_PAIR: {
+        const user = this._readString(this._readByte());
+        const server = this._readString(this._readByte());
+        if (!server) {
+          throw new Error('Invalid JID pair: missing server');
+        }
+        return user ? `${user}@${server}` : `@${server}`;
+      }
+      
+      case BinaryTag.AD_JID: {
+        const domain = this._readByte();
+        const device = this._readByte();
+        const user = this._readString(this._readByte());
+        const server = AD_JID_SERVERS[domain];
+        if (server) {
+          return `${user}:${device}@${server}`;
+        }
+        return `${user}${domain ? `_${domain}` : ''}:${device}@s.whatsapp.net`;
+      }
+      
+      case BinaryTag.NIBBLE_8:
+      case BinaryTag.HEX_8:
+        return this._readPacked(tag);
+      
+      default:
+        throw new Error(`Invalid string tag: ${tag}`);
+    }
+  }
+  
+  /**
+   * Citire string împachetat
+   * @param {BinaryTag} type NIBBLE_8 sau HEX_8
+   * @private
+   */
+  private _readPacked(type: BinaryTag.NIBBLE_8 | BinaryTag.HEX_8): string {
+    const unpack = type === BinaryTag.NIBBLE_8
+      ? (value: number): string => {
+        if (value < 10) return String.fromCharCode(48 + value);
+        if (value === 10) return '-';
+        if (value === 11) return '.';
+        if (value === 15) return '\0';
+        throw new Error(`Invalid nibble: ${value}`);
+      }
+      : (value: number): string => value.toString(16).toUpperCase();
+    
+    const startByte = this._readByte();
+    let value = '';
+    
+    for (let i = 0; i < (startByte & 0x7f); i++) {
+      const byte = this._readByte();
+      value += unpack(byte >> 4) + unpack(byte & 0x0f);
+    }
+    
+    // Lungime impară: ultimul nibble este de umplutură
+    if (startByte & 0x80) {
+      value = value.slice(0, -1);
+    }
+    
+    return value;
+  }
+  
+  /**
+   * Citire dimensiune listă
+   * @param {number} tag Tag-ul listei
+   * @private
+   */
+  private _readListSize(tag: number): number {
+    switch (tag) {
+      case BinaryTag.LIST_EMPTY:
+        return 0;
+      case BinaryTag.LIST_8:
+        return this._readByte();
+      case BinaryTag.LIST_16:
+        return this._readInt(2);
+      default:
+        throw new Error(`Invalid list tag: ${tag}`);
+    }
+  }
+  
+  /**
+   * Verificare tag de listă
+   * @private
+   */
+  private _isListTag(tag: number): boolean {
+    return tag === BinaryTag.LIST_EMPTY || tag === BinaryTag.LIST_8 || tag === BinaryTag.LIST_16;
+  }
+  
+  /**
+   * Citire un octet
+   * @private
+   */
+  private _readByte(): number {
+    if (this.index >= this.buffer.length) {
+      throw new Error('Unexpected end of binary data');
+    }
+    return this.buffer[this.index++];
+  }
+  
+  /**
+   * Citire întreg big-endian pe n octeți
+   * @private
+   */
+  private _readInt(length: number): number {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      value = value * 256 + this._readByte();
+    }
+    return value;
+  }
+  
+  /**
+   * Citire întreg pe 20 de biți
+   * @private
+   */
+  private _readInt20(): number {
+    return ((this._readByte() & 0x0f) << 16) | (this._readByte() << 8) | this._readByte();
+  }
+  
+  /**
+   * Citire n octeți bruți
+   * @private
+   */
+  private _readBytes(length: number): Buffer {
+    if (this.index + length > this.buffer.length) {
+      throw new Error('Unexpected end of binary data');
+    }
+    const bytes = this.buffer.slice(this.index, this.index + length);
+    this.index += length;
+    return bytes;
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * Encoder pentru protocolul binar WhatsApp (WABinary)
+ */
+
+import { SINGLE_BYTE_TOKENS, DOUBLE_BYTE_TOKENS, BinaryTag } from '../constants';
+import { BinaryNode } from '../types';
+
+// Index invers pentru căutarea rapidă a token-urilor la encodare
+// (string-ul gol de la indexul 0 este scris brut, ca tag-ul 0 să rămână LIST_EMPTY)
+const SINGLE_BYTE_TOKEN_INDEX = new Map<string, number>();
+SINGLE_BYTE_TOKENS.forEach((token, index) => {
+  if (token) {
+    SINGLE_BYTE_TOKEN_INDEX.set(token, index);
+  }
+});
+
+const DOUBLE_BYTE_TOKEN_INDEX = new Map<string, { dictIndex: number, index: number }>();
+DOUBLE_BYTE_TOKENS.forEach((dictionary, dictIndex) => {
+  dictionary.forEach((token, index) => {
+    if (!SINGLE_BYTE_TOKEN_INDEX.has(token) && !DOUBLE_BYTE_TOKEN_INDEX.has(token)) {
+      DOUBLE_BYTE_TOKEN_INDEX.set(token, { dictIndex, index });
+    }
+  });
+});
+
+// Serverele pentru care un string user@server este scris ca JID; restul textelor
+// cu '@' (adrese de e-mail, text care se termină în '@') rămân string-uri brute
+const JID_SERVERS = new Set([
+  's.whatsapp.net', 'c.us', 'g.us', 'broadcast', 'call', 'lid', 'newsletter',
+  'hosted', 'hosted.lid', 'bot'
+]);
+
+// Partea de utilizator: user[_agent][:device]
+const JID_USER = /^([0-9A-Za-z.-]*)(?:_(\d{1,3}))?(?::(\d{1,3}))?$/;
+
+// Tipul de domeniu din AD_JID pentru serverele cu dispozitive
+const AD_JID_DOMAINS: { [server: string]: number } = {
+  's.whatsapp.net': 0,
+  lid: 1,
+  hosted: 128,
+  'hosted.lid': 129
+};
+
+interface EncodedJid {
+  user: string;
+  agent?: number;
+  device?: number;
+  server: string;
+}
+
+export class BinaryEncoder {
+  private parts: Buffer[] = [];
+  private pending: number[] = [];
+  
+  /**
+   * Encodare nod binar
+   * @param {BinaryNode} node Nodul de encodat
+   * @returns {Buffer} Buffer-ul encodat
+   */
+  public encode(node: BinaryNode): Buffer {
+    this.parts = [];
+    this.pending = [];
+    
+    this._writeNode(node);
+    this._flush();
+    
+    return Buffer.concat(this.parts);
+  }
+  
+  /**
+   * Scriere nod (listă: tag, atribute, conținut)
+   * @param {BinaryNode} node Nodul de scris
+   * @private
+   */
+  private _writeNode(node: BinaryNode): void {
+    if (!node || typeof node.tag !== 'string') {
+      throw new Error('Invalid binary node: missing tag');
+    }
+    
+    const attrs = Object.entries(node.attrs || {})
+      .filter(([, value]) => value !== undefined && value !== null);
+    const hasContent = node.content !== undefined && node.content !== null;
+    
+    this._writeListStart(2 * attrs.length + 1 + (hasContent ? 1 : 0));
+    this._writeString(node.tag);
+    
+    for (const [key, value] of attrs) {
+      this._writeString(key);
+      this._writeString(String(value));
+    }
+    
+    if (!hasContent) {
+      return;
+    }
+    
+    if (Array.isArray(node.content)) {
+      this._writeListStart(node.content.length);
+      for (const child of node.content) {
+        this._writeNode(child);
+      }
+    } else if (Buffer.isBuffer(node.content)) {
+      this._writeBytes(node.content);
+    } else {
+      this._writeString(String(node.content));
+    }
+  }
+  
+  /**
+   * Scriere început de listă
+   * @param {number} size Dimensiunea listei
+   * @private
+   */
+  private _writeListStart(size: number): void {
+    if (size === 0) {
+      this._pushByte(BinaryTag.LIST_EMPTY);
+    } else if (size < 256) {
+      this._pushByte(BinaryTag.LIST_8);
+      this._pushByte(size);
+    } else if (size < 65536) {
+      this._pushByte(BinaryTag.LIST_16);
+      this._pushInt(size, 2);
+    } else {
+      throw new Error(`List too large: ${size}`);
+    }
+  }
+  
+  /**
+   * Scriere string (token, JID, împachetat sau brut)
+   * @param {string} str String-ul de scris
+   * @private
+   */
+  private _writeString(str: string): void {
+    const singleToken = SINGLE_BYTE_TOKEN_INDEX.get(str);
+    if (singleToken !== undefined) {
+      this._pushByte(singleToken);
+      return;
+    }
+    
+    const doubleToken = DOUBLE_BYTE_TOKEN_INDEX.get(str);
+    if (doubleToken) {
+      this._pushByte(BinaryTag.DICTIONARY_0 + doubleToken.dictIndex);
+      this._pushByte(doubleToken.index);
+      return;
+    }
+    
+    const jid = this._parseJid(str);
+    if (jid) {
+      this._writeJid(jid);
+      return;
+    }
+    
+    if (this._isPackable(str, /^[0-9.-]*$/)) {
+      this._writePacked(str, BinaryTag.NIBBLE_8);
+    } else if (this._isPackable(str, /^[0-9A-F]*$/)) {
+      this._writePacked(str, BinaryTag.HEX_8);
+    } else {
+      this._writeBytes(Buffer.from(str, 'utf8'));
+    }
+  }
+  
+  /**
+   * Descompunere JID cu server cunoscut și utilizator valid
+   * @param {string} str String-ul verificat
+   * @returns {EncodedJid|null} null dacă string-ul nu este un JID
+   * @private
+   */
+  private _parseJid(str: string): EncodedJid | null {
+    const atIndex = str.indexOf('@');
+    if (atIndex === -1) {
+      return null;
+    }
+    
+    const server = str.slice(atIndex + 1);
+    const match = JID_SERVERS.has(server) ? str.slice(0, atIndex).match(JID_USER) : null;
+    if (!match) {
+      return null;
+    }
+    
+    const [, user, agent, device] = match;
+    if (device === undefined) {
+      return agent === undefined ? { user, server } : null;
+    }
+    
+    // JID de dispozitiv: doar pe serverele cu dispozitive și cu utilizator; agentul
+    // ocupă octetul tipului de domeniu, deci nu poate avea valoarea altui server
+    const domains = Object.values(AD_JID_DOMAINS);
+    if (!user || AD_JID_DOMAINS[server] === undefined
+      || (agent !== undefined && (server !== 's.whatsapp.net' || domains.includes(Number(agent))))) {
+      return null;
+    }
+    
+    return { user, agent: Number(agent || 0), device: Number(device), server };
+  }
+  
+  /**
+   * Scriere JID (pereche user@server sau JID de dispozitiv)
+   * @param {EncodedJid} jid JID-ul descompus
+   * @private
+   */
+  private _writeJid(jid: EncodedJid): void {
+    if (jid.device !== undefined) {
+      this._pushByte(BinaryTag.AD_JID);
+      this._pushByte(jid.server === 's.whatsapp.net' ? jid.agent || 0 : AD_JID_DOMAINS[jid.server]);
+      this._pushByte(jid.device);
+      this._writeString(jid.user);
+      return;
+    }
+    
+    this._pushByte(BinaryTag.JID_PAIR);
+    if (jid.user) {
+      this._writeString(jid.user);
+    } else {
+      this._pushByte(BinaryTag.LIST_EMPTY);
+    }
+    this._writeString(jid.server);
+  }
+  
+  /**
+   * Verificare dacă un string poate fi împachetat pe nibble-uri
+   * @param {string} str String-ul verificat
+   * @param {RegExp} alphabet Alfabetul permis
+   * @private
+   */
+  private _isPackable(str: string, alphabet: RegExp): boolean {
+    return str.length > 0 && str.length < 128 && alphabet.test(str);
+  }
+  
+  /**
+   * Scriere string împachetat (NIBBLE_8 sau HEX_8)
+   * @param {string} str String-ul de scris
+   * @param {BinaryTag} type Tipul de împachetare
+   * @private
+   */
+  private _writePacked(str: string, type: BinaryTag.NIBBLE_8 | BinaryTag.HEX_8): void {
+    const packChar = type === BinaryTag.NIBBLE_8
+      ? (char: string) => (char === '-' ? 10 : char === '.' ? 11 : char === '\0' ? 15 : char.charCodeAt(0) - 48)
+      : (char: string) => (char === '\0' ? 15 : parseInt(char, 16));
+    
+    this._pushByte(type);
+    
+    const roundedLength = Math.ceil(str.length / 2);
+    this._pushByte(roundedLength | (str.length % 2 ? 0x80 : 0));
+    
+    for (let i = 0; i < roundedLength; i++) {
+      const high = packChar(str[2 * i]);
+      const low = packChar(2 * i + 1 < str.length ? str[2 * i + 1] : '\0');
+      this._pushByte((high << 4) | low);
+    }
+  }
+  
+  /**
+   * Scriere date binare brute cu prefix de lungime
+   * @param {Buffer} bytes Datele de scris
+   * @private
+   */
+  private _writeBytes(bytes: Buffer): void {
+    const length = bytes.length;
+    
+    if (length < 256) {
+      this._pushByte(BinaryTag.BINARY_8);
+      this._pushByte(length);
+    } else if (length < (1 << 20)) {
+      this._pushByte(BinaryTag.BINARY_20);
+      this._pushByte((length >> 16) & 0x0f);
+      this._pushByte((length >> 8) & 0xff);
+      this._pushByte(length & 0xff);
+    } else {
+      this._pushByte(BinaryTag.BINARY_32);
+      this._pushInt(length, 4);
+    }
+    
+    this._flush();
+    this.parts.push(Buffer.from(bytes));
+  }
+  
+  /**
+   * Scriere întreg big-endian pe n octeți
+   * @private
+   */
+  private _pushInt(value: number, length: number): void {
+    for (let i = length - 1; i >= 0; i--) {
+      this._pushByte(Math.floor(value / Math.pow(256, i)));
+    }
+  }
+  
+  /**
+   * Scriere un octet
+   * @private
+   */
+  private _pushByte(value: number): void {
+    this.pending.push(value & 0xff);
+  }
+  
+  /**
+   * Mutare octeți acumulați în lista de bucăți
+   * @private
+   */
+  private _flush(): void {
+    if (this.pending.length > 0) {
+      this.parts.push(Buffer.from(this.pending));
+      this.pending = [];
+    }
+  }
+}
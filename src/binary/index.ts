@@ -0,0 +1,7 @@
+/**
+ * Protocolul binar WhatsApp (WABinary)
+ */
+
+export { BinaryEncoder } from './BinaryEncoder';
+export { BinaryDecoder } from './BinaryDecoder';
+export { toBinaryNode, fromBinaryNode, isBinaryNode } from './nodes';
@@ -0,0 +1,88 @@
+/**
+ * Conversii între obiectele de date ale clientului și nodurile binare
+ */
+
+import { BinaryNode } from '../types';
+
+/**
+ * Conversie obiect de date al clientului în nod binar
+ *
+ * Câmpurile scalare devin atribute, `content` devine conținutul nodului
+ * (copiii își iau tag-ul din câmpul `type`; nodurile binare deja construite
+ * sunt păstrate ca atare), iar celelalte obiecte/liste devin noduri copil cu
+ * tag-ul egal cu numele câmpului.
+ * @param {string} tag Tag-ul nodului
+ * @param {Object} data Datele nodului
+ */
+export function toBinaryNode(tag: string, data: any = {}): BinaryNode {
+  const attrs: { [key: string]: string } = {};
+  const children: BinaryNode[] = [];
+  let content: BinaryNode['content'];
+  
+  const toItem = (item: any): BinaryNode => (item !== null && typeof item === 'object' && !Buffer.isBuffer(item)
+    ? toBinaryNode('item', item)
+    : { tag: 'item', attrs: { value: String(item) } });
+  
+  for (const [key, value] of Object.entries<any>(data)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    
+    if (key === 'content') {
+      if (Array.isArray(value)) {
+        for (const child of value) {
+          if (isBinaryNode(child)) {
+            children.push(child);
+          } else if (child !== null && typeof child === 'object') {
+            const { type, ...rest } = child;
+            children.push(toBinaryNode(type || 'item', rest));
+          } else {
+            children.push(toItem(child));
+          }
+        }
+      } else {
+        content = Buffer.isBuffer(value) ? value : String(value);
+      }
+    } else if (Buffer.isBuffer(value)) {
+      children.push({ tag: key, attrs: {}, content: value });
+    } else if (Array.isArray(value)) {
+      children.push({ tag: key, attrs: {}, content: value.map(toItem) });
+    } else if (typeof value === 'object') {
+      children.push(toBinaryNode(key, value));
+    } else {
+      attrs[key] = String(value);
+    }
+  }
+  
+  return { tag, attrs, content: children.length > 0 ? children : content };
+}
+
+/**
+ * Verificare dacă o valoare este deja un nod binar ({ tag, attrs })
+ * @param {*} value Valoarea verificată
+ */
+export function isBinaryNode(value: any): value is BinaryNode {
+  return value !== null && typeof value === 'object' && !Buffer.isBuffer(value)
+    && typeof value.tag === 'string' && value.attrs !== null && typeof value.attrs === 'object';
+}
+
+/**
+ * Conversie nod binar în obiect de date al clientului
+ * @param {BinaryNode} node Nodul binar
+ * @returns {Object} Datele nodului (atributele, `type` și `content`)
+ */
+export function fromBinaryNode(node: BinaryNode): any {
+  const data: any = { ...node.attrs };
+  
+  if (data.type === undefined) {
+    data.type = node.tag;
+  }
+  
+  if (Array.isArray(node.content)) {
+    data.content = node.content.map(fromBinaryNode);
+  } else if (node.content !== undefined) {
+    data.content = node.content;
+  }
+  
+  return data;
+}
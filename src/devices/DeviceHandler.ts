@@ -0,0 +1,338 @@
+/**
+ * Handler pentru dispozitivele conturilor (multi-device)
+ *
+ * Înregistrează clientul ca dispozitiv companion la asociere (verificarea
+ * identității semnate de cont și păstrarea indexului cheii) și obține prin
+ * `usync` lista dispozitivelor unui utilizator, ca mesajele să fie criptate
+ * pentru fiecare dispozitiv al destinatarului și pentru celelalte
+ * dispozitive ale contului propriu.
+ */
+
+import * as crypto from 'crypto';
+import { normalizeJid, decodeJid } from '../utils/jid';
+import { DisconnectReason } from '../constants';
+import { LRUMap } from '../store/LRUMap';
+import { WAQueryError } from '../protocol/ProtocolManager';
+import {
+  SignedDeviceIdentity,
+  decodeSignedDeviceIdentity,
+  verifyAccountSignature,
+  signDeviceIdentity,
+  encodeSignedDeviceIdentity,
+  decodeDeviceIdentityDetails
+} from './adv';
+
+// Durata de viață a unei liste de dispozitive în cache (invalidată și prin notificări)
+const DEVICE_LIST_TTL = 10 * 60 * 1000;
+
+// Identitatea de companion (salvată în `creds/device`); câmpurile binare sunt în base64
+export interface CompanionCreds {
+  advSecretKey: string;
+  jid?: string;
+  keyIndex?: number;
+  platform?: string;
+  account?: {
+    details: string;
+    accountSignatureKey: string;
+    accountSignature: string;
+    deviceSignature: string;
+  };
+}
+
+export class DeviceHandler {
+  private client: any;
+  private creds: Promise<CompanionCreds> | null = null;
+  
+  // Utilizator -> JID-urile dispozitivelor și momentul obținerii
+  private deviceLists: LRUMap<string, { devices: string[], fetchedAt: number }> = new LRUMap(1000);
+  
+  constructor(client: any) {
+    this.client = client;
+    
+    // Dispozitivul delogat nu mai poate folosi identitatea de companion
+    this.client.on('session_invalidated', () => {
+      this.reset();
+      this.client.authState.delete('creds', 'device').catch((error: Error) => {
+        this.client.log('Error deleting companion credentials:', error);
+      });
+    });
+  }
+  
+  /**
+   * Obținere identitate de companion (secretul ADV este generat la prima utilizare)
+   * @returns {Promise<CompanionCreds>}
+   */
+  public getCreds(): Promise<CompanionCreds> {
+    if (!this.creds) {
+      this.creds = this._loadCreds();
+      this.creds.catch(() => {
+        this.creds = null;
+      });
+    }
+    
+    return this.creds;
+  }
+  
+  /**
+   * Înlocuire secret ADV (la asocierea prin cod este derivat din schimbul de chei cu telefonul)
+   * @param {string} advSecretKey Secretul, în base64
+   * @returns {Promise<void>}
+   */
+  public async setAdvSecretKey(advSecretKey: string): Promise<void> {
+    const updated: CompanionCreds = { ...(await this.getCreds()), advSecretKey };
+    await this.client.authState.set('creds', 'device', updated);
+    this.creds = Promise.resolve(updated);
+  }
+  
+  /**
+   * Golire cache (identitatea este recitită din stocare la următoarea utilizare)
+   */
+  public reset(): void {
+    this.creds = null;
+    this.deviceLists.clear();
+  }
+  
+  /**
+   * JID-ul dispozitivului curent (user:device@s.whatsapp.net), după asociere
+   * @returns {Promise<string|null>}
+   */
+  public async getOwnDeviceJid(): Promise<string | null> {
+    return (await this.getCreds()).jid || null;
+  }
+  
+  /**
+   * Identitatea semnată atașată mesajelor `pkmsg`, fără cheia contului
+   * @returns {Promise<Buffer|null>} null dacă dispozitivul nu este asociat multi-device
+   */
+  public async getDeviceIdentity(): Promise<Buffer | null> {
+    const { account } = await this.getCreds();
+    return account ? encodeSignedDeviceIdentity(this._decodeAccount(account)) : null;
+  }
+  
+  /**
+   * Procesare `pair-success`: verificare identitate semnată, semnătura proprie
+   * și salvarea dispozitivului; serverul închide apoi conexiunea (515), iar
+   * reconectarea folosește noua identitate
+   * @param {Object} message Nodul `iq` primit
+   * @returns {Promise<void>}
+   */
+  public async handlePairSuccess(message: any): Promise<void> {
+    const pairSuccess = this._child(message.data, 'pair-success');
+    const identityNode = this._child(pairSuccess, 'device-identity');
+    const deviceNode = this._child(pairSuccess, 'device');
+    const platformNode = this._child(pairSuccess, 'platform');
+    
+    try {
+      if (!identityNode || !Buffer.isBuffer(identityNode.content) || !deviceNode || !deviceNode.jid) {
+        throw new Error('Incomplete pair-success');
+      }
+      
+      const creds = await this.getCreds();
+      const { identityKey } = await this.client.signalHandler.store.getCreds();
+      
+      const identity = decodeSignedDeviceIdentity(identityNode.content, Buffer.from(creds.advSecretKey, 'base64'));
+      if (!verifyAccountSignature(identity, identityKey.publicKey)) {
+        throw new Error('Invalid account signature');
+      }
+      identity.deviceSignature = signDeviceIdentity(identity, identityKey);
+      
+      const { keyIndex } = decodeDeviceIdentityDetails(identity.details);
+      const updated: CompanionCreds = {
+        ...creds,
+        jid: deviceNode.jid,
+        keyIndex,
+        platform: platformNode ? platformNode.name : undefined,
+        account: {
+          details: identity.details.toString('base64'),
+          accountSignatureKey: identity.accountSignatureKey.toString('base64'),
+          accountSignature: identity.accountSignature.toString('base64'),
+          deviceSignature: identity.deviceSignature.toString('base64')
+        }
+      };
+      await this.client.authState.set('creds', 'device', updated);
+      this.creds = Promise.resolve(updated);
+      
+      this._replyPairSuccess(message.tag, {
+        type: 'result',
+        to: 's.whatsapp.net',
+        content: [{
+          type: 'pair-device-sign',
+          content: [{ type: 'device-identity', 'key-index': String(keyIndex), content: encodeSignedDeviceIdentity(identity) }]
+        }]
+      });
+      
+      this.client.log(`Paired as companion device ${deviceNode.jid} (key index ${keyIndex})`);
+      this.client.emit('paired', { jid: deviceNode.jid, keyIndex, platform: updated.platform });
+      
+    } catch (error) {
+      this.client.log('Error verifying paired device identity:', error);
+      
+      this._replyPairSuccess(message.tag, {
+        type: 'error',
+        to: 's.whatsapp.net',
+        content: [{ type: 'error', code: '401', text: 'not-authorized' }]
+      });
+      
+      this.client.emit('pairing_failed', error);
+      this.client.protocolManager.closeWithReason(DisconnectReason.BAD_SESSION);
+    }
+  }
+  
+  /**
+   * Dispozitivele utilizatorilor dați (interogare `usync` pentru cei care nu
+   * sunt în cache); dispozitivul curent este exclus
+   * @param {string[]} jids JID-urile utilizatorilor
+   * @param {Object} options useCache (implicit true)
+   * @returns {Promise<string[]>} JID-urile dispozitivelor (user@... pentru telefon, user:N@... pentru companioni)
+   * @throws {WAQueryError} Răspunsul de eroare al serverului
+   */
+  public async getDevices(jids: string[], options: { useCache?: boolean } = {}): Promise<string[]> {
+    const users = Array.from(new Set(jids
+      .filter(jid => decodeJid(jid).server === 's.whatsapp.net')
+      .map(jid => normalizeJid(jid))));
+    
+    const now = Date.now();
+    const missing = users.filter((user) => {
+      const cached = this.deviceLists.get(user);
+      return options.useCache === false || !cached || now - cached.fetchedAt > DEVICE_LIST_TTL;
+    });
+    
+    if (missing.length > 0) {
+      const fetched = await this._fetchDevices(missing);
+      for (const user of missing) {
+        // Utilizatorul fără listă în răspuns are doar telefonul
+        this.deviceLists.set(user, { devices: fetched.get(user) || [user], fetchedAt: now });
+      }
+    }
+    
+    const ownDevice = await this.getOwnDeviceJid();
+    return users
+      .flatMap(user => this.deviceLists.get(user)!.devices)
+      .filter(jid => jid !== ownDevice);
+  }
+  
+  /**
+   * Notificare `devices`: lista utilizatorului s-a schimbat (dispozitiv adăugat sau eliminat)
+   * @param {Object} notification Notificarea
+   */
+  public handleDevicesNotification(notification: any): void {
+    if (!notification.from) {
+      return;
+    }
+    
+    const user = normalizeJid(notification.from);
+    this.deviceLists.delete(user);
+    this.client.emit('devices_update', { jid: user });
+  }
+  
+  /**
+   * Interogare `usync` pentru listele de dispozitive
+   * @private
+   */
+  private async _fetchDevices(users: string[]): Promise<Map<string, string[]>> {
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'iq',
+      data: {
+        type: 'get',
+        xmlns: 'usync',
+        to: 's.whatsapp.net',
+        content: [{
+          type: 'usync',
+          sid: this.client.protocolManager._generateMessageTag(),
+          mode: 'query',
+          last: 'true',
+          index: '0',
+          context: 'message',
+          content: [
+            { type: 'query', content: [{ type: 'devices', version: '2' }] },
+            { type: 'list', content: users.map(jid => ({ type: 'user', jid })) }
+          ]
+        }]
+      }
+    };
+    
+    let response: any;
+    try {
+      response = await this.client.protocolManager.query(node);
+    } catch (error) {
+      this.client.log('Error fetching device lists:', error);
+      throw WAQueryError.wrap(error, 'Failed to fetch device lists');
+    }
+    
+    const result = new Map<string, string[]>();
+    const list = this._child(this._child(response.data, 'usync'), 'list');
+    
+    for (const user of this._children(list, 'user')) {
+      if (!user.jid) {
+        continue;
+      }
+      
+      const jid = normalizeJid(user.jid);
+      const { user: number } = decodeJid(jid);
+      const deviceList = this._child(this._child(user, 'devices'), 'device-list');
+      const devices = this._children(deviceList, 'device')
+        .map((device: any) => Number(device.id))
+        .filter((id: number) => Number.isInteger(id) && id >= 0)
+        .map((id: number) => (id === 0 ? jid : `${number}:${id}@s.whatsapp.net`));
+      
+      result.set(jid, devices.length > 0 ? devices : [jid]);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Răspuns la `pair-success`, cu același tag ca cererea (fără răspuns așteptat)
+   * @private
+   */
+  private _replyPairSuccess(tag: string, data: any): void {
+    this.client.protocolManager.sendBinary({ type: 'iq', data }, { tag, response: false }).catch((error: Error) => {
+      this.client.log('Error answering pair-success:', error);
+    });
+  }
+  
+  /**
+   * Citire identitate de companion din stocare sau generare secret ADV nou
+   * @private
+   */
+  private async _loadCreds(): Promise<CompanionCreds> {
+    const saved = await this.client.authState.get('creds', 'device');
+    if (saved) {
+      return saved as CompanionCreds;
+    }
+    
+    const creds: CompanionCreds = { advSecretKey: crypto.randomBytes(32).toString('base64') };
+    await this.client.authState.set('creds', 'device', creds);
+    
+    return creds;
+  }
+  
+  /**
+   * @private
+   */
+  private _decodeAccount(account: NonNullable<CompanionCreds['account']>): SignedDeviceIdentity {
+    return {
+      details: Buffer.from(account.details, 'base64'),
+      accountSignatureKey: Buffer.from(account.accountSignatureKey, 'base64'),
+      accountSignature: Buffer.from(account.accountSignature, 'base64'),
+      deviceSignature: Buffer.from(account.deviceSignature, 'base64')
+    };
+  }
+  
+  /**
+   * Primul copil cu tipul dat
+   * @private
+   */
+  private _child(node: any, type: string): any {
+    return this._children(node, type)[0];
+  }
+  
+  /**
+   * Copiii cu tipul dat
+   * @private
+   */
+  private _children(node: any, type: string): any[] {
+    return node && Array.isArray(node.content) ? node.content.filter((child: any) => child && child.type === type) : [];
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Identitatea semnată a dispozitivelor companion (ADV)
+ *
+ * La asociere, telefonul semnează cu cheia contului detaliile noului
+ * dispozitiv (ID, moment, indexul cheii) împreună cu cheia de identitate
+ * Signal a companionului. Structura ajunge la companion autentificată cu
+ * HMAC-SHA256 cu secretul ADV din codul QR; companionul verifică ambele
+ * semnături și adaugă semnătura proprie.
+ */
+
+import { KeyPair } from '../types';
+import { hmacVerify } from '../utils/crypto';
+import { encodeProto, decodeProto, getBytes, getNumber } from '../utils/proto';
+import { calculateSignature, verifySignature } from '../signal/xeddsa';
+
+// Prefixele mesajelor semnate de cont, respectiv de dispozitiv
+const ACCOUNT_SIGNATURE_PREFIX = Buffer.from([6, 0]);
+const DEVICE_SIGNATURE_PREFIX = Buffer.from([6, 1]);
+
+// ADVSignedDeviceIdentity
+export interface SignedDeviceIdentity {
+  details: Buffer;
+  accountSignatureKey: Buffer;
+  accountSignature: Buffer;
+  deviceSignature?: Buffer;
+}
+
+// ADVDeviceIdentity (conținutul câmpului `details`)
+export interface DeviceIdentityDetails {
+  rawId: number;
+  timestamp: number;
+  keyIndex: number;
+}
+
+/**
+ * Verificare HMAC și decodare identitate semnată (ADVSignedDeviceIdentityHMAC)
+ * @param {Buffer} data Conținutul nodului `device-identity` din `pair-success`
+ * @param {Buffer} advSecretKey Secretul ADV din codul QR
+ * @returns {SignedDeviceIdentity} Identitatea semnată de cont
+ */
+export function decodeSignedDeviceIdentity(data: Buffer, advSecretKey: Buffer): SignedDeviceIdentity {
+  const container = decodeProto(data);
+  const details = getBytes(container, 1);
+  const hmac = getBytes(container, 2);
+  
+  if (!details || !hmac || hmac.length !== 32 || !hmacVerify(details, advSecretKey, hmac)) {
+    throw new Error('Invalid device identity HMAC');
+  }
+  
+  const fields = decodeProto(details);
+  const identity = {
+    details: getBytes(fields, 1),
+    accountSignatureKey: getBytes(fields, 2),
+    accountSignature: getBytes(fields, 3),
+    deviceSignature: getBytes(fields, 4)
+  };
+  
+  if (!identity.details || !identity.accountSignatureKey || !identity.accountSignature) {
+    throw new Error('Incomplete device identity');
+  }
+  
+  return identity as SignedDeviceIdentity;
+}
+
+/**
+ * Verificare semnătura contului peste detalii și cheia de identitate proprie
+ * @param {SignedDeviceIdentity} identity Identitatea semnată
+ * @param {Buffer} identityKey Cheia publică de identitate Signal a companionului
+ */
+export function verifyAccountSignature(identity: SignedDeviceIdentity, identityKey: Buffer): boolean {
+  const message = Buffer.concat([ACCOUNT_SIGNATURE_PREFIX, identity.details, identityKey]);
+  return verifySignature(identity.accountSignatureKey, message, identity.accountSignature);
+}
+
+/**
+ * Semnătura companionului peste detalii, cheia proprie și cheia contului
+ * @param {SignedDeviceIdentity} identity Identitatea semnată de cont
+ * @param {KeyPair} identityKey Perechea de chei de identitate Signal
+ */
+export function signDeviceIdentity(identity: SignedDeviceIdentity, identityKey: KeyPair): Buffer {
+  const message = Buffer.concat([
+    DEVICE_SIGNATURE_PREFIX,
+    identity.details,
+    identityKey.publicKey,
+    identity.accountSignatureKey
+  ]);
+  
+  return calculateSignature(identityKey.privateKey, message);
+}
+
+/**
+ * Serializare identitate semnată
+ * @param {SignedDeviceIdentity} identity Identitatea semnată
+ * @param {boolean} includeSignatureKey Include cheia contului (omisă în mesaje și în confirmarea asocierii)
+ */
+export function encodeSignedDeviceIdentity(identity: SignedDeviceIdentity, includeSignatureKey = false): Buffer {
+  return encodeProto([
+    [1, identity.details],
+    [2, includeSignatureKey ? identity.accountSignatureKey : undefined],
+    [3, identity.accountSignature],
+    [4, identity.deviceSignature]
+  ]);
+}
+
+/**
+ * Decodare detalii dispozitiv (ADVDeviceIdentity)
+ * @param {Buffer} details Câmpul `details` al identității semnate
+ */
+export function decodeDeviceIdentityDetails(details: Buffer): DeviceIdentityDetails {
+  const fields = decodeProto(details);
+  
+  return {
+    rawId: getNumber(fields, 1) || 0,
+    timestamp: getNumber(fields, 2) || 0,
+    keyIndex: getNumber(fields, 3) || 0
+  };
+}
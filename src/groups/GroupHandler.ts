@@ -0,0 +1,393 @@
+/**
+ * Handler pentru grupuri WhatsApp
+ */
+
+import { WAQueryError } from '../protocol/ProtocolManager';
+
+export class GroupHandler {
+  private client: any;
+  
+  // Cache cu JID-urile membrilor, folosit la trimiterea mesajelor în grup
+  private participantCache: Map<string, string[]> = new Map();
+  
+  constructor(client: any) {
+    this.client = client;
+  }
+  
+  /**
+   * Creare grup nou
+   * @param {string} name Numele grupului
+   * @param {string[]} participants Array cu numere de telefon pentru participanți
+   * @returns {Promise<Object>} Informații despre grupul creat
+   */
+  public async create(name: string, participants: string[]): Promise<any> {
+    // Formatare participanți
+    const formattedParticipants = participants.map(p => 
+      p.includes('@') ? p : `${p.replace(/[^0-9]/g, '')}@s.whatsapp.net`
+    );
+    
+    // Creare nod de comandă
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:g2',
+        content: [
+          {
+            type: 'create',
+            subject: name,
+            participants: formattedParticipants
+          }
+        ]
+      }
+    };
+    
+    try {
+      // Trimitere comandă
+      const response = await this.client.protocolManager.query(node);
+      
+      // Procesare răspuns
+      if (response && response.data && response.data.gid) {
+        const groupId = `${response.data.gid}@g.us`;
+        
+        // Creare obiect grup
+        const group = {
+          id: groupId,
+          name,
+          creator: this.client.user.id,
+          creation: Date.now(),
+          participants: formattedParticipants.map(jid => ({
+            jid,
+            isAdmin: jid === this.client.user.id,
+            isSuperAdmin: jid === this.client.user.id
+          }))
+        };
+        
+        // Adăugare grup în store
+        await this.client.store.saveChat({
+          jid: groupId,
+          name,
+          type: 'group',
+          unreadCount: 0,
+          timestamp: Date.now()
+        });
+        
+        // Emitere eveniment
+        this.client.emit('group_created', group);
+        
+        return group;
+      } else {
+        throw new Error('No group ID in response');
+      }
+    } catch (error) {
+      this.client.log('Error creating group:', error);
+      throw WAQueryError.wrap(error, 'Failed to create group');
+    }
+  }
+  
+  /**
+   * Obținere informații despre un grup
+   * @param {string} groupId ID-ul grupului
+   * @returns {Promise<Object>} Informații despre grup
+   */
+  public async getInfo(groupId: string): Promise<any> {
+    const jid = groupId.includes('@g.us') ? groupId : `${groupId}@g.us`;
+    
+    // Creare nod de interogare
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'get',
+        xmlns: 'w:g2',
+        jid
+      }
+    };
+    
+    try {
+      // Trimitere interogare
+      const response = await this.client.protocolManager.query(node);
+      
+      // Procesare răspuns
+      if (response && response.data && response.data.group) {
+        return {
+          id: jid,
+          name: response.data.group.subject,
+          creation: response.data.group.creation,
+          creator: response.data.group.creator,
+          description: response.data.group.description,
+          participants: response.data.group.participants,
+          announce: response.data.group.announce,
+          restrict: response.data.group.restrict,
+          noFrequentlyForwarded: response.data.group.noFrequentlyForwarded,
+          ephemeralDuration: response.data.group.ephemeralDuration
+        };
+      } else {
+        throw new Error('No group data in response');
+      }
+    } catch (error) {
+      this.client.log('Error getting group info:', error);
+      throw WAQueryError.wrap(error, 'Failed to get group info');
+    }
+  }
+  
+  /**
+   * Obținere participanți grup
+   * @param {string} groupId ID-ul grupului
+   * @returns {Promise<Array>} Lista de participanți
+   */
+  public async getParticipants(groupId: string): Promise<any[]> {
+    const info = await this.getInfo(groupId);
+    return info.participants || [];
+  }
+  
+  /**
+   * Obținere JID-urile membrilor unui grup (din cache dacă este disponibil)
+   * @param {string} groupId ID-ul grupului
+   * @returns {Promise<string[]>} JID-urile membrilor
+   */
+  public async getParticipantJids(groupId: string): Promise<string[]> {
+    const jid = groupId.includes('@g.us') ? groupId : `${groupId}@g.us`;
+    
+    const cached = this.participantCache.get(jid);
+    if (cached) {
+      return cached;
+    }
+    
+    const participants = await this.getParticipants(jid);
+    const jids = participants
+      .map((participant: any) => (typeof participant === 'string' ? participant : participant.jid))
+      .filter(Boolean);
+    
+    this.participantCache.set(jid, jids);
+    return jids;
+  }
+  
+  /**
+   * Adăugare participanți la grup
+   * @param {string} groupId ID-ul grupului
+   * @param {string[]} participants Participanții de adăugat
+   * @returns {Promise<boolean>} true dacă serverul a acceptat modificarea
+   * @throws {WAQueryError} Răspunsul de eroare al serverului (cod și text)
+   */
+  public async addParticipants(groupId: string, participants: string[]): Promise<boolean> {
+    const jid = groupId.includes('@g.us') ? groupId : `${groupId}@g.us`;
+    
+    // Formatare participanți
+    const formattedParticipants = participants.map(p => 
+      p.includes('@') ? p : `${p.replace(/[^0-9]/g, '')}@s.whatsapp.net`
+    );
+    
+    // Creare nod de comandă
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:g2',
+        jid,
+        content: [
+          {
+            type: 'add',
+            participants: formattedParticipants
+          }
+        ]
+      }
+    };
+    
+    try {
+      // Trimitere comandă
+      await this.client.protocolManager.query(node);
+      this.participantCache.delete(jid);
+      return true;
+    } catch (error) {
+      this.client.log('Error adding participants:', error);
+      throw WAQueryError.wrap(error, 'Failed to add participants');
+    }
+  }
+  
+  /**
+   * Eliminare participanți din grup
+   * @param {string} groupId ID-ul grupului
+   * @param {string[]} participants Participanții de eliminat
+   * @returns {Promise<boolean>} true dacă serverul a acceptat modificarea
+   * @throws {WAQueryError} Răspunsul de eroare al serverului (cod și text)
+   */
+  public async removeParticipants(groupId: string, participants: string[]): Promise<boolean> {
+    const jid = groupId.includes('@g.us') ? groupId : `${groupId}@g.us`;
+    
+    // Formatare participanți
+    const formattedParticipants = participants.map(p => 
+      p.includes('@') ? p : `${p.replace(/[^0-9]/g, '')}@s.whatsapp.net`
+    );
+    
+    // Creare nod de comandă
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:g2',
+        jid,
+        content: [
+          {
+            type: 'remove',
+            participants: formattedParticipants
+          }
+        ]
+      }
+    };
+    
+    try {
+      // Trimitere comandă
+      await this.client.protocolManager.query(node);
+      
+      this.participantCache.delete(jid);
+      await this.client.signalHandler.rotateSenderKey(jid);
+      
+      return true;
+    } catch (error) {
+      this.client.log('Error removing participants:', error);
+      throw WAQueryError.wrap(error, 'Failed to remove participants');
+    }
+  }
+  
+  /**
+   * Promovare participanți la admin
+   * @param {string} groupId ID-ul grupului
+   * @param {string[]} participants Participanții de promovat
+   * @returns {Promise<boolean>} true dacă serverul a acceptat modificarea
+   * @throws {WAQueryError} Răspunsul de eroare al serverului (cod și text)
+   */
+  public async promoteParticipants(groupId: string, participants: string[]): Promise<boolean> {
+    const jid = groupId.includes('@g.us') ? groupId : `${groupId}@g.us`;
+    
+    // Formatare participanți
+    const formattedParticipants = participants.map(p => 
+      p.includes('@') ? p : `${p.replace(/[^0-9]/g, '')}@s.whatsapp.net`
+    );
+    
+    // Creare nod de comandă
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:g2',
+        jid,
+        content: [
+          {
+            type: 'promote',
+            participants: formattedParticipants
+          }
+        ]
+      }
+    };
+    
+    try {
+      // Trimitere comandă
+      await this.client.protocolManager.query(node);
+      return true;
+    } catch (error) {
+      this.client.log('Error promoting participants:', error);
+      throw WAQueryError.wrap(error, 'Failed to promote participants');
+    }
+  }
+  
+  /**
+   * Retrogradare participanți din admin
+   * @param {string} groupId ID-ul grupului
+   * @param {string[]} participants Participanții de retrogradat
+   * @returns {Promise<boolean>} true dacă serverul a acceptat modificarea
+   * @throws {WAQueryError} Răspunsul de eroare al serverului (cod și text)
+   */
+  public async demoteParticipants(groupId: string, participants: string[]): Promise<boolean> {
+    const jid = groupId.includes('@g.us') ? groupId : `${groupId}@g.us`;
+    
+    // Formatare participanți
+    const formattedParticipants = participants.map(p => 
+      p.includes('@') ? p : `${p.replace(/[^0-9]/g, '')}@s.whatsapp.net`
+    );
+    
+    // Creare nod de comandă
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:g2',
+        jid,
+        content: [
+          {
+            type: 'demote',
+            participants: formattedParticipants
+          }
+        ]
+      }
+    };
+    
+    try {
+      // Trimitere comandă
+      await this.client.protocolManager.query(node);
+      return true;
+    } catch (error) {
+      this.client.log('Error demoting participants:', error);
+      throw WAQueryError.wrap(error, 'Failed to demote participants');
+    }
+  }
+  
+  /**
+   * Procesare notificare de grup
+   * @param {Object} notification Notificarea primită
+   */
+  public handleGroupNotification(notification: any): void {
+    // Pentru notificările `group`, acțiunea este tipul primului nod copil
+    const type = notification.subtype === 'group' && Array.isArray(notification.content) && notification.content.length > 0
+      ? notification.content[0].type
+      : notification.subtype;
+    const groupId = notification.jid || notification.from;
+    
+    this.client.log('Received group notification:', type, groupId);
+    
+    if (type === 'add' || type === 'remove') {
+      this.participantCache.delete(groupId);
+    }
+    
+    // Membrii eliminați nu trebuie să poată decripta mesajele următoare
+    if (type === 'remove') {
+      this.client.signalHandler.rotateSenderKey(groupId).catch((error: Error) => {
+        this.client.log('Error rotating sender key:', error);
+      });
+    }
+    
+    // Emitere eveniment specific
+    this.client.emit(`group_${type}`, notification);
+    
+    // Actualizare grup în store
+    this.client.store.getChat(groupId).then((group: any) => {
+      if (!group) {
+        return;
+      }
+      
+      switch (type) {
+        case 'add':
+        case 'remove':
+        case 'promote':
+        case 'demote':
+        case 'subject':
+        case 'description':
+        case 'picture':
+        case 'announce':
+        case 'restrict':
+          // Actualizare automată a grupului
+          return this.getInfo(groupId).then(info => this.client.store.saveChat({
+            ...group,
+            ...info
+          }));
+      }
+    }).catch((error: Error) => {
+      this.client.log('Error updating group info after notification:', error);
+    });
+  }
+}
\ No newline at end of file
@@ -4,14 +4,34 @@
  */
 
 import { WAConnection } from './WAConnection';
-import { ConnectionState } from './constants';
+import { ConnectionState, DisconnectReason } from './constants';
 import { MessageType } from './types';
+import { BinaryEncoder, BinaryDecoder } from './binary';
+import { MemoryAuthStateStore } from './auth/MemoryAuthStateStore';
+import { FileAuthStateStore } from './auth/FileAuthStateStore';
+import { EncryptedAuthStateStore, AuthStateDecryptionError } from './auth/EncryptedAuthStateStore';
+import { MemoryMessageStore } from './store/MemoryMessageStore';
+import { SqliteMessageStore } from './store/SqliteMessageStore';
+import { WAQueryError } from './protocol/ProtocolManager';
+
+export * from './types';
 
 export {
   WAConnection,
+  WAConnection as WhatsApp,
   ConnectionState,
-  MessageType
+  DisconnectReason,
+  MessageType,
+  BinaryEncoder,
+  BinaryDecoder,
+  MemoryAuthStateStore,
+  FileAuthStateStore,
+  EncryptedAuthStateStore,
+  AuthStateDecryptionError,
+  MemoryMessageStore,
+  SqliteMessageStore,
+  WAQueryError
 };
 
 // Export default WhatsApp class for convenience
-export default WAConnection;
\ No newline at end of file
+export default WAConnection;
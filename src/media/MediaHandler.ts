@@ -0,0 +1,716 @@
+/**
+ * Handler pentru media WhatsApp
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as https from 'https';
+import * as os from 'os';
+import * as path from 'path';
+import { Readable } from 'stream';
+import { MessageType } from '../types';
+import { WA_MEDIA_HOST, MEDIA_UPLOAD_PATHS } from '../constants';
+import { WAQueryError } from '../protocol/ProtocolManager';
+import { normalizeJid } from '../utils/jid';
+import {
+  encryptMediaStream,
+  EncryptedMediaInfo,
+  expandMediaKey,
+  decryptMediaStream,
+  encryptMediaRetryRequest,
+  decryptMediaRetryNotification
+} from './mediaCrypto';
+
+// Timeout pentru inactivitatea conexiunii de încărcare/descărcare
+const MEDIA_UPLOAD_TIMEOUT = 60000;
+
+// Reluări ale unei descărcări întrerupte și așteptarea re-încărcării media
+const MEDIA_DOWNLOAD_RETRIES = 3;
+const MEDIA_RETRY_TIMEOUT = 30000;
+
+// Coduri HTTP pentru care URL-ul CDN este considerat expirat
+const MEDIA_EXPIRED_STATUS = [403, 404, 410];
+
+interface MediaInfo {
+  type: string;
+  mediaKey: Buffer;
+  url?: string;
+  directPath?: string;
+  fileSha256?: Buffer;
+  fileEncSha256?: Buffer;
+  fileLength?: number;
+}
+
+interface MediaConn {
+  auth: string;
+  hosts: string[];
+  expiresAt: number;
+}
+
+export class MediaHandler {
+  private client: any;
+  private mediaConn: MediaConn | null = null;
+  // Cererile de re-încărcare în așteptare, după `conversație:ID`
+  private mediaRetries: Map<string, { resolve: (data: any) => void, reject: (error: Error) => void }> = new Map();
+  
+  constructor(client: any) {
+    this.client = client;
+  }
+  
+  /**
+   * Trimitere mesaj media
+   * @param {string} to Destinatar
+   * @param {Buffer|string} media Media
+   * @param {Object} options Opțiuni
+   * @returns {Promise<Object>} Mesajul trimis
+   */
+  public async sendMedia(to: string, media: Buffer | string, options: any = {}): Promise<any> {
+    // Formatare JID
+    const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    
+    // Sursa este citită în flux; un path nu este încărcat integral în memorie
+    if (!(typeof media === 'string' && fs.existsSync(media)) && !Buffer.isBuffer(media)) {
+      throw new Error('Media must be a file path or Buffer');
+    }
+    
+    // Determinare tip media și MIME type
+    const fileType = this._getFileType(media, options.type);
+    const mimeType = options.mimetype || this._getMimeType(media, fileType);
+    
+    // Determinare nume fișier
+    const filename = options.filename || (
+      typeof media === 'string' ? path.basename(media) : `file.${fileType.extension}`
+    );
+    
+    // Criptare și încărcare media pe serverele WhatsApp
+    const upload = await this.uploadMedia(media, fileType.type);
+    
+    // Generare ID mesaj
+    const messageId = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
+    
+    // Creare nod de mesaj
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: messageId,
+        content: [
+          {
+            type: fileType.type,
+            url: upload.url,
+            directPath: upload.directPath,
+            mimetype: mimeType,
+            caption: options.caption,
+            filename,
+            fileLength: upload.fileLength,
+            mediaKeyTimestamp: Math.floor(Date.now() / 1000),
+            mediaKey: upload.mediaKey,
+            fileSha256: upload.fileSha256,
+            fileEncSha256: upload.fileEncSha256
+          }
+        ]
+      }
+    };
+    
+    // Mesaj citat, mențiuni și redirecționare
+    node.data.content[0].contextInfo = await this.client.messageHandler.buildContextInfo(jid, options, options.caption);
+    
+    try {
+      // Trimitere mesaj
+      await this.client.messageHandler.relayMessage(node);
+      
+      // Creare obiect mesaj
+      const message = {
+        id: messageId,
+        type: fileType.type,
+        to: jid,
+        from: this.client.user.id,
+        fromMe: true,
+        url: upload.url,
+        directPath: upload.directPath,
+        mediaKey: upload.mediaKey,
+        fileSha256: upload.fileSha256,
+        fileEncSha256: upload.fileEncSha256,
+        mimetype: mimeType,
+        filename,
+        caption: options.caption,
+        filesize: upload.fileLength,
+        timestamp: Date.now(),
+        status: 'sent'
+      };
+      
+      // Emitere eveniment
+      this.client.emit('message_sent', message);
+      
+      return message;
+    } catch (error) {
+      this.client.log('Error sending media message:', error);
+      throw WAQueryError.wrap(error, 'Failed to send media message');
+    }
+  }
+  
+  /**
+   * Criptare și încărcare media pe serverele WhatsApp
+   *
+   * Datele sunt criptate în flux într-un fișier temporar (hash-ul fișierului
+   * criptat este necesar în URL-ul de încărcare), apoi fișierul este trimis
+   * tot în flux.
+   * @param {Buffer|string} media Conținutul media sau calea fișierului
+   * @param {string} type Tipul media (image, video, audio, document, sticker)
+   * @returns {Promise<Object>} url, directPath, mediaKey, hash-urile și dimensiunea
+   */
+  public async uploadMedia(
+    media: Buffer | string,
+    type: string
+  ): Promise<EncryptedMediaInfo & { url: string, directPath: string }> {
+    const uploadPath = MEDIA_UPLOAD_PATHS[type];
+    if (!uploadPath) {
+      throw new Error(`Unsupported media type: ${type}`);
+    }
+    
+    const source = typeof media === 'string' ? fs.createReadStream(media) : Readable.from([media]);
+    const tmpFile = path.join(os.tmpdir(), `wa-media-${crypto.randomBytes(8).toString('hex')}.enc`);
+    
+    try {
+      const encrypted = await encryptMediaStream(source, type, tmpFile);
+      const token = encrypted.fileEncSha256.toString('base64url');
+      const conn = await this._getMediaConn();
+      
+      // Se încearcă fiecare host până la primul succes
+      let lastError: Error | null = null;
+      for (const host of conn.hosts) {
+        const url = `https://${host}${uploadPath}/${token}?auth=${encodeURIComponent(conn.auth)}&token=${token}`;
+        
+        try {
+          const result = await this._postFile(url, tmpFile);
+          if (!result.url) {
+            throw new Error('Upload response did not include a media URL');
+          }
+          
+          return { ...encrypted, url: result.url, directPath: result.direct_path };
+        } catch (error) {
+          this.client.log(`Media upload to ${host} failed:`, error);
+          lastError = error as Error;
+        }
+      }
+      
+      // Autorizarea poate fi expirată; se cere din nou la următoarea încercare
+      this.mediaConn = null;
+      throw lastError || new Error('No media host available');
+    } catch (error) {
+      this.client.log('Error uploading media:', error);
+      throw WAQueryError.wrap(error, 'Failed to upload media');
+    } finally {
+      fs.promises.unlink(tmpFile).catch(() => undefined);
+    }
+  }
+  
+  /**
+   * Descărcare și decriptare media dintr-un mesaj
+   *
+   * Descărcarea completă verifică fileEncSha256, MAC-ul și fileSha256.
+   * Cu `start`/`end` (octeți din fișierul decriptat, inclusiv) se descarcă
+   * doar blocurile necesare, fără verificarea integrității. O conexiune
+   * întreruptă este reluată de la ultimul octet primit, iar un URL expirat
+   * duce la o cerere de re-încărcare către telefonul expeditorului.
+   * @param {Object} message Mesajul media (primit sau trimis)
+   * @param {Object} options Opțiuni (stream, start, end)
+   * @returns {Promise<Buffer|Readable>} Conținutul decriptat
+   */
+  public async downloadMedia(
+    message: any,
+    options: { stream?: boolean, start?: number, end?: number } = {}
+  ): Promise<Buffer | Readable> {
+    const media = this._getMediaInfo(message);
+    const keys = expandMediaKey(media.mediaKey, media.type);
+    
+    const start = Math.max(0, options.start || 0);
+    let end = options.end;
+    if (end !== undefined && media.fileLength) {
+      end = Math.min(end, media.fileLength - 1);
+    }
+    if (end !== undefined && end < start) {
+      throw new Error('Invalid media range');
+    }
+    
+    // Blocul anterior primului bloc cerut servește drept IV
+    const firstBlock = Math.floor(start / 16);
+    const fetchStart = firstBlock > 0 ? (firstBlock - 1) * 16 : 0;
+    const fetchEnd = end !== undefined ? (Math.floor(end / 16) + 1) * 16 - 1 : undefined;
+    const partial = start > 0 || end !== undefined;
+    
+    const plaintext = decryptMediaStream(this._fetchEncrypted(message, media, fetchStart, fetchEnd), keys, {
+      ivInStream: firstBlock > 0,
+      skip: start - firstBlock * 16,
+      length: end !== undefined ? end - start + 1 : undefined,
+      verify: partial ? undefined : { fileEncSha256: media.fileEncSha256, fileSha256: media.fileSha256 }
+    });
+    
+    if (options.stream) {
+      return Readable.from(plaintext);
+    }
+    
+    try {
+      const chunks: Buffer[] = [];
+      for await (const chunk of plaintext) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    } catch (error) {
+      this.client.log('Error downloading media:', error);
+      throw new Error(`Failed to download media: ${(error as Error).message}`);
+    }
+  }
+  
+  /**
+   * Procesare răspuns la cererea de re-încărcare media
+   * @param {Object} notification Notificarea `mediaretry`
+   */
+  public handleMediaRetryNotification(notification: any): void {
+    // Conversația mesajului este în copilul `rmr`; ID-urile se pot repeta între conversații
+    const children = Array.isArray(notification.content) ? notification.content : [];
+    const rmr = children.find((child: any) => child && child.type === 'rmr');
+    const key = this._retryKey(rmr && rmr.jid, notification.id);
+    
+    const pending = this.mediaRetries.get(key);
+    if (!pending) {
+      return;
+    }
+    
+    this.mediaRetries.delete(key);
+    pending.resolve(notification);
+  }
+  
+  /**
+   * Descărcare date criptate, cu reluare și re-încărcare la URL expirat
+   * @param {Object} message Mesajul media
+   * @param {MediaInfo} media Datele media
+   * @param {number} start Primul octet
+   * @param {number} end Ultimul octet (inclusiv), opțional
+   * @private
+   */
+  private async *_fetchEncrypted(message: any, media: MediaInfo, start: number, end?: number): AsyncGenerator<Buffer> {
+    const host = this.client.options.mediaHost || WA_MEDIA_HOST;
+    let url = media.url || (media.directPath ? `https://${host}${media.directPath}` : null);
+    let offset = start;
+    let attempts = 0;
+    let reuploaded = false;
+    
+    if (!url) {
+      throw new Error('Message has no media URL');
+    }
+    
+    while (true) {
+      let response: http.IncomingMessage;
+      
+      try {
+        response = await this._get(url, offset, end);
+      } catch (error) {
+        const status = (error as any).statusCode;
+        
+        // URL expirat: se cere expeditorului să încarce din nou fișierul
+        if (MEDIA_EXPIRED_STATUS.includes(status) && !reuploaded) {
+          reuploaded = true;
+          media.directPath = await this._requestMediaReupload(message, media);
+          url = `https://${host}${media.directPath}`;
+          continue;
+        }
+        
+        if (status || ++attempts > MEDIA_DOWNLOAD_RETRIES) {
+          throw error;
+        }
+        continue;
+      }
+      
+      // Serverul a ignorat header-ul Range: octeții deja primiți sunt săriți
+      let discard = response.statusCode === 200 ? offset : 0;
+      
+      try {
+        for await (const data of response) {
+          let chunk: Buffer = data;
+          if (discard > 0) {
+            const skipped = Math.min(discard, chunk.length);
+            chunk = chunk.slice(skipped);
+            discard -= skipped;
+          }
+          
+          if (chunk.length > 0) {
+            offset += chunk.length;
+            yield chunk;
+          }
+        }
+        
+        if (response.complete) {
+          return;
+        }
+        throw new Error('Media download interrupted');
+      } catch (error) {
+        if (++attempts > MEDIA_DOWNLOAD_RETRIES) {
+          throw error;
+        }
+        this.client.log(`Media download interrupted at byte ${offset}, resuming...`);
+      }
+    }
+  }
+  
+  /**
+   * Cerere GET cu interval de octeți
+   * @private
+   */
+  private _get(url: string, start: number, end?: number): Promise<http.IncomingMessage> {
+    const headers: { [key: string]: string } = {
+      'Origin': 'https://web.whatsapp.com',
+      'User-Agent': this.client.options.userAgent
+    };
+    
+    if (start > 0 || end !== undefined) {
+      headers['Range'] = `bytes=${start}-${end !== undefined ? end : ''}`;
+    }
+    
+    return new Promise((resolve, reject) => {
+      const request = https.get(url, { headers, agent: this.client.mediaAgent }, (response) => {
+        if (!response.statusCode || response.statusCode >= 400) {
+          response.resume();
+          reject(Object.assign(new Error(`Media download failed with status ${response.statusCode}`), {
+            statusCode: response.statusCode
+          }));
+          return;
+        }
+        
+        resolve(response);
+      });
+      
+      request.on('error', reject);
+      request.setTimeout(MEDIA_UPLOAD_TIMEOUT, () => {
+        request.destroy(new Error('Media download timed out'));
+      });
+    });
+  }
+  
+  /**
+   * Cerere de re-încărcare media către telefonul expeditorului
+   * @param {Object} message Mesajul media
+   * @param {MediaInfo} media Datele media
+   * @returns {Promise<string>} Noul direct path
+   * @private
+   */
+  private async _requestMediaReupload(message: any, media: MediaInfo): Promise<string> {
+    if (!message.id) {
+      throw new Error('Media URL expired and the message has no id to request a re-upload');
+    }
+    
+    this.client.log(`Media URL expired, requesting re-upload for message ${message.id}`);
+    
+    const remoteJid = message.chatJid || (message.fromMe ? message.to : message.from);
+    const key = this._retryKey(remoteJid, message.id);
+    const { ciphertext, iv } = encryptMediaRetryRequest(media.mediaKey, message.id);
+    const notification = new Promise<any>((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.mediaRetries.delete(key);
+        reject(new Error('Media re-upload request timed out'));
+      }, MEDIA_RETRY_TIMEOUT);
+      
+      this.mediaRetries.set(key, {
+        resolve: (data) => {
+          clearTimeout(timer);
+          resolve(data);
+        },
+        reject
+      });
+    });
+    
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'receipt',
+      data: {
+        id: message.id,
+        to: this.client.user.id,
+        type: 'server-error',
+        content: [
+          {
+            type: 'encrypt',
+            content: [
+              { type: 'enc_p', content: ciphertext },
+              { type: 'enc_iv', content: iv }
+            ]
+          },
+          {
+            type: 'rmr',
+            jid: remoteJid,
+            from_me: String(!!message.fromMe),
+            participant: message.participant
+          }
+        ]
+      }
+    };
+    
+    try {
+      await this.client.protocolManager.sendBinary(node);
+    } catch (error) {
+      this.mediaRetries.delete(key);
+      throw error;
+    }
+    
+    const response = await notification;
+    const children = Array.isArray(response.content) ? response.content : [];
+    const encrypt = children.find((child: any) => child.type === 'encrypt');
+    const encP = encrypt && encrypt.content.find((child: any) => child.type === 'enc_p');
+    const encIv = encrypt && encrypt.content.find((child: any) => child.type === 'enc_iv');
+    
+    if (!encP || !encIv) {
+      const error = children.find((child: any) => child.type === 'error');
+      throw new Error(`Media re-upload failed${error && error.code ? ` (code ${error.code})` : ''}`);
+    }
+    
+    const result = decryptMediaRetryNotification(media.mediaKey, message.id, encP.content, encIv.content);
+    if (result.result !== 1 || !result.directPath) {
+      throw new Error(`Media re-upload failed (result ${result.result})`);
+    }
+    
+    return result.directPath;
+  }
+  
+  /**
+   * Cheia unei cereri de re-încărcare: conversația (fără dispozitiv) și ID-ul mesajului
+   * @private
+   */
+  private _retryKey(remoteJid: string | undefined, id: string): string {
+    return `${remoteJid ? normalizeJid(remoteJid) : ''}:${id}`;
+  }
+  
+  /**
+   * Extragere date media dintr-un mesaj
+   * @param {Object} message Mesajul media
+   * @returns {MediaInfo} Tipul, cheia, locația și hash-urile
+   * @private
+   */
+  private _getMediaInfo(message: any): MediaInfo {
+    if (!message) {
+      throw new Error('No message given');
+    }
+    
+    // Mesaj formatat (câmpurile sunt pe mesaj) sau conținut brut ({ image: {...} })
+    const nested = message[message.type];
+    const media = nested && typeof nested === 'object' && !Buffer.isBuffer(nested) ? nested : message;
+    const bytes = (value: any): Buffer | undefined => Buffer.isBuffer(value)
+      ? value
+      : (typeof value === 'string' ? Buffer.from(value, 'base64') : undefined);
+    
+    const mediaKey = bytes(media.mediaKey);
+    if (!mediaKey) {
+      throw new Error('Message has no media key');
+    }
+    
+    return {
+      type: media.type || message.type,
+      mediaKey,
+      url: media.url,
+      directPath: media.directPath,
+      fileSha256: bytes(media.fileSha256),
+      fileEncSha256: bytes(media.fileEncSha256),
+      fileLength: media.fileLength !== undefined ? Number(media.fileLength) : undefined
+    };
+  }
+  
+  /**
+   * Obținere autorizare și host-uri pentru încărcare (media_conn)
+   * @returns {Promise<MediaConn>} Autorizarea, host-urile și expirarea
+   * @private
+   */
+  private async _getMediaConn(): Promise<MediaConn> {
+    if (this.mediaConn && this.mediaConn.expiresAt > Date.now()) {
+      return this.mediaConn;
+    }
+    
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'iq',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: 's.whatsapp.net',
+        content: [{ type: 'media_conn' }]
+      }
+    };
+    
+    const response = await this.client.protocolManager.query(node);
+    const content = (response && response.data && response.data.content) || [];
+    const conn = Array.isArray(content) ? content.find((child: any) => child.type === 'media_conn') : null;
+    
+    if (!conn || !conn.auth) {
+      throw new Error('Media connection info not available');
+    }
+    
+    // Host-ul configurat are prioritate față de cele primite de la server
+    const hosts = (Array.isArray(conn.content) ? conn.content : [])
+      .filter((child: any) => child.type === 'host' && child.hostname)
+      .map((child: any) => child.hostname);
+    
+    this.mediaConn = {
+      auth: conn.auth,
+      hosts: this.client.options.mediaHost
+        ? [this.client.options.mediaHost]
+        : (hosts.length > 0 ? hosts : [WA_MEDIA_HOST]),
+      expiresAt: Date.now() + (Number(conn.ttl) || 300) * 1000
+    };
+    
+    return this.mediaConn;
+  }
+  
+  /**
+   * Trimitere fișier prin HTTPS POST, în flux
+   * @param {string} url URL-ul de încărcare
+   * @param {string} file Fișierul trimis
+   * @returns {Promise<Object>} Răspunsul JSON al serverului
+   * @private
+   */
+  private async _postFile(url: string, file: string): Promise<any> {
+    const { size } = await fs.promises.stat(file);
+    
+    return new Promise((resolve, reject) => {
+      const request = https.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': size,
+          'Origin': 'https://web.whatsapp.com',
+          'User-Agent': this.client.options.userAgent
+        },
+        agent: this.client.mediaAgent
+      }, (response) => {
+        const chunks: Buffer[] = [];
+        response.on('data', (chunk: Buffer) => chunks.push(chunk));
+        response.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          
+          if (!response.statusCode || response.statusCode >= 400) {
+            reject(new Error(`Media upload failed with status ${response.statusCode}`));
+            return;
+          }
+          
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(new Error('Invalid media upload response'));
+          }
+        });
+        response.on('error', reject);
+      });
+      
+      request.on('error', reject);
+      request.setTimeout(MEDIA_UPLOAD_TIMEOUT, () => {
+        request.destroy(new Error('Media upload timed out'));
+      });
+      
+      const stream = fs.createReadStream(file);
+      stream.on('error', (error) => request.destroy(error));
+      stream.pipe(request);
+    });
+  }
+  
+  /**
+   * Determinare tip fișier
+   * @param {Buffer|string} media Media
+   * @param {string} type Tipul specificat
+   * @returns {Object} Tipul și extensia
+   * @private
+   */
+  private _getFileType(media: Buffer | string, type?: string): { type: MessageType, extension: string } {
+    // Verificare tip specificat explicit
+    if (type) {
+      switch (type) {
+        case MessageType.IMAGE:
+          return { type: MessageType.IMAGE, extension: 'jpg' };
+        case MessageType.VIDEO:
+          return { type: MessageType.VIDEO, extension: 'mp4' };
+        case MessageType.AUDIO:
+          return { type: MessageType.AUDIO, extension: 'mp3' };
+        case MessageType.DOCUMENT:
+          return { type: MessageType.DOCUMENT, extension: 'pdf' };
+        case MessageType.STICKER:
+          return { type: MessageType.STICKER, extension: 'webp' };
+      }
+    }
+    
+    // Determinare după nume fișier dacă este string
+    if (typeof media === 'string') {
+      const ext = path.extname(media).toLowerCase().substring(1);
+      
+      if (['jpg', 'jpeg', 'png', 'gif'].includes(ext)) {
+        return { type: MessageType.IMAGE, extension: ext };
+      } else if (['mp4', 'mov', 'avi', 'webm'].includes(ext)) {
+        return { type: MessageType.VIDEO, extension: ext };
+      } else if (['mp3', 'ogg', 'wav', 'm4a'].includes(ext)) {
+        return { type: MessageType.AUDIO, extension: ext };
+      } else if (ext === 'webp') {
+        return { type: MessageType.STICKER, extension: ext };
+      } else {
+        return { type: MessageType.DOCUMENT, extension: ext };
+      }
+    }
+    
+    // Implicit document
+    return { type: MessageType.DOCUMENT, extension: 'bin' };
+  }
+  
+  /**
+   * Determinare MIME type
+   * @param {Buffer|string} media Media
+   * @param {Object} fileType Tipul fișierului
+   * @returns {string} MIME type
+   * @private
+   */
+  private _getMimeType(media: Buffer | string, fileType: { type: MessageType, extension: string }): string {
+    // Verificare mimetype explicit
+    if (typeof media === 'string') {
+      const ext = path.extname(media).toLowerCase().substring(1);
+      
+      // Mapare extensii la mimetype
+      const mimeMap: { [ext: string]: string } = {
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        mp4: 'video/mp4',
+        mov: 'video/quicktime',
+        avi: 'video/x-msvideo',
+        webm: 'video/webm',
+        mp3: 'audio/mpeg',
+        ogg: 'audio/ogg',
+        wav: 'audio/wav',
+        m4a: 'audio/mp4',
+        pdf: 'application/pdf',
+        doc: 'application/msword',
+        docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        xls: 'application/vnd.ms-excel',
+        xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        ppt: 'application/vnd.ms-powerpoint',
+        pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+      };
+      
+      if (mimeMap[ext]) {
+        return mimeMap[ext];
+      }
+    }
+    
+    // Determinare după tip fișier
+    switch (fileType.type) {
+      case MessageType.IMAGE:
+        return 'image/jpeg';
+      case MessageType.VIDEO:
+        return 'video/mp4';
+      case MessageType.AUDIO:
+        return 'audio/mpeg';
+      case MessageType.STICKER:
+        return 'image/webp';
+      case MessageType.DOCUMENT:
+      default:
+        return 'application/octet-stream';
+    }
+  }
+}
\ No newline at end of file
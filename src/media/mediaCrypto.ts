@@ -0,0 +1,271 @@
+/**
+ * Criptarea fișierelor media WhatsApp
+ *
+ * Cheia media (32 octeți) este extinsă cu HKDF în IV, cheie AES-256-CBC și
+ * cheie HMAC; fișierul încărcat este `ciphertext || HMAC(iv || ciphertext)[0:10]`.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import { once } from 'events';
+import { Readable } from 'stream';
+import { MEDIA_HKDF_INFO } from '../constants';
+import { hkdf, aesGcmEncrypt, aesGcmDecrypt } from '../utils/crypto';
+import { encodeProto, decodeProto, getBytes, getNumber } from '../utils/proto';
+
+export interface MediaKeys {
+  iv: Buffer;
+  cipherKey: Buffer;
+  macKey: Buffer;
+}
+
+export interface EncryptedMediaInfo {
+  mediaKey: Buffer;
+  fileSha256: Buffer;
+  fileEncSha256: Buffer;
+  fileLength: number;
+}
+
+export interface MediaDecryptOptions {
+  // Primii 16 octeți din flux sunt IV-ul (descărcare parțială, de la un bloc > 0)
+  ivInStream?: boolean;
+  // Octeți decriptați ignorați la început
+  skip?: number;
+  // Numărul de octeți decriptați returnați; fără limită, fluxul se termină cu MAC-ul
+  length?: number;
+  // Verificarea integrității (doar pentru descărcarea completă)
+  verify?: { fileEncSha256?: Buffer, fileSha256?: Buffer };
+}
+
+// Lungimea MAC-ului trunchiat adăugat la finalul fișierului criptat
+export const MEDIA_MAC_LENGTH = 10;
+
+const MEDIA_RETRY_INFO = 'WhatsApp Media Retry Notification';
+
+/**
+ * Extinderea cheii media pentru un tip de media
+ * @param {Buffer} mediaKey Cheia media (32 octeți)
+ * @param {string} type Tipul media (image, video, audio, document, sticker)
+ */
+export function expandMediaKey(mediaKey: Buffer, type: string): MediaKeys {
+  const info = MEDIA_HKDF_INFO[type];
+  if (!info) {
+    throw new Error(`Unsupported media type: ${type}`);
+  }
+  
+  const expanded = hkdf(mediaKey, 112, Buffer.from(info));
+  
+  return {
+    iv: expanded.slice(0, 16),
+    cipherKey: expanded.slice(16, 48),
+    macKey: expanded.slice(48, 80)
+  };
+}
+
+/**
+ * Criptare media în flux, cu scriere într-un fișier
+ *
+ * Sursa este citită o singură dată, pe bucăți; hash-urile și MAC-ul sunt
+ * calculate pe parcurs, deci fișierele mari nu sunt ținute în memorie.
+ * @param {Readable} source Fluxul cu datele originale
+ * @param {string} type Tipul media
+ * @param {string} destination Fișierul în care se scriu datele criptate
+ * @param {Buffer} mediaKey Cheia media (implicit generată aleator)
+ * @returns {Promise<EncryptedMediaInfo>} Cheia, hash-urile și dimensiunea
+ */
+export async function encryptMediaStream(
+  source: Readable,
+  type: string,
+  destination: string,
+  mediaKey: Buffer = crypto.randomBytes(32)
+): Promise<EncryptedMediaInfo> {
+  const { iv, cipherKey, macKey } = expandMediaKey(mediaKey, type);
+  const cipher = crypto.createCipheriv('aes-256-cbc', cipherKey, iv);
+  const hmac = crypto.createHmac('sha256', macKey).update(iv);
+  const fileSha256 = crypto.createHash('sha256');
+  const fileEncSha256 = crypto.createHash('sha256');
+  const output = fs.createWriteStream(destination, { mode: 0o600 });
+  let fileLength = 0;
+  
+  const write = async (chunk: Buffer, mac = true) => {
+    if (mac) {
+      hmac.update(chunk);
+    }
+    fileEncSha256.update(chunk);
+    
+    if (!output.write(chunk)) {
+      await once(output, 'drain');
+    }
+  };
+  
+  try {
+    for await (const data of source) {
+      const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      fileLength += chunk.length;
+      fileSha256.update(chunk);
+      await write(cipher.update(chunk));
+    }
+    
+    await write(cipher.final());
+    await write(hmac.digest().slice(0, MEDIA_MAC_LENGTH), false);
+    
+    output.end();
+    await once(output, 'finish');
+  } catch (error) {
+    output.destroy();
+    throw error;
+  }
+  
+  return {
+    mediaKey,
+    fileSha256: fileSha256.digest(),
+    fileEncSha256: fileEncSha256.digest(),
+    fileLength
+  };
+}
+
+/**
+ * Decriptare media în flux
+ *
+ * La descărcarea completă, MAC-ul și hash-urile sunt verificate la final,
+ * înainte de ultimul bloc decriptat; un fișier modificat produce o eroare.
+ * @param {AsyncIterable<Buffer>} source Datele criptate
+ * @param {MediaKeys} keys Cheile extinse
+ * @param {MediaDecryptOptions} options Opțiuni pentru descărcări parțiale și verificare
+ */
+export async function* decryptMediaStream(
+  source: AsyncIterable<Buffer>,
+  keys: MediaKeys,
+  options: MediaDecryptOptions = {}
+): AsyncGenerator<Buffer> {
+  const bounded = options.length !== undefined;
+  const hmac = crypto.createHmac('sha256', keys.macKey).update(keys.iv);
+  const fileEncSha256 = crypto.createHash('sha256');
+  const fileSha256 = crypto.createHash('sha256');
+  let decipher: crypto.Decipher | null = options.ivInStream ? null : createDecipher(keys, keys.iv, bounded);
+  let pending = Buffer.alloc(0);
+  let skip = options.skip || 0;
+  let remaining = bounded ? options.length! : Infinity;
+  
+  const take = (data: Buffer): Buffer => {
+    if (skip > 0) {
+      const skipped = Math.min(skip, data.length);
+      data = data.slice(skipped);
+      skip -= skipped;
+    }
+    if (data.length > remaining) {
+      data = data.slice(0, remaining);
+    }
+    remaining -= data.length;
+    fileSha256.update(data);
+    return data;
+  };
+  
+  for await (const chunk of source) {
+    pending = Buffer.concat([pending, chunk]);
+    
+    if (!decipher) {
+      if (pending.length < 16) {
+        continue;
+      }
+      decipher = createDecipher(keys, pending.slice(0, 16), bounded);
+      pending = pending.slice(16);
+    }
+    
+    // Fără limită, ultimii octeți pot fi MAC-ul și sunt păstrați până la final
+    const body = bounded ? pending : pending.slice(0, Math.max(0, pending.length - MEDIA_MAC_LENGTH));
+    pending = pending.slice(body.length);
+    
+    hmac.update(body);
+    fileEncSha256.update(body);
+    
+    const output = take(decipher.update(body));
+    if (output.length > 0) {
+      yield output;
+    }
+    
+    if (remaining <= 0) {
+      return;
+    }
+  }
+  
+  if (!decipher) {
+    throw new Error('Media download is empty');
+  }
+  
+  if (options.verify) {
+    const mac = hmac.digest().slice(0, MEDIA_MAC_LENGTH);
+    if (pending.length !== MEDIA_MAC_LENGTH || !crypto.timingSafeEqual(pending, mac)) {
+      throw new Error('Media MAC mismatch');
+    }
+    
+    fileEncSha256.update(pending);
+    if (options.verify.fileEncSha256 && !fileEncSha256.digest().equals(options.verify.fileEncSha256)) {
+      throw new Error('Media fileEncSha256 mismatch');
+    }
+  }
+  
+  let final: Buffer;
+  try {
+    final = take(decipher.final());
+  } catch (error) {
+    throw new Error('Media decryption failed');
+  }
+  
+  if (options.verify && options.verify.fileSha256 && !fileSha256.digest().equals(options.verify.fileSha256)) {
+    throw new Error('Media fileSha256 mismatch');
+  }
+  
+  if (final.length > 0) {
+    yield final;
+  }
+}
+
+/**
+ * Criptare cerere de re-încărcare media (ServerErrorReceipt)
+ * @param {Buffer} mediaKey Cheia media
+ * @param {string} messageId ID-ul mesajului
+ * @returns {Object} Datele criptate și IV-ul
+ */
+export function encryptMediaRetryRequest(mediaKey: Buffer, messageId: string): { ciphertext: Buffer, iv: Buffer } {
+  const key = hkdf(mediaKey, 32, Buffer.from(MEDIA_RETRY_INFO));
+  const iv = crypto.randomBytes(12);
+  const receipt = encodeProto([[1, messageId]]);
+  
+  return { ciphertext: aesGcmEncrypt(receipt, key, iv, Buffer.from(messageId)), iv };
+}
+
+/**
+ * Decriptare răspuns la cererea de re-încărcare media (MediaRetryNotification)
+ * @param {Buffer} mediaKey Cheia media
+ * @param {string} messageId ID-ul mesajului
+ * @param {Buffer} ciphertext Datele criptate
+ * @param {Buffer} iv IV-ul
+ * @returns {Object} Noul direct path și rezultatul (1 = succes)
+ */
+export function decryptMediaRetryNotification(
+  mediaKey: Buffer,
+  messageId: string,
+  ciphertext: Buffer,
+  iv: Buffer
+): { directPath?: string, result: number } {
+  const key = hkdf(mediaKey, 32, Buffer.from(MEDIA_RETRY_INFO));
+  const fields = decodeProto(aesGcmDecrypt(ciphertext, key, iv, Buffer.from(messageId)));
+  const directPath = getBytes(fields, 2);
+  
+  return {
+    directPath: directPath ? directPath.toString('utf8') : undefined,
+    result: getNumber(fields, 3) || 0
+  };
+}
+
+/**
+ * @private
+ */
+function createDecipher(keys: MediaKeys, iv: Buffer, bounded: boolean): crypto.Decipher {
+  const decipher = crypto.createDecipheriv('aes-256-cbc', keys.cipherKey, iv);
+  
+  // Descărcările parțiale nu conțin padding-ul final
+  decipher.setAutoPadding(!bounded);
+  return decipher;
+}
@@ -0,0 +1,332 @@
+/**
+ * Sincronizarea istoricului la prima autentificare
+ *
+ * Telefonul trimite notificări `historySyncNotification` cu un fișier media
+ * criptat (HistorySync, protobuf comprimat zlib). Bucățile sunt procesate în
+ * ordinea sosirii: conversațiile, contactele și mesajele ajung în store.
+ * Clientul devine READY după bucata inițială (INITIAL_BOOTSTRAP).
+ */
+
+import { promisify } from 'util';
+import * as zlib from 'zlib';
+import { MessageType } from '../types';
+import { decodeJid, normalizeJid } from '../utils/jid';
+import { decodeProto, getBytes, getNumber, getString, getMessages } from '../utils/proto';
+import { MEDIA_MESSAGE_FIELDS, decodeMediaFields } from './messageProto';
+
+type ProtoFields = Map<number, (Buffer | number)[]>;
+
+const inflate = promisify(zlib.inflate);
+
+// HistorySync.HistorySyncType
+export const HISTORY_SYNC_TYPES = [
+  'INITIAL_BOOTSTRAP',
+  'INITIAL_STATUS_V3',
+  'FULL',
+  'RECENT',
+  'PUSH_NAME',
+  'NON_BLOCKING_DATA',
+  'ON_DEMAND'
+];
+
+export class HistorySyncHandler {
+  private client: any;
+  private queue: Promise<void> = Promise.resolve();
+  private bootstrapped = false;
+  private waiters: (() => void)[] = [];
+  
+  constructor(client: any) {
+    this.client = client;
+  }
+  
+  /**
+   * Așteptare sincronizare inițială (imediat dacă a fost făcută la o
+   * conectare anterioară; după timeout, clientul continuă fără ea)
+   * @returns {Promise<void>}
+   */
+  public async waitForBootstrap(): Promise<void> {
+    if (!this.bootstrapped) {
+      try {
+        const state = await this.client.authState.get('creds', 'history-sync');
+        this.bootstrapped = !!(state && state.bootstrapped);
+      } catch (error) {
+        this.client.log('Error reading history sync state:', error);
+      }
+    }
+    
+    if (this.bootstrapped) {
+      return;
+    }
+    
+    const timeout = this.client.options.historySyncTimeout;
+    
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(waiter => waiter !== done);
+        this.client.log('Initial history sync not received in time, continuing without it');
+        resolve();
+      }, timeout);
+      
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      
+      this.waiters.push(done);
+    });
+  }
+  
+  /**
+   * Procesare notificare de sincronizare (în ordinea sosirii)
+   * @param {Object} message Mesajul care conține notificarea
+   * @param {Object} notification Notificarea (directPath, mediaKey, syncType, chunkOrder, progress)
+   * @returns {Promise<void>}
+   */
+  public handleNotification(message: any, notification: any): Promise<void> {
+    const sender = message.participant || message.from;
+    const own = this.client.user ? decodeJid(this.client.user.id).user : null;
+    
+    // Istoricul poate veni doar de la propriul telefon
+    if (!sender || decodeJid(sender).user !== own) {
+      this.client.log(`Ignoring history sync notification from ${sender}`);
+      return Promise.resolve();
+    }
+    
+    this.queue = this.queue
+      .then(() => this._processChunk(message, notification))
+      .catch((error) => {
+        this.client.log('Error processing history sync:', error);
+        this.client.emit('history_sync_failed', { id: message.id, error });
+      });
+    
+    return this.queue;
+  }
+  
+  /**
+   * Descărcare, decodare și salvare a unei bucăți de istoric
+   * @private
+   */
+  private async _processChunk(message: any, notification: any): Promise<void> {
+    const blob = await this.client.mediaHandler.downloadMedia({
+      id: message.id,
+      from: message.from,
+      chatJid: message.chatJid || message.from,
+      fromMe: true,
+      type: 'history',
+      mediaKey: notification.mediaKey,
+      directPath: notification.directPath,
+      fileSha256: notification.fileSha256,
+      fileEncSha256: notification.fileEncSha256,
+      fileLength: notification.fileLength
+    });
+    
+    const history = decodeProto(await inflate(blob as Buffer));
+    const syncType = this._syncType(getNumber(history, 1) ?? notification.syncType);
+    const chunkOrder = getNumber(history, 5) ?? Number(notification.chunkOrder || 0);
+    const progress = getNumber(history, 6) ?? (notification.progress !== undefined ? Number(notification.progress) : undefined);
+    
+    let chats = 0;
+    let messages = 0;
+    let contacts = 0;
+    
+    for (const conversation of getMessages(history, 2)) {
+      const jid = getString(conversation, 1);
+      if (!jid) {
+        continue;
+      }
+      
+      const timestamp = getNumber(conversation, 12) || getNumber(conversation, 5);
+      const pinned = getNumber(conversation, 24);
+      const muteEndTime = getNumber(conversation, 25);
+      await this.client.store.saveChat(this._compact({
+        jid,
+        name: getString(conversation, 13),
+        type: jid.endsWith('@g.us') ? 'group' : 'chat',
+        unreadCount: getNumber(conversation, 6) || 0,
+        timestamp: timestamp ? timestamp * 1000 : undefined,
+        archived: getNumber(conversation, 16) === 1,
+        pinned: pinned ? pinned * 1000 : undefined,
+        muteEndTime: muteEndTime ? muteEndTime * 1000 : undefined
+      }));
+      chats++;
+      
+      for (const item of getMessages(conversation, 2)) {
+        const info = getBytes(item, 1);
+        const formatted = info ? this._formatWebMessage(decodeProto(info), jid) : null;
+        
+        if (formatted) {
+          await this.client.store.saveMessage(formatted);
+          messages++;
+        }
+      }
+    }
+    
+    for (const pushname of getMessages(history, 7)) {
+      const jid = getString(pushname, 1);
+      if (jid) {
+        await this.client.store.saveContact({ jid, notify: getString(pushname, 2) });
+        contacts++;
+      }
+    }
+    
+    this.client.emit('history_sync', { syncType, chunkOrder, progress, chats, messages, contacts });
+    
+    // Confirmare către telefon
+    this._sendReceipt(message.id);
+    
+    if (syncType === 'INITIAL_BOOTSTRAP' && (progress === undefined || progress >= 100)) {
+      await this._markBootstrapped();
+    } else if (syncType === 'RECENT' || syncType === 'FULL') {
+      // Bucățile ulterioare arată că etapa inițială s-a încheiat
+      await this._markBootstrapped();
+    }
+  }
+  
+  /**
+   * Marcare sincronizare inițială completă (persistent)
+   * @private
+   */
+  private async _markBootstrapped(): Promise<void> {
+    if (this.bootstrapped) {
+      return;
+    }
+    
+    this.bootstrapped = true;
+    
+    try {
+      await this.client.authState.set('creds', 'history-sync', { bootstrapped: true });
+    } catch (error) {
+      this.client.log('Error saving history sync state:', error);
+    }
+    
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(waiter => waiter());
+  }
+  
+  /**
+   * Trimitere confirmare `hist_sync`
+   * @private
+   */
+  private _sendReceipt(messageId: string): void {
+    if (!messageId || !this.client.user) {
+      return;
+    }
+    
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'receipt',
+      data: {
+        id: messageId,
+        to: normalizeJid(this.client.user.id),
+        type: 'hist_sync'
+      }
+    };
+    
+    this.client.protocolManager.sendBinary(node).catch((error: Error) => {
+      this.client.log('Error sending history sync receipt:', error);
+    });
+  }
+  
+  /**
+   * Eliminare câmpuri lipsă (nu suprascriu datele deja salvate)
+   * @private
+   */
+  private _compact(value: any): any {
+    return Object.fromEntries(Object.entries(value).filter(([, field]) => field !== undefined));
+  }
+  
+  /**
+   * Numele tipului de sincronizare (acceptă numărul sau numele)
+   * @private
+   */
+  private _syncType(value: any): string {
+    if (typeof value === 'string' && HISTORY_SYNC_TYPES.includes(value)) {
+      return value;
+    }
+    
+    return HISTORY_SYNC_TYPES[Number(value)] || 'UNKNOWN';
+  }
+  
+  /**
+   * Conversie WebMessageInfo în mesaj formatat (ca mesajele primite live)
+   * @param {Map} info Câmpurile WebMessageInfo
+   * @param {string} chatJid Conversația
+   * @private
+   */
+  private _formatWebMessage(info: ProtoFields, chatJid: string): any | null {
+    const keyBytes = getBytes(info, 1);
+    if (!keyBytes) {
+      return null;
+    }
+    
+    const key = decodeProto(keyBytes);
+    const id = getString(key, 3);
+    if (!id) {
+      return null;
+    }
+    
+    const fromMe = getNumber(key, 2) === 1;
+    const participant = getString(key, 4) || getString(info, 5);
+    const own = this.client.user ? this.client.user.id : undefined;
+    const timestamp = getNumber(info, 3);
+    
+    const formatted: any = {
+      id,
+      type: MessageType.TEXT,
+      from: fromMe ? own : (participant || chatJid),
+      to: fromMe ? chatJid : own,
+      fromMe,
+      participant,
+      chatJid,
+      pushName: getString(info, 19),
+      timestamp: timestamp ? timestamp * 1000 : 0,
+      status: fromMe ? 'sent' : 'received'
+    };
+    
+    const contentBytes = getBytes(info, 2);
+    if (!contentBytes) {
+      return { ...formatted, type: 'unknown' };
+    }
+    
+    const content = decodeProto(contentBytes);
+    const conversation = getString(content, 1);
+    const extendedText = getBytes(content, 6);
+    
+    if (conversation !== undefined) {
+      return { ...formatted, text: conversation };
+    }
+    
+    if (extendedText) {
+      return { ...formatted, text: getString(decodeProto(extendedText), 1) };
+    }
+    
+    for (const [field, type] of MEDIA_MESSAGE_FIELDS) {
+      const media = getBytes(content, field);
+      if (media) {
+        return { ...formatted, type, ...decodeMediaFields(decodeProto(media), type) };
+      }
+    }
+    
+    const location = getBytes(content, 5);
+    if (location) {
+      const fields = decodeProto(location);
+      return {
+        ...formatted,
+        type: MessageType.LOCATION,
+        latitude: fields.get(1)?.[0],
+        longitude: fields.get(2)?.[0],
+        name: getString(fields, 3),
+        address: getString(fields, 4)
+      };
+    }
+    
+    const contact = getBytes(content, 4);
+    if (contact) {
+      const fields = decodeProto(contact);
+      return { ...formatted, type: MessageType.CONTACT, displayName: getString(fields, 1), vcard: getString(fields, 16) };
+    }
+    
+    return { ...formatted, type: 'unknown' };
+  }
+}
@@ -4,6 +4,34 @@
 
 import * as crypto from 'crypto';
 import { MessageType } from '../types';
+import { toBinaryNode, fromBinaryNode } from '../binary';
+import { decodeJid, normalizeJid } from '../utils/jid';
+import { WAQueryError } from '../protocol/ProtocolManager';
+import { encodeMessage, decodeMessage } from './messageProto';
+
+// Câmpurile media copiate în mesajul citat
+const SNAPSHOT_MEDIA_FIELDS = [
+  'url', 'directPath', 'mimetype', 'caption', 'filename', 'fileLength', 'seconds',
+  'mediaKey', 'fileSha256', 'fileEncSha256'
+];
+
+// Mențiuni în text: `@` urmat de numărul de telefon
+const MENTION_PATTERN = /@(\d{5,16})\b/g;
+
+// Scorul de la care un mesaj este marcat ca „redirecționat de multe ori”
+const FORWARDED_MANY_TIMES_SCORE = 5;
+
+// Tipurile de mesaje care nu pot fi redirecționate
+const NON_FORWARDABLE_TYPES: string[] = [
+  MessageType.REACTION, MessageType.REVOKED, MessageType.BUTTON, MessageType.LIST
+];
+
+// Atributul `edit` al nodului de mesaj
+const EDIT_ATTR = {
+  EDIT: '1',
+  SENDER_REVOKE: '7',
+  ADMIN_REVOKE: '8'
+};
 
 export class MessageHandler {
   private client: any;
@@ -20,14 +48,14 @@ export class MessageHandler {
    * @returns {Promise<Object>} Mesajul trimis
    */
   public async sendText(to: string, text: string, options: any = {}): Promise<any> {
-    // Formatare JID
+    // Formatare JID dacă este necesar
     const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
     
     // Generare ID mesaj
     const messageId = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
     
     // Creare nod de mesaj
-    const node = {
+    const node: any = {
       id: this.client.protocolManager._generateMessageTag(),
       type: 'action',
       data: {
@@ -44,23 +72,15 @@ export class MessageHandler {
       }
     };
     
-    // Adăugare răspuns la mesaj dacă este specificat
-    if (options.quoted) {
-      node.data.content[0].quoted = {
-        id: options.quoted.id,
-        fromMe: options.quoted.fromMe,
-        participant: options.quoted.participant
-      };
-    }
-    
-    // Adăugare mențiuni
-    if (options.mentions && options.mentions.length > 0) {
-      node.data.content[0].mentions = options.mentions;
-    }
+    // Mesaj citat, mențiuni și redirecționare
+    node.data.content[0].contextInfo = await this.buildContextInfo(jid, options, text);
     
     try {
+      // Prezența „typing” înainte de trimitere (opțiunea sendScheduler.simulateTyping)
+      await this.client.sendScheduler.simulateTyping(jid, text);
+      
       // Trimitere mesaj
-      const response = await this.client.protocolManager.sendBinary(node);
+      const response = await this.relayMessage(node);
       
       // Creare obiect mesaj
       const message = {
@@ -80,97 +100,1439 @@ export class MessageHandler {
       return message;
     } catch (error) {
       this.client.log('Error sending text message:', error);
-      throw new Error(`Failed to send text message: ${error.message}`);
+      throw WAQueryError.wrap(error, 'Failed to send text message');
     }
   }
   
   /**
-   * Procesare mesaj primit
-   * @param {Object} message Mesajul primit
+   * Trimitere mesaj locație
+   * @param {string} to Destinatar
+   * @param {number} latitude Latitudine
+   * @param {number} longitude Longitudine
+   * @param {Object} options Opțiuni
+   * @returns {Promise<Object>} Mesajul trimis
    */
-  public handleIncomingMessage(message: any): void {
-    // Formatare mesaj
-    const formattedMessage = this._formatMessage(message);
+  public async sendLocation(to: string, latitude: number, longitude: number, options: any = {}): Promise<any> {
+    // Formatare JID dacă este necesar
+    const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    
+    // Generare ID mesaj
+    const messageId = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
+    
+    // Creare nod de mesaj
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: messageId,
+        content: [
+          {
+            type: 'location',
+            latitude,
+            longitude,
+            name: options.name || '',
+            address: options.address || ''
+          }
+        ]
+      }
+    };
+    
+    // Mesaj citat, mențiuni și redirecționare
+    node.data.content[0].contextInfo = await this.buildContextInfo(jid, options);
     
-    // Adăugare în store
-    if (formattedMessage.id) {
-      const chatId = formattedMessage.chatJid || formattedMessage.from;
+    try {
+      // Trimitere mesaj
+      const response = await this.relayMessage(node);
+      
+      // Creare obiect mesaj
+      const message = {
+        id: messageId,
+        type: MessageType.LOCATION,
+        to: jid,
+        from: this.client.user.id,
+        fromMe: true,
+        latitude,
+        longitude,
+        name: options.name,
+        address: options.address,
+        timestamp: Date.now(),
+        status: 'sent'
+      };
       
-      if (!this.client.store.messages.has(chatId)) {
-        this.client.store.messages.set(chatId, new Map());
+      // Emitere eveniment
+      this.client.emit('message_sent', message);
+      
+      return message;
+    } catch (error) {
+      this.client.log('Error sending location message:', error);
+      throw WAQueryError.wrap(error, 'Failed to send location message');
+    }
+  }
+  
+  /**
+   * Trimitere contact
+   * @param {string} to Destinatar
+   * @param {string|string[]} contacts Contacte
+   * @param {Object} options Opțiuni
+   * @returns {Promise<Object>} Mesajul trimis
+   */
+  public async sendContact(to: string, contacts: any, options: any = {}): Promise<any> {
+    // Formatare JID dacă este necesar
+    const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    
+    // Generare ID mesaj
+    const messageId = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
+    
+    // Formatare contacte
+    const contactList = Array.isArray(contacts) ? contacts : [contacts];
+    const formattedContacts = contactList.map(contact => {
+      if (typeof contact === 'string') {
+        // Presupunem că este un număr de telefon
+        const number = contact.replace(/[^0-9]/g, '');
+        const vcard = `BEGIN:VCARD\nVERSION:3.0\nFN:${number}\nTEL;type=CELL;waid=${number}:+${number}\nEND:VCARD`;
+        return {
+          name: number,
+          vcard
+        };
+      } else {
+        // Obiect contact complet
+        return contact;
+      }
+    });
+    
+    // Creare nod de mesaj
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: messageId,
+        content: [
+          {
+            type: 'contact',
+            contacts: formattedContacts
+          }
+        ]
       }
+    };
+    
+    // Mesaj citat, mențiuni și redirecționare
+    node.data.content[0].contextInfo = await this.buildContextInfo(jid, options);
+    
+    try {
+      // Trimitere mesaj
+      const response = await this.relayMessage(node);
+      
+      // Creare obiect mesaj
+      const message = {
+        id: messageId,
+        type: MessageType.CONTACT,
+        to: jid,
+        from: this.client.user.id,
+        fromMe: true,
+        contacts: formattedContacts,
+        timestamp: Date.now(),
+        status: 'sent'
+      };
+      
+      // Emitere eveniment
+      this.client.emit('message_sent', message);
       
-      this.client.store.messages.get(chatId).set(formattedMessage.id, formattedMessage);
+      return message;
+    } catch (error) {
+      this.client.log('Error sending contact message:', error);
+      throw WAQueryError.wrap(error, 'Failed to send contact message');
     }
+  }
+  
+  /**
+   * Trimitere mesaj cu butoane
+   * @param {string} to Destinatar
+   * @param {string} text Text
+   * @param {Array} buttons Butoane
+   * @param {Object} options Opțiuni
+   * @returns {Promise<Object>} Mesajul trimis
+   */
+  public async sendButtons(to: string, text: string, buttons: any[], options: any = {}): Promise<any> {
+    // Formatare JID dacă este necesar
+    const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
     
-    // Emitere eveniment
-    this.client.emit('message', formattedMessage);
+    // Generare ID mesaj
+    const messageId = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
     
-    // Emitere eveniment specific tipului
-    if (formattedMessage.type) {
-      this.client.emit(`message_${formattedMessage.type}`, formattedMessage);
+    // Formatare butoane
+    const formattedButtons = buttons.map((button, index) => ({
+      id: button.id || `btn_${index}`,
+      text: button.text
+    }));
+    
+    // Creare nod de mesaj
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: messageId,
+        content: [
+          {
+            type: 'buttons',
+            text,
+            footer: options.footer,
+            buttons: formattedButtons
+          }
+        ]
+      }
+    };
+    
+    // Mesaj citat, mențiuni și redirecționare
+    node.data.content[0].contextInfo = await this.buildContextInfo(jid, options, text);
+    
+    try {
+      // Trimitere mesaj
+      const response = await this.relayMessage(node);
+      
+      // Creare obiect mesaj
+      const message = {
+        id: messageId,
+        type: MessageType.BUTTON,
+        to: jid,
+        from: this.client.user.id,
+        fromMe: true,
+        text,
+        footer: options.footer,
+        buttons: formattedButtons,
+        timestamp: Date.now(),
+        status: 'sent'
+      };
+      
+      // Emitere eveniment
+      this.client.emit('message_sent', message);
+      
+      return message;
+    } catch (error) {
+      this.client.log('Error sending button message:', error);
+      throw WAQueryError.wrap(error, 'Failed to send button message');
     }
   }
   
   /**
-   * Formatare mesaj
-   * @param {Object} message Mesajul de formatat
-   * @returns {Object} Mesajul formatat
-   * @private
+   * Trimitere mesaj listă
+   * @param {string} to Destinatar
+   * @param {string} title Titlu
+   * @param {string} buttonText Text buton
+   * @param {Array} sections Secțiuni
+   * @param {Object} options Opțiuni
+   * @returns {Promise<Object>} Mesajul trimis
    */
-  private _formatMessage(message: any): any {
-    // Determinare tip mesaj
-    let type = message.type || MessageType.TEXT;
-    let content = {};
+  public async sendList(to: string, title: string, buttonText: string, sections: any[], options: any = {}): Promise<any> {
+    // Formatare JID dacă este necesar
+    const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
     
-    // Extragere conținut în funcție de tip
-    if (message.content) {
-      if (typeof message.content === 'string') {
-        content = { text: message.content };
-        type = MessageType.TEXT;
-      } else if (message.content.text) {
-        content = { text: message.content.text };
-        type = MessageType.TEXT;
-      } else if (message.content.image) {
-        content = message.content.image;
-        type = MessageType.IMAGE;
-      } else if (message.content.video) {
-        content = message.content.video;
-        type = MessageType.VIDEO;
-      } else if (message.content.audio) {
-        content = message.content.audio;
-        type = MessageType.AUDIO;
-      } else if (message.content.document) {
-        content = message.content.document;
-        type = MessageType.DOCUMENT;
-      } else if (message.content.location) {
-        content = message.content.location;
-        type = MessageType.LOCATION;
-      } else if (message.content.contact) {
-        content = message.content.contact;
-        type = MessageType.CONTACT;
-      } else if (message.content.buttons) {
-        content = message.content.buttons;
-        type = MessageType.BUTTON;
-      } else if (message.content.list) {
-        content = message.content.list;
-        type = MessageType.LIST;
+    // Generare ID mesaj
+    const messageId = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
+    
+    // Creare nod de mesaj
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: messageId,
+        content: [
+          {
+            type: 'list',
+            title,
+            buttonText,
+            footer: options.footer,
+            sections
+          }
+        ]
       }
+    };
+    
+    // Mesaj citat, mențiuni și redirecționare
+    node.data.content[0].contextInfo = await this.buildContextInfo(jid, options, title);
+    
+    try {
+      // Trimitere mesaj
+      const response = await this.relayMessage(node);
+      
+      // Creare obiect mesaj
+      const message = {
+        id: messageId,
+        type: MessageType.LIST,
+        to: jid,
+        from: this.client.user.id,
+        fromMe: true,
+        title,
+        buttonText,
+        footer: options.footer,
+        sections,
+        timestamp: Date.now(),
+        status: 'sent'
+      };
+      
+      // Emitere eveniment
+      this.client.emit('message_sent', message);
+      
+      return message;
+    } catch (error) {
+      this.client.log('Error sending list message:', error);
+      throw WAQueryError.wrap(error, 'Failed to send list message');
     }
+  }
+  
+  /**
+   * Trimitere reacție la un mesaj (emoji gol pentru eliminare)
+   * @param {string} to Conversația
+   * @param {Object} key Mesajul la care se reacționează (id, fromMe, participant)
+   * @param {string} emoji Reacția
+   * @param {Object} options Opțiuni
+   * @returns {Promise<Object>} Reacția trimisă
+   */
+  public async sendReaction(to: string, key: any, emoji: string, options: any = {}): Promise<any> {
+    const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    const messageId = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
+    const timestamp = Date.now();
     
-    // Formatare mesaj basic
-    const formattedMessage = {
-      id: message.id,
-      type,
-      from: message.from,
-      fromMe: message.fromMe || message.from === this.client.user?.id,
-      to: message.to,
-      chatJid: message.chatJid || (message.fromMe ? message.to : message.from),
-      timestamp: message.timestamp || Date.now(),
-      status: message.status || 'received',
-      ...content
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: messageId,
+        content: [
+          {
+            type: 'reaction',
+            text: emoji,
+            senderTimestampMs: timestamp,
+            key: { remoteJid: jid, id: key.id, fromMe: !!key.fromMe, participant: key.participant }
+          }
+        ]
+      }
     };
     
-    return formattedMessage;
+    try {
+      await this.relayMessage(node);
+      
+      const reaction = {
+        id: messageId,
+        type: MessageType.REACTION,
+        to: jid,
+        from: this.client.user.id,
+        fromMe: true,
+        chatJid: jid,
+        reaction: { id: key.id, emoji, removed: !emoji },
+        timestamp,
+        status: 'sent'
+      };
+      
+      // Reacția nu este un mesaj separat în store: se actualizează mesajul vizat
+      await this._applyReaction(reaction);
+      
+      return reaction;
+    } catch (error) {
+      this.client.log('Error sending reaction:', error);
+      throw WAQueryError.wrap(error, 'Failed to send reaction');
+    }
+  }
+  
+  /**
+   * Trimitere sondaj
+   * @param {string} to Destinatar
+   * @param {string} question Întrebarea
+   * @param {string[]} options Opțiunile (2-12, unice)
+   * @param {Object} settings selectableCount (0 = oricâte opțiuni), id
+   * @returns {Promise<Object>} Mesajul trimis
+   */
+  public async sendPoll(to: string, question: string, options: string[], settings: any = {}): Promise<any> {
+    this.client.pollHandler.validatePoll(options, settings.selectableCount);
+    
+    const selectableCount = settings.selectableCount || 0;
+    const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    const messageId = settings.id || crypto.randomBytes(8).toString('hex').toUpperCase();
+    
+    // Secretul din care se derivă cheile voturilor
+    const messageSecret = crypto.randomBytes(32);
+    
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: messageId,
+        content: [
+          {
+            type: 'poll',
+            name: question,
+            selectableCount,
+            messageSecret,
+            content: options.map(name => ({ type: 'option', name }))
+          }
+        ]
+      }
+    };
+    
+    // Mesaj citat, mențiuni și redirecționare
+    node.data.content[0].contextInfo = await this.buildContextInfo(jid, settings, question);
+    
+    try {
+      await this.relayMessage(node);
+      
+      const message = {
+        id: messageId,
+        type: MessageType.POLL,
+        to: jid,
+        from: this.client.user.id,
+        fromMe: true,
+        question,
+        options,
+        selectableCount,
+        messageSecret,
+        votes: {},
+        timestamp: Date.now(),
+        status: 'sent'
+      };
+      
+      this.client.emit('message_sent', message);
+      
+      return message;
+    } catch (error) {
+      this.client.log('Error sending poll:', error);
+      throw WAQueryError.wrap(error, 'Failed to send poll');
+    }
+  }
+  
+  /**
+   * Redirecționare mesaj existent; media este trimisă cu aceleași chei și
+   * aceeași cale (directPath), fără reîncărcare
+   * @param {string} to Destinatar
+   * @param {Object} message Mesajul redirecționat (din store sau dintr-un eveniment)
+   * @param {Object} options Opțiuni (id)
+   * @returns {Promise<Object>} Mesajul trimis
+   */
+  public async forwardMessage(to: string, message: any, options: any = {}): Promise<any> {
+    const jid = to.includes('@') ? to : `${to.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    const messageId = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
+    
+    const content = this._forwardContent(message);
+    const { type: contentType, ...fields } = content;
+    
+    // Fiecare redirecționare crește scorul mesajului primit
+    const previousScore = message.contextInfo ? Number(message.contextInfo.forwardingScore) || 0 : 0;
+    content.contextInfo = await this.buildContextInfo(jid, { forwardingScore: previousScore + 1 });
+    
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: messageId,
+        content: [content]
+      }
+    };
+    
+    try {
+      await this.relayMessage(node);
+      
+      const forwarded: any = {
+        id: messageId,
+        type: message.type,
+        to: jid,
+        from: this.client.user.id,
+        fromMe: true,
+        ...(contentType === 'poll' ? this._formatPoll(content) : fields),
+        contextInfo: content.contextInfo,
+        timestamp: Date.now(),
+        status: 'sent'
+      };
+      
+      this.client.emit('message_sent', forwarded);
+      
+      return forwarded;
+    } catch (error) {
+      this.client.log('Error forwarding message:', error);
+      throw WAQueryError.wrap(error, 'Failed to forward message');
+    }
+  }
+  
+  /**
+   * Verificare mesaj înainte de redirecționare
+   * @param {Object} message Mesajul redirecționat
+   */
+  public validateForward(message: any): void {
+    if (!message || NON_FORWARDABLE_TYPES.includes(message.type)) {
+      throw new Error(`Messages of type ${message ? message.type : 'unknown'} cannot be forwarded`);
+    }
+    
+    if (!this._messageSnapshot(message)) {
+      throw new Error('Message has no content to forward');
+    }
+    
+    // Media este trimisă fără reîncărcare: sunt necesare cheia și calea fișierului
+    const isMedia = [MessageType.IMAGE, MessageType.VIDEO, MessageType.AUDIO, MessageType.DOCUMENT, MessageType.STICKER]
+      .includes(message.type);
+    if (isMedia && (!message.mediaKey || !(message.directPath || message.url))) {
+      throw new Error('Message has no media key or path to forward');
+    }
+  }
+  
+  /**
+   * Editare mesaj text trimis
+   * @param {string} chatId Conversația
+   * @param {string} messageId ID-ul mesajului editat
+   * @param {string} newText Noul text
+   * @returns {Promise<Object>} Mesajul actualizat (sau doar modificările, dacă nu este în store)
+   */
+  public async editMessage(chatId: string, messageId: string, newText: string): Promise<any> {
+    const jid = chatId.includes('@') ? chatId : `${chatId.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    const original = await this.client.store.getMessage(jid, messageId);
+    
+    if (original && !original.fromMe) {
+      throw new Error('Only your own messages can be edited');
+    }
+    
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: crypto.randomBytes(8).toString('hex').toUpperCase(),
+        edit: EDIT_ATTR.EDIT,
+        content: [
+          {
+            type: 'protocol',
+            action: 'edit',
+            key: { remoteJid: jid, id: messageId, fromMe: true },
+            content: [{ type: 'text', text: newText }]
+          }
+        ]
+      }
+    };
+    
+    try {
+      await this.relayMessage(node);
+      
+      const update = { text: newText, edited: true, editTimestamp: Date.now() };
+      await this.client.store.updateMessage(jid, messageId, update);
+      
+      return original ? { ...original, ...update } : { id: messageId, chatJid: jid, fromMe: true, ...update };
+    } catch (error) {
+      this.client.log('Error editing message:', error);
+      throw WAQueryError.wrap(error, 'Failed to edit message');
+    }
+  }
+  
+  /**
+   * Ștergere mesaj pentru toți participanții
+   *
+   * Mesajele altor membri pot fi șterse doar în grupuri, de administratori;
+   * dacă mesajul nu este în store, `participant` indică expeditorul lui.
+   * @param {string} chatId Conversația
+   * @param {string} messageId ID-ul mesajului
+   * @param {string} participant Expeditorul mesajului (pentru ștergerea ca administrator)
+   * @returns {Promise<Object>} Mesajul șters
+   */
+  public async revokeMessage(chatId: string, messageId: string, participant?: string): Promise<any> {
+    const jid = chatId.includes('@') ? chatId : `${chatId.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    const original = await this.client.store.getMessage(jid, messageId);
+    const sender = original ? original.participant || original.from : participant;
+    const fromMe = original ? !!original.fromMe : !participant || this._isOwnJid(participant);
+    
+    if (!fromMe && decodeJid(jid).server !== 'g.us') {
+      throw new Error('Only your own messages can be deleted for everyone');
+    }
+    
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'w:m',
+        to: jid,
+        id: crypto.randomBytes(8).toString('hex').toUpperCase(),
+        edit: fromMe ? EDIT_ATTR.SENDER_REVOKE : EDIT_ATTR.ADMIN_REVOKE,
+        content: [
+          {
+            type: 'protocol',
+            action: 'revoke',
+            key: { remoteJid: jid, id: messageId, fromMe, participant: fromMe ? undefined : sender }
+          }
+        ]
+      }
+    };
+    
+    try {
+      await this.relayMessage(node);
+      
+      const revoked = this._revokedMessage(original || { id: messageId, chatJid: jid, fromMe, participant: sender }, this.client.user.id);
+      if (original) {
+        await this.client.store.saveMessage(revoked);
+      }
+      
+      return revoked;
+    } catch (error) {
+      this.client.log('Error revoking message:', error);
+      throw WAQueryError.wrap(error, 'Failed to delete message for everyone');
+    }
+  }
+  
+  /**
+   * Construire `contextInfo` pentru un mesaj trimis: mesajul citat (ID, conversație,
+   * autor și o copie a conținutului), mențiunile (inclusiv `@număr` din text) și
+   * marcajul de redirecționare
+   * @param {string} jid Conversația în care se trimite
+   * @param {Object} options quoted (mesaj sau cheie), mentions, forwardingScore
+   * @param {string} text Textul mesajului, din care se extrag mențiunile
+   * @returns {Promise<Object|undefined>} contextInfo sau undefined dacă nu este nimic de adăugat
+   */
+  public async buildContextInfo(jid: string, options: any = {}, text?: string): Promise<any | undefined> {
+    const contextInfo: any = {};
+    
+    if (options.quoted) {
+      const quoted = await this._resolveQuoted(jid, options.quoted);
+      const remoteJid = quoted.chatJid || quoted.remoteJid || jid;
+      const author = quoted.fromMe ? this.client.user.id : quoted.participant || quoted.from || remoteJid;
+      
+      contextInfo.stanzaId = quoted.id;
+      contextInfo.remoteJid = remoteJid;
+      contextInfo.participant = normalizeJid(author);
+      
+      const snapshot = this._messageSnapshot(quoted);
+      if (snapshot) {
+        contextInfo.quotedMessage = { content: [snapshot] };
+      }
+    }
+    
+    const mentions = this._mentions(options.mentions, text);
+    if (mentions.length > 0) {
+      contextInfo.mentionedJid = mentions;
+    }
+    
+    if (options.forwardingScore > 0) {
+      contextInfo.isForwarded = true;
+      contextInfo.forwardingScore = options.forwardingScore;
+      if (options.forwardingScore >= FORWARDED_MANY_TIMES_SCORE) {
+        contextInfo.forwardedManyTimes = true;
+      }
+    }
+    
+    return Object.keys(contextInfo).length > 0 ? contextInfo : undefined;
+  }
+  
+  /**
+   * Trimitere nod de mesaj; conținutul este criptat end-to-end și înlocuit cu
+   * noduri `enc` (sesiune Signal cu fiecare dispozitiv al destinatarului și al
+   * contului propriu pentru conversațiile individuale, sender key pentru grupuri)
+   * @param {Object} node Nodul de mesaj
+   * @returns {Promise<Object>} Răspunsul serverului
+   */
+  public async relayMessage(node: any): Promise<any> {
+    const { to, content } = node.data;
+    if (!Array.isArray(content) || !to) {
+      return this.client.protocolManager.sendBinary(node);
+    }
+    
+    const plaintext = encodeMessage(content);
+    const server = decodeJid(to).server;
+    
+    if (server === 's.whatsapp.net') {
+      // Celelalte dispozitive proprii primesc mesajul împreună cu conversația din care face parte
+      const ownPlaintext = encodeMessage([{ type: 'deviceSentMessage', destinationJid: to, content }]);
+      
+      const devices = await this._getDevices([to]);
+      const { participants, recipients, preKey } = await this._encryptForDevices(devices, plaintext, ownPlaintext);
+      if (!recipients.some(jid => this._sameUser(jid, to))) {
+        throw new Error(`Could not encrypt message for any device of ${to}`);
+      }
+      
+      node.data.content = [
+        { tag: 'participants', attrs: {}, content: participants },
+        ...(await this._deviceIdentityNodes(preKey))
+      ];
+      
+      const response = await this.client.protocolManager.sendBinary(node);
+      this.client.receiptHandler.trackMessage(node.data.id, to, [to]);
+      return response;
+    
+    } else if (server === 'g.us') {
+      const { ciphertext, distribution } = await this.client.signalHandler.encryptGroup(to, plaintext);
+      const { participants, recipients, members, preKey } = await this._distributeSenderKey(to, distribution);
+      
+      node.data.content = [
+        ...(participants.length > 0 ? [{ tag: 'participants', attrs: {}, content: participants }] : []),
+        { tag: 'enc', attrs: { v: '2', type: 'skmsg' }, content: ciphertext },
+        ...(await this._deviceIdentityNodes(preKey))
+      ];
+      
+      const response = await this.client.protocolManager.sendBinary(node);
+      await this.client.signalHandler.markSenderKeyRecipients(to, recipients);
+      this.client.receiptHandler.trackMessage(node.data.id, to, members);
+      return response;
+    }
+    
+    return this.client.protocolManager.sendBinary(node);
+  }
+  
+  /**
+   * Construire noduri `to` cu sender key-ul propriu pentru dispozitivele
+   * membrilor (și cele proprii) care nu îl au
+   * @param {string} groupJid JID-ul grupului
+   * @param {Buffer} distribution SenderKeyDistributionMessage-ul curent
+   * @returns {Promise<Object>} Nodurile `to`, dispozitivele incluse, membrii grupului (fără noi) și dacă există `pkmsg`
+   * @private
+   */
+  private async _distributeSenderKey(
+    groupJid: string,
+    distribution: Buffer
+  ): Promise<{ participants: any[], recipients: string[], members: string[], preKey: boolean }> {
+    const ownUser = this.client.user ? decodeJid(this.client.user.id).user : null;
+    const members: string[] = (await this.client.groupHandler.getParticipantJids(groupJid))
+      .filter((jid: string) => decodeJid(jid).user !== ownUser);
+    const devices = await this._getDevices(members);
+    const pending: string[] = await this.client.signalHandler.getPendingSenderKeyRecipients(groupJid, devices);
+    
+    const plaintext = encodeMessage([{ type: 'skdm', group: groupJid, content: distribution }]);
+    
+    // Dispozitivul care eșuează primește cheia la următorul mesaj trimis în grup
+    const { participants, recipients, preKey } = await this._encryptForDevices(pending, plaintext);
+    
+    return { participants, recipients, members, preKey };
+  }
+  
+  /**
+   * Dispozitivele utilizatorilor dați și celelalte dispozitive ale contului
+   * propriu (după asocierea multi-device); dacă lista nu poate fi obținută,
+   * mesajul pleacă doar către dispozitivul principal al fiecărui utilizator
+   * @param {string[]} users JID-urile utilizatorilor
+   * @private
+   */
+  private async _getDevices(users: string[]): Promise<string[]> {
+    const ownDevice = await this.client.deviceHandler.getOwnDeviceJid();
+    const jids = ownDevice ? [...users, ownDevice] : users;
+    
+    try {
+      return await this.client.deviceHandler.getDevices(jids);
+    } catch (error) {
+      this.client.log('Error fetching device lists, sending to primary devices only:', error);
+      return users;
+    }
+  }
+  
+  /**
+   * Criptare pentru fiecare dispozitiv, câte un nod `to`; dispozitivele proprii
+   * primesc `ownPlaintext`, dacă este dat
+   * @param {string[]} devices JID-urile dispozitivelor
+   * @param {Buffer} plaintext Datele pentru dispozitivele celorlalți
+   * @param {Buffer} ownPlaintext Datele pentru dispozitivele proprii
+   * @returns {Promise<Object>} Nodurile `to`, dispozitivele reușite și dacă există `pkmsg`
+   * @private
+   */
+  private async _encryptForDevices(
+    devices: string[],
+    plaintext: Buffer,
+    ownPlaintext: Buffer = plaintext
+  ): Promise<{ participants: any[], recipients: string[], preKey: boolean }> {
+    const participants: any[] = [];
+    const recipients: string[] = [];
+    let preKey = false;
+    
+    for (const jid of devices) {
+      try {
+        const data = this._isOwnJid(jid) ? ownPlaintext : plaintext;
+        const { type, ciphertext } = await this.client.signalHandler.encrypt(jid, data);
+        participants.push({
+          tag: 'to',
+          attrs: { jid },
+          content: [{ tag: 'enc', attrs: { v: '2', type }, content: ciphertext }]
+        });
+        recipients.push(jid);
+        preKey = preKey || type === 'pkmsg';
+      } catch (error) {
+        this.client.log(`Error encrypting for device ${jid}:`, error);
+      }
+    }
+    
+    return { participants, recipients, preKey };
+  }
+  
+  /**
+   * Nodul `device-identity` cerut lângă mesajele `pkmsg` de la un dispozitiv companion
+   * @private
+   */
+  private async _deviceIdentityNodes(preKey: boolean): Promise<any[]> {
+    const identity = preKey ? await this.client.deviceHandler.getDeviceIdentity() : null;
+    return identity ? [{ tag: 'device-identity', attrs: {}, content: identity }] : [];
+  }
+  
+  /**
+   * Obținere mesaje din conversație
+   *
+   * Mesajele sunt luate întâi din store; serverul este interogat doar pentru
+   * cele lipsă (mai vechi decât cel mai vechi mesaj găsit local), iar
+   * rezultatul este salvat în store.
+   * @param {string} chatId ID-ul conversației
+   * @param {number} limit Numărul maxim de mesaje
+   * @param {string} before ID-ul mesajului înainte de care să se obțină mesajele
+   * @returns {Promise<Array>} Lista de mesaje, de la cel mai vechi la cel mai nou
+   */
+  public async getChatMessages(chatId: string, limit = 20, before: string | null = null): Promise<any[]> {
+    const jid = chatId.includes('@') ? chatId : `${chatId.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    
+    try {
+      const stored: any[] = await this.client.store.queryMessages({
+        chatJid: jid,
+        before: before || undefined,
+        limit
+      });
+      
+      if (stored.length >= limit) {
+        return stored.reverse();
+      }
+      
+      // Golul este completat de la server, înaintea celui mai vechi mesaj local
+      const oldest = stored.length > 0 ? stored[stored.length - 1].id : before;
+      const fetched = await this._fetchChatMessages(jid, limit - stored.length, oldest);
+      
+      const known = new Set(stored.map(message => message.id));
+      const missing = fetched.filter(message => message.id && !known.has(message.id));
+      
+      for (const message of missing) {
+        await this.client.store.saveMessage({ ...message, chatJid: jid });
+      }
+      
+      const messages = [...missing, ...stored.reverse()];
+      messages.sort((a, b) => a.timestamp - b.timestamp);
+      return messages;
+    } catch (error) {
+      this.client.log('Error getting chat messages:', error);
+      throw WAQueryError.wrap(error, 'Failed to get chat messages');
+    }
+  }
+  
+  /**
+   * Interogare server pentru mesajele unei conversații
+   * @param {string} jid Conversația
+   * @param {number} limit Numărul maxim de mesaje
+   * @param {string} before ID-ul mesajului înainte de care să se obțină mesajele
+   * @returns {Promise<Array>} Mesajele formatate
+   * @private
+   */
+  private async _fetchChatMessages(jid: string, limit: number, before: string | null): Promise<any[]> {
+    // Creare nod de interogare
+    const node: any = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'get',
+        xmlns: 'w:m',
+        jid,
+        count: limit
+      }
+    };
+    
+    // Adăugare ID înainte dacă este specificat
+    if (before) {
+      node.data.before = before;
+    }
+    
+    // Trimitere interogare
+    const response = await this.client.protocolManager.query(node);
+    
+    // Procesare răspuns
+    if (response && response.data && response.data.messages) {
+      return response.data.messages.map(this._formatMessage.bind(this));
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Procesare mesaj primit
+   * @param {Object} message Mesajul primit
+   */
+  public async handleIncomingMessage(message: any): Promise<void> {
+    // Decriptare conținut end-to-end
+    if (Array.isArray(message.content) && message.content.some(this._isEncryptedNode)) {
+      try {
+        message = await this._decryptMessage(message);
+      } catch (error) {
+        this.client.log('Error decrypting message:', error);
+        this.client.emit('decryption_failed', { id: message.id, from: message.from, error });
+        return;
+      }
+      
+      // Mesaj care transportă doar date de protocol (ex: sender key)
+      if (message.content.length === 0) {
+        return;
+      }
+    }
+    
+    // Editări și ștergeri ale mesajelor existente
+    const protocol = Array.isArray(message.content)
+      ? message.content.find((child: any) => child && child.type === 'protocol')
+      : null;
+    if (protocol) {
+      await this._handleProtocolMessage(message, protocol);
+      return;
+    }
+    
+    // Voturile actualizează sondajul, fără a fi mesaje separate
+    const vote = Array.isArray(message.content)
+      ? message.content.find((child: any) => child && child.type === 'pollVote')
+      : null;
+    if (vote) {
+      await this.client.pollHandler.handleVote(message, this._liftBinaryFields(vote));
+      return;
+    }
+    
+    // Formatare mesaj
+    const formattedMessage = this._formatMessage(message);
+    
+    // Reacțiile se păstrează pe mesajul vizat
+    if (formattedMessage.type === MessageType.REACTION) {
+      try {
+        await this._applyReaction(formattedMessage);
+      } catch (error) {
+        this.client.log('Error saving reaction to store:', error);
+      }
+    } else if (formattedMessage.id) {
+      try {
+        await this.client.store.saveMessage(formattedMessage);
+      } catch (error) {
+        this.client.log('Error saving message to store:', error);
+      }
+    }
+    
+    // Emitere eveniment
+    this.client.emit('message', formattedMessage);
+    
+    // Emitere eveniment specific tipului
+    if (formattedMessage.type) {
+      this.client.emit(`message_${formattedMessage.type}`, formattedMessage);
+    }
+  }
+  
+  /**
+   * Aplicare editare/ștergere primită asupra mesajului din store
+   * @param {Object} message Mesajul care transportă modificarea
+   * @param {Object} protocol Nodul `protocol` (action, key, conținutul nou)
+   * @private
+   */
+  private async _handleProtocolMessage(message: any, protocol: any): Promise<void> {
+    const children = Array.isArray(protocol.content) ? protocol.content : [];
+    const key = children.find((child: any) => child.type === 'key');
+    if (!key || !key.id) {
+      return;
+    }
+    
+    const chatJid = normalizeJid(message.chatJid || (message.fromMe ? message.to : message.from));
+    const sender = normalizeJid(message.participant || message.from);
+    const before = await this.client.store.getMessage(chatJid, key.id);
+    const timestamp = Number(message.timestamp) || Date.now();
+    
+    // Fără mesajul original, autorul nu poate fi verificat
+    if (!before) {
+      this.client.log(`Ignoring ${protocol.action} of unknown message ${key.id} from ${sender}`);
+      return;
+    }
+    
+    const isAuthor = before.fromMe ? this._isOwnJid(sender) : this._sameUser(before.participant || before.from, sender);
+    
+    if (protocol.action === 'edit') {
+      // Doar autorul își poate edita mesajele
+      if (!isAuthor) {
+        this.client.log(`Ignoring edit of ${key.id} from ${sender}`);
+        return;
+      }
+      
+      const update = { text: this._contentFromNodes(children).text, edited: true, editTimestamp: timestamp };
+      await this.client.store.updateMessage(chatJid, key.id, update);
+      
+      this.client.emit('message_edit', { id: key.id, chatJid, from: sender, before, after: { ...before, ...update } });
+    
+    } else if (protocol.action === 'revoke') {
+      // Ștergerea de către admin: expeditorul trebuie să fie admin al grupului
+      const admin = message.edit === EDIT_ATTR.ADMIN_REVOKE && decodeJid(chatJid).server === 'g.us';
+      if (admin ? !(await this._isGroupAdmin(chatJid, sender)) : !isAuthor) {
+        this.client.log(`Ignoring revoke of ${key.id} from ${sender}`);
+        return;
+      }
+      
+      const after = this._revokedMessage(before, sender);
+      await this.client.store.saveMessage(after);
+      
+      this.client.emit('message_revoke', { id: key.id, chatJid, from: sender, admin, before, after });
+    }
+  }
+  
+  /**
+   * Verificare dacă un utilizator este admin al grupului (lista de participanți)
+   * @private
+   */
+  private async _isGroupAdmin(groupJid: string, jid: string): Promise<boolean> {
+    try {
+      const participants = await this.client.groupHandler.getParticipants(groupJid);
+      return participants.some((participant: any) =>
+        participant && participant.jid && this._sameUser(participant.jid, jid) && (participant.isAdmin || participant.isSuperAdmin));
+    } catch (error) {
+      this.client.log(`Error checking admin rights in ${groupJid}:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Mesaj șters pentru toți (fără conținut)
+   * @private
+   */
+  private _revokedMessage(message: any, revokedBy: string): any {
+    const { id, chatJid, from, to, fromMe, participant, timestamp, status, pushName } = message;
+    const revoked: any = {
+      id,
+      type: MessageType.REVOKED,
+      chatJid: chatJid || (fromMe ? to : from),
+      from,
+      to,
+      fromMe,
+      participant,
+      timestamp,
+      status,
+      pushName,
+      revokedBy
+    };
+    
+    return Object.fromEntries(Object.entries(revoked).filter(([, value]) => value !== undefined));
+  }
+  
+  /**
+   * Verificare dacă două JID-uri aparțin aceluiași utilizator (orice dispozitiv)
+   * @private
+   */
+  private _sameUser(a: string, b: string): boolean {
+    return decodeJid(a).user === decodeJid(b).user;
+  }
+  
+  /**
+   * Verificare dacă JID-ul este al utilizatorului curent
+   * @private
+   */
+  private _isOwnJid(jid: string): boolean {
+    return !!this.client.user && this._sameUser(jid, this.client.user.id);
+  }
+  
+  /**
+   * Decriptare nodurile `enc` ale unui mesaj
+   * @param {Object} message Mesajul primit
+   * @returns {Promise<Object>} Mesajul cu conținutul decriptat
+   * @private
+   */
+  private async _decryptMessage(message: any): Promise<any> {
+    const sender = message.participant || message.from;
+    const content: any[] = message.content.filter((child: any) => !this._isEncryptedNode(child));
+    
+    let destination: string | undefined;
+    
+    // Nodurile individuale primele: pot aduce sender key-ul necesar pentru `skmsg`
+    const encrypted = message.content.filter(this._isEncryptedNode);
+    encrypted.sort((a: any, b: any) => Number(a.type === 'skmsg') - Number(b.type === 'skmsg'));
+    
+    for (const child of encrypted) {
+      const plaintext = child.type === 'skmsg'
+        ? await this.client.signalHandler.decryptGroup(message.from, sender, child.content)
+        : await this.client.signalHandler.decrypt(sender, child.type, child.content);
+      
+      // Conținutul decodat primește forma nodurilor din stanza (atribute text,
+      // câmpurile binare ca noduri copil), ca restul conținutului primit
+      const decoded = fromBinaryNode(toBinaryNode('message', { content: decodeMessage(plaintext) }));
+      for (const item of Array.isArray(decoded.content) ? decoded.content : []) {
+        if (item.type === 'skdm' && Buffer.isBuffer(item.content)) {
+          await this.client.signalHandler.processSenderKeyDistribution(item.group || message.from, sender, item.content);
+        } else if (item.type === 'historySyncNotification') {
+          // Procesată în fundal, în ordinea sosirii
+          this.client.historySyncHandler.handleNotification(message, this._liftBinaryFields(item));
+        } else if (item.type === 'appStateSyncKeyShare') {
+          const keys = (Array.isArray(item.content) ? item.content : [])
+            .filter((key: any) => key.type === 'key')
+            .map((key: any) => this._liftBinaryFields(key));
+          await this.client.appStateHandler.handleKeyShare(message, keys);
+        } else if (item.type === 'deviceSentMessage' && this._isOwnJid(sender)) {
+          // Trimis de pe alt dispozitiv al contului propriu, în conversația `destinationJid`
+          content.push(...(Array.isArray(item.content) ? item.content : []));
+          destination = item.destinationJid;
+        } else {
+          content.push(item);
+        }
+      }
+    }
+    
+    return destination
+      ? { ...message, content, fromMe: true, to: destination, chatJid: destination }
+      : { ...message, content };
+  }
+  
+  /**
+   * Verificare nod de conținut criptat (`enc` cu tipul pkmsg/msg/skmsg)
+   * @private
+   */
+  private _isEncryptedNode(node: any): boolean {
+    return node && ['pkmsg', 'msg', 'skmsg'].includes(node.type) && Buffer.isBuffer(node.content);
+  }
+  
+  /**
+   * Formatare mesaj
+   * @param {Object} message Mesajul de formatat
+   * @returns {Object} Mesajul formatat
+   * @private
+   */
+  private _formatMessage(message: any): any {
+    // Conținutul decodat din nodul binar vine ca listă de noduri copil
+    const body = Array.isArray(message.content)
+      ? this._contentFromNodes(message.content)
+      : message.content;
+    
+    const { type, ...content } = this._formatBody(body, message.type || MessageType.TEXT);
+    
+    // Mesaj citat, mențiuni, redirecționare
+    const contextInfo = Array.isArray(message.content) ? this._findContextInfo(message.content) : undefined;
+    if (contextInfo) {
+      content.contextInfo = this._parseContextInfo(contextInfo);
+    }
+    
+    // Formatare mesaj basic
+    const chatJid = message.chatJid || (message.fromMe ? message.to : message.from);
+    const formattedMessage = {
+      id: message.id,
+      type,
+      from: message.from,
+      fromMe: message.fromMe || message.from === this.client.user?.id,
+      to: message.to,
+      participant: message.participant && normalizeJid(message.participant),
+      // Conversația nu depinde de dispozitivul expeditorului
+      chatJid: chatJid && normalizeJid(chatJid),
+      timestamp: message.timestamp || Date.now(),
+      status: message.status || 'received',
+      ...content
+    };
+    
+    return formattedMessage;
+  }
+  
+  /**
+   * Tipul și câmpurile mesajului din conținutul indexat după tip
+   * @param {Object} body Conținutul (text sau { image: {...} }, { location: {...} } etc.)
+   * @param {string} defaultType Tipul folosit dacă nu este recunoscut conținutul
+   * @private
+   */
+  private _formatBody(body: any, defaultType: string): any {
+    let type = defaultType;
+    let content: any = {};
+    
+    // Extragere conținut în funcție de tip
+    if (body) {
+      if (typeof body === 'string') {
+        content = { text: body };
+        type = MessageType.TEXT;
+      } else if (body.text) {
+        content = { text: body.text };
+        type = MessageType.TEXT;
+      } else if (body.image) {
+        content = body.image;
+        type = MessageType.IMAGE;
+      } else if (body.video) {
+        content = body.video;
+        type = MessageType.VIDEO;
+      } else if (body.audio) {
+        content = body.audio;
+        type = MessageType.AUDIO;
+      } else if (body.document) {
+        content = body.document;
+        type = MessageType.DOCUMENT;
+      } else if (body.location) {
+        content = body.location;
+        type = MessageType.LOCATION;
+      } else if (body.contact) {
+        content = body.contact;
+        type = MessageType.CONTACT;
+      } else if (body.buttons) {
+        content = body.buttons;
+        type = MessageType.BUTTON;
+      } else if (body.list) {
+        content = body.list;
+        type = MessageType.LIST;
+      } else if (body.reaction) {
+        content = { reaction: this._formatReaction(body.reaction) };
+        type = MessageType.REACTION;
+      } else if (body.poll) {
+        content = this._formatPoll(body.poll);
+        type = MessageType.POLL;
+      }
+    }
+    
+    return { type, ...content };
+  }
+  
+  /**
+   * Mesajul citat complet (din store, dacă s-a primit doar cheia)
+   * @private
+   */
+  private async _resolveQuoted(jid: string, quoted: any): Promise<any> {
+    if (quoted.type) {
+      return quoted;
+    }
+    
+    const stored = await this.client.store.getMessage(quoted.chatJid || quoted.remoteJid || jid, quoted.id);
+    return stored ? { ...quoted, ...stored } : quoted;
+  }
+  
+  /**
+   * Copia conținutului unui mesaj, ca nod de conținut (pentru mesajul citat)
+   * @param {Object} message Mesajul formatat
+   * @returns {Object|undefined} Nodul de conținut
+   * @private
+   */
+  private _messageSnapshot(message: any): any | undefined {
+    const pick = (type: string, fields: string[]) => {
+      const node: any = { type };
+      for (const field of fields) {
+        if (message[field] !== undefined && message[field] !== null) {
+          node[field] = message[field];
+        }
+      }
+      return node;
+    };
+    
+    switch (message.type) {
+      case MessageType.IMAGE:
+      case MessageType.VIDEO:
+      case MessageType.AUDIO:
+      case MessageType.DOCUMENT:
+      case MessageType.STICKER: {
+        const media = pick(message.type, SNAPSHOT_MEDIA_FIELDS);
+        // Mesajele trimise păstrează dimensiunea ca `filesize`
+        if (media.fileLength === undefined && message.filesize !== undefined) {
+          media.fileLength = message.filesize;
+        }
+        return media;
+      }
+      
+      case MessageType.LOCATION:
+        return pick('location', ['latitude', 'longitude', 'name', 'address']);
+      
+      case MessageType.CONTACT:
+        return pick('contact', ['displayName', 'vcard', 'contacts']);
+      
+      case MessageType.POLL:
+        return {
+          type: 'poll',
+          name: message.question,
+          selectableCount: message.selectableCount,
+          content: (message.options || []).map((name: string) => ({ type: 'option', name }))
+        };
+    }
+    
+    const text = message.text !== undefined ? message.text : message.body;
+    return typeof text === 'string' ? { type: 'text', text } : undefined;
+  }
+  
+  /**
+   * Nodul de conținut pentru redirecționare (copia completă a mesajului)
+   * @param {Object} message Mesajul redirecționat
+   * @returns {Object} Nodul de conținut
+   * @private
+   */
+  private _forwardContent(message: any): any {
+    this.validateForward(message);
+    
+    // Media rămâne pe CDN: se refolosesc cheia, hash-urile și directPath
+    const content = this._messageSnapshot(message);
+    if (content.mediaKey) {
+      content.mediaKeyTimestamp = message.mediaKeyTimestamp || Math.floor(Date.now() / 1000);
+    }
+    
+    // Un sondaj redirecționat este un sondaj nou, cu propriul secret pentru voturi
+    if (content.type === 'poll') {
+      content.messageSecret = crypto.randomBytes(32);
+    }
+    
+    return content;
+  }
+  
+  /**
+   * JID-urile menționate: lista dată plus `@număr` din text
+   * @private
+   */
+  private _mentions(mentions: string[] | undefined, text?: string): string[] {
+    const jids = (mentions || []).map(mention => (mention.includes('@')
+      ? mention
+      : `${mention.replace(/[^0-9]/g, '')}@s.whatsapp.net`));
+    
+    for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+      jids.push(`${match[1]}@s.whatsapp.net`);
+    }
+    
+    return Array.from(new Set(jids));
+  }
+  
+  /**
+   * Nodul `contextInfo` al conținutului principal
+   * @private
+   */
+  private _findContextInfo(nodes: any[]): any | undefined {
+    for (const node of nodes) {
+      const children = node && Array.isArray(node.content) ? node.content : [];
+      const contextInfo = children.find((child: any) => child && child.type === 'contextInfo');
+      if (contextInfo) {
+        return contextInfo;
+      }
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Conversie nod `contextInfo` primit (mesajul citat este formatat ca un mesaj)
+   * @private
+   */
+  private _parseContextInfo(node: any): any {
+    const children = Array.isArray(node.content) ? node.content : [];
+    const quoted = children.find((child: any) => child.type === 'quotedMessage');
+    const mentioned = children.find((child: any) => child.type === 'mentionedJid');
+    
+    const contextInfo: any = {
+      stanzaId: node.stanzaId,
+      participant: node.participant,
+      remoteJid: node.remoteJid,
+      quotedMessage: quoted && Array.isArray(quoted.content)
+        ? this._formatBody(this._contentFromNodes(quoted.content), MessageType.TEXT)
+        : undefined,
+      mentionedJid: mentioned && Array.isArray(mentioned.content)
+        ? mentioned.content.map((item: any) => item.value).filter(Boolean)
+        : undefined,
+      isForwarded: node.isForwarded === 'true' || node.isForwarded === true || undefined,
+      forwardingScore: Number(node.forwardingScore) || undefined,
+      forwardedManyTimes: node.forwardedManyTimes === 'true' || node.forwardedManyTimes === true
+        || Number(node.forwardingScore) >= FORWARDED_MANY_TIMES_SCORE || undefined
+    };
+    
+    return Object.fromEntries(Object.entries(contextInfo).filter(([, value]) => value !== undefined));
+  }
+  
+  /**
+   * Reacția dintr-un nod `reaction`
+   * @private
+   */
+  private _formatReaction(node: any): any {
+    const key = (Array.isArray(node.content) ? node.content : []).find((child: any) => child.type === 'key') || {};
+    const emoji = node.text || '';
+    
+    return { id: key.id, emoji, removed: !emoji };
+  }
+  
+  /**
+   * Sondajul dintr-un nod `poll` (opțiunile sunt noduri copil `option`)
+   * @private
+   */
+  private _formatPoll(node: any): any {
+    const options = (Array.isArray(node.content) ? node.content : [])
+      .filter((child: any) => child.type === 'option')
+      .map((child: any) => child.name);
+    
+    return {
+      question: node.name,
+      options,
+      selectableCount: Number(node.selectableCount) || 0,
+      messageSecret: node.messageSecret,
+      votes: {}
+    };
+  }
+  
+  /**
+   * Actualizare reacții pe mesajul vizat (`reactions`: expeditor -> emoji)
+   * @param {Object} reaction Mesajul de reacție formatat
+   * @private
+   */
+  private async _applyReaction(reaction: any): Promise<void> {
+    const target = await this.client.store.getMessage(reaction.chatJid, reaction.reaction.id);
+    if (!target) {
+      return;
+    }
+    
+    const sender = normalizeJid(reaction.fromMe ? this.client.user.id : reaction.participant || reaction.from);
+    const reactions = { ...(target.reactions || {}) };
+    
+    if (reaction.reaction.removed) {
+      delete reactions[sender];
+    } else {
+      reactions[sender] = { emoji: reaction.reaction.emoji, timestamp: reaction.timestamp };
+    }
+    
+    await this.client.store.updateMessage(reaction.chatJid, reaction.reaction.id, { reactions });
+  }
+  
+  /**
+   * Conversie listă de noduri copil în conținut indexat după tip
+   * @param {Array} nodes Nodurile copil
+   * @returns {Object} Conținutul (ex: { text } sau { image: {...} })
+   * @private
+   */
+  private _contentFromNodes(nodes: any[]): any {
+    const content: any = {};
+    
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        const text = node.text !== undefined ? node.text : node.content;
+        content.text = Buffer.isBuffer(text) ? text.toString('utf8') : text;
+      } else if (node.type) {
+        content[node.type] = this._liftBinaryFields(node);
+      }
+    }
+    
+    return content;
+  }
+  
+  /**
+   * Mutare câmpuri binare (noduri copil cu conținut Buffer, ex: mediaKey,
+   * fileSha256) ca proprietăți ale nodului
+   * @param {Object} node Nodul de conținut
+   * @private
+   */
+  private _liftBinaryFields(node: any): any {
+    if (!Array.isArray(node.content)) {
+      return node;
+    }
+    
+    const lifted: any = { ...node };
+    const rest = node.content.filter((child: any) => {
+      if (child && child.type && Buffer.isBuffer(child.content) && lifted[child.type] === undefined) {
+        lifted[child.type] = child.content;
+        return false;
+      }
+      return true;
+    });
+    
+    if (rest.length > 0) {
+      lifted.content = rest;
+    } else {
+      delete lifted.content;
+    }
+    
+    return lifted;
   }
-}
\ No newline at end of file
+}
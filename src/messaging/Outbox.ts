@@ -0,0 +1,382 @@
+/**
+ * Coadă de trimitere pentru mesajele create cât clientul nu este conectat
+ *
+ * Mesajele sunt trimise în ordine după ce conexiunea ajunge în starea READY.
+ * Fiecare intrare are reîncercări cu backoff și o vârstă maximă; opțional,
+ * coada este salvată într-un fișier JSON și reîncărcată la pornire.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { ConnectionState } from '../constants';
+import { MessageType, OutboxOptions } from '../types';
+import { serialize, deserialize } from '../utils/serialize';
+
+export type OutboxMethod = 'text' | 'media' | 'location' | 'contact' | 'buttons' | 'list' | 'reaction' | 'poll' | 'forward';
+
+export interface OutboxEntry {
+  id: string;
+  method: OutboxMethod;
+  args: any[];
+  attempts: number;
+  createdAt: number;
+  nextAttemptAt: number;
+}
+
+// Tipul mesajului pentru fiecare metodă (media: din opțiuni)
+const METHOD_TYPES: { [method: string]: MessageType } = {
+  text: MessageType.TEXT,
+  location: MessageType.LOCATION,
+  contact: MessageType.CONTACT,
+  buttons: MessageType.BUTTON,
+  list: MessageType.LIST,
+  reaction: MessageType.REACTION,
+  poll: MessageType.POLL
+};
+
+// Întârzierea maximă între două reîncercări
+const MAX_RETRY_DELAY = 60000;
+
+// Regulile pentru opțiunile numerice
+const OPTION_RULES: { [name: string]: { valid: (value: number) => boolean, expected: string } } = {
+  maxAge: { valid: value => value > 0, expected: 'a positive number' },
+  maxRetries: { valid: value => Number.isInteger(value) && value >= 0, expected: 'a non-negative integer' },
+  retryDelay: { valid: value => value >= 0, expected: 'a non-negative number' }
+};
+
+/**
+ * Verificare opțiuni numerice (o vârstă maximă nenumerică ar păstra mesajele la nesfârșit)
+ * @param {OutboxOptions} options Opțiunile primite
+ */
+function validateOptions(options: OutboxOptions): void {
+  for (const [name, rule] of Object.entries(OPTION_RULES)) {
+    const value = (options as any)[name];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || !rule.valid(value))) {
+      throw new Error(`Invalid outbox option ${name}: expected ${rule.expected}`);
+    }
+  }
+}
+
+export class Outbox {
+  private client: any;
+  private options: Required<Omit<OutboxOptions, 'path'>> & OutboxOptions;
+  private entries: OutboxEntry[] = [];
+  private flushing = false;
+  private retryTimer: NodeJS.Timeout | null = null;
+  private persisting: Promise<void> = Promise.resolve();
+  
+  constructor(client: any, options: OutboxOptions = {}) {
+    validateOptions(options);
+    
+    this.client = client;
+    this.options = {
+      enabled: options.enabled !== false,
+      path: options.path,
+      maxAge: options.maxAge ?? 24 * 60 * 60 * 1000,
+      maxRetries: options.maxRetries ?? 5,
+      retryDelay: options.retryDelay ?? 2000
+    };
+    
+    this._load();
+    
+    this.client.on('state_change', ({ to }: { to: string }) => {
+      if (to === ConnectionState.READY) {
+        this.flush();
+      } else if (to === ConnectionState.DISCONNECTED && this.retryTimer) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+      }
+    });
+  }
+  
+  /**
+   * Numărul de mesaje din coadă
+   */
+  public get size(): number {
+    return this.entries.length;
+  }
+  
+  /**
+   * Trimitere mesaj: direct dacă clientul este gata și coada este goală,
+   * altfel mesajul este adăugat în coadă
+   * @param {OutboxMethod} method Tipul trimiterii
+   * @param {Array} args Argumentele metodei de trimitere (ultimul: opțiunile)
+   * @returns {Promise<Object>} Mesajul trimis sau mesajul în așteptare (status `queued`)
+   */
+  public async send(method: OutboxMethod, args: any[]): Promise<any> {
+    // Fără coadă: comportamentul inițial, trimitere doar cu clientul autentificat
+    if (!this.options.enabled) {
+      if (this.client.state !== ConnectionState.AUTHENTICATED && this.client.state !== ConnectionState.READY) {
+        throw new Error('Not connected or authenticated to WhatsApp');
+      }
+      return this._dispatch(method, args);
+    }
+    
+    // ID-ul este fixat înainte de prima încercare, ca mesajul pus în coadă
+    // după o trimitere întreruptă să aibă același ID
+    args = this._withMessageId(args);
+    
+    if (this._isConnected() && this.entries.length === 0) {
+      try {
+        return await this._dispatch(method, args);
+      } catch (error) {
+        // Conexiunea a căzut în timpul trimiterii: mesajul așteaptă reconectarea
+        if (this._isConnected()) {
+          throw error;
+        }
+        this.client.log('Connection lost while sending, queueing message:', error);
+      }
+    }
+    
+    return this._enqueue(method, args);
+  }
+  
+  /**
+   * Trimitere în ordine a mesajelor din coadă
+   * @returns {Promise<void>}
+   */
+  public async flush(): Promise<void> {
+    if (this.flushing) {
+      return;
+    }
+    
+    this.flushing = true;
+    
+    try {
+      this._removeExpired();
+      
+      while (this.entries.length > 0 && this._isConnected()) {
+        const entry = this.entries[0];
+        
+        // Primul mesaj blochează restul, pentru păstrarea ordinii
+        const wait = entry.nextAttemptAt - Date.now();
+        if (wait > 0) {
+          this._scheduleRetry(wait);
+          break;
+        }
+        
+        try {
+          await this._dispatch(entry.method, entry.args);
+          this.entries.shift();
+          this._persist();
+        } catch (error) {
+          entry.attempts++;
+          
+          if (entry.attempts >= this.options.maxRetries) {
+            this._fail(entry, error as Error);
+            continue;
+          }
+          
+          const delay = Math.min(this.options.retryDelay * Math.pow(2, entry.attempts - 1), MAX_RETRY_DELAY);
+          entry.nextAttemptAt = Date.now() + delay;
+          this._persist();
+          
+          this.client.log(`Failed to send queued message ${entry.id} (attempt ${entry.attempts}), retrying in ${delay}ms`);
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+  
+  /**
+   * Golire coadă (mesajele sunt raportate ca eșuate)
+   */
+  public clear(): void {
+    for (const entry of [...this.entries]) {
+      this._fail(entry, new Error('Outbox cleared'));
+    }
+  }
+  
+  /**
+   * Adăugare mesaj în coadă
+   * @private
+   */
+  private _enqueue(method: OutboxMethod, args: any[]): any {
+    this._removeExpired();
+    
+    const options = args[args.length - 1];
+    
+    const entry: OutboxEntry = {
+      id: options.id,
+      method,
+      args,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: 0
+    };
+    
+    this.entries.push(entry);
+    this._persist();
+    
+    const message = {
+      id: entry.id,
+      type: METHOD_TYPES[method] || options.type,
+      to: args[0],
+      from: this.client.user ? this.client.user.id : undefined,
+      fromMe: true,
+      timestamp: entry.createdAt,
+      status: 'queued'
+    };
+    
+    this.client.emit('message_queued', message);
+    
+    if (this._isConnected()) {
+      this.flush();
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Copie a argumentelor cu ID-ul mesajului fixat în opțiuni (ultimul argument)
+   * @private
+   */
+  private _withMessageId(args: any[]): any[] {
+    const options = { ...(args[args.length - 1] || {}) };
+    options.id = options.id || crypto.randomBytes(8).toString('hex').toUpperCase();
+    
+    return [...args.slice(0, -1), options];
+  }
+  
+  /**
+   * Trimitere efectivă prin handler-ul corespunzător
+   * @private
+   */
+  private _dispatch(method: OutboxMethod, args: any[]): Promise<any> {
+    const [to, ...rest] = args;
+    
+    switch (method) {
+      case 'text':
+        return this.client.messageHandler.sendText(to, rest[0], rest[1]);
+      case 'media':
+        return this.client.mediaHandler.sendMedia(to, rest[0], rest[1]);
+      case 'location':
+        return this.client.messageHandler.sendLocation(to, rest[0], rest[1], rest[2]);
+      case 'contact':
+        return this.client.messageHandler.sendContact(to, rest[0], rest[1]);
+      case 'buttons':
+        return this.client.messageHandler.sendButtons(to, rest[0], rest[1], rest[2]);
+      case 'list':
+        return this.client.messageHandler.sendList(to, rest[0], rest[1], rest[2], rest[3]);
+      case 'reaction':
+        return this.client.messageHandler.sendReaction(to, rest[0], rest[1], rest[2]);
+      case 'poll':
+        return this.client.messageHandler.sendPoll(to, rest[0], rest[1], rest[2]);
+      case 'forward':
+        return this.client.messageHandler.forwardMessage(to, rest[0], rest[1]);
+      default:
+        return Promise.reject(new Error(`Unknown outbox method: ${method}`));
+    }
+  }
+  
+  /**
+   * Eliminare mesaje mai vechi decât vârsta maximă
+   * @private
+   */
+  private _removeExpired(): void {
+    const now = Date.now();
+    
+    for (const entry of this.entries.filter(item => now - item.createdAt > this.options.maxAge)) {
+      this._fail(entry, new Error('Message expired before it could be sent'));
+    }
+  }
+  
+  /**
+   * Eliminare mesaj din coadă și emitere `message_failed`
+   * @private
+   */
+  private _fail(entry: OutboxEntry, error: Error): void {
+    this.entries = this.entries.filter(item => item !== entry);
+    this._persist();
+    
+    this.client.log(`Queued message ${entry.id} failed:`, error.message);
+    this.client.emit('message_failed', {
+      id: entry.id,
+      to: entry.args[0],
+      attempts: entry.attempts,
+      error
+    });
+  }
+  
+  /**
+   * Planificare reîncercare
+   * @private
+   */
+  private _scheduleRetry(delay: number): void {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+    }
+    
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+  
+  /**
+   * @private
+   */
+  private _isConnected(): boolean {
+    return this.client.state === ConnectionState.READY;
+  }
+  
+  /**
+   * Încărcare coadă salvată
+   *
+   * Un fișier corupt nu oprește clientul: este mutat deoparte (pentru
+   * inspecție) și coada pornește goală.
+   * @private
+   */
+  private _load(): void {
+    const file = this.options.path;
+    if (!file) {
+      return;
+    }
+    
+    try {
+      const entries = deserialize(JSON.parse(fs.readFileSync(file, 'utf8')));
+      if (!Array.isArray(entries)) {
+        throw new Error('saved outbox is not a list of entries');
+      }
+      this.entries = entries;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return;
+      }
+      
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      this.client.log(`Failed to load outbox, moving it to ${corruptFile}:`, (error as Error).message);
+      
+      try {
+        fs.renameSync(file, corruptFile);
+      } catch (renameError) {
+        this.client.log('Error moving corrupt outbox aside:', renameError);
+      }
+    }
+  }
+  
+  /**
+   * Salvare coadă (scriere atomică, serializată)
+   * @private
+   */
+  private _persist(): void {
+    const file = this.options.path;
+    if (!file) {
+      return;
+    }
+    
+    const data = JSON.stringify(serialize(this.entries));
+    
+    this.persisting = this.persisting.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempFile, data, { mode: 0o600 });
+      await fs.promises.rename(tempFile, file);
+    }).catch((error) => {
+      this.client.log('Error saving outbox:', error);
+    });
+  }
+}
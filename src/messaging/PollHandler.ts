@@ -0,0 +1,191 @@
+/**
+ * Handler pentru voturile din sondaje
+ *
+ * Voturile sunt criptate AES-256-GCM cu o cheie derivată din secretul
+ * sondajului (`messageSecret`), ID-ul lui, autorul și votantul; opțiunile
+ * alese sunt transmise ca SHA-256 al numelui. Rezultatele sunt păstrate pe
+ * mesajul sondajului din store (`votes`: votant -> opțiuni).
+ */
+
+import { MessageType } from '../types';
+import { normalizeJid } from '../utils/jid';
+import { hmacSign, sha256, aesGcmDecrypt } from '../utils/crypto';
+import { decodeProto } from '../utils/proto';
+import { LRUMap } from '../store/LRUMap';
+
+export interface PollOptionResult {
+  name: string;
+  votes: number;
+  voters: string[];
+}
+
+export interface PollResults {
+  pollId: string;
+  chatJid: string;
+  question: string;
+  selectableCount: number;
+  options: PollOptionResult[];
+}
+
+/**
+ * Cheia de decriptare a votului unui participant
+ * @param {Buffer} secret Secretul sondajului
+ * @param {string} pollId ID-ul sondajului
+ * @param {string} creatorJid Autorul sondajului
+ * @param {string} voterJid Votantul
+ */
+function pollVoteKey(secret: Buffer, pollId: string, creatorJid: string, voterJid: string): Buffer {
+  const sign = Buffer.concat([
+    Buffer.from(pollId),
+    Buffer.from(creatorJid),
+    Buffer.from(voterJid),
+    Buffer.from('Poll Vote'),
+    Buffer.from([1])
+  ]);
+  
+  return hmacSign(sign, hmacSign(secret, Buffer.alloc(32)));
+}
+
+export class PollHandler {
+  private client: any;
+  // ID sondaj -> conversație, pentru căutarea fără conversație
+  private pollChats: LRUMap<string, string> = new LRUMap(1000);
+  
+  constructor(client: any) {
+    this.client = client;
+  }
+  
+  /**
+   * Verificare opțiuni sondaj înainte de trimitere
+   * @param {string[]} options Opțiunile (2-12, unice)
+   * @param {number} selectableCount Numărul maxim de opțiuni alese (0 = oricâte)
+   */
+  public validatePoll(options: string[], selectableCount = 0): void {
+    if (!Array.isArray(options) || options.length < 2 || options.length > 12) {
+      throw new Error('A poll needs between 2 and 12 options');
+    }
+    
+    if (new Set(options).size !== options.length) {
+      throw new Error('Poll options must be unique');
+    }
+    
+    if (selectableCount < 0 || selectableCount > options.length) {
+      throw new Error(`selectableCount must be between 0 and ${options.length}`);
+    }
+  }
+  
+  /**
+   * Procesare vot primit (sau trimis de pe alt dispozitiv)
+   * @param {Object} message Mesajul care conține votul
+   * @param {Object} vote Nodul `pollVote` (key, encPayload, encIv, senderTimestampMs)
+   * @returns {Promise<void>}
+   */
+  public async handleVote(message: any, vote: any): Promise<void> {
+    const key = (Array.isArray(vote.content) ? vote.content : []).find((child: any) => child.type === 'key');
+    const chatJid = message.chatJid || (message.fromMe ? message.to : message.from);
+    const poll = key && key.id ? await this._findPoll(key.id, chatJid) : undefined;
+    
+    if (!poll || !Buffer.isBuffer(poll.messageSecret)) {
+      this.client.log(`Ignoring vote for unknown poll ${key ? key.id : ''}`);
+      return;
+    }
+    
+    if (!Buffer.isBuffer(vote.encPayload) || !Buffer.isBuffer(vote.encIv)) {
+      this.client.log(`Ignoring malformed vote for poll ${poll.id}`);
+      return;
+    }
+    
+    const voter = normalizeJid(message.participant || message.from);
+    const creator = normalizeJid(poll.fromMe ? this.client.user.id : poll.participant || poll.from);
+    
+    let hashes: Buffer[];
+    try {
+      const encryptionKey = pollVoteKey(poll.messageSecret, poll.id, creator, voter);
+      const plaintext = aesGcmDecrypt(vote.encPayload, encryptionKey, vote.encIv, Buffer.from(`${poll.id}\u0000${voter}`));
+      hashes = (decodeProto(plaintext).get(1) || []).filter((value): value is Buffer => Buffer.isBuffer(value));
+    } catch (error) {
+      this.client.log(`Error decrypting vote for poll ${poll.id}:`, error);
+      return;
+    }
+    
+    // Un vot mai vechi decât cel deja numărat este ignorat
+    const timestamp = Number(vote.senderTimestampMs) || Number(message.timestamp) || Date.now();
+    const votes = { ...(poll.votes || {}) };
+    if (votes[voter] && votes[voter].timestamp > timestamp) {
+      return;
+    }
+    
+    const selectedOptions = (poll.options as string[]).filter(name => hashes.some(hash => hash.equals(sha256(Buffer.from(name)))));
+    if (selectedOptions.length > 0) {
+      votes[voter] = { options: selectedOptions, timestamp };
+    } else {
+      // Lista goală retrage votul
+      delete votes[voter];
+    }
+    
+    await this.client.store.updateMessage(poll.chatJid || chatJid, poll.id, { votes });
+    
+    this.client.emit('poll_vote', {
+      pollId: poll.id,
+      chatJid: poll.chatJid || chatJid,
+      voter,
+      selectedOptions,
+      results: this._tally({ ...poll, votes }, chatJid)
+    });
+  }
+  
+  /**
+   * Rezultatele curente ale unui sondaj
+   * @param {string} pollId ID-ul sondajului
+   * @returns {Promise<PollResults|null>} Rezultatele sau null dacă sondajul nu este în store
+   */
+  public async getPollResults(pollId: string): Promise<PollResults | null> {
+    const poll = await this._findPoll(pollId);
+    return poll ? this._tally(poll) : null;
+  }
+  
+  /**
+   * Căutare mesaj sondaj în store
+   * @param {string} pollId ID-ul sondajului
+   * @param {string} chatJid Conversația, dacă este cunoscută
+   * @private
+   */
+  private async _findPoll(pollId: string, chatJid?: string): Promise<any | undefined> {
+    const chat = chatJid || this.pollChats.get(pollId);
+    let poll = chat ? await this.client.store.getMessage(chat, pollId) : undefined;
+    
+    if (!poll && !chatJid) {
+      const polls = await this.client.store.queryMessages({ type: MessageType.POLL });
+      poll = polls.find((message: any) => message.id === pollId);
+    }
+    
+    if (poll && poll.type === MessageType.POLL) {
+      const pollChat = poll.chatJid || chat;
+      if (pollChat) {
+        this.pollChats.set(pollId, pollChat);
+      }
+      return poll;
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Numărare voturi pe opțiuni
+   * @private
+   */
+  private _tally(poll: any, chatJid?: string): PollResults {
+    const votes = poll.votes || {};
+    
+    return {
+      pollId: poll.id,
+      chatJid: poll.chatJid || chatJid,
+      question: poll.question,
+      selectableCount: poll.selectableCount || 0,
+      options: (poll.options as string[]).map((name) => {
+        const voters = Object.keys(votes).filter(voter => votes[voter].options.includes(name));
+        return { name, votes: voters.length, voters };
+      })
+    };
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * Urmărirea confirmărilor de livrare/citire pentru fiecare destinatar
+ *
+ * Fiecare mesaj are, per destinatar, momentele de livrare, citire și redare.
+ * Statusul agregat este cel mai mic status dintre destinatarii așteptați
+ * (ex: un mesaj de grup devine `read` doar după ce l-au citit toți membrii).
+ */
+
+import { decodeJid, normalizeJid } from '../utils/jid';
+import { WAQueryError } from '../protocol/ProtocolManager';
+
+export type ReceiptStatus = 'sent' | 'delivered' | 'read' | 'played';
+
+export interface RecipientReceipt {
+  jid: string;
+  deliveredAt?: number;
+  readAt?: number;
+  playedAt?: number;
+}
+
+export interface MessageReceipts {
+  id: string;
+  chatJid: string;
+  status: ReceiptStatus;
+  recipients: RecipientReceipt[];
+}
+
+interface TrackedMessage {
+  chatJid: string;
+  expected: string[] | null;
+  recipients: Map<string, RecipientReceipt>;
+}
+
+const STATUS_ORDER: ReceiptStatus[] = ['sent', 'delivered', 'read', 'played'];
+
+// Tipul confirmării primite -> status (`-self`: citit pe alt dispozitiv propriu)
+const RECEIPT_STATUS: { [type: string]: ReceiptStatus } = {
+  receipt: 'delivered',
+  delivery: 'delivered',
+  read: 'read',
+  'read-self': 'read',
+  played: 'played',
+  'played-self': 'played'
+};
+
+// Numărul maxim de mesaje urmărite (cele mai vechi sunt eliminate)
+const MAX_TRACKED_MESSAGES = 10000;
+
+export class ReceiptHandler {
+  private client: any;
+  private messages: Map<string, TrackedMessage> = new Map();
+  
+  constructor(client: any) {
+    this.client = client;
+  }
+  
+  /**
+   * Înregistrare mesaj trimis, cu destinatarii de la care se așteaptă confirmări
+   * @param {string} messageId ID-ul mesajului
+   * @param {string} chatJid Conversația
+   * @param {string[]} recipients Destinatarii (pentru grup: membrii, fără noi)
+   */
+  public trackMessage(messageId: string, chatJid: string, recipients: string[]): void {
+    const tracked = this._getTracked(messageId, normalizeJid(chatJid));
+    tracked.expected = Array.from(new Set(recipients.map(normalizeJid)));
+  }
+  
+  /**
+   * Procesare confirmare primită
+   * @param {Object} receipt Confirmarea (id, from, participant, type, t, list)
+   */
+  public handleReceipt(receipt: any): void {
+    this.client.emit('message_receipt', receipt);
+    
+    const status = RECEIPT_STATUS[receipt.type || 'receipt'];
+    const chatJid = this._receiptChatJid(receipt);
+    if (!status || !receipt.id || !chatJid) {
+      return;
+    }
+    
+    // Confirmările proprii (de pe alte dispozitive) privesc mesajele primite de noi
+    const self = String(receipt.type).endsWith('-self');
+    const recipient = normalizeJid(self && this.client.user ? this.client.user.id : (receipt.participant || chatJid));
+    const timestamp = receipt.t ? Number(receipt.t) * 1000 : Date.now();
+    
+    for (const id of this._receiptIds(receipt)) {
+      const tracked = this._getTracked(id, chatJid);
+      const entry = tracked.recipients.get(recipient) || { jid: recipient };
+      
+      // Citirea implică livrarea, redarea implică citirea
+      entry.deliveredAt = entry.deliveredAt || timestamp;
+      if (status === 'read' || status === 'played') {
+        entry.readAt = entry.readAt || timestamp;
+      }
+      if (status === 'played') {
+        entry.playedAt = entry.playedAt || timestamp;
+      }
+      tracked.recipients.set(recipient, entry);
+      
+      const aggregated = this._aggregate(tracked);
+      this._updateStoredMessage(chatJid, id, aggregated);
+      
+      this.client.emit('message_ack', {
+        id,
+        chatJid,
+        participant: receipt.participant,
+        type: status,
+        status: aggregated,
+        recipients: Array.from(tracked.recipients.values()).map(item => ({ ...item }))
+      });
+    }
+  }
+  
+  /**
+   * Obținere confirmări pentru un mesaj
+   * @param {string} messageId ID-ul mesajului
+   * @returns {MessageReceipts|null} Statusul agregat și confirmările per destinatar
+   */
+  public getMessageReceipts(messageId: string): MessageReceipts | null {
+    const tracked = this.messages.get(messageId);
+    if (!tracked) {
+      return null;
+    }
+    
+    const jids = tracked.expected || Array.from(tracked.recipients.keys());
+    
+    return {
+      id: messageId,
+      chatJid: tracked.chatJid,
+      status: this._aggregate(tracked),
+      recipients: jids.map(jid => ({ ...(tracked.recipients.get(jid) || { jid }) }))
+    };
+  }
+  
+  /**
+   * Trimitere confirmări de citire
+   * @param {string} chatId Conversația
+   * @param {string[]} messageIds ID-urile mesajelor citite
+   * @returns {Promise<void>}
+   */
+  public async markRead(chatId: string, messageIds: string[]): Promise<void> {
+    const chatJid = chatId.includes('@') ? chatId : `${chatId.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    // În grupuri, confirmarea se trimite separat pentru fiecare expeditor
+    const byParticipant = new Map<string | undefined, string[]>();
+    for (const id of messageIds) {
+      const message = await this.client.store.getMessage(chatJid, id);
+      const participant = message ? message.participant : undefined;
+      
+      if (!byParticipant.has(participant)) {
+        byParticipant.set(participant, []);
+      }
+      byParticipant.get(participant)!.push(id);
+    }
+    
+    try {
+      for (const [participant, ids] of byParticipant) {
+        const [first, ...rest] = ids;
+        const node = {
+          id: this.client.protocolManager._generateMessageTag(),
+          type: 'receipt',
+          data: {
+            id: first,
+            to: chatJid,
+            type: 'read',
+            participant,
+            t: Math.floor(Date.now() / 1000),
+            content: rest.length > 0
+              ? [{ type: 'list', content: rest.map(id => ({ type: 'item', id })) }]
+              : undefined
+          }
+        };
+        
+        await this.client.protocolManager.sendBinary(node);
+        
+        for (const id of ids) {
+          this._updateStoredMessage(chatJid, id, 'read');
+        }
+      }
+    } catch (error) {
+      this.client.log('Error sending read receipts:', error);
+      throw WAQueryError.wrap(error, 'Failed to mark messages as read');
+    }
+  }
+  
+  /**
+   * Conversația confirmării, fără dispozitiv
+   *
+   * Într-o conversație 1:1, confirmările trimise de celelalte dispozitive
+   * proprii vin de la JID-ul nostru, iar conversația este în `recipient`.
+   * @private
+   */
+  private _receiptChatJid(receipt: any): string | undefined {
+    const from = receipt.from || receipt.to;
+    if (!from) {
+      return undefined;
+    }
+    
+    const ownDevice = !!this.client.user && decodeJid(from).user === decodeJid(this.client.user.id).user;
+    const chatJid = ownDevice && receipt.recipient && decodeJid(from).server !== 'g.us' ? receipt.recipient : from;
+    
+    return normalizeJid(chatJid);
+  }
+  
+  /**
+   * ID-urile confirmate (atributul `id` plus lista `list` > `item`)
+   * @private
+   */
+  private _receiptIds(receipt: any): string[] {
+    const ids = [receipt.id];
+    const list = Array.isArray(receipt.content)
+      ? receipt.content.find((child: any) => child.type === 'list')
+      : null;
+    
+    if (list && Array.isArray(list.content)) {
+      for (const item of list.content) {
+        if (item.id) {
+          ids.push(item.id);
+        }
+      }
+    }
+    
+    return ids;
+  }
+  
+  /**
+   * Obținere sau creare intrare pentru un mesaj
+   * @private
+   */
+  private _getTracked(messageId: string, chatJid: string): TrackedMessage {
+    let tracked = this.messages.get(messageId);
+    
+    if (!tracked) {
+      tracked = { chatJid, expected: null, recipients: new Map() };
+      this.messages.set(messageId, tracked);
+      
+      if (this.messages.size > MAX_TRACKED_MESSAGES) {
+        this.messages.delete(this.messages.keys().next().value as string);
+      }
+    }
+    
+    return tracked;
+  }
+  
+  /**
+   * Status agregat: cel mai mic status dintre destinatarii așteptați
+   * @private
+   */
+  private _aggregate(tracked: TrackedMessage): ReceiptStatus {
+    const jids = tracked.expected || Array.from(tracked.recipients.keys());
+    if (jids.length === 0) {
+      return 'sent';
+    }
+    
+    let level = STATUS_ORDER.length - 1;
+    for (const jid of jids) {
+      level = Math.min(level, this._level(tracked.recipients.get(jid)));
+    }
+    
+    return STATUS_ORDER[level];
+  }
+  
+  /**
+   * @private
+   */
+  private _level(entry?: RecipientReceipt): number {
+    if (!entry) {
+      return 0;
+    }
+    
+    return entry.playedAt ? 3 : entry.readAt ? 2 : entry.deliveredAt ? 1 : 0;
+  }
+  
+  /**
+   * Actualizare status în store pentru mesajul din conversația corectă
+   * @private
+   */
+  private _updateStoredMessage(chatJid: string, messageId: string, status: ReceiptStatus): void {
+    this.client.store.updateMessage(chatJid, messageId, { status }).catch((error: Error) => {
+      this.client.log('Error updating message status in store:', error);
+    });
+  }
+}
@@ -0,0 +1,619 @@
+/**
+ * Conținutul mesajelor criptat end-to-end (protobuf `Message`)
+ *
+ * Nodurile de conținut ale clientului ({ type: 'text', text }, { type: 'image', ... },
+ * { type: 'poll', ... } etc.) sunt encodate în câmpurile corespunzătoare din
+ * `Message`; decodarea produce aceleași noduri, astfel încât conținutul primit
+ * are forma celui trimis. Padding-ul aleator este adăugat la criptare
+ * (SignalHandler).
+ */
+
+import { MessageType } from '../types';
+import {
+  encodeProto, decodeProto, getBytes, getNumber, getString, getMessages, protoDouble, ProtoValue
+} from '../utils/proto';
+
+type ProtoFields = Map<number, (Buffer | number)[]>;
+type ProtoField = [number, ProtoValue | undefined | null];
+
+// Numerele câmpurilor din Message
+const FIELD = {
+  CONVERSATION: 1,
+  SENDER_KEY_DISTRIBUTION: 2,
+  CONTACT: 4,
+  LOCATION: 5,
+  EXTENDED_TEXT: 6,
+  PROTOCOL: 12,
+  CONTACTS_ARRAY: 13,
+  DEVICE_SENT: 31,
+  MESSAGE_CONTEXT_INFO: 35,
+  LIST: 36,
+  BUTTONS: 42,
+  REACTION: 46,
+  POLL_CREATION: 49,
+  POLL_UPDATE: 50,
+  POLL_CREATION_V2: 60,
+  POLL_CREATION_V3: 64
+};
+
+// ProtocolMessage.Type
+const PROTOCOL_TYPE = {
+  REVOKE: 0,
+  HISTORY_SYNC_NOTIFICATION: 5,
+  APP_STATE_SYNC_KEY_SHARE: 6,
+  MESSAGE_EDIT: 14
+};
+
+// ButtonsMessage.Button.Type.RESPONSE, ButtonsMessage.HeaderType.EMPTY, ListMessage.ListType.SINGLE_SELECT
+const BUTTON_TYPE_RESPONSE = 1;
+const BUTTONS_HEADER_EMPTY = 1;
+const LIST_TYPE_SINGLE_SELECT = 1;
+
+// Câmpul contextInfo în mesajele media, text extins, locație și contact
+const CONTEXT_INFO_FIELD = 17;
+
+// Câmpurile media (număr câmp protobuf) pentru fiecare tip de mesaj
+export const MEDIA_FIELDS: { [type: string]: { [name: string]: number } } = {
+  image: {
+    url: 1, mimetype: 2, caption: 3, fileSha256: 4, fileLength: 5, height: 6, width: 7,
+    mediaKey: 8, fileEncSha256: 9, directPath: 11, mediaKeyTimestamp: 12
+  },
+  video: {
+    url: 1, mimetype: 2, fileSha256: 3, fileLength: 4, seconds: 5, mediaKey: 6, caption: 7,
+    height: 9, width: 10, fileEncSha256: 11, directPath: 13, mediaKeyTimestamp: 14
+  },
+  audio: {
+    url: 1, mimetype: 2, fileSha256: 3, fileLength: 4, seconds: 5, ptt: 6, mediaKey: 7,
+    fileEncSha256: 8, directPath: 9, mediaKeyTimestamp: 10
+  },
+  document: {
+    url: 1, mimetype: 2, title: 3, fileSha256: 4, fileLength: 5, mediaKey: 7, filename: 8,
+    fileEncSha256: 9, directPath: 10, mediaKeyTimestamp: 11, caption: 20
+  },
+  sticker: {
+    url: 1, fileSha256: 2, fileEncSha256: 3, mediaKey: 4, mimetype: 5, height: 6, width: 7,
+    directPath: 8, fileLength: 9, mediaKeyTimestamp: 10
+  }
+};
+
+// Message: număr câmp -> tip media
+export const MEDIA_MESSAGE_FIELDS: [number, MessageType][] = [
+  [3, MessageType.IMAGE],
+  [7, MessageType.DOCUMENT],
+  [8, MessageType.AUDIO],
+  [9, MessageType.VIDEO],
+  [26, MessageType.STICKER]
+];
+
+export const BINARY_MEDIA_FIELDS = ['mediaKey', 'fileSha256', 'fileEncSha256'];
+
+// Câmpurile media numerice (varint); `ptt` este boolean
+const NUMERIC_MEDIA_FIELDS = ['fileLength', 'seconds', 'mediaKeyTimestamp', 'height', 'width', 'ptt'];
+
+/**
+ * Encodare noduri de conținut ca `Message`
+ * @param {Array} content Nodurile de conținut
+ * @returns {Buffer} Message encodat
+ */
+export function encodeMessage(content: any[]): Buffer {
+  const fields: ProtoField[] = [];
+  let messageSecret: Buffer | undefined;
+  
+  for (const node of content) {
+    if (!node || !node.type) {
+      continue;
+    }
+    
+    const contextInfo = node.contextInfo ? encodeContextInfo(node.contextInfo) : undefined;
+    const media = MEDIA_MESSAGE_FIELDS.find(([, type]) => type === node.type);
+    
+    if (media) {
+      fields.push([media[0], encodeProto(byFieldNumber([...encodeMediaFields(node, node.type), [CONTEXT_INFO_FIELD, contextInfo]]))]);
+      continue;
+    }
+    
+    switch (node.type) {
+      case 'text':
+        fields.push(contextInfo
+          ? [FIELD.EXTENDED_TEXT, encodeProto([[1, node.text], [CONTEXT_INFO_FIELD, contextInfo]])]
+          : [FIELD.CONVERSATION, node.text]);
+        break;
+      
+      case 'location':
+        fields.push([FIELD.LOCATION, encodeProto([
+          [1, protoDouble(Number(node.latitude))],
+          [2, protoDouble(Number(node.longitude))],
+          [3, node.name || undefined],
+          [4, node.address || undefined],
+          [CONTEXT_INFO_FIELD, contextInfo]
+        ])]);
+        break;
+      
+      case 'contact': {
+        const contacts: any[] = node.contacts || [{ displayName: node.displayName, vcard: node.vcard }];
+        if (contacts.length === 1) {
+          fields.push([FIELD.CONTACT, encodeContact(contacts[0], contextInfo)]);
+        } else {
+          fields.push([FIELD.CONTACTS_ARRAY, encodeProto([
+            [1, node.displayName || `${contacts.length} contacts`],
+            ...contacts.map((contact): ProtoField => [2, encodeContact(contact)]),
+            [CONTEXT_INFO_FIELD, contextInfo]
+          ])]);
+        }
+        break;
+      }
+      
+      case 'buttons':
+        fields.push([FIELD.BUTTONS, encodeProto([
+          [6, node.text],
+          [7, node.footer],
+          [8, contextInfo],
+          ...(node.buttons || []).map((button: any): ProtoField => [9, encodeProto([
+            [1, button.id],
+            [2, encodeProto([[1, button.text]])],
+            [3, BUTTON_TYPE_RESPONSE]
+          ])]),
+          [10, BUTTONS_HEADER_EMPTY]
+        ])]);
+        break;
+      
+      case 'list':
+        fields.push([FIELD.LIST, encodeProto([
+          [1, node.title],
+          [2, node.description],
+          [3, node.buttonText],
+          [4, LIST_TYPE_SINGLE_SELECT],
+          ...(node.sections || []).map((section: any): ProtoField => [5, encodeProto([
+            [1, section.title],
+            ...(section.rows || []).map((row: any): ProtoField => [2, encodeProto([
+              [1, row.title],
+              [2, row.description],
+              [3, row.rowId || row.id]
+            ])])
+          ])]),
+          [7, node.footer],
+          [8, contextInfo]
+        ])]);
+        break;
+      
+      case 'reaction':
+        fields.push([FIELD.REACTION, encodeProto([
+          [1, encodeKey(node.key)],
+          [2, node.text || ''],
+          [4, node.senderTimestampMs !== undefined ? Number(node.senderTimestampMs) : undefined]
+        ])]);
+        break;
+      
+      case 'poll':
+        messageSecret = node.messageSecret;
+        fields.push([FIELD.POLL_CREATION, encodeProto([
+          [2, node.name],
+          ...(Array.isArray(node.content) ? node.content : [])
+            .filter((option: any) => option && option.type === 'option')
+            .map((option: any): ProtoField => [3, encodeProto([[1, option.name]])]),
+          [4, Number(node.selectableCount) || 0],
+          [5, contextInfo]
+        ])]);
+        break;
+      
+      case 'pollVote':
+        fields.push([FIELD.POLL_UPDATE, encodeProto([
+          [1, encodeKey(node.key)],
+          [2, encodeProto([[1, node.encPayload], [2, node.encIv]])],
+          [4, node.senderTimestampMs !== undefined ? Number(node.senderTimestampMs) : undefined]
+        ])]);
+        break;
+      
+      case 'protocol':
+        fields.push([FIELD.PROTOCOL, encodeProtocol(node)]);
+        break;
+      
+      case 'deviceSentMessage':
+        fields.push([FIELD.DEVICE_SENT, encodeProto([
+          [1, node.destinationJid],
+          [2, encodeMessage(Array.isArray(node.content) ? node.content : [])]
+        ])]);
+        break;
+      
+      case 'skdm':
+        fields.push([FIELD.SENDER_KEY_DISTRIBUTION, encodeProto([[1, node.group], [2, node.content]])]);
+        break;
+      
+      default:
+        throw new Error(`Unsupported message content: ${node.type}`);
+    }
+  }
+  
+  if (messageSecret) {
+    fields.push([FIELD.MESSAGE_CONTEXT_INFO, encodeProto([[3, messageSecret]])]);
+  }
+  
+  return encodeProto(byFieldNumber(fields));
+}
+
+/**
+ * Decodare `Message` în noduri de conținut
+ * @param {Buffer} buffer Message encodat
+ * @returns {Array} Nodurile de conținut (câmpurile necunoscute sunt ignorate)
+ */
+export function decodeMessage(buffer: Buffer): any[] {
+  const message = decodeProto(buffer);
+  const content: any[] = [];
+  
+  const messageContextInfo = getBytes(message, FIELD.MESSAGE_CONTEXT_INFO);
+  const messageSecret = messageContextInfo ? getBytes(decodeProto(messageContextInfo), 3) : undefined;
+  
+  for (const field of message.keys()) {
+    const bytes = getBytes(message, field);
+    const media = MEDIA_MESSAGE_FIELDS.find(([number]) => number === field);
+    const known = media || (field !== FIELD.CONVERSATION && Object.values(FIELD).includes(field));
+    const fields = bytes && known ? decodeProto(bytes) : undefined;
+    
+    if (media && fields) {
+      content.push({ type: media[1], ...decodeMediaFields(fields, media[1]), contextInfo: decodeContextInfo(fields, CONTEXT_INFO_FIELD) });
+      continue;
+    }
+    
+    switch (field) {
+      case FIELD.CONVERSATION:
+        content.push({ type: 'text', text: getString(message, field) });
+        break;
+      
+      case FIELD.EXTENDED_TEXT:
+        content.push({ type: 'text', text: getString(fields!, 1), contextInfo: decodeContextInfo(fields!, CONTEXT_INFO_FIELD) });
+        break;
+      
+      case FIELD.LOCATION:
+        content.push({
+          type: 'location',
+          latitude: fields!.get(1)?.[0],
+          longitude: fields!.get(2)?.[0],
+          name: getString(fields!, 3),
+          address: getString(fields!, 4),
+          contextInfo: decodeContextInfo(fields!, CONTEXT_INFO_FIELD)
+        });
+        break;
+      
+      case FIELD.CONTACT: {
+        const contact = decodeContact(fields!);
+        content.push({ type: 'contact', ...contact, contacts: [contact], contextInfo: decodeContextInfo(fields!, CONTEXT_INFO_FIELD) });
+        break;
+      }
+      
+      case FIELD.CONTACTS_ARRAY:
+        content.push({
+          type: 'contact',
+          displayName: getString(fields!, 1),
+          contacts: getMessages(fields!, 2).map(decodeContact),
+          contextInfo: decodeContextInfo(fields!, CONTEXT_INFO_FIELD)
+        });
+        break;
+      
+      case FIELD.BUTTONS:
+        content.push({
+          type: 'buttons',
+          text: getString(fields!, 6),
+          footer: getString(fields!, 7),
+          buttons: getMessages(fields!, 9).map(button => {
+            const text = getBytes(button, 2);
+            return { id: getString(button, 1), text: text ? getString(decodeProto(text), 1) : undefined };
+          }),
+          contextInfo: decodeContextInfo(fields!, 8)
+        });
+        break;
+      
+      case FIELD.LIST:
+        content.push({
+          type: 'list',
+          title: getString(fields!, 1),
+          description: getString(fields!, 2),
+          buttonText: getString(fields!, 3),
+          footer: getString(fields!, 7),
+          sections: getMessages(fields!, 5).map(section => ({
+            title: getString(section, 1),
+            rows: getMessages(section, 2).map(row => ({
+              rowId: getString(row, 3),
+              title: getString(row, 1),
+              description: getString(row, 2)
+            }))
+          })),
+          contextInfo: decodeContextInfo(fields!, 8)
+        });
+        break;
+      
+      case FIELD.REACTION:
+        content.push({
+          type: 'reaction',
+          text: getString(fields!, 2) || '',
+          senderTimestampMs: getNumber(fields!, 4),
+          key: decodeKey(getBytes(fields!, 1))
+        });
+        break;
+      
+      case FIELD.POLL_CREATION:
+      case FIELD.POLL_CREATION_V2:
+      case FIELD.POLL_CREATION_V3:
+        content.push({
+          type: 'poll',
+          name: getString(fields!, 2),
+          selectableCount: getNumber(fields!, 4) || 0,
+          messageSecret,
+          content: getMessages(fields!, 3).map(option => ({ type: 'option', name: getString(option, 1) })),
+          contextInfo: decodeContextInfo(fields!, 5)
+        });
+        break;
+      
+      case FIELD.POLL_UPDATE: {
+        const vote = getBytes(fields!, 2);
+        const value = vote ? decodeProto(vote) : new Map();
+        content.push({
+          type: 'pollVote',
+          key: decodeKey(getBytes(fields!, 1)),
+          encPayload: getBytes(value, 1),
+          encIv: getBytes(value, 2),
+          senderTimestampMs: getNumber(fields!, 4)
+        });
+        break;
+      }
+      
+      case FIELD.PROTOCOL: {
+        const protocol = decodeProtocol(fields!);
+        if (protocol) {
+          content.push(protocol);
+        }
+        break;
+      }
+      
+      case FIELD.DEVICE_SENT: {
+        const inner = getBytes(fields!, 2);
+        content.push({
+          type: 'deviceSentMessage',
+          destinationJid: getString(fields!, 1),
+          content: inner ? decodeMessage(inner) : []
+        });
+        break;
+      }
+      
+      case FIELD.SENDER_KEY_DISTRIBUTION:
+        content.push({ type: 'skdm', group: getString(fields!, 1), content: getBytes(fields!, 2) });
+        break;
+    }
+  }
+  
+  return content;
+}
+
+/**
+ * Extragere câmpuri media după schema tipului
+ * @param {Map} fields Câmpurile mesajului media
+ * @param {string} type Tipul media
+ * @returns {Object} Câmpurile prezente
+ */
+export function decodeMediaFields(fields: ProtoFields, type: string): any {
+  const result: any = {};
+  
+  for (const [name, field] of Object.entries(MEDIA_FIELDS[type])) {
+    let value: any;
+    if (BINARY_MEDIA_FIELDS.includes(name)) {
+      value = getBytes(fields, field);
+    } else if (name === 'ptt') {
+      value = getNumber(fields, field) === undefined ? undefined : getNumber(fields, field) === 1;
+    } else if (NUMERIC_MEDIA_FIELDS.includes(name)) {
+      value = getNumber(fields, field);
+    } else {
+      value = getString(fields, field);
+    }
+    
+    if (value !== undefined) {
+      result[name] = value;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Câmpurile media ale unui nod de conținut, după schema tipului
+ * @private
+ */
+function encodeMediaFields(node: any, type: string): ProtoField[] {
+  return Object.entries(MEDIA_FIELDS[type]).map(([name, field]): ProtoField => {
+    const value = node[name];
+    if (value === undefined || value === null || !NUMERIC_MEDIA_FIELDS.includes(name)) {
+      return [field, value];
+    }
+    
+    // Câmpurile numerice pot veni ca text din nodurile primite
+    return [field, name === 'ptt' ? value === true || value === 'true' : Number(value)];
+  });
+}
+
+/**
+ * Câmpurile în ordinea numerelor (ordinea folosită de encoderele protobuf)
+ * @private
+ */
+function byFieldNumber(fields: ProtoField[]): ProtoField[] {
+  return [...fields].sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * ContextInfo: mesajul citat, mențiunile și marcajul de redirecționare
+ * @private
+ */
+function encodeContextInfo(contextInfo: any): Buffer {
+  const quoted = contextInfo.quotedMessage;
+  const forwardingScore = Number(contextInfo.forwardingScore) || 0;
+  
+  return encodeProto([
+    [1, contextInfo.stanzaId],
+    [2, contextInfo.participant],
+    [3, quoted && Array.isArray(quoted.content) ? encodeMessage(quoted.content) : undefined],
+    [4, contextInfo.remoteJid],
+    ...(contextInfo.mentionedJid || []).map((jid: string): ProtoField => [15, jid]),
+    [21, forwardingScore || undefined],
+    [22, contextInfo.isForwarded ? true : undefined]
+  ]);
+}
+
+/**
+ * ContextInfo primit, în forma folosită la trimitere
+ * @private
+ */
+function decodeContextInfo(fields: ProtoFields, field: number): any | undefined {
+  const bytes = getBytes(fields, field);
+  if (!bytes) {
+    return undefined;
+  }
+  
+  const contextInfo = decodeProto(bytes);
+  const quoted = getBytes(contextInfo, 3);
+  const mentioned = (contextInfo.get(15) || []).filter(Buffer.isBuffer).map(jid => jid.toString('utf8'));
+  
+  return {
+    stanzaId: getString(contextInfo, 1),
+    participant: getString(contextInfo, 2),
+    remoteJid: getString(contextInfo, 4),
+    quotedMessage: quoted ? { content: decodeMessage(quoted) } : undefined,
+    mentionedJid: mentioned.length > 0 ? mentioned : undefined,
+    forwardingScore: getNumber(contextInfo, 21),
+    isForwarded: getNumber(contextInfo, 22) === 1 || undefined
+  };
+}
+
+/**
+ * ContactMessage (numele afișat și vCard-ul)
+ * @private
+ */
+function encodeContact(contact: any, contextInfo?: Buffer): Buffer {
+  return encodeProto([
+    [1, contact.displayName || contact.name],
+    [16, contact.vcard],
+    [CONTEXT_INFO_FIELD, contextInfo]
+  ]);
+}
+
+/**
+ * Contactul dintr-un ContactMessage
+ * @private
+ */
+function decodeContact(fields: ProtoFields): any {
+  return { displayName: getString(fields, 1), vcard: getString(fields, 16) };
+}
+
+/**
+ * MessageKey (conversația, direcția, ID-ul și autorul mesajului vizat)
+ * @private
+ */
+function encodeKey(key: any = {}): Buffer {
+  return encodeProto([
+    [1, key.remoteJid],
+    [2, key.fromMe === true || key.fromMe === 'true'],
+    [3, key.id],
+    [4, key.participant]
+  ]);
+}
+
+/**
+ * MessageKey primit
+ * @private
+ */
+function decodeKey(bytes: Buffer | undefined): any {
+  const key = bytes ? decodeProto(bytes) : new Map();
+  
+  return {
+    remoteJid: getString(key, 1),
+    fromMe: getNumber(key, 2) === 1,
+    id: getString(key, 3),
+    participant: getString(key, 4)
+  };
+}
+
+/**
+ * ProtocolMessage pentru editare (conținutul nou) sau ștergere
+ * @private
+ */
+function encodeProtocol(node: any): Buffer {
+  if (node.action === 'revoke') {
+    return encodeProto([[1, encodeKey(node.key)], [2, PROTOCOL_TYPE.REVOKE]]);
+  }
+  
+  if (node.action === 'edit') {
+    return encodeProto([
+      [1, encodeKey(node.key)],
+      [2, PROTOCOL_TYPE.MESSAGE_EDIT],
+      [14, encodeMessage(Array.isArray(node.content) ? node.content : [])],
+      [15, node.timestampMs !== undefined ? Number(node.timestampMs) : undefined]
+    ]);
+  }
+  
+  throw new Error(`Unsupported protocol message action: ${node.action}`);
+}
+
+/**
+ * Nodul de conținut pentru un ProtocolMessage (editare, ștergere, notificare
+ * de sincronizare a istoricului, chei app state); celelalte tipuri sunt ignorate
+ * @private
+ */
+function decodeProtocol(fields: ProtoFields): any | undefined {
+  const type = getNumber(fields, 2) || PROTOCOL_TYPE.REVOKE;
+  const key = decodeKey(getBytes(fields, 1));
+  
+  switch (type) {
+    case PROTOCOL_TYPE.REVOKE:
+      return { type: 'protocol', action: 'revoke', key };
+    
+    case PROTOCOL_TYPE.MESSAGE_EDIT: {
+      const edited = getBytes(fields, 14);
+      return {
+        type: 'protocol',
+        action: 'edit',
+        key,
+        timestampMs: getNumber(fields, 15),
+        content: edited ? decodeMessage(edited) : []
+      };
+    }
+    
+    case PROTOCOL_TYPE.HISTORY_SYNC_NOTIFICATION: {
+      const bytes = getBytes(fields, 6);
+      if (!bytes) {
+        return undefined;
+      }
+      
+      const notification = decodeProto(bytes);
+      return {
+        type: 'historySyncNotification',
+        fileSha256: getBytes(notification, 1),
+        fileLength: getNumber(notification, 2),
+        mediaKey: getBytes(notification, 3),
+        fileEncSha256: getBytes(notification, 4),
+        directPath: getString(notification, 5),
+        syncType: getNumber(notification, 6),
+        chunkOrder: getNumber(notification, 7),
+        originalMessageId: getString(notification, 8),
+        progress: getNumber(notification, 9)
+      };
+    }
+    
+    case PROTOCOL_TYPE.APP_STATE_SYNC_KEY_SHARE: {
+      const bytes = getBytes(fields, 7);
+      const keys = bytes ? getMessages(decodeProto(bytes), 1) : [];
+      
+      return {
+        type: 'appStateSyncKeyShare',
+        content: keys.map(key => {
+          const keyId = getBytes(key, 1);
+          const keyData = getBytes(key, 2);
+          const data = keyData ? decodeProto(keyData) : new Map();
+          return {
+            type: 'key',
+            keyId: keyId ? getBytes(decodeProto(keyId), 1) : undefined,
+            keyData: getBytes(data, 1),
+            timestamp: getNumber(data, 3)
+          };
+        })
+      };
+    }
+  }
+  
+  return undefined;
+}
@@ -0,0 +1,155 @@
+/**
+ * Starea endpoint-urilor WebSocket pentru failover
+ *
+ * Fiecare conectare alege cel mai bun endpoint: cele care au eșuat recent
+ * sunt ocolite pentru o perioadă care se dublează la fiecare eșec consecutiv,
+ * iar dintre celelalte este preferat cel cu latența de handshake medie cea
+ * mai mică. Endpoint-urile încă neîncercate vin după cele măsurate, în
+ * ordinea din listă.
+ */
+
+export interface EndpointHealth {
+  url: string;
+  failures: number;
+  lastFailureAt: number | null;
+  retryAt: number | null;
+  latency: number | null;
+}
+
+interface EndpointState {
+  url: string;
+  failures: number;
+  lastFailureAt: number | null;
+  retryAt: number;
+  latencies: number[];
+}
+
+// Latențele de handshake păstrate pentru fiecare endpoint
+const LATENCY_SAMPLES = 5;
+
+// Perioada de ocolire după un eșec (dublată la fiecare eșec consecutiv)
+const FAILURE_COOLDOWN = 30000;
+const MAX_FAILURE_COOLDOWN = 10 * 60 * 1000;
+
+export class EndpointPool {
+  private endpoints: EndpointState[];
+  
+  constructor(urls: string[]) {
+    if (urls.length === 0) {
+      throw new Error('At least one WebSocket URL is required');
+    }
+    
+    this.endpoints = [...new Set(urls)].map(url => ({
+      url,
+      failures: 0,
+      lastFailureAt: null,
+      retryAt: 0,
+      latencies: []
+    }));
+  }
+  
+  /**
+   * Alegere endpoint pentru conectarea următoare; dacă toate sunt ocolite,
+   * este ales cel care iese primul din perioada de ocolire
+   * @returns {string} URL-ul ales
+   */
+  public select(): string {
+    const now = Date.now();
+    const available = this.endpoints.filter(endpoint => endpoint.retryAt <= now);
+    
+    if (available.length === 0) {
+      return this.endpoints.reduce((best, endpoint) => endpoint.retryAt < best.retryAt ? endpoint : best).url;
+    }
+    
+    // Sortarea este stabilă: la egalitate se păstrează ordinea din listă
+    return available
+      .map(endpoint => ({ url: endpoint.url, latency: this._averageLatency(endpoint) }))
+      .sort((a, b) => (a.latency === null ? Infinity : a.latency) - (b.latency === null ? Infinity : b.latency))[0].url;
+  }
+  
+  /**
+   * Există un endpoint care poate fi încercat imediat, altul decât cel dat
+   * @param {string} exceptUrl Endpoint-ul exclus
+   */
+  public hasAlternative(exceptUrl: string): boolean {
+    const now = Date.now();
+    return this.endpoints.some(endpoint => endpoint.url !== exceptUrl && endpoint.retryAt <= now);
+  }
+  
+  /**
+   * Înregistrare handshake reușit
+   * @param {string} url Endpoint-ul
+   * @param {number} latency Durata de la deschiderea conexiunii până la finalizarea handshake-ului (ms)
+   */
+  public recordSuccess(url: string, latency: number): void {
+    const endpoint = this._find(url);
+    if (!endpoint) {
+      return;
+    }
+    
+    endpoint.failures = 0;
+    endpoint.retryAt = 0;
+    endpoint.latencies.push(latency);
+    if (endpoint.latencies.length > LATENCY_SAMPLES) {
+      endpoint.latencies.shift();
+    }
+  }
+  
+  /**
+   * Înregistrare conectare eșuată
+   * @param {string} url Endpoint-ul
+   * @returns {EndpointHealth|null} Starea actualizată
+   */
+  public recordFailure(url: string): EndpointHealth | null {
+    const endpoint = this._find(url);
+    if (!endpoint) {
+      return null;
+    }
+    
+    const now = Date.now();
+    endpoint.failures++;
+    endpoint.lastFailureAt = now;
+    endpoint.retryAt = now + Math.min(MAX_FAILURE_COOLDOWN, FAILURE_COOLDOWN * Math.pow(2, endpoint.failures - 1));
+    
+    return this._health(endpoint);
+  }
+  
+  /**
+   * Starea tuturor endpoint-urilor, în ordinea din configurare
+   * @returns {EndpointHealth[]}
+   */
+  public getHealth(): EndpointHealth[] {
+    return this.endpoints.map(endpoint => this._health(endpoint));
+  }
+  
+  /**
+   * @private
+   */
+  private _find(url: string): EndpointState | undefined {
+    return this.endpoints.find(endpoint => endpoint.url === url);
+  }
+  
+  /**
+   * @private
+   */
+  private _averageLatency(endpoint: EndpointState): number | null {
+    if (endpoint.latencies.length === 0) {
+      return null;
+    }
+    
+    return Math.round(endpoint.latencies.reduce((sum, latency) => sum + latency, 0) / endpoint.latencies.length);
+  }
+  
+  /**
+   * @private
+   */
+  private _health(endpoint: EndpointState): EndpointHealth {
+    return {
+      url: endpoint.url,
+      failures: endpoint.failures,
+      lastFailureAt: endpoint.lastFailureAt,
+      retryAt: endpoint.retryAt > Date.now() ? endpoint.retryAt : null,
+      latency: this._averageLatency(endpoint)
+    };
+  }
+}
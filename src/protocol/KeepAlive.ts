@@ -0,0 +1,130 @@
+/**
+ * Menținerea conexiunii și detectarea conexiunilor moarte
+ *
+ * Cât timp clientul este autentificat, serverul primește periodic un ping
+ * (iq `w:p`). Orice cadru primit actualizează momentul ultimei activități a
+ * serverului; dacă serverul tace mai mult de `keepAliveTimeout`, conexiunea
+ * este considerată moartă (TCP semi-deschis după NAT sau sleep), socket-ul
+ * este închis forțat cu motivul TIMED_OUT, iar clientul se reconectează.
+ */
+
+import { ConnectionState, DisconnectReason } from '../constants';
+
+// Numărul de latențe păstrate pentru evenimentul `connection_stale`
+const LATENCY_HISTORY_SIZE = 10;
+
+export class KeepAlive {
+  private client: any;
+  private timer: NodeJS.Timeout | null = null;
+  private lastFrameAt = Date.now();
+  private latencies: number[] = [];
+  
+  constructor(client: any) {
+    this.client = client;
+    
+    this.client.on('state_change', ({ to }: { to: string }) => {
+      if (to === ConnectionState.AUTHENTICATED || to === ConnectionState.READY) {
+        this.start();
+      } else if (to === ConnectionState.DISCONNECTED) {
+        this.stop();
+      }
+    });
+  }
+  
+  /**
+   * Latențele ultimelor ping-uri reușite (ms), de la cea mai veche
+   */
+  public get latencyHistory(): number[] {
+    return [...this.latencies];
+  }
+  
+  /**
+   * Pornire ping-uri periodice (fără efect dacă rulează deja sau sunt dezactivate)
+   */
+  public start(): void {
+    if (this.timer || !(this.client.options.keepAliveInterval > 0)) {
+      return;
+    }
+    
+    this.lastFrameAt = Date.now();
+    this.latencies = [];
+    this.timer = setInterval(() => this._tick(), this.client.options.keepAliveInterval);
+  }
+  
+  /**
+   * Oprire ping-uri
+   */
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  /**
+   * Înregistrare cadru primit de la server
+   */
+  public touch(): void {
+    this.lastFrameAt = Date.now();
+  }
+  
+  /**
+   * Verificare activitate server și trimitere ping
+   * @private
+   */
+  private _tick(): void {
+    const silentFor = Date.now() - this.lastFrameAt;
+    
+    if (silentFor > this.client.options.keepAliveTimeout) {
+      this._closeStale(silentFor);
+      return;
+    }
+    
+    this._ping().catch((error: Error) => {
+      this.client.log('Keepalive ping failed:', error);
+    });
+  }
+  
+  /**
+   * Ping `w:p` și măsurarea latenței
+   * @private
+   */
+  private async _ping(): Promise<void> {
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'iq',
+      data: {
+        type: 'get',
+        xmlns: 'w:p',
+        to: 's.whatsapp.net',
+        content: [{ type: 'ping' }]
+      }
+    };
+    
+    const sentAt = Date.now();
+    await this.client.protocolManager.query(node, { timeout: this.client.options.keepAliveTimeout });
+    
+    this.latencies.push(Date.now() - sentAt);
+    if (this.latencies.length > LATENCY_HISTORY_SIZE) {
+      this.latencies.shift();
+    }
+  }
+  
+  /**
+   * Închidere forțată a conexiunii fără activitate; evenimentul `close` al
+   * socket-ului declanșează reconectarea
+   * @private
+   */
+  private _closeStale(silentFor: number): void {
+    this.stop();
+    
+    this.client.log(`No frames from server for ${silentFor}ms, closing stale connection`);
+    this.client.emit('connection_stale', {
+      lastFrameAt: this.lastFrameAt,
+      silentFor,
+      latencies: this.latencyHistory
+    });
+    
+    this.client.protocolManager.closeWithReason(DisconnectReason.TIMED_OUT);
+  }
+}
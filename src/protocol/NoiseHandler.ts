@@ -0,0 +1,299 @@
+/**
+ * Handshake Noise (Noise_XX_25519_AESGCM_SHA256) și criptarea transportului
+ *
+ * Fluxul XX: ClientHello (e) -> ServerHello (e, ee, s, es) -> ClientFinish (s, se).
+ * După handshake, fiecare cadru este criptat AES-GCM cu chei și contoare separate
+ * pentru fiecare direcție.
+ */
+
+import { NOISE_MODE, NOISE_WA_HEADER, WA_CERT_ROOT_KEY, WA_CERT_ROOT_SERIAL } from '../constants';
+import { generateKeyPair, hkdf, sha256, sharedKey, aesGcmEncrypt, aesGcmDecrypt } from '../utils/crypto';
+import { encodeProto, decodeProto, getBytes, getNumber } from '../utils/proto';
+import { verifySignature } from '../signal/xeddsa';
+import { KeyPair } from '../types';
+
+// Numerele câmpurilor din HandshakeMessage
+const HANDSHAKE_CLIENT_HELLO = 2;
+const HANDSHAKE_SERVER_HELLO = 3;
+const HANDSHAKE_CLIENT_FINISH = 4;
+
+// Dimensiunea maximă a unui cadru (lungime pe 3 octeți)
+const MAX_FRAME_LENGTH = (1 << 24) - 1;
+
+export type NoiseKeyPair = KeyPair;
+
+export class NoiseHandler {
+  private staticKey: NoiseKeyPair;
+  private ephemeralKey: NoiseKeyPair;
+  private rootKey: Buffer;
+  
+  private hash: Buffer;
+  private chainingKey: Buffer;
+  private encKey: Buffer;
+  private decKey: Buffer;
+  private readCounter = 0;
+  private writeCounter = 0;
+  
+  private introSent = false;
+  private inBytes: Buffer = Buffer.alloc(0);
+  
+  public isFinished = false;
+  
+  /**
+   * @param {NoiseKeyPair} staticKey Cheia statică Noise a clientului
+   * @param {Object} options ephemeralKey (implicit generată), rootKey (cheia care semnează certificatele intermediare)
+   */
+  constructor(staticKey: NoiseKeyPair, options: { ephemeralKey?: NoiseKeyPair, rootKey?: Buffer } = {}) {
+    this.staticKey = staticKey;
+    this.ephemeralKey = options.ephemeralKey || generateKeyPair();
+    this.rootKey = options.rootKey || WA_CERT_ROOT_KEY;
+    
+    const mode = Buffer.from(NOISE_MODE);
+    this.hash = mode.length === 32 ? mode : sha256(mode);
+    this.chainingKey = this.hash;
+    this.encKey = this.hash;
+    this.decKey = this.hash;
+    
+    // Prologul handshake-ului este header-ul WhatsApp
+    this._mixHash(NOISE_WA_HEADER);
+  }
+  
+  /**
+   * Construire cadru ClientHello (conține cheia efemeră)
+   * @returns {Buffer} Cadrul de trimis
+   */
+  public clientHello(): Buffer {
+    this._mixHash(this.ephemeralKey.publicKey);
+    
+    const hello = encodeProto([[1, this.ephemeralKey.publicKey]]);
+    return this.encodeFrame(encodeProto([[HANDSHAKE_CLIENT_HELLO, hello]]));
+  }
+  
+  /**
+   * Procesare ServerHello și construire ClientFinish
+   * @param {Buffer} frame Cadrul ServerHello (HandshakeMessage encodat)
+   * @param {Buffer} payload Payload-ul clientului, trimis criptat în ClientFinish
+   * @returns {Buffer} Cadrul ClientFinish de trimis
+   */
+  public processServerHello(frame: Buffer, payload: Buffer): Buffer {
+    const serverHello = getBytes(decodeProto(frame), HANDSHAKE_SERVER_HELLO);
+    if (!serverHello) {
+      throw new Error('Invalid handshake: missing ServerHello');
+    }
+    
+    const hello = decodeProto(serverHello);
+    const serverEphemeral = getBytes(hello, 1);
+    const serverStaticEnc = getBytes(hello, 2);
+    const certEnc = getBytes(hello, 3);
+    if (!serverEphemeral || !serverStaticEnc || !certEnc) {
+      throw new Error('Invalid handshake: incomplete ServerHello');
+    }
+    
+    // e, ee
+    this._mixHash(serverEphemeral);
+    this._mixKeys(sharedKey(this.ephemeralKey.privateKey, serverEphemeral));
+    
+    // s, es
+    const serverStatic = this.decrypt(serverStaticEnc);
+    this._mixKeys(sharedKey(this.ephemeralKey.privateKey, serverStatic));
+    
+    // Certificatul serverului trebuie să fie emis pentru cheia statică primită
+    const cert = this.decrypt(certEnc);
+    this._verifyCertificate(cert, serverStatic);
+    
+    // s, se
+    const staticEnc = this.encrypt(this.staticKey.publicKey);
+    this._mixKeys(sharedKey(this.staticKey.privateKey, serverEphemeral));
+    const payloadEnc = this.encrypt(payload);
+    
+    const finish = encodeProto([[1, staticEnc], [2, payloadEnc]]);
+    const finishFrame = this.encodeFrame(encodeProto([[HANDSHAKE_CLIENT_FINISH, finish]]));
+    
+    this._finishInit();
+    return finishFrame;
+  }
+  
+  /**
+   * Criptare date cu cheia de scriere curentă
+   * @param {Buffer} plaintext Datele de criptat
+   */
+  public encrypt(plaintext: Buffer): Buffer {
+    const ciphertext = aesGcmEncrypt(plaintext, this.encKey, this._generateIV(this.writeCounter), this.hash);
+    this.writeCounter++;
+    
+    this._mixHash(ciphertext);
+    return ciphertext;
+  }
+  
+  /**
+   * Decriptare date cu cheia de citire curentă
+   * @param {Buffer} ciphertext Datele de decriptat
+   */
+  public decrypt(ciphertext: Buffer): Buffer {
+    // În timpul handshake-ului ambele direcții folosesc același contor
+    const counter = this.isFinished ? this.readCounter : this.writeCounter;
+    const plaintext = aesGcmDecrypt(ciphertext, this.decKey, this._generateIV(counter), this.hash);
+    
+    if (this.isFinished) {
+      this.readCounter++;
+    } else {
+      this.writeCounter++;
+    }
+    
+    this._mixHash(ciphertext);
+    return plaintext;
+  }
+  
+  /**
+   * Încadrare date: lungime pe 3 octeți (primul cadru are și header-ul WhatsApp)
+   * @param {Buffer} data Datele cadrului
+   */
+  public encodeFrame(data: Buffer): Buffer {
+    const body = this.isFinished ? this.encrypt(data) : data;
+    if (body.length > MAX_FRAME_LENGTH) {
+      throw new Error(`Frame too large: ${body.length}`);
+    }
+    
+    const header = Buffer.alloc(3);
+    header.writeUIntBE(body.length, 0, 3);
+    
+    const parts = [header, body];
+    if (!this.introSent) {
+      parts.unshift(NOISE_WA_HEADER);
+      this.introSent = true;
+    }
+    
+    return Buffer.concat(parts);
+  }
+  
+  /**
+   * Extragere cadre complete din datele primite (decriptate după handshake)
+   * @param {Buffer} data Datele primite pe socket
+   * @param {Function} onFrame Callback apelat pentru fiecare cadru
+   */
+  public decodeFrames(data: Buffer, onFrame: (frame: Buffer) => void): void {
+    this.inBytes = Buffer.concat([this.inBytes, data]);
+    
+    while (this.inBytes.length >= 3) {
+      const length = this.inBytes.readUIntBE(0, 3);
+      if (this.inBytes.length < length + 3) {
+        break;
+      }
+      
+      let frame: Buffer = this.inBytes.slice(3, length + 3);
+      this.inBytes = this.inBytes.slice(length + 3);
+      
+      if (this.isFinished) {
+        frame = this.decrypt(frame);
+      }
+      
+      onFrame(frame);
+    }
+  }
+  
+  /**
+   * Actualizare hash-ul handshake-ului
+   * @private
+   */
+  private _mixHash(data: Buffer): void {
+    if (!this.isFinished) {
+      this.hash = sha256(Buffer.concat([this.hash, data]));
+    }
+  }
+  
+  /**
+   * Derivare chei noi din chaining key și un secret partajat
+   * @private
+   */
+  private _mixKeys(data: Buffer): void {
+    const [write, read] = this._localHKDF(data);
+    this.chainingKey = write;
+    this.encKey = read;
+    this.decKey = read;
+    this.readCounter = 0;
+    this.writeCounter = 0;
+  }
+  
+  /**
+   * Finalizare handshake: chei separate pentru scriere și citire
+   * @private
+   */
+  private _finishInit(): void {
+    const [write, read] = this._localHKDF(Buffer.alloc(0));
+    this.encKey = write;
+    this.decKey = read;
+    this.hash = Buffer.alloc(0);
+    this.readCounter = 0;
+    this.writeCounter = 0;
+    this.isFinished = true;
+  }
+  
+  /**
+   * HKDF cu salt = chaining key, împărțit în două chei de 32 de octeți
+   * @private
+   */
+  private _localHKDF(data: Buffer): [Buffer, Buffer] {
+    const key = hkdf(data, 64, Buffer.alloc(0), this.chainingKey);
+    return [key.slice(0, 32), key.slice(32)];
+  }
+  
+  /**
+   * Generare IV din contor (12 octeți, contorul big-endian la final)
+   * @private
+   */
+  private _generateIV(counter: number): Buffer {
+    const iv = Buffer.alloc(12);
+    iv.writeUInt32BE(counter, 8);
+    return iv;
+  }
+  
+  /**
+   * Verificare lanț de certificate (CertChain): intermediarul este semnat de
+   * cheia rădăcină WhatsApp, iar frunza de intermediar și emisă pentru cheia
+   * statică primită
+   * @private
+   */
+  private _verifyCertificate(cert: Buffer, serverStatic: Buffer): void {
+    const chain = decodeProto(cert);
+    const leaf = this._decodeCertificate(getBytes(chain, 1));
+    const intermediate = this._decodeCertificate(getBytes(chain, 2));
+    if (!leaf || !intermediate) {
+      throw new Error('Invalid handshake: incomplete server certificate chain');
+    }
+    
+    if (!verifySignature(this.rootKey, intermediate.details, intermediate.signature)) {
+      throw new Error('Invalid handshake: intermediate certificate signature invalid');
+    }
+    if ((getNumber(intermediate.fields, 2) || 0) !== WA_CERT_ROOT_SERIAL) {
+      throw new Error('Invalid handshake: intermediate certificate not issued by the root');
+    }
+    
+    const intermediateKey = getBytes(intermediate.fields, 3);
+    if (!intermediateKey || !verifySignature(intermediateKey, leaf.details, leaf.signature)) {
+      throw new Error('Invalid handshake: leaf certificate signature invalid');
+    }
+    if ((getNumber(leaf.fields, 2) || 0) !== (getNumber(intermediate.fields, 1) || 0)) {
+      throw new Error('Invalid handshake: leaf certificate not issued by the intermediate');
+    }
+    
+    const key = getBytes(leaf.fields, 3);
+    if (!key || !key.equals(serverStatic)) {
+      throw new Error('Invalid handshake: server certificate does not match static key');
+    }
+  }
+  
+  /**
+   * Decodare NoiseCertificate (detalii semnate și semnătura)
+   * @private
+   */
+  private _decodeCertificate(data: Buffer | undefined): { details: Buffer, signature: Buffer, fields: Map<number, (Buffer | number)[]> } | null {
+    const certificate = data && decodeProto(data);
+    const details = certificate && getBytes(certificate, 1);
+    const signature = certificate && getBytes(certificate, 2);
+    if (!details || !signature) {
+      return null;
+    }
+    
+    return { details, signature, fields: decodeProto(details) };
+  }
+}
@@ -0,0 +1,564 @@
+/**
+ * Manager de protocol binar pentru comunicarea cu serverele WhatsApp
+ */
+
+import WebSocket from 'ws';
+import * as zlib from 'zlib';
+import { DisconnectReason } from '../constants';
+import { BinaryEncoder, BinaryDecoder, toBinaryNode, fromBinaryNode } from '../binary';
+import { NoiseHandler } from './NoiseHandler';
+import { encodeLoginPayload, encodeRegisterPayload } from './clientPayload';
+
+// Primul octet al fiecărui cadru după handshake: flag-uri (bitul 2 = nod comprimat zlib)
+const FRAME_FLAG_COMPRESSED = 2;
+
+// Textul implicit pentru codurile de eroare fără text în răspuns
+const QUERY_ERROR_TEXT: { [code: number]: string } = {
+  400: 'bad-request',
+  401: 'not-authorized',
+  403: 'forbidden',
+  404: 'item-not-found',
+  405: 'not-allowed',
+  406: 'not-acceptable',
+  408: 'timeout',
+  409: 'conflict',
+  428: 'connection-closed',
+  429: 'rate-overlimit',
+  500: 'internal-server-error',
+  501: 'feature-not-implemented',
+  503: 'service-unavailable'
+};
+
+/**
+ * Răspuns de eroare la o interogare (`type="error"` sau status >= 400)
+ */
+export class WAQueryError extends Error {
+  public code: number;
+  public text: string;
+  
+  constructor(code: number, text?: string, message?: string) {
+    const errorText = text || QUERY_ERROR_TEXT[code] || 'error';
+    super(message || `${errorText} (${code})`);
+    this.name = 'WAQueryError';
+    this.code = code;
+    this.text = errorText;
+  }
+  
+  /**
+   * Eroare cu descrierea operației în mesaj; codul unei erori de interogare este păstrat
+   * @param {Error} error Eroarea originală
+   * @param {string} description Operația eșuată (ex: "Failed to get group info")
+   * @returns {Error} WAQueryError sau Error
+   */
+  public static wrap(error: unknown, description: string): Error {
+    const message = `${description}: ${(error as Error).message}`;
+    return error instanceof WAQueryError
+      ? new WAQueryError(error.code, error.text, message)
+      : new Error(message);
+  }
+}
+
+/**
+ * Răspuns așteptat pentru o stanza trimisă
+ */
+interface PendingResponse {
+  resolve: (response: any) => void;
+  reject: (error: Error) => void;
+  timer: NodeJS.Timeout;
+}
+
+export class ProtocolManager {
+  private client: any;
+  private messageTagCounter = 0;
+  private callbacks: Map<string, PendingResponse> = new Map();
+  private binaryDecoder = new BinaryDecoder();
+  private binaryEncoder = new BinaryEncoder();
+  private noise: NoiseHandler | null = null;
+  private clientPayload: Buffer | null = null;
+  
+  constructor(client: any) {
+    this.client = client;
+  }
+  
+  /**
+   * Pornire handshake Noise pentru o conexiune nouă (trimite ClientHello)
+   * @returns {Promise<void>}
+   */
+  public async startHandshake(): Promise<void> {
+    // Payload-ul este pregătit înainte, ca ServerHello să fie procesat sincron
+    this.noise = null;
+    this.clientPayload = await this._buildClientPayload();
+    this.noise = new NoiseHandler(this.client.noiseKey);
+    return this._send(this.noise.clientHello());
+  }
+  
+  /**
+   * Procesare date primite pe socket
+   * @param {Buffer} buffer Datele primite
+   */
+  public processMessage(buffer: Buffer): void {
+    if (!this.noise) {
+      this.client.log('Received data before handshake start');
+      return;
+    }
+    
+    const noise = this.noise;
+    noise.decodeFrames(buffer, (frame) => {
+      if (noise.isFinished) {
+        this._processFrame(frame);
+      } else {
+        this._processServerHello(frame);
+      }
+    });
+  }
+  
+  /**
+   * Procesare ServerHello și finalizare handshake
+   * @param {Buffer} frame Cadrul de handshake
+   * @private
+   */
+  private _processServerHello(frame: Buffer): void {
+    try {
+      const finish = this.noise!.processServerHello(frame, this.clientPayload!);
+      
+      this.client.log('Noise handshake complete');
+      this._send(finish).catch((error) => {
+        this.client.log('Error sending handshake finish:', error);
+      });
+      this.client.emit('handshake_complete');
+    } catch (error) {
+      this.client.log('Noise handshake failed:', error);
+      this.client.emit('connection_failure', error);
+      if (this.client.ws) {
+        this.client.ws.close();
+      }
+    }
+  }
+  
+  /**
+   * Procesare cadru decriptat: octetul de flag-uri urmat de un nod binar
+   * @param {Buffer} buffer Datele cadrului
+   * @private
+   */
+  private _processFrame(buffer: Buffer): void {
+    let decoded: any;
+    try {
+      const payload = buffer[0] & FRAME_FLAG_COMPRESSED ? zlib.inflateSync(buffer.slice(1)) : buffer.slice(1);
+      const node = this.binaryDecoder.decode(payload);
+      
+      // Răspunsurile (iq, ack) poartă `id`-ul stanzei la care răspund; nodul
+      // original păstrează tag-urile copiilor, pe care `type` din atribute le ascunde
+      decoded = { tag: node.attrs.id || null, type: node.tag, data: fromBinaryNode(node), node };
+    } catch (error) {
+      this.client.log('Error decoding binary message:', error);
+      return;
+    }
+    
+    this.client.log('Received binary message:', decoded);
+    this._processBinaryMessage(decoded);
+  }
+  
+  /**
+   * Procesare mesaj binar
+   * @param {Object} message Mesajul decodat
+   * @private
+   */
+  private _processBinaryMessage(message: any): void {
+    // Doar iq și ack sunt răspunsuri; mesajele și confirmările primite pot avea
+    // același ID ca un mesaj trimis
+    const pending = message.tag && (message.type === 'iq' || message.type === 'ack')
+      ? this.callbacks.get(message.tag)
+      : undefined;
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.callbacks.delete(message.tag);
+      pending.resolve(message);
+    }
+    
+    // Procesare în funcție de tag-ul nodului (pentru "action", după tipul datelor)
+    const kind = message.type === 'action' && message.data ? message.data.type : message.type;
+    if (message.data && kind) {
+      switch (kind) {
+        case 'message':
+          this.client.messageHandler.handleIncomingMessage(message.data).catch((error: Error) => {
+            this.client.log('Error handling incoming message:', error);
+          });
+          break;
+        
+        case 'receipt':
+          this.client.receiptHandler.handleReceipt(message.data);
+          break;
+        
+        case 'presence':
+          if (message.data.from || message.data.id) {
+            this.client.presences.set(message.data.from || message.data.id, message.data);
+          }
+          this.client.emit('presence', message.data);
+          break;
+        
+        case 'notification':
+          this._processNotification(message.data);
+          break;
+        
+        case 'iq':
+          this._processIq(message);
+          break;
+        
+        case 'success':
+          this.client.log('Authentication successful');
+          this.client.authHandler.handleAuthSuccess(message.data).catch((error: Error) => {
+            this.client.log('Error handling authentication success:', error);
+          });
+          break;
+        
+        case 'stream:error':
+          this.closeWithReason(this._streamErrorReason(message.data));
+          break;
+        
+        case 'failure':
+          this.closeWithReason(this._failureReason(message.data));
+          break;
+        
+        default:
+          this.client.emit('binary_message', message.data);
+      }
+    }
+  }
+  
+  /**
+   * Închidere conexiune cu motivul dat; reconectarea este decisă la
+   * închiderea socket-ului, în funcție de motiv
+   * @param {DisconnectReason} reason Motivul
+   */
+  public closeWithReason(reason: DisconnectReason): void {
+    this.client.log(`Closing connection: ${reason}`);
+    this.client.disconnectReason = reason;
+    
+    if (this.client.ws) {
+      this.client.ws.terminate();
+    }
+  }
+  
+  /**
+   * Respingere imediată a răspunsurilor așteptate la închiderea socket-ului;
+   * altfel interogările în curs ar aștepta până la timeout
+   */
+  public rejectPending(): void {
+    const pending = [...this.callbacks.values()];
+    this.callbacks.clear();
+    
+    for (const { reject, timer } of pending) {
+      clearTimeout(timer);
+      reject(new WAQueryError(428, 'connection-closed', 'Connection closed'));
+    }
+  }
+  
+  /**
+   * Motivul unui nod `stream:error` (cod sau copil `conflict`)
+   * @private
+   */
+  private _streamErrorReason(node: any): DisconnectReason {
+    const children = Array.isArray(node.content) ? node.content : [];
+    
+    // <conflict type="replaced"/> este decodat cu tipul din atribut
+    if (children.some((child: any) => child.type === 'replaced')) {
+      return DisconnectReason.CONNECTION_REPLACED;
+    }
+    if (children.some((child: any) => child.type === 'device_removed')) {
+      return DisconnectReason.LOGGED_OUT;
+    }
+    
+    switch (Number(node.code)) {
+      case 401:
+        return DisconnectReason.LOGGED_OUT;
+      case 515:
+        return DisconnectReason.RESTART_REQUIRED;
+      default:
+        return DisconnectReason.CONNECTION_LOST;
+    }
+  }
+  
+  /**
+   * Motivul unui nod `failure` (autentificare respinsă)
+   * @private
+   */
+  private _failureReason(node: any): DisconnectReason {
+    switch (Number(node.reason)) {
+      case 401:
+        return DisconnectReason.LOGGED_OUT;
+      case 515:
+        return DisconnectReason.RESTART_REQUIRED;
+      default:
+        return DisconnectReason.BAD_SESSION;
+    }
+  }
+  
+  /**
+   * Procesare cereri `iq` inițiate de server
+   * @param {Object} message Nodul primit
+   * @private
+   */
+  private _processIq(message: any): void {
+    const children = Array.isArray(message.data.content) ? message.data.content : [];
+    
+    // Ping-ul serverului așteaptă un răspuns gol
+    if (message.data.xmlns === 'urn:xmpp:ping' && message.data.type === 'get') {
+      this._replyResult(message.tag);
+      return;
+    }
+    
+    // Referințele pentru codurile QR ale unui dispozitiv neasociat
+    const pairDevice = children.find((child: any) => child && child.type === 'pair-device');
+    if (pairDevice) {
+      this._replyResult(message.tag);
+      
+      const refs = (Array.isArray(pairDevice.content) ? pairDevice.content : [])
+        .filter((child: any) => child.type === 'ref' && child.content !== undefined)
+        .map((child: any) => child.content.toString());
+      if (refs.length > 0 && this.client.authHandler.handlePairDevice) {
+        this.client.log('Received QR code references');
+        this.client.authHandler.handlePairDevice(refs);
+      }
+      return;
+    }
+    
+    if (children.some((child: any) => child && child.type === 'pair-success')) {
+      this.client.deviceHandler.handlePairSuccess(message).catch((error: Error) => {
+        this.client.log('Error handling pair-success:', error);
+      });
+    }
+  }
+  
+  /**
+   * Procesare notificare
+   * @param {Object} notification Notificarea
+   * @private
+   */
+  private _processNotification(notification: any): void {
+    // Tipul notificării este în atributul `type` (sau `subtype`)
+    const subtype = notification.subtype || (notification.type !== 'notification' ? notification.type : undefined);
+    if (!subtype) {
+      this.client.emit('notification', notification);
+      return;
+    }
+    
+    switch (subtype) {
+      case 'group':
+        this.client.groupHandler.handleGroupNotification(notification);
+        break;
+      
+      case 'privacy':
+        this.client.emit('privacy_notification', notification);
+        break;
+      
+      case 'mediaretry':
+        this.client.mediaHandler.handleMediaRetryNotification(notification);
+        break;
+      
+      case 'server_sync':
+        this.client.appStateHandler.handleServerSyncNotification(notification);
+        break;
+      
+      case 'contact':
+        this.client.emit('contact_notification', notification);
+        break;
+      
+      case 'devices':
+        this.client.deviceHandler.handleDevicesNotification(notification);
+        break;
+      
+      case 'link_code_companion_reg':
+        if (this.client.authHandler.handleLinkCodeNotification) {
+          this.client.authHandler.handleLinkCodeNotification(notification).catch((error: Error) => {
+            this.client.log('Error completing pairing code registration:', error);
+            this.client.emit('pairing_code_error', error);
+          });
+        }
+        break;
+      
+      default:
+        this.client.emit('notification', notification);
+    }
+  }
+  
+  /**
+   * Trimitere mesaj binar
+   * @param {Object} node Nodul de trimis
+   * @param {Object} options tag (ID-ul stanzei, implicit `data.id` sau unul generat), timeout, response (false = fără răspuns așteptat)
+   * @returns {Promise<Object>} Răspunsul (iq sau ack cu același ID)
+   */
+  public async sendBinary(node: any, options: { tag?: string, timeout?: number, response?: boolean } = {}): Promise<any> {
+    // Limitele de rată; confirmările și prezența trec imediat
+    await this.client.sendScheduler.acquire(node);
+    
+    const data = node.data || {};
+    const tag = options.tag || data.id || this._generateMessageTag();
+    node.tag = tag;
+    
+    const encoded = this.binaryEncoder.encode(toBinaryNode(node.type || 'action', { ...data, id: tag }));
+    const buffer = Buffer.concat([Buffer.from([0]), encoded]);
+    
+    if (options.response === false) {
+      return this._sendFrame(buffer);
+    }
+    
+    return new Promise((resolve, reject) => {
+      // Timeout-ul este păstrat lângă callback, ca închiderea socket-ului să-l poată anula
+      const timer = setTimeout(() => {
+        this.callbacks.delete(tag);
+        reject(new WAQueryError(408, 'timeout', 'Response timeout'));
+      }, options.timeout || 60000);
+      
+      this.callbacks.set(tag, { resolve, reject, timer });
+      
+      // Trimitere mesaj
+      this._sendFrame(buffer).catch((error) => {
+        clearTimeout(timer);
+        this.callbacks.delete(tag);
+        reject(error);
+      });
+    });
+  }
+  
+  /**
+   * Interogare: trimitere nod și verificare răspuns
+   * @param {Object} node Nodul de trimis
+   * @param {Object} options timeout (ms, implicit opțiunea `queryTimeout` a clientului)
+   * @returns {Promise<Object>} Răspunsul, dacă nu este o eroare
+   * @throws {WAQueryError} Răspuns de eroare (cod și text) sau timeout (408)
+   */
+  public async query(node: any, options: { timeout?: number } = {}): Promise<any> {
+    const response = await this.sendBinary(node, { timeout: options.timeout || this.client.options.queryTimeout });
+    const data = response && response.data;
+    
+    if (data && data.type === 'error') {
+      // <error type="cancel" code="404"/> are tipul din atribut, deci copilul este căutat după tag
+      const children = response.node && Array.isArray(response.node.content) ? response.node.content : [];
+      const errorNode = children.find((child: any) => child && child.tag === 'error');
+      const error = errorNode ? errorNode.attrs : data;
+      throw new WAQueryError(Number(error.code) || 500, error.text);
+    }
+    
+    if (data && Number(data.status) >= 400) {
+      throw new WAQueryError(Number(data.status), data.text);
+    }
+    
+    return response;
+  }
+  
+  /**
+   * Trimitere cadru criptat cu cheile de transport Noise
+   * @param {Buffer} buffer Datele cadrului
+   * @private
+   */
+  private async _sendFrame(buffer: Buffer): Promise<void> {
+    if (!this.noise || !this.noise.isFinished) {
+      throw new Error('Noise handshake not completed');
+    }
+    
+    return this._send(this.noise.encodeFrame(buffer));
+  }
+  
+  /**
+   * Trimitere date brute pe WebSocket
+   * @param {Buffer} data Datele de trimis
+   * @private
+   */
+  private _send(data: Buffer): Promise<void> {
+    if (!this.client.ws || this.client.ws.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('WebSocket is not connected'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      this.client.ws.send(data, (error?: Error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+  
+  /**
+   * ClientPayload pentru ClientFinish: autentificare dacă dispozitivul este
+   * asociat, altfel înregistrare (urmată de asocierea prin QR sau cod)
+   * @private
+   */
+  private async _buildClientPayload(): Promise<Buffer> {
+    const jid = await this.client.deviceHandler.getOwnDeviceJid();
+    if (jid) {
+      return encodeLoginPayload(jid);
+    }
+    
+    return encodeRegisterPayload(await this.client.signalHandler.store.getCreds());
+  }
+  
+  /**
+   * Răspuns `result` gol la un iq al serverului
+   * @param {string} tag ID-ul cererii
+   * @private
+   */
+  private _replyResult(tag: string): void {
+    this.sendBinary({ type: 'iq', data: { to: 's.whatsapp.net', type: 'result' } }, { tag, response: false }).catch((error) => {
+      this.client.log('Error answering server iq:', error);
+    });
+  }
+  
+  /**
+   * Trimitere actualizare prezență
+   * @param {string} to Destinatarul
+   * @param {string} type Tipul prezenței
+   * @returns {Promise<boolean>}
+   */
+  public async sendPresence(to: string, type: string): Promise<boolean> {
+    const validTypes = ['typing', 'recording', 'available', 'unavailable', 'paused'];
+    if (!validTypes.includes(type)) {
+      throw new Error(`Invalid presence type: ${type}`);
+    }
+    
+    const node = {
+      id: this._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'presence',
+        to,
+        presence: type
+      }
+    };
+    
+    await this.sendBinary(node, { response: false });
+    return true;
+  }
+  
+  /**
+   * Trimitere mesaj de logout
+   * @returns {Promise<void>}
+   */
+  public async sendLogout(): Promise<void> {
+    const node = {
+      id: this._generateMessageTag(),
+      type: 'action',
+      data: {
+        type: 'set',
+        xmlns: 'status',
+        status: 'logout'
+      }
+    };
+    
+    try {
+      await this.sendBinary(node, { timeout: 5000 });
+    } catch (error) {
+      this.client.log('Error sending logout message:', error);
+    }
+  }
+  
+  /**
+   * Generare tag de mesaj unic
+   * @returns {string} Tag-ul generat
+   */
+  public _generateMessageTag(): string {
+    return `${Date.now()}.--${this.messageTagCounter++}`;
+  }
+}
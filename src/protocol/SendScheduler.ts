@@ -0,0 +1,331 @@
+/**
+ * Planificator pentru nodurile trimise către server
+ *
+ * Fiecare nod trece prin planificator înainte de `sendBinary`. Confirmările
+ * (receipt, ack), prezența și ping-urile sunt trimise imediat, pe canalul prioritar.
+ * Mesajele consumă câte un jeton din limita globală și din limita
+ * conversației; celelalte noduri (interogări iq) doar din limita globală.
+ * Nodurile care nu au jeton așteaptă în coadă, în ordinea sosirii.
+ */
+
+import { ConnectionState } from '../constants';
+import { SendSchedulerOptions } from '../types';
+import { LRUMap } from '../store/LRUMap';
+
+export interface SendSchedulerMetrics {
+  queueDepth: number;
+  sent: number;
+  prioritySent: number;
+  throttled: number;
+  averageDelay: number;
+  maxDelay: number;
+}
+
+interface QueuedSend {
+  chatJid?: string;
+  queuedAt: number;
+  resolve: () => void;
+  reject: (error: Error) => void;
+}
+
+/**
+ * Limită de rată: `capacity` jetoane, reumplute cu `rate` jetoane pe secundă
+ */
+class TokenBucket {
+  private capacity: number;
+  private rate: number;
+  private tokens: number;
+  private updatedAt = Date.now();
+  
+  constructor(capacity: number, rate: number) {
+    this.capacity = capacity;
+    this.rate = rate;
+    this.tokens = capacity;
+  }
+  
+  /**
+   * Milisecunde până la următorul jeton (0 dacă este disponibil acum)
+   */
+  public waitTime(): number {
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rate * 1000);
+  }
+  
+  public take(): void {
+    this._refill();
+    this.tokens -= 1;
+  }
+  
+  private _refill(): void {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+  }
+}
+
+// Valorile acceptate pentru opțiunile numerice
+const OPTION_RULES: { [name: string]: { valid: (value: number) => boolean, expected: string } } = {
+  globalRate: { valid: value => value > 0, expected: 'a positive number' },
+  chatRate: { valid: value => value > 0, expected: 'a positive number' },
+  typingSpeed: { valid: value => value > 0, expected: 'a positive number' },
+  // Un nod consumă un jeton întreg, deci o rafală sub 1 ar bloca definitiv coada
+  globalBurst: { valid: value => value >= 1, expected: 'a number of at least 1' },
+  chatBurst: { valid: value => value >= 1, expected: 'a number of at least 1' },
+  minJitter: { valid: value => value >= 0, expected: 'a non-negative number' },
+  maxJitter: { valid: value => value >= 0, expected: 'a non-negative number' },
+  maxTypingDelay: { valid: value => value >= 0, expected: 'a non-negative number' }
+};
+
+/**
+ * Verificare opțiuni numerice (o rată 0 sau o valoare nenumerică ar bloca coada)
+ * @param {SendSchedulerOptions} options Opțiunile primite
+ */
+function validateOptions(options: SendSchedulerOptions): void {
+  for (const [name, rule] of Object.entries(OPTION_RULES)) {
+    const value = (options as any)[name];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || !rule.valid(value))) {
+      throw new Error(`Invalid send scheduler option ${name}: expected ${rule.expected}`);
+    }
+  }
+  
+  if (options.minJitter !== undefined && options.maxJitter !== undefined && options.minJitter > options.maxJitter) {
+    throw new Error('Invalid send scheduler options: minJitter is greater than maxJitter');
+  }
+}
+
+export class SendScheduler {
+  private client: any;
+  private options: Required<SendSchedulerOptions>;
+  private queue: QueuedSend[] = [];
+  private global: TokenBucket;
+  private chats: LRUMap<string, TokenBucket> = new LRUMap(1000);
+  private timer: NodeJS.Timeout | null = null;
+  // Următoarea eliberare din coadă nu are loc înainte de acest moment (jitter)
+  private pausedUntil = 0;
+  private metrics = { sent: 0, prioritySent: 0, throttled: 0, totalDelay: 0, maxDelay: 0 };
+  
+  constructor(client: any, options: SendSchedulerOptions = {}) {
+    validateOptions(options);
+    
+    this.client = client;
+    this.options = {
+      enabled: options.enabled !== false,
+      globalRate: options.globalRate ?? 5,
+      globalBurst: options.globalBurst ?? 20,
+      chatRate: options.chatRate ?? 1,
+      chatBurst: options.chatBurst ?? 5,
+      minJitter: options.minJitter ?? 0,
+      maxJitter: options.maxJitter ?? 0,
+      simulateTyping: options.simulateTyping || false,
+      typingSpeed: options.typingSpeed ?? 15,
+      maxTypingDelay: options.maxTypingDelay ?? 3000
+    };
+    this.global = new TokenBucket(this.options.globalBurst, this.options.globalRate);
+    
+    // Nodurile din coadă nu mai pot fi trimise pe conexiunea închisă
+    this.client.on('state_change', ({ to }: { to: string }) => {
+      if (to === ConnectionState.DISCONNECTED) {
+        this.clear(new Error('Connection closed'));
+      }
+    });
+  }
+  
+  /**
+   * Numărul de noduri care așteaptă în coadă
+   */
+  public get size(): number {
+    return this.queue.length;
+  }
+  
+  /**
+   * Așteptare până când nodul poate fi trimis
+   * @param {Object} node Nodul care urmează să fie trimis
+   * @returns {Promise<void>}
+   */
+  public acquire(node: any): Promise<void> {
+    if (!this.options.enabled) {
+      return Promise.resolve();
+    }
+    
+    if (this._isPriority(node)) {
+      this.metrics.prioritySent++;
+      return Promise.resolve();
+    }
+    
+    const data = node.data || {};
+    const chatJid = data.xmlns === 'w:m' && data.to ? data.to : undefined;
+    
+    return new Promise((resolve, reject) => {
+      this.queue.push({ chatJid, queuedAt: Date.now(), resolve, reject });
+      this._emitDepth();
+      this._pump();
+    });
+  }
+  
+  /**
+   * Prezența „typing” înaintea unui mesaj text, cu o pauză proporțională
+   * cu lungimea textului (doar cu opțiunea `simulateTyping`)
+   * @param {string} jid Conversația
+   * @param {string} text Textul mesajului
+   * @returns {Promise<void>}
+   */
+  public async simulateTyping(jid: string, text: string): Promise<void> {
+    if (!this.options.enabled || !this.options.simulateTyping) {
+      return;
+    }
+    
+    // Răspunsul serverului la prezență nu este așteptat
+    this.client.protocolManager.sendPresence(jid, 'typing').catch((error: Error) => {
+      this.client.log('Error sending typing presence:', error);
+    });
+    
+    const delay = Math.min(this.options.maxTypingDelay, Math.round(text.length / this.options.typingSpeed * 1000));
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  
+  /**
+   * Statistici: adâncimea cozii, nodurile trimise și întârzierile (ms)
+   * @returns {SendSchedulerMetrics}
+   */
+  public getMetrics(): SendSchedulerMetrics {
+    const { sent, prioritySent, throttled, totalDelay, maxDelay } = this.metrics;
+    
+    return {
+      queueDepth: this.queue.length,
+      sent,
+      prioritySent,
+      throttled,
+      averageDelay: sent > 0 ? Math.round(totalDelay / sent) : 0,
+      maxDelay
+    };
+  }
+  
+  /**
+   * Golire coadă; nodurile în așteptare sunt respinse
+   * @param {Error} error Motivul
+   */
+  public clear(error: Error = new Error('Send queue cleared')): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    
+    const pending = this.queue;
+    this.queue = [];
+    
+    for (const entry of pending) {
+      entry.reject(error);
+    }
+    
+    if (pending.length > 0) {
+      this._emitDepth();
+    }
+  }
+  
+  /**
+   * Eliberare noduri din coadă cât timp există jetoane; altfel, reprogramare
+   * la momentul în care primul nod va avea jeton
+   * @private
+   */
+  private _pump(): void {
+    // Un nod nou poate fi eligibil înaintea celor care așteaptă
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      let wait = Math.max(0, this.pausedUntil - now, this.global.waitTime());
+      
+      // Primul nod eligibil; o conversație limitată nu blochează celelalte conversații
+      let index = -1;
+      if (wait === 0) {
+        const blocked = new Set<string>();
+        let chatWait = Infinity;
+        
+        for (let i = 0; i < this.queue.length; i++) {
+          const chatJid = this.queue[i].chatJid;
+          if (!chatJid) {
+            index = i;
+            break;
+          }
+          if (blocked.has(chatJid)) {
+            continue;
+          }
+          
+          const chatTime = this._chatBucket(chatJid).waitTime();
+          if (chatTime === 0) {
+            index = i;
+            break;
+          }
+          blocked.add(chatJid);
+          chatWait = Math.min(chatWait, chatTime);
+        }
+        
+        wait = index === -1 ? chatWait : 0;
+      }
+      
+      if (index === -1) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this._pump();
+        }, wait);
+        return;
+      }
+      
+      const [entry] = this.queue.splice(index, 1);
+      this.global.take();
+      if (entry.chatJid) {
+        this._chatBucket(entry.chatJid).take();
+      }
+      
+      const delay = now - entry.queuedAt;
+      this.metrics.sent++;
+      this.metrics.totalDelay += delay;
+      this.metrics.maxDelay = Math.max(this.metrics.maxDelay, delay);
+      if (delay > 0) {
+        this.metrics.throttled++;
+        this.client.emit('send_throttled', { to: entry.chatJid, delay, queueDepth: this.queue.length });
+      }
+      
+      const { minJitter, maxJitter } = this.options;
+      if (maxJitter > 0) {
+        this.pausedUntil = now + minJitter + Math.floor(Math.random() * Math.max(0, maxJitter - minJitter));
+      }
+      
+      this._emitDepth();
+      entry.resolve();
+    }
+  }
+  
+  /**
+   * Limita de rată a unei conversații
+   * @private
+   */
+  private _chatBucket(chatJid: string): TokenBucket {
+    let bucket = this.chats.get(chatJid);
+    if (!bucket) {
+      bucket = new TokenBucket(this.options.chatBurst, this.options.chatRate);
+      this.chats.set(chatJid, bucket);
+    }
+    
+    return bucket;
+  }
+  
+  /**
+   * Confirmările, prezența și ping-urile nu așteaptă după mesaje
+   * @private
+   */
+  private _isPriority(node: any): boolean {
+    const xmlns = node.data ? node.data.xmlns : undefined;
+    return node.type === 'receipt' || node.type === 'ack' || xmlns === 'presence' || xmlns === 'w:p';
+  }
+  
+  /**
+   * @private
+   */
+  private _emitDepth(): void {
+    this.client.emit('send_queue', { depth: this.queue.length });
+  }
+}
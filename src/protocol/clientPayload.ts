@@ -0,0 +1,125 @@
+/**
+ * ClientPayload trimis criptat în ClientFinish
+ *
+ * Un dispozitiv neasociat se înregistrează (cheile Signal și proprietățile
+ * dispozitivului, afișate pe telefon la asociere); un dispozitiv asociat se
+ * autentifică cu numărul de telefon și ID-ul de dispozitiv din JID.
+ */
+
+import * as crypto from 'crypto';
+import { WA_VERSION, WA_BROWSER } from '../constants';
+import { encodeProto } from '../utils/proto';
+import { decodeJid } from '../utils/jid';
+import { SignalCreds } from '../signal/SignalStore';
+
+// Valorile enum-urilor folosite (ClientPayload, UserAgent, WebInfo, DeviceProps)
+const CONNECT_TYPE_WIFI_UNKNOWN = 1;
+const CONNECT_REASON_USER_ACTIVATED = 1;
+const PLATFORM_WEB = 14;
+const RELEASE_CHANNEL_RELEASE = 0;
+const WEB_SUB_PLATFORM_WEB_BROWSER = 0;
+const DEVICE_PLATFORM_CHROME = 1;
+
+// Tipul cheilor din pachetul de înregistrare (Curve25519)
+const KEY_BUNDLE_TYPE = Buffer.from([5]);
+
+/**
+ * ClientPayload de autentificare pentru un dispozitiv asociat
+ * @param {string} jid JID-ul dispozitivului (user:device@s.whatsapp.net)
+ * @param {Object} options pushName
+ * @returns {Buffer} ClientPayload encodat
+ */
+export function encodeLoginPayload(jid: string, options: { pushName?: string } = {}): Buffer {
+  const { user, device } = decodeJid(jid);
+  if (!/^\d+$/.test(user)) {
+    throw new Error(`Invalid device JID for login: ${jid}`);
+  }
+  
+  return encodeProto([
+    [1, Number(user)],
+    [3, true],
+    ...basePayload(options),
+    [18, device],
+    [33, true]
+  ]);
+}
+
+/**
+ * ClientPayload de înregistrare pentru un dispozitiv nou (urmează asocierea)
+ * @param {SignalCreds} creds Identitatea Signal proprie
+ * @param {Object} options pushName
+ * @returns {Buffer} ClientPayload encodat
+ */
+export function encodeRegisterPayload(creds: SignalCreds, options: { pushName?: string } = {}): Buffer {
+  // DevicePairingRegistrationData
+  const pairingData = encodeProto([
+    [1, bigEndian(creds.registrationId, 4)],
+    [2, KEY_BUNDLE_TYPE],
+    [3, creds.identityKey.publicKey],
+    [4, bigEndian(creds.signedPreKey.keyId, 3)],
+    [5, creds.signedPreKey.keyPair.publicKey],
+    [6, creds.signedPreKey.signature],
+    [7, crypto.createHash('md5').update(WA_VERSION.join('.')).digest()],
+    [8, encodeDeviceProps()]
+  ]);
+  
+  return encodeProto([
+    [3, false],
+    ...basePayload(options),
+    [19, pairingData],
+    [33, false]
+  ]);
+}
+
+/**
+ * Câmpurile comune: UserAgent, WebInfo, tipul și motivul conectării
+ */
+function basePayload(options: { pushName?: string }): [number, Buffer | string | number | undefined][] {
+  const appVersion = encodeProto([
+    [1, WA_VERSION[0]],
+    [2, WA_VERSION[1]],
+    [3, WA_VERSION[2]]
+  ]);
+  
+  const userAgent = encodeProto([
+    [1, PLATFORM_WEB],
+    [2, appVersion],
+    [3, '000'],
+    [4, '000'],
+    [5, '0.1'],
+    [7, 'Desktop'],
+    [8, '0.1'],
+    [10, RELEASE_CHANNEL_RELEASE],
+    [11, 'en']
+  ]);
+  
+  return [
+    [5, userAgent],
+    [6, encodeProto([[4, WEB_SUB_PLATFORM_WEB_BROWSER]])],
+    [7, options.pushName],
+    [12, CONNECT_TYPE_WIFI_UNKNOWN],
+    [13, CONNECT_REASON_USER_ACTIVATED]
+  ];
+}
+
+/**
+ * DeviceProps: numele și platforma afișate pe telefon în lista dispozitivelor asociate
+ */
+function encodeDeviceProps(): Buffer {
+  return encodeProto([
+    [1, WA_BROWSER[0]],
+    [2, encodeProto([[1, 10], [2, 15], [3, 7]])],
+    [3, DEVICE_PLATFORM_CHROME],
+    [4, false],
+    [5, encodeProto([[3, 10240], [4, true]])]
+  ]);
+}
+
+/**
+ * Întreg big-endian pe n octeți
+ */
+function bigEndian(value: number, length: number): Buffer {
+  const buffer = Buffer.alloc(length);
+  buffer.writeUIntBE(value, 0, length);
+  return buffer;
+}
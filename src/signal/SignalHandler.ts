@@ -0,0 +1,483 @@
+/**
+ * Handler pentru criptarea end-to-end (protocolul Signal)
+ *
+ * Gestionează cheile proprii (publicare prekeys), obținerea bundle-urilor
+ * destinatarilor și criptarea/decriptarea mesajelor per dispozitiv.
+ */
+
+import * as crypto from 'crypto';
+import { signalAddress } from '../utils/jid';
+import { serialize, deserialize } from '../utils/serialize';
+import { SignalStore } from './SignalStore';
+import { WAQueryError } from '../protocol/ProtocolManager';
+import {
+  createSenderKey,
+  encodeDistributionMessage,
+  parseDistributionMessage,
+  senderKeyEncrypt,
+  senderKeyDecrypt,
+  senderKeyMessageId
+} from './group';
+import {
+  PreKeyBundle,
+  initiateSession,
+  acceptSession,
+  encryptMessage,
+  decryptMessage,
+  parsePreKeyMessage,
+  cloneSession
+} from './ratchet';
+
+// Prekeys publicate la o reîncărcare și pragul minim înainte de reîncărcare
+const PREKEY_UPLOAD_COUNT = 30;
+const MIN_PREKEY_COUNT = 5;
+
+export class SignalHandler {
+  private client: any;
+  public store: SignalStore;
+  
+  // Operații în curs per adresă (citire-modificare-scriere serializate)
+  private locks: Map<string, Promise<any>> = new Map();
+  
+  constructor(client: any) {
+    this.client = client;
+    this.store = new SignalStore(client.authState);
+  }
+  
+  /**
+   * Publicare prekeys noi dacă rezerva locală este aproape epuizată
+   * @returns {Promise<boolean>} S-au publicat chei noi
+   */
+  public async ensurePreKeys(): Promise<boolean> {
+    if (await this.store.countPreKeys() >= MIN_PREKEY_COUNT) {
+      return false;
+    }
+    
+    await this.uploadPreKeys(PREKEY_UPLOAD_COUNT);
+    return true;
+  }
+  
+  /**
+   * Publicare identitate, signed prekey și one-time prekeys pe server
+   * @param {number} count Numărul de one-time prekeys
+   * @returns {Promise<void>}
+   */
+  public async uploadPreKeys(count = PREKEY_UPLOAD_COUNT): Promise<void> {
+    const creds = await this.store.getCreds();
+    const preKeys = await this.store.generatePreKeys(count);
+    
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'iq',
+      data: {
+        type: 'set',
+        xmlns: 'encrypt',
+        to: 's.whatsapp.net',
+        content: [
+          { type: 'registration', content: this._encodeInt(creds.registrationId, 4) },
+          { type: 'type', content: Buffer.from([5]) },
+          { type: 'identity', content: creds.identityKey.publicKey },
+          {
+            type: 'list',
+            content: preKeys.map(preKey => ({
+              type: 'key',
+              content: [
+                { type: 'id', content: this._encodeInt(preKey.keyId, 3) },
+                { type: 'value', content: preKey.publicKey }
+              ]
+            }))
+          },
+          {
+            type: 'skey',
+            content: [
+              { type: 'id', content: this._encodeInt(creds.signedPreKey.keyId, 3) },
+              { type: 'value', content: creds.signedPreKey.keyPair.publicKey },
+              { type: 'signature', content: creds.signedPreKey.signature }
+            ]
+          }
+        ]
+      }
+    };
+    
+    try {
+      await this.client.protocolManager.query(node);
+      this.client.log(`Uploaded ${count} prekeys`);
+    } catch (error) {
+      this.client.log('Error uploading prekeys:', error);
+      throw WAQueryError.wrap(error, 'Failed to upload prekeys');
+    }
+  }
+  
+  /**
+   * Criptare date pentru un dispozitiv (stabilește sesiunea dacă nu există)
+   * @param {string} jid JID-ul dispozitivului destinatar
+   * @param {Buffer} plaintext Datele de criptat
+   * @returns {Promise<Object>} Tipul (`pkmsg` sau `msg`) și ciphertext-ul
+   */
+  public async encrypt(jid: string, plaintext: Buffer): Promise<{ type: 'pkmsg' | 'msg', ciphertext: Buffer }> {
+    const address = signalAddress(jid);
+    
+    return this._lock(address, async () => {
+      let state = (await this.store.getSessions(address))[0];
+      
+      if (!state) {
+        const creds = await this.store.getCreds();
+        const bundle = await this._fetchPreKeyBundle(jid);
+        state = initiateSession(creds.identityKey, creds.registrationId, bundle);
+        await this._saveIdentity(address, state.remoteIdentityKey);
+      }
+      
+      const result = encryptMessage(state, this._pad(plaintext));
+      await this.store.saveSession(address, state);
+      
+      return result;
+    });
+  }
+  
+  /**
+   * Decriptare mesaj primit de la un dispozitiv
+   * @param {string} jid JID-ul dispozitivului expeditor
+   * @param {string} type Tipul mesajului (`pkmsg` sau `msg`)
+   * @param {Buffer} ciphertext Mesajul criptat
+   * @returns {Promise<Buffer>} Datele decriptate
+   */
+  public async decrypt(jid: string, type: string, ciphertext: Buffer): Promise<Buffer> {
+    const address = signalAddress(jid);
+    
+    if (type === 'pkmsg') {
+      return this._lock(address, () => this._decryptPreKeyMessage(address, ciphertext));
+    }
+    
+    if (type !== 'msg') {
+      throw new Error(`Unsupported encrypted message type: ${type}`);
+    }
+    
+    return this._lock(address, async () => {
+      const states = await this.store.getSessions(address);
+      if (states.length === 0) {
+        throw new Error(`No session for ${address}`);
+      }
+      
+      // Se încearcă fiecare stare cunoscută; starea folosită devine cea curentă
+      let lastError: Error | null = null;
+      for (const state of states) {
+        const candidate = cloneSession(state);
+        try {
+          const plaintext = decryptMessage(candidate, ciphertext);
+          await this.store.saveSession(address, candidate);
+          return this._unpad(plaintext);
+        } catch (error) {
+          lastError = error as Error;
+        }
+      }
+      
+      throw lastError!;
+    });
+  }
+  
+  /**
+   * Criptare date pentru un grup cu sender key-ul propriu (creat dacă lipsește)
+   * @param {string} groupJid JID-ul grupului
+   * @param {Buffer} plaintext Datele de criptat
+   * @returns {Promise<Object>} Ciphertext-ul (`skmsg`) și SenderKeyDistributionMessage-ul curent
+   */
+  public async encryptGroup(groupJid: string, plaintext: Buffer): Promise<{ ciphertext: Buffer, distribution: Buffer }> {
+    const address = this._ownAddress();
+    
+    return this._lock(`${groupJid}::${address}`, async () => {
+      let state = (await this.store.getSenderKeys(groupJid, address))[0];
+      
+      if (!state) {
+        state = createSenderKey();
+        await this.store.setSenderKeyRecipients(groupJid, []);
+      }
+      
+      // Distribuția reflectă iterația mesajului curent, ca noii destinatari să-l poată decripta
+      const distribution = encodeDistributionMessage(state);
+      const ciphertext = senderKeyEncrypt(state, this._pad(plaintext));
+      await this.store.saveSenderKey(groupJid, address, state);
+      
+      return { ciphertext, distribution };
+    });
+  }
+  
+  /**
+   * Dispozitivele care nu au primit încă sender key-ul propriu curent
+   * @param {string} groupJid JID-ul grupului
+   * @param {string[]} devices Dispozitivele membrilor
+   */
+  public async getPendingSenderKeyRecipients(groupJid: string, devices: string[]): Promise<string[]> {
+    const distributed = await this.store.getSenderKeyRecipients(groupJid);
+    return devices.filter(jid => !distributed.includes(jid));
+  }
+  
+  /**
+   * Marcare dispozitive care au primit sender key-ul propriu curent
+   * @param {string} groupJid JID-ul grupului
+   * @param {string[]} devices Dispozitivele
+   */
+  public async markSenderKeyRecipients(groupJid: string, devices: string[]): Promise<void> {
+    const distributed = await this.store.getSenderKeyRecipients(groupJid);
+    await this.store.setSenderKeyRecipients(groupJid, Array.from(new Set([...distributed, ...devices])));
+  }
+  
+  /**
+   * Rotire sender key propriu (după eliminarea unor membri din grup)
+   *
+   * Următorul mesaj trimis în grup creează o cheie nouă și o distribuie
+   * doar membrilor rămași.
+   * @param {string} groupJid JID-ul grupului
+   */
+  public async rotateSenderKey(groupJid: string): Promise<void> {
+    const address = this._ownAddress();
+    
+    // Același lacăt ca `encryptGroup`: un mesaj în curs nu poate salva cheia veche după ștergere
+    await this._lock(`${groupJid}::${address}`, async () => {
+      await this.store.deleteSenderKeys(groupJid, address);
+      await this.store.setSenderKeyRecipients(groupJid, []);
+    });
+    this.client.log(`Rotated sender key for ${groupJid}`);
+  }
+  
+  /**
+   * Procesare SenderKeyDistributionMessage primit de la un membru
+   * @param {string} groupJid JID-ul grupului
+   * @param {string} senderJid JID-ul dispozitivului expeditor
+   * @param {Buffer} data Mesajul de distribuție
+   */
+  public async processSenderKeyDistribution(groupJid: string, senderJid: string, data: Buffer): Promise<void> {
+    const address = signalAddress(senderJid);
+    const state = parseDistributionMessage(data);
+    
+    return this._lock(`${groupJid}::${address}`, async () => {
+      const known = (await this.store.getSenderKeys(groupJid, address)).find(item => item.keyId === state.keyId);
+      
+      // Aceeași cheie redistribuită: se păstrează starea mai avansată
+      if (known && known.iteration >= state.iteration) {
+        return;
+      }
+      
+      await this.store.saveSenderKey(groupJid, address, state);
+    });
+  }
+  
+  /**
+   * Decriptare mesaj de grup (`skmsg`)
+   * @param {string} groupJid JID-ul grupului
+   * @param {string} senderJid JID-ul dispozitivului expeditor
+   * @param {Buffer} ciphertext Mesajul criptat
+   * @returns {Promise<Buffer>} Datele decriptate
+   */
+  public async decryptGroup(groupJid: string, senderJid: string, ciphertext: Buffer): Promise<Buffer> {
+    const address = signalAddress(senderJid);
+    const keyId = senderKeyMessageId(ciphertext);
+    
+    return this._lock(`${groupJid}::${address}`, async () => {
+      const state = (await this.store.getSenderKeys(groupJid, address)).find(item => item.keyId === keyId);
+      
+      if (!state) {
+        throw new Error(`No sender key for ${address} in ${groupJid}`);
+      }
+      
+      const candidate = deserialize(serialize(state));
+      const plaintext = senderKeyDecrypt(candidate, ciphertext);
+      await this.store.saveSenderKey(groupJid, address, candidate);
+      
+      return this._unpad(plaintext);
+    });
+  }
+  
+  /**
+   * Decriptare PreKeyWhisperMessage (stabilește sesiunea la primul mesaj)
+   * @private
+   */
+  private async _decryptPreKeyMessage(address: string, data: Buffer): Promise<Buffer> {
+    const message = parsePreKeyMessage(data);
+    const existing = (await this.store.getSessions(address)).find(state => state.baseKey.equals(message.baseKey));
+    
+    let state;
+    if (existing) {
+      // Mesaj repetat pe o sesiune deja stabilită
+      state = cloneSession(existing);
+    } else {
+      const creds = await this.store.getCreds();
+      if (creds.signedPreKey.keyId !== message.signedPreKeyId) {
+        throw new Error(`Unknown signed prekey: ${message.signedPreKeyId}`);
+      }
+      
+      const preKey = message.preKeyId !== undefined ? await this.store.getPreKey(message.preKeyId) : undefined;
+      if (message.preKeyId !== undefined && !preKey) {
+        throw new Error(`Unknown prekey: ${message.preKeyId}`);
+      }
+      
+      state = acceptSession(creds.identityKey, creds.registrationId, creds.signedPreKey.keyPair, preKey, message);
+    }
+    
+    const plaintext = decryptMessage(state, message.message);
+    
+    await this._saveIdentity(address, message.identityKey);
+    await this.store.saveSession(address, state);
+    
+    // One-time prekey-ul folosit nu mai poate fi reutilizat
+    if (!existing && message.preKeyId !== undefined) {
+      await this.store.removePreKey(message.preKeyId);
+      this.ensurePreKeys().catch((error) => {
+        this.client.log('Error refilling prekeys:', error);
+      });
+    }
+    
+    return this._unpad(plaintext);
+  }
+  
+  /**
+   * Obținere bundle de prekeys pentru un dispozitiv
+   * @private
+   */
+  private async _fetchPreKeyBundle(jid: string): Promise<PreKeyBundle> {
+    const node = {
+      id: this.client.protocolManager._generateMessageTag(),
+      type: 'iq',
+      data: {
+        type: 'get',
+        xmlns: 'encrypt',
+        to: 's.whatsapp.net',
+        content: [
+          {
+            type: 'key',
+            content: [{ type: 'user', jid }]
+          }
+        ]
+      }
+    };
+    
+    const response = await this.client.protocolManager.query(node);
+    const list = this._findChild(response && response.data, 'list');
+    const user = this._findChild(list, 'user');
+    
+    const registration = this._childBytes(user, 'registration');
+    const identity = this._childBytes(user, 'identity');
+    const skey = this._findChild(user, 'skey');
+    const skeyId = this._childBytes(skey, 'id');
+    const skeyValue = this._childBytes(skey, 'value');
+    const skeySignature = this._childBytes(skey, 'signature');
+    
+    if (!registration || !identity || !skeyId || !skeyValue || !skeySignature) {
+      throw new Error(`No prekey bundle available for ${jid}`);
+    }
+    
+    const bundle: PreKeyBundle = {
+      registrationId: registration.readUIntBE(0, registration.length),
+      identityKey: identity,
+      signedPreKey: {
+        keyId: skeyId.readUIntBE(0, skeyId.length),
+        publicKey: skeyValue,
+        signature: skeySignature
+      }
+    };
+    
+    const key = this._findChild(user, 'key');
+    const keyId = this._childBytes(key, 'id');
+    const keyValue = this._childBytes(key, 'value');
+    if (keyId && keyValue) {
+      bundle.preKey = { keyId: keyId.readUIntBE(0, keyId.length), publicKey: keyValue };
+    }
+    
+    return bundle;
+  }
+  
+  /**
+   * Salvare cheie de identitate (cu notificare la schimbare)
+   * @private
+   */
+  private async _saveIdentity(address: string, identityKey: Buffer): Promise<void> {
+    const known = await this.store.getIdentity(address);
+    
+    if (known && !known.equals(identityKey)) {
+      this.client.log(`Identity key changed for ${address}`);
+      this.client.emit('identity_changed', { address, identityKey });
+    }
+    
+    await this.store.saveIdentity(address, identityKey);
+  }
+  
+  /**
+   * Execuție serializată a operațiilor pe aceeași cheie
+   * @private
+   */
+  private _lock<T>(key: string, operation: () => Promise<T>): Promise<T> {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const next = previous.catch(() => undefined).then(operation);
+    
+    this.locks.set(key, next);
+    next.catch(() => undefined).then(() => {
+      if (this.locks.get(key) === next) {
+        this.locks.delete(key);
+      }
+    });
+    
+    return next;
+  }
+  
+  /**
+   * Adresa Signal a dispozitivului propriu
+   * @private
+   */
+  private _ownAddress(): string {
+    if (!this.client.user || !this.client.user.id) {
+      throw new Error('Own JID is not known yet');
+    }
+    
+    return signalAddress(this.client.user.id);
+  }
+  
+  /**
+   * Adăugare padding aleator (1-15 octeți, fiecare cu valoarea lungimii)
+   * @private
+   */
+  private _pad(data: Buffer): Buffer {
+    const length = (crypto.randomBytes(1)[0] & 0x0f) || 0x0f;
+    return Buffer.concat([data, Buffer.alloc(length, length)]);
+  }
+  
+  /**
+   * Eliminare padding
+   * @private
+   */
+  private _unpad(data: Buffer): Buffer {
+    const length = data.length > 0 ? data[data.length - 1] : 0;
+    if (length === 0 || length > data.length) {
+      throw new Error('Invalid message padding');
+    }
+    
+    return data.slice(0, data.length - length);
+  }
+  
+  /**
+   * Căutare nod copil după tip
+   * @private
+   */
+  private _findChild(node: any, type: string): any {
+    return node && Array.isArray(node.content)
+      ? node.content.find((child: any) => child && child.type === type)
+      : undefined;
+  }
+  
+  /**
+   * Conținutul binar al unui nod copil
+   * @private
+   */
+  private _childBytes(node: any, type: string): Buffer | undefined {
+    const child = this._findChild(node, type);
+    return child && Buffer.isBuffer(child.content) ? child.content : undefined;
+  }
+  
+  /**
+   * Encodare întreg big-endian pe n octeți
+   * @private
+   */
+  private _encodeInt(value: number, length: number): Buffer {
+    const buffer = Buffer.alloc(length);
+    buffer.writeUIntBE(value, 0, length);
+    return buffer;
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * Stocare chei și sesiuni Signal
+ *
+ * Fațadă tipizată peste un `AuthStateStore`: identitatea proprie este în
+ * spațiul `creds`, iar prekeys, sesiunile, identitățile și sender keys în
+ * spațiile lor dedicate. Fiecare modificare este scrisă imediat în stocare.
+ */
+
+import * as crypto from 'crypto';
+import { KeyPair, AuthStateStore } from '../types';
+import { generateKeyPair } from '../utils/crypto';
+import { SessionState, serializeKey } from './ratchet';
+import { SenderKeyState } from './group';
+import { calculateSignature } from './xeddsa';
+import { MemoryAuthStateStore } from '../auth/MemoryAuthStateStore';
+
+// Numărul maxim de stări păstrate pentru o adresă (sesiuni stabilite simultan)
+const MAX_SESSION_STATES = 5;
+
+// Numărul maxim de sender keys păstrate per expeditor (după rotații)
+const MAX_SENDER_KEY_STATES = 5;
+
+export interface SignedPreKey {
+  keyId: number;
+  keyPair: KeyPair;
+  signature: Buffer;
+}
+
+// Identitatea Signal proprie (salvată în `creds/signal`)
+export interface SignalCreds {
+  identityKey: KeyPair;
+  registrationId: number;
+  signedPreKey: SignedPreKey;
+  nextPreKeyId: number;
+  preKeyIds: number[];
+}
+
+export class SignalStore {
+  private state: AuthStateStore;
+  private creds: Promise<SignalCreds> | null = null;
+  
+  /**
+   * @param {AuthStateStore} state Stocarea de bază
+   */
+  constructor(state: AuthStateStore = new MemoryAuthStateStore()) {
+    this.state = state;
+  }
+  
+  /**
+   * Obținere identitate proprie (generată și salvată la prima utilizare)
+   * @returns {Promise<SignalCreds>} Identitatea Signal
+   */
+  public getCreds(): Promise<SignalCreds> {
+    // Promisiunea este păstrată, ca apelurile simultane să nu genereze identități diferite
+    if (!this.creds) {
+      this.creds = this._loadCreds();
+      this.creds.catch(() => {
+        this.creds = null;
+      });
+    }
+    
+    return this.creds;
+  }
+  
+  /**
+   * Citire identitate din stocare sau generare identitate nouă
+   * @private
+   */
+  private async _loadCreds(): Promise<SignalCreds> {
+    const saved = await this.state.get('creds', 'signal');
+    if (saved) {
+      return saved as SignalCreds;
+    }
+    
+    const identityKey = generateKeyPair();
+    const signedKeyPair = generateKeyPair();
+    
+    const creds: SignalCreds = {
+      identityKey,
+      registrationId: crypto.randomBytes(2).readUInt16BE(0) & 0x3fff,
+      signedPreKey: {
+        keyId: 1,
+        keyPair: signedKeyPair,
+        signature: calculateSignature(identityKey.privateKey, serializeKey(signedKeyPair.publicKey))
+      },
+      nextPreKeyId: 1,
+      preKeyIds: []
+    };
+    await this.state.set('creds', 'signal', creds);
+    
+    return creds;
+  }
+  
+  /**
+   * Generare și salvare one-time prekeys noi
+   * @param {number} count Numărul de chei
+   * @returns {Promise<Array>} Cheile generate ({ keyId, publicKey })
+   */
+  public async generatePreKeys(count: number): Promise<{ keyId: number, publicKey: Buffer }[]> {
+    const creds = await this.getCreds();
+    const generated = [];
+    
+    for (let i = 0; i < count; i++) {
+      const keyId = creds.nextPreKeyId;
+      // ID-urile de prekey au 24 de biți
+      creds.nextPreKeyId = (creds.nextPreKeyId % 0xffffff) + 1;
+      
+      const keyPair = generateKeyPair();
+      await this.state.set('prekeys', String(keyId), keyPair);
+      creds.preKeyIds.push(keyId);
+      generated.push({ keyId, publicKey: keyPair.publicKey });
+    }
+    
+    await this.state.set('creds', 'signal', creds);
+    return generated;
+  }
+  
+  /**
+   * Obținere one-time prekey după ID
+   * @param {number} keyId ID-ul cheii
+   */
+  public async getPreKey(keyId: number): Promise<KeyPair | undefined> {
+    return this.state.get('prekeys', String(keyId));
+  }
+  
+  /**
+   * Ștergere one-time prekey (după folosire)
+   * @param {number} keyId ID-ul cheii
+   */
+  public async removePreKey(keyId: number): Promise<void> {
+    const creds = await this.getCreds();
+    
+    await this.state.delete('prekeys', String(keyId));
+    creds.preKeyIds = creds.preKeyIds.filter(id => id !== keyId);
+    await this.state.set('creds', 'signal', creds);
+  }
+  
+  /**
+   * Numărul de one-time prekeys disponibile
+   */
+  public async countPreKeys(): Promise<number> {
+    return (await this.getCreds()).preKeyIds.length;
+  }
+  
+  /**
+   * Obținere stările de sesiune pentru o adresă
+   * @param {string} address Adresa Signal
+   */
+  public async getSessions(address: string): Promise<SessionState[]> {
+    return (await this.state.get('sessions', address)) || [];
+  }
+  
+  /**
+   * Salvare stare de sesiune ca sesiune curentă a adresei
+   * @param {string} address Adresa Signal
+   * @param {SessionState} state Starea sesiunii
+   */
+  public async saveSession(address: string, state: SessionState): Promise<void> {
+    const others = (await this.getSessions(address)).filter(item => !item.baseKey.equals(state.baseKey));
+    await this.state.set('sessions', address, [state, ...others].slice(0, MAX_SESSION_STATES));
+  }
+  
+  /**
+   * Ștergere sesiuni pentru o adresă
+   * @param {string} address Adresa Signal
+   */
+  public async deleteSessions(address: string): Promise<void> {
+    await this.state.delete('sessions', address);
+  }
+  
+  /**
+   * Obținere cheia de identitate cunoscută pentru o adresă
+   * @param {string} address Adresa Signal
+   */
+  public async getIdentity(address: string): Promise<Buffer | undefined> {
+    return this.state.get('identities', address);
+  }
+  
+  /**
+   * Salvare cheie de identitate pentru o adresă
+   * @param {string} address Adresa Signal
+   * @param {Buffer} identityKey Cheia de identitate
+   */
+  public async saveIdentity(address: string, identityKey: Buffer): Promise<void> {
+    await this.state.set('identities', address, identityKey);
+  }
+  
+  /**
+   * Obținere sender keys ale unui expeditor într-un grup
+   * @param {string} groupJid JID-ul grupului
+   * @param {string} address Adresa Signal a expeditorului
+   */
+  public async getSenderKeys(groupJid: string, address: string): Promise<SenderKeyState[]> {
+    return (await this.state.get('sender-keys', `${groupJid}::${address}`)) || [];
+  }
+  
+  /**
+   * Salvare sender key ca cheie curentă a unui expeditor
+   * @param {string} groupJid JID-ul grupului
+   * @param {string} address Adresa Signal a expeditorului
+   * @param {SenderKeyState} state Starea sender key-ului
+   */
+  public async saveSenderKey(groupJid: string, address: string, state: SenderKeyState): Promise<void> {
+    const others = (await this.getSenderKeys(groupJid, address)).filter(item => item.keyId !== state.keyId);
+    await this.state.set('sender-keys', `${groupJid}::${address}`, [state, ...others].slice(0, MAX_SENDER_KEY_STATES));
+  }
+  
+  /**
+   * Ștergere sender keys ale unui expeditor într-un grup
+   * @param {string} groupJid JID-ul grupului
+   * @param {string} address Adresa Signal a expeditorului
+   */
+  public async deleteSenderKeys(groupJid: string, address: string): Promise<void> {
+    await this.state.delete('sender-keys', `${groupJid}::${address}`);
+  }
+  
+  /**
+   * Dispozitivele care au primit sender key-ul propriu curent într-un grup
+   * @param {string} groupJid JID-ul grupului
+   */
+  public async getSenderKeyRecipients(groupJid: string): Promise<string[]> {
+    return (await this.state.get('sender-key-memory', groupJid)) || [];
+  }
+  
+  /**
+   * Salvare dispozitivele care au primit sender key-ul propriu curent
+   * @param {string} groupJid JID-ul grupului
+   * @param {string[]} devices Dispozitivele (lista goală resetează distribuția)
+   */
+  public async setSenderKeyRecipients(groupJid: string, devices: string[]): Promise<void> {
+    if (devices.length === 0) {
+      await this.state.delete('sender-key-memory', groupJid);
+    } else {
+      await this.state.set('sender-key-memory', groupJid, devices);
+    }
+  }
+}
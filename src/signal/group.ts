@@ -0,0 +1,189 @@
+/**
+ * Criptare de grup cu sender keys (compatibil libsignal)
+ *
+ * Fiecare expeditor are pe grup o cheie proprie (lanț simetric + cheie de
+ * semnare), distribuită celorlalți membri prin SenderKeyDistributionMessage
+ * trimis pe sesiunile Signal individuale.
+ */
+
+import * as crypto from 'crypto';
+import { KeyPair } from '../types';
+import { generateKeyPair, hkdf, hmacSign, aesEncrypt, aesDecrypt } from '../utils/crypto';
+import { encodeProto, decodeProto, getBytes, getNumber } from '../utils/proto';
+import { calculateSignature, verifySignature } from './xeddsa';
+import { serializeKey, rawKey } from './ratchet';
+
+const CIPHERTEXT_VERSION = 3;
+const VERSION_BYTE = (CIPHERTEXT_VERSION << 4) | CIPHERTEXT_VERSION;
+
+const SIGNATURE_LENGTH = 64;
+const MAX_SKIPPED_KEYS = 2000;
+
+export interface SenderKeyState {
+  keyId: number;
+  iteration: number;
+  chainKey: Buffer;
+  signingKey: { publicKey: Buffer; privateKey?: Buffer };
+  skippedKeys: { [iteration: string]: Buffer };
+}
+
+/**
+ * Creare sender key nou (pentru mesajele proprii într-un grup)
+ */
+export function createSenderKey(): SenderKeyState {
+  const signingKey: KeyPair = generateKeyPair();
+  
+  return {
+    keyId: crypto.randomBytes(4).readUInt32BE(0) & 0x7fffffff,
+    iteration: 0,
+    chainKey: crypto.randomBytes(32),
+    signingKey,
+    skippedKeys: {}
+  };
+}
+
+/**
+ * Serializare SenderKeyDistributionMessage pentru starea curentă
+ * @param {SenderKeyState} state Sender key-ul propriu
+ */
+export function encodeDistributionMessage(state: SenderKeyState): Buffer {
+  return Buffer.concat([
+    Buffer.from([VERSION_BYTE]),
+    encodeProto([
+      [1, state.keyId],
+      [2, state.iteration],
+      [3, state.chainKey],
+      [4, serializeKey(state.signingKey.publicKey)]
+    ])
+  ]);
+}
+
+/**
+ * Parsare SenderKeyDistributionMessage în starea expeditorului
+ * @param {Buffer} data Mesajul serializat
+ */
+export function parseDistributionMessage(data: Buffer): SenderKeyState {
+  if (data.length <= 1 || (data[0] >> 4) !== CIPHERTEXT_VERSION) {
+    throw new Error('Invalid SenderKeyDistributionMessage: unsupported version');
+  }
+  
+  const fields = decodeProto(data.slice(1));
+  const keyId = getNumber(fields, 1);
+  const chainKey = getBytes(fields, 3);
+  const signingKey = getBytes(fields, 4);
+  if (keyId === undefined || !chainKey || !signingKey) {
+    throw new Error('Invalid SenderKeyDistributionMessage: missing fields');
+  }
+  
+  return {
+    keyId,
+    iteration: getNumber(fields, 2) || 0,
+    chainKey,
+    signingKey: { publicKey: rawKey(signingKey) },
+    skippedKeys: {}
+  };
+}
+
+/**
+ * Criptare mesaj de grup (modifică starea)
+ * @param {SenderKeyState} state Sender key-ul propriu
+ * @param {Buffer} plaintext Datele de criptat
+ * @returns {Buffer} SenderKeyMessage serializat și semnat
+ */
+export function senderKeyEncrypt(state: SenderKeyState, plaintext: Buffer): Buffer {
+  if (!state.signingKey.privateKey) {
+    throw new Error('Cannot encrypt with a received sender key');
+  }
+  
+  const keys = deriveSenderMessageKeys(hmacSign(Buffer.from([1]), state.chainKey));
+  const body = Buffer.concat([
+    Buffer.from([VERSION_BYTE]),
+    encodeProto([
+      [1, state.keyId],
+      [2, state.iteration],
+      [3, aesEncrypt(plaintext, keys.cipherKey, keys.iv)]
+    ])
+  ]);
+  
+  state.chainKey = hmacSign(Buffer.from([2]), state.chainKey);
+  state.iteration++;
+  
+  return Buffer.concat([body, calculateSignature(state.signingKey.privateKey, body)]);
+}
+
+/**
+ * Decriptare mesaj de grup (modifică starea)
+ * @param {SenderKeyState} state Sender key-ul expeditorului
+ * @param {Buffer} data SenderKeyMessage serializat
+ * @returns {Buffer} Datele decriptate
+ */
+export function senderKeyDecrypt(state: SenderKeyState, data: Buffer): Buffer {
+  if (data.length <= 1 + SIGNATURE_LENGTH || (data[0] >> 4) !== CIPHERTEXT_VERSION) {
+    throw new Error('Invalid SenderKeyMessage: unsupported version');
+  }
+  
+  const body = data.slice(0, data.length - SIGNATURE_LENGTH);
+  const signature = data.slice(data.length - SIGNATURE_LENGTH);
+  if (!verifySignature(state.signingKey.publicKey, body, signature)) {
+    throw new Error('Invalid SenderKeyMessage: bad signature');
+  }
+  
+  const fields = decodeProto(body.slice(1));
+  const keyId = getNumber(fields, 1);
+  const iteration = getNumber(fields, 2) || 0;
+  const ciphertext = getBytes(fields, 3);
+  if (keyId !== state.keyId || !ciphertext) {
+    throw new Error(`Invalid SenderKeyMessage: unknown key ${keyId}`);
+  }
+  
+  const keys = deriveSenderMessageKeys(takeMessageKeySeed(state, iteration));
+  return aesDecrypt(ciphertext, keys.cipherKey, keys.iv);
+}
+
+/**
+ * ID-ul sender key-ului folosit de un SenderKeyMessage
+ * @param {Buffer} data SenderKeyMessage serializat
+ */
+export function senderKeyMessageId(data: Buffer): number | undefined {
+  return getNumber(decodeProto(data.slice(1, data.length - SIGNATURE_LENGTH)), 1);
+}
+
+/**
+ * Seed-ul cheii de mesaj pentru o iterație (păstrează cheile sărite)
+ * @private
+ */
+function takeMessageKeySeed(state: SenderKeyState, iteration: number): Buffer {
+  if (iteration < state.iteration) {
+    const seed = state.skippedKeys[iteration];
+    if (!seed) {
+      throw new Error(`Duplicate group message: iteration ${iteration}`);
+    }
+    delete state.skippedKeys[iteration];
+    return seed;
+  }
+  
+  if (iteration - state.iteration > MAX_SKIPPED_KEYS) {
+    throw new Error(`Group message too far in the future: iteration ${iteration}`);
+  }
+  
+  while (state.iteration < iteration) {
+    state.skippedKeys[state.iteration] = hmacSign(Buffer.from([1]), state.chainKey);
+    state.chainKey = hmacSign(Buffer.from([2]), state.chainKey);
+    state.iteration++;
+  }
+  
+  const seed = hmacSign(Buffer.from([1]), state.chainKey);
+  state.chainKey = hmacSign(Buffer.from([2]), state.chainKey);
+  state.iteration++;
+  
+  return seed;
+}
+
+/**
+ * Derivare IV și cheie de criptare dintr-un seed de mesaj
+ * @private
+ */
+function deriveSenderMessageKeys(seed: Buffer): { iv: Buffer; cipherKey: Buffer } {
+  const derived = hkdf(seed, 48, Buffer.from('WhisperGroup'), Buffer.alloc(32));
+  return { iv: derived.slice(0, 16), cipherKey: derived.slice(16, 48) };
+}
@@ -0,0 +1,7 @@
+/**
+ * Criptare end-to-end (protocolul Signal)
+ */
+
+export { SignalHandler } from './SignalHandler';
+export { SignalStore } from './SignalStore';
+export { calculateSignature, verifySignature } from './xeddsa';
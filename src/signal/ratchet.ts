@@ -0,0 +1,413 @@
+/**
+ * Sesiuni Signal: stabilire X3DH și Double Ratchet
+ *
+ * Formatul mesajelor (WhisperMessage / PreKeyWhisperMessage, versiunea 3) și
+ * derivarea cheilor sunt compatibile cu libsignal.
+ */
+
+import * as crypto from 'crypto';
+import { KeyPair } from '../types';
+import { generateKeyPair, sharedKey, hkdf, hmacSign, aesEncrypt, aesDecrypt } from '../utils/crypto';
+import { encodeProto, decodeProto, getBytes, getNumber } from '../utils/proto';
+import { serialize, deserialize } from '../utils/serialize';
+import { verifySignature } from './xeddsa';
+
+// Versiunea mesajelor (3 în ambele jumătăți ale octetului)
+const CIPHERTEXT_VERSION = 3;
+const VERSION_BYTE = (CIPHERTEXT_VERSION << 4) | CIPHERTEXT_VERSION;
+
+// Tipul cheilor Curve25519 în forma serializată
+const KEY_TYPE_DJB = 0x05;
+
+const MAC_LENGTH = 8;
+const MAX_SKIPPED_KEYS = 2000;
+const MAX_RECEIVING_CHAINS = 5;
+
+export interface PreKeyBundle {
+  registrationId: number;
+  identityKey: Buffer;
+  signedPreKey: { keyId: number; publicKey: Buffer; signature: Buffer };
+  preKey?: { keyId: number; publicKey: Buffer };
+}
+
+export interface ChainState {
+  chainKey: Buffer;
+  index: number;
+}
+
+export interface SessionState {
+  localIdentityKey: Buffer;
+  remoteIdentityKey: Buffer;
+  localRegistrationId: number;
+  remoteRegistrationId: number;
+  baseKey: Buffer;
+  rootKey: Buffer;
+  ratchetKey: KeyPair;
+  sendingChain: ChainState;
+  receivingChains: { ratchetKey: Buffer; chain: ChainState }[];
+  skippedKeys: { [key: string]: Buffer };
+  previousCounter: number;
+  pendingPreKey?: { preKeyId?: number; signedPreKeyId: number; baseKey: Buffer };
+}
+
+export interface PreKeyMessage {
+  registrationId: number;
+  preKeyId?: number;
+  signedPreKeyId: number;
+  baseKey: Buffer;
+  identityKey: Buffer;
+  message: Buffer;
+}
+
+/**
+ * Cheie publică în forma serializată (cu prefixul de tip)
+ * @param {Buffer} publicKey Cheia publică (32 de octeți)
+ */
+export function serializeKey(publicKey: Buffer): Buffer {
+  return publicKey.length === 33 ? publicKey : Buffer.concat([Buffer.from([KEY_TYPE_DJB]), publicKey]);
+}
+
+/**
+ * Cheie publică fără prefixul de tip
+ * @param {Buffer} publicKey Cheia publică (32 sau 33 de octeți)
+ */
+export function rawKey(publicKey: Buffer): Buffer {
+  if (publicKey.length === 33 && publicKey[0] === KEY_TYPE_DJB) {
+    return publicKey.slice(1);
+  }
+  if (publicKey.length !== 32) {
+    throw new Error(`Invalid public key length: ${publicKey.length}`);
+  }
+  return publicKey;
+}
+
+/**
+ * Stabilire sesiune nouă (inițiator) dintr-un bundle de prekeys
+ * @param {KeyPair} identityKey Cheia de identitate proprie
+ * @param {number} registrationId ID-ul de înregistrare propriu
+ * @param {PreKeyBundle} bundle Bundle-ul destinatarului
+ * @returns {SessionState} Starea sesiunii
+ */
+export function initiateSession(identityKey: KeyPair, registrationId: number, bundle: PreKeyBundle): SessionState {
+  const remoteIdentity = rawKey(bundle.identityKey);
+  const signedPreKey = rawKey(bundle.signedPreKey.publicKey);
+  
+  if (!verifySignature(remoteIdentity, serializeKey(signedPreKey), bundle.signedPreKey.signature)) {
+    throw new Error('Invalid signed prekey signature');
+  }
+  
+  const baseKey = generateKeyPair();
+  const secrets = [
+    sharedKey(identityKey.privateKey, signedPreKey),
+    sharedKey(baseKey.privateKey, remoteIdentity),
+    sharedKey(baseKey.privateKey, signedPreKey)
+  ];
+  if (bundle.preKey) {
+    secrets.push(sharedKey(baseKey.privateKey, rawKey(bundle.preKey.publicKey)));
+  }
+  
+  const [rootKey, chainKey] = deriveMasterKeys(secrets);
+  
+  // Primul pas de ratchet pentru lanțul de trimitere
+  const ratchetKey = generateKeyPair();
+  const [newRootKey, sendingChainKey] = deriveRootKeys(rootKey, sharedKey(ratchetKey.privateKey, signedPreKey));
+  
+  return {
+    localIdentityKey: identityKey.publicKey,
+    remoteIdentityKey: remoteIdentity,
+    localRegistrationId: registrationId,
+    remoteRegistrationId: bundle.registrationId,
+    baseKey: baseKey.publicKey,
+    rootKey: newRootKey,
+    ratchetKey,
+    sendingChain: { chainKey: sendingChainKey, index: 0 },
+    receivingChains: [{ ratchetKey: signedPreKey, chain: { chainKey, index: 0 } }],
+    skippedKeys: {},
+    previousCounter: 0,
+    pendingPreKey: {
+      preKeyId: bundle.preKey ? bundle.preKey.keyId : undefined,
+      signedPreKeyId: bundle.signedPreKey.keyId,
+      baseKey: baseKey.publicKey
+    }
+  };
+}
+
+/**
+ * Stabilire sesiune nouă (destinatar) dintr-un PreKeyWhisperMessage
+ * @param {KeyPair} identityKey Cheia de identitate proprie
+ * @param {number} registrationId ID-ul de înregistrare propriu
+ * @param {KeyPair} signedPreKey Signed prekey-ul folosit de inițiator
+ * @param {KeyPair} preKey One-time prekey-ul folosit de inițiator (opțional)
+ * @param {PreKeyMessage} message Mesajul primit
+ * @returns {SessionState} Starea sesiunii
+ */
+export function acceptSession(
+  identityKey: KeyPair,
+  registrationId: number,
+  signedPreKey: KeyPair,
+  preKey: KeyPair | undefined,
+  message: PreKeyMessage
+): SessionState {
+  const secrets = [
+    sharedKey(signedPreKey.privateKey, message.identityKey),
+    sharedKey(identityKey.privateKey, message.baseKey),
+    sharedKey(signedPreKey.privateKey, message.baseKey)
+  ];
+  if (preKey) {
+    secrets.push(sharedKey(preKey.privateKey, message.baseKey));
+  }
+  
+  const [rootKey, chainKey] = deriveMasterKeys(secrets);
+  
+  return {
+    localIdentityKey: identityKey.publicKey,
+    remoteIdentityKey: message.identityKey,
+    localRegistrationId: registrationId,
+    remoteRegistrationId: message.registrationId,
+    baseKey: message.baseKey,
+    rootKey,
+    ratchetKey: signedPreKey,
+    sendingChain: { chainKey, index: 0 },
+    receivingChains: [],
+    skippedKeys: {},
+    previousCounter: 0
+  };
+}
+
+/**
+ * Criptare mesaj într-o sesiune (modifică starea)
+ * @param {SessionState} state Starea sesiunii
+ * @param {Buffer} plaintext Datele de criptat
+ * @returns {Object} Tipul (`pkmsg` sau `msg`) și ciphertext-ul serializat
+ */
+export function encryptMessage(state: SessionState, plaintext: Buffer): { type: 'pkmsg' | 'msg', ciphertext: Buffer } {
+  const chain = state.sendingChain;
+  const keys = deriveMessageKeys(messageKeySeed(chain.chainKey));
+  
+  const body = Buffer.concat([
+    Buffer.from([VERSION_BYTE]),
+    encodeProto([
+      [1, serializeKey(state.ratchetKey.publicKey)],
+      [2, chain.index],
+      [3, state.previousCounter],
+      [4, aesEncrypt(plaintext, keys.cipherKey, keys.iv)]
+    ])
+  ]);
+  const mac = computeMac(keys.macKey, state.localIdentityKey, state.remoteIdentityKey, body);
+  const whisper = Buffer.concat([body, mac]);
+  
+  chain.chainKey = nextChainKey(chain.chainKey);
+  chain.index++;
+  
+  if (!state.pendingPreKey) {
+    return { type: 'msg', ciphertext: whisper };
+  }
+  
+  // Până la primul răspuns, mesajele poartă datele de stabilire a sesiunii
+  const preKeyMessage = Buffer.concat([
+    Buffer.from([VERSION_BYTE]),
+    encodeProto([
+      [1, state.pendingPreKey.preKeyId],
+      [2, serializeKey(state.pendingPreKey.baseKey)],
+      [3, serializeKey(state.localIdentityKey)],
+      [4, whisper],
+      [5, state.localRegistrationId],
+      [6, state.pendingPreKey.signedPreKeyId]
+    ])
+  ]);
+  
+  return { type: 'pkmsg', ciphertext: preKeyMessage };
+}
+
+/**
+ * Decriptare WhisperMessage într-o sesiune (modifică starea)
+ * @param {SessionState} state Starea sesiunii
+ * @param {Buffer} data Mesajul serializat
+ * @returns {Buffer} Datele decriptate
+ */
+export function decryptMessage(state: SessionState, data: Buffer): Buffer {
+  if (data.length <= 1 + MAC_LENGTH || (data[0] >> 4) !== CIPHERTEXT_VERSION) {
+    throw new Error('Invalid WhisperMessage: unsupported version');
+  }
+  
+  const body = data.slice(0, data.length - MAC_LENGTH);
+  const mac = data.slice(data.length - MAC_LENGTH);
+  const fields = decodeProto(body.slice(1));
+  
+  const ratchetKeyBytes = getBytes(fields, 1);
+  const counter = getNumber(fields, 2) || 0;
+  const ciphertext = getBytes(fields, 4);
+  if (!ratchetKeyBytes || !ciphertext) {
+    throw new Error('Invalid WhisperMessage: missing fields');
+  }
+  const remoteRatchetKey = rawKey(ratchetKeyBytes);
+  
+  let receiving = state.receivingChains.find(item => item.ratchetKey.equals(remoteRatchetKey));
+  if (!receiving) {
+    receiving = stepRatchet(state, remoteRatchetKey);
+  }
+  
+  const seed = takeMessageKeySeed(state, receiving, counter);
+  const keys = deriveMessageKeys(seed);
+  
+  const expected = computeMac(keys.macKey, state.remoteIdentityKey, state.localIdentityKey, body);
+  if (!crypto.timingSafeEqual(expected, mac)) {
+    throw new Error('Invalid WhisperMessage: bad MAC');
+  }
+  
+  const plaintext = aesDecrypt(ciphertext, keys.cipherKey, keys.iv);
+  
+  // Celălalt capăt a răspuns, deci sesiunea este confirmată
+  delete state.pendingPreKey;
+  
+  return plaintext;
+}
+
+/**
+ * Parsare PreKeyWhisperMessage
+ * @param {Buffer} data Mesajul serializat
+ */
+export function parsePreKeyMessage(data: Buffer): PreKeyMessage {
+  if (data.length <= 1 || (data[0] >> 4) !== CIPHERTEXT_VERSION) {
+    throw new Error('Invalid PreKeyWhisperMessage: unsupported version');
+  }
+  
+  const fields = decodeProto(data.slice(1));
+  const baseKey = getBytes(fields, 2);
+  const identityKey = getBytes(fields, 3);
+  const message = getBytes(fields, 4);
+  const signedPreKeyId = getNumber(fields, 6);
+  if (!baseKey || !identityKey || !message || signedPreKeyId === undefined) {
+    throw new Error('Invalid PreKeyWhisperMessage: missing fields');
+  }
+  
+  return {
+    registrationId: getNumber(fields, 5) || 0,
+    preKeyId: getNumber(fields, 1),
+    signedPreKeyId,
+    baseKey: rawKey(baseKey),
+    identityKey: rawKey(identityKey),
+    message
+  };
+}
+
+/**
+ * Copie independentă a stării (pentru încercări de decriptare fără efecte)
+ * @param {SessionState} state Starea sesiunii
+ */
+export function cloneSession(state: SessionState): SessionState {
+  return deserialize(serialize(state));
+}
+
+/**
+ * Pas de ratchet DH la primirea unei chei de ratchet noi
+ * @private
+ */
+function stepRatchet(state: SessionState, remoteRatchetKey: Buffer): { ratchetKey: Buffer; chain: ChainState } {
+  const [rootKey, receivingChainKey] = deriveRootKeys(
+    state.rootKey,
+    sharedKey(state.ratchetKey.privateKey, remoteRatchetKey)
+  );
+  const receiving = { ratchetKey: remoteRatchetKey, chain: { chainKey: receivingChainKey, index: 0 } };
+  
+  state.receivingChains.unshift(receiving);
+  if (state.receivingChains.length > MAX_RECEIVING_CHAINS) {
+    const removed = state.receivingChains.pop()!;
+    const prefix = `${removed.ratchetKey.toString('hex')}:`;
+    for (const key of Object.keys(state.skippedKeys)) {
+      if (key.startsWith(prefix)) {
+        delete state.skippedKeys[key];
+      }
+    }
+  }
+  
+  const ratchetKey = generateKeyPair();
+  const [newRootKey, sendingChainKey] = deriveRootKeys(rootKey, sharedKey(ratchetKey.privateKey, remoteRatchetKey));
+  
+  state.previousCounter = Math.max(state.sendingChain.index - 1, 0);
+  state.rootKey = newRootKey;
+  state.ratchetKey = ratchetKey;
+  state.sendingChain = { chainKey: sendingChainKey, index: 0 };
+  
+  return receiving;
+}
+
+/**
+ * Obținere seed-ul cheii de mesaj pentru un contor (cu chei sărite păstrate)
+ * @private
+ */
+function takeMessageKeySeed(state: SessionState, receiving: { ratchetKey: Buffer; chain: ChainState }, counter: number): Buffer {
+  const chain = receiving.chain;
+  const prefix = receiving.ratchetKey.toString('hex');
+  
+  if (counter < chain.index) {
+    const skippedId = `${prefix}:${counter}`;
+    const seed = state.skippedKeys[skippedId];
+    if (!seed) {
+      throw new Error(`Duplicate message: counter ${counter}`);
+    }
+    delete state.skippedKeys[skippedId];
+    return seed;
+  }
+  
+  if (counter - chain.index > MAX_SKIPPED_KEYS) {
+    throw new Error(`Message too far in the future: counter ${counter}`);
+  }
+  
+  while (chain.index < counter) {
+    state.skippedKeys[`${prefix}:${chain.index}`] = messageKeySeed(chain.chainKey);
+    chain.chainKey = nextChainKey(chain.chainKey);
+    chain.index++;
+  }
+  
+  const seed = messageKeySeed(chain.chainKey);
+  chain.chainKey = nextChainKey(chain.chainKey);
+  chain.index++;
+  
+  return seed;
+}
+
+/**
+ * Derivare root key și chain key din secretul X3DH
+ * @private
+ */
+function deriveMasterKeys(secrets: Buffer[]): [Buffer, Buffer] {
+  const masterSecret = Buffer.concat([Buffer.alloc(32, 0xff), ...secrets]);
+  const derived = hkdf(masterSecret, 64, Buffer.from('WhisperText'), Buffer.alloc(32));
+  return [derived.slice(0, 32), derived.slice(32)];
+}
+
+/**
+ * Derivare root key și chain key noi dintr-un secret DH
+ * @private
+ */
+function deriveRootKeys(rootKey: Buffer, secret: Buffer): [Buffer, Buffer] {
+  const derived = hkdf(secret, 64, Buffer.from('WhisperRatchet'), rootKey);
+  return [derived.slice(0, 32), derived.slice(32)];
+}
+
+/**
+ * Derivare chei de mesaj (criptare, MAC, IV) dintr-un seed
+ * @private
+ */
+function deriveMessageKeys(seed: Buffer): { cipherKey: Buffer; macKey: Buffer; iv: Buffer } {
+  const derived = hkdf(seed, 80, Buffer.from('WhisperMessageKeys'), Buffer.alloc(32));
+  return { cipherKey: derived.slice(0, 32), macKey: derived.slice(32, 64), iv: derived.slice(64, 80) };
+}
+
+function messageKeySeed(chainKey: Buffer): Buffer {
+  return hmacSign(Buffer.from([1]), chainKey);
+}
+
+function nextChainKey(chainKey: Buffer): Buffer {
+  return hmacSign(Buffer.from([2]), chainKey);
+}
+
+/**
+ * Calcul MAC (trunchiat la 8 octeți) peste identități și mesaj
+ * @private
+ */
+function computeMac(macKey: Buffer, senderIdentity: Buffer, receiverIdentity: Buffer, body: Buffer): Buffer {
+  const data = Buffer.concat([serializeKey(senderIdentity), serializeKey(receiverIdentity), body]);
+  return hmacSign(data, macKey).slice(0, MAC_LENGTH);
+}
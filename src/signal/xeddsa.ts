@@ -0,0 +1,191 @@
+/**
+ * Semnături XEdDSA cu chei Curve25519 (pentru signed prekeys)
+ *
+ * Cheia Montgomery este convertită în punct Edwards, iar semnarea/verificarea
+ * urmează Ed25519. Bitul de semn al punctului este citit din ultimul octet al
+ * semnăturii, compatibil cu implementările libsignal.
+ */
+
+import * as crypto from 'crypto';
+
+const P = (BigInt(1) << BigInt(255)) - BigInt(19);
+const L = (BigInt(1) << BigInt(252)) + BigInt('27742317777372353535851937790883648493');
+const D = mod(BigInt(-121665) * invert(BigInt(121666)));
+const SQRT_M1 = pow(BigInt(2), (P - BigInt(1)) / BigInt(4));
+
+// Punctul de bază Ed25519
+const BASE_Y = mod(BigInt(4) * invert(BigInt(5)));
+const BASE: Point = pointFromY(BASE_Y, 0)!;
+
+// Punct în coordonate extinse (X:Y:Z:T)
+interface Point {
+  x: bigint;
+  y: bigint;
+  z: bigint;
+  t: bigint;
+}
+
+function mod(value: bigint, m = P): bigint {
+  const result = value % m;
+  return result >= BigInt(0) ? result : result + m;
+}
+
+function pow(base: bigint, exponent: bigint): bigint {
+  let result = BigInt(1);
+  let b = mod(base);
+  let e = exponent;
+  
+  while (e > BigInt(0)) {
+    if (e & BigInt(1)) {
+      result = mod(result * b);
+    }
+    b = mod(b * b);
+    e >>= BigInt(1);
+  }
+  
+  return result;
+}
+
+function invert(value: bigint): bigint {
+  return pow(value, P - BigInt(2));
+}
+
+function bytesToNumber(bytes: Buffer): bigint {
+  return BigInt('0x' + (Buffer.from(bytes).reverse().toString('hex') || '0'));
+}
+
+function numberToBytes(value: bigint): Buffer {
+  return Buffer.from(value.toString(16).padStart(64, '0'), 'hex').reverse();
+}
+
+function pointFromY(y: bigint, sign: number): Point | null {
+  // x^2 = (y^2 - 1) / (d*y^2 + 1)
+  const y2 = mod(y * y);
+  const u = mod(y2 - BigInt(1));
+  const v = mod(D * y2 + BigInt(1));
+  const x2 = mod(u * invert(v));
+  
+  let x = pow(x2, (P + BigInt(3)) / BigInt(8));
+  if (mod(x * x) !== x2) {
+    x = mod(x * SQRT_M1);
+  }
+  if (mod(x * x) !== x2) {
+    return null;
+  }
+  if (Number(x & BigInt(1)) !== sign) {
+    x = mod(-x);
+  }
+  
+  return { x, y, z: BigInt(1), t: mod(x * y) };
+}
+
+function pointAdd(a: Point, b: Point): Point {
+  const A = mod((a.y - a.x) * (b.y - b.x));
+  const B = mod((a.y + a.x) * (b.y + b.x));
+  const C = mod(BigInt(2) * D * a.t * b.t);
+  const Dz = mod(BigInt(2) * a.z * b.z);
+  const E = B - A;
+  const F = Dz - C;
+  const G = Dz + C;
+  const H = B + A;
+  
+  return { x: mod(E * F), y: mod(G * H), z: mod(F * G), t: mod(E * H) };
+}
+
+function pointMultiply(point: Point, scalar: bigint): Point {
+  let result: Point = { x: BigInt(0), y: BigInt(1), z: BigInt(1), t: BigInt(0) };
+  let addend = point;
+  let k = scalar;
+  
+  while (k > BigInt(0)) {
+    if (k & BigInt(1)) {
+      result = pointAdd(result, addend);
+    }
+    addend = pointAdd(addend, addend);
+    k >>= BigInt(1);
+  }
+  
+  return result;
+}
+
+function encodePoint(point: Point): Buffer {
+  const zInv = invert(point.z);
+  const x = mod(point.x * zInv);
+  const y = mod(point.y * zInv);
+  
+  const bytes = numberToBytes(y);
+  bytes[31] |= Number(x & BigInt(1)) << 7;
+  return bytes;
+}
+
+function hashToScalar(...parts: Buffer[]): bigint {
+  return mod(bytesToNumber(crypto.createHash('sha512').update(Buffer.concat(parts)).digest()), L);
+}
+
+/**
+ * Semnare mesaj cu o cheie privată Curve25519
+ * @param {Buffer} privateKey Cheia privată (32 de octeți, clamped)
+ * @param {Buffer} message Mesajul de semnat
+ * @returns {Buffer} Semnătura (64 de octeți)
+ */
+export function calculateSignature(privateKey: Buffer, message: Buffer): Buffer {
+  const k = mod(bytesToNumber(privateKey), L);
+  const edPublic = pointMultiply(BASE, k);
+  const encoded = encodePoint(edPublic);
+  
+  // Cheia publică Edwards folosită are întotdeauna bitul de semn 0
+  const negate = (encoded[31] & 0x80) !== 0;
+  const a = negate ? mod(-k, L) : k;
+  encoded[31] &= 0x7f;
+  
+  const prefix = Buffer.concat([Buffer.from([0xfe]), Buffer.alloc(31, 0xff)]);
+  const r = hashToScalar(prefix, numberToBytes(a), message, crypto.randomBytes(64));
+  const R = encodePoint(pointMultiply(BASE, r));
+  const h = hashToScalar(R, encoded, message);
+  const s = mod(r + h * a, L);
+  
+  return Buffer.concat([R, numberToBytes(s)]);
+}
+
+/**
+ * Verificare semnătură cu o cheie publică Curve25519
+ * @param {Buffer} publicKey Cheia publică (32 de octeți)
+ * @param {Buffer} message Mesajul semnat
+ * @param {Buffer} signature Semnătura (64 de octeți)
+ * @returns {boolean} Semnătura este validă
+ */
+export function verifySignature(publicKey: Buffer, message: Buffer, signature: Buffer): boolean {
+  if (publicKey.length !== 32 || signature.length !== 64) {
+    return false;
+  }
+  
+  const u = bytesToNumber(publicKey);
+  if (u >= P || u === P - BigInt(1)) {
+    return false;
+  }
+  
+  // Conversie Montgomery -> Edwards: y = (u - 1) / (u + 1)
+  const y = mod((u - BigInt(1)) * invert(u + BigInt(1)));
+  const signBit = signature[63] >> 7;
+  const A = pointFromY(y, signBit);
+  if (!A) {
+    return false;
+  }
+  
+  const R = signature.slice(0, 32);
+  const sBytes = Buffer.from(signature.slice(32));
+  sBytes[31] &= 0x7f;
+  const s = bytesToNumber(sBytes);
+  if (s >= L) {
+    return false;
+  }
+  
+  const encodedA = numberToBytes(y);
+  encodedA[31] |= signBit << 7;
+  
+  const h = hashToScalar(R, encodedA, message);
+  const negA = { x: mod(-A.x), y: A.y, z: A.z, t: mod(-A.t) };
+  const check = pointAdd(pointMultiply(BASE, s), pointMultiply(negA, h));
+  
+  return encodePoint(check).equals(R);
+}
@@ -0,0 +1,65 @@
+/**
+ * Map cu dimensiune maximă: la depășire este eliminată intrarea folosită
+ * cel mai demult (citirea cu `get` reîmprospătează intrarea)
+ */
+
+export class LRUMap<K, V> {
+  private maxSize: number;
+  private map: Map<K, V> = new Map();
+  
+  /**
+   * @param {number} maxSize Numărul maxim de intrări
+   */
+  constructor(maxSize: number) {
+    if (!(maxSize > 0)) {
+      throw new Error('LRUMap size must be a positive number');
+    }
+    
+    this.maxSize = maxSize;
+  }
+  
+  public get size(): number {
+    return this.map.size;
+  }
+  
+  public has(key: K): boolean {
+    return this.map.has(key);
+  }
+  
+  public get(key: K): V | undefined {
+    if (!this.map.has(key)) {
+      return undefined;
+    }
+    
+    const value = this.map.get(key) as V;
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+  
+  public set(key: K, value: V): this {
+    this.map.delete(key);
+    this.map.set(key, value);
+    
+    while (this.map.size > this.maxSize) {
+      this.map.delete(this.map.keys().next().value as K);
+    }
+    
+    return this;
+  }
+  
+  public delete(key: K): boolean {
+    return this.map.delete(key);
+  }
+  
+  public clear(): void {
+    this.map.clear();
+  }
+  
+  /**
+   * Valorile, de la cea mai veche la cea mai recentă (fără reîmprospătare)
+   */
+  public values(): IterableIterator<V> {
+    return this.map.values();
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Store în memorie pentru mesaje, conversații și contacte
+ *
+ * Implicit pentru client. Fiecare colecție are o dimensiune maximă; la
+ * depășire sunt eliminate intrările folosite cel mai demult.
+ */
+
+import { MessageStore, MessageQuery } from '../types';
+import { LRUMap } from './LRUMap';
+import { messageChatJid, messageSender, messageBody, searchTokens, storeJid, normalizeQuery } from './fields';
+
+export interface MemoryMessageStoreOptions {
+  maxMessages?: number;
+  maxChats?: number;
+  maxContacts?: number;
+}
+
+interface MessageRecord {
+  seq: number;
+  message: any;
+}
+
+export class MemoryMessageStore implements MessageStore {
+  private messages: LRUMap<string, MessageRecord>;
+  private chats: LRUMap<string, any>;
+  private contacts: LRUMap<string, any>;
+  private seq = 0;
+  
+  /**
+   * @param {Object} options Dimensiunile maxime (maxMessages, maxChats, maxContacts)
+   */
+  constructor(options: MemoryMessageStoreOptions = {}) {
+    this.messages = new LRUMap(options.maxMessages || 10000);
+    this.chats = new LRUMap(options.maxChats || 1000);
+    this.contacts = new LRUMap(options.maxContacts || 5000);
+  }
+  
+  /**
+   * Salvare mesaj (înlocuiește mesajul cu același ID din conversație)
+   * @param {Object} message Mesajul formatat
+   */
+  public async saveMessage(message: any): Promise<void> {
+    const key = this._key(messageChatJid(message), message.id);
+    const existing = this.messages.get(key);
+    
+    this.messages.set(key, { seq: existing ? existing.seq : ++this.seq, message });
+  }
+  
+  /**
+   * Citire mesaj
+   * @param {string} chatJid Conversația
+   * @param {string} id ID-ul mesajului
+   */
+  public async getMessage(chatJid: string, id: string): Promise<any | undefined> {
+    const record = this.messages.get(this._key(storeJid(chatJid), id));
+    return record ? record.message : undefined;
+  }
+  
+  /**
+   * Actualizare câmpuri ale unui mesaj existent
+   * @param {string} chatJid Conversația
+   * @param {string} id ID-ul mesajului
+   * @param {Object} update Câmpurile modificate
+   */
+  public async updateMessage(chatJid: string, id: string, update: any): Promise<void> {
+    const record = this.messages.get(this._key(storeJid(chatJid), id));
+    if (record) {
+      record.message = { ...record.message, ...update };
+    }
+  }
+  
+  /**
+   * Ștergere mesaj
+   * @param {string} chatJid Conversația
+   * @param {string} id ID-ul mesajului
+   */
+  public async deleteMessage(chatJid: string, id: string): Promise<void> {
+    this.messages.delete(this._key(storeJid(chatJid), id));
+  }
+  
+  /**
+   * Interogare mesaje
+   * @param {MessageQuery} query Filtrele (conversație, expeditor, tip, interval, cursor)
+   * @returns {Promise<Array>} Mesajele, implicit de la cel mai nou (`order: 'asc'` pentru invers)
+   */
+  public async queryMessages(query: MessageQuery = {}): Promise<any[]> {
+    return this._select(query, () => true);
+  }
+  
+  /**
+   * Căutare text în `text`/`caption` (toate cuvintele trebuie să apară)
+   * @param {string} text Textul căutat
+   * @param {MessageQuery} query Filtre suplimentare
+   * @returns {Promise<Array>} Mesajele găsite, implicit de la cel mai nou
+   */
+  public async searchMessages(text: string, query: MessageQuery = {}): Promise<any[]> {
+    const tokens = searchTokens(text);
+    if (tokens.length === 0) {
+      return [];
+    }
+    
+    return this._select(query, (message) => {
+      const words = searchTokens(messageBody(message));
+      return tokens.every(token => words.some(word => word.startsWith(token)));
+    });
+  }
+  
+  public async saveChat(chat: any): Promise<void> {
+    this.chats.set(chat.jid, { ...this.chats.get(chat.jid), ...chat });
+  }
+  
+  public async getChat(jid: string): Promise<any | undefined> {
+    return this.chats.get(jid);
+  }
+  
+  public async getChats(): Promise<any[]> {
+    return Array.from(this.chats.values());
+  }
+  
+  public async saveContact(contact: any): Promise<void> {
+    this.contacts.set(contact.jid, { ...this.contacts.get(contact.jid), ...contact });
+  }
+  
+  public async getContact(jid: string): Promise<any | undefined> {
+    return this.contacts.get(jid);
+  }
+  
+  public async getContacts(): Promise<any[]> {
+    return Array.from(this.contacts.values());
+  }
+  
+  /**
+   * Filtrare, sortare (timestamp, ordinea salvării) și limitare
+   * @private
+   */
+  private _select(query: MessageQuery, match: (message: any) => boolean): any[] {
+    query = normalizeQuery(query);
+    const types = query.type === undefined ? null : ([] as string[]).concat(query.type);
+    
+    // Cursorul `before` este un ID de mesaj din conversația interogată
+    let cursor: MessageRecord | undefined;
+    if (query.before) {
+      if (!query.chatJid) {
+        throw new Error('A chatJid is required when paging with before');
+      }
+      cursor = this.messages.get(this._key(query.chatJid, query.before));
+      if (!cursor) {
+        return [];
+      }
+    }
+    
+    const records: MessageRecord[] = [];
+    
+    for (const record of this.messages.values()) {
+      const message = record.message;
+      const matches = (!query.chatJid || messageChatJid(message) === query.chatJid)
+        && (!query.sender || messageSender(message) === query.sender)
+        && (query.fromMe === undefined || !!message.fromMe === query.fromMe)
+        && (!types || types.includes(message.type))
+        && (query.since === undefined || message.timestamp >= query.since)
+        && (query.until === undefined || message.timestamp <= query.until)
+        && (!cursor || this._compare(record, cursor) < 0);
+      
+      if (matches && match(message)) {
+        records.push(record);
+      }
+    }
+    
+    const direction = query.order === 'asc' ? 1 : -1;
+    records.sort((a, b) => direction * this._compare(a, b));
+    
+    const limited = query.limit ? records.slice(0, query.limit) : records;
+    return limited.map(record => record.message);
+  }
+  
+  /**
+   * @private
+   */
+  private _compare(a: MessageRecord, b: MessageRecord): number {
+    return (a.message.timestamp - b.message.timestamp) || (a.seq - b.seq);
+  }
+  
+  /**
+   * @private
+   */
+  private _key(chatJid: string, id: string): string {
+    return `${chatJid}\u0000${id}`;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Store persistent într-un fișier SQLite (implementare de referință)
+ *
+ * Folosește pachetul opțional `better-sqlite3`. Mesajele sunt indexate după
+ * conversație, expeditor și tip; căutarea text folosește un index FTS5 peste
+ * `text`/`caption`.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { MessageStore, MessageQuery } from '../types';
+import { serialize, deserialize } from '../utils/serialize';
+import { messageChatJid, messageSender, messageBody, searchTokens, storeJid, normalizeQuery } from './fields';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_jid TEXT NOT NULL,
+    id TEXT NOT NULL,
+    sender TEXT,
+    from_me INTEGER NOT NULL DEFAULT 0,
+    type TEXT,
+    timestamp INTEGER NOT NULL,
+    body TEXT,
+    data TEXT NOT NULL,
+    UNIQUE (chat_jid, id)
+  );
+  CREATE INDEX IF NOT EXISTS messages_chat_time ON messages (chat_jid, timestamp, seq);
+  CREATE INDEX IF NOT EXISTS messages_sender_time ON messages (sender, timestamp);
+  CREATE INDEX IF NOT EXISTS messages_type_time ON messages (type, timestamp);
+  
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5 (body, content = 'messages', content_rowid = 'seq');
+  CREATE TRIGGER IF NOT EXISTS messages_ai AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, body) VALUES (new.seq, new.body);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_ad AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.seq, old.body);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_au AFTER UPDATE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.seq, old.body);
+    INSERT INTO messages_fts (rowid, body) VALUES (new.seq, new.body);
+  END;
+  
+  CREATE TABLE IF NOT EXISTS chats (jid TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS contacts (jid TEXT PRIMARY KEY, data TEXT NOT NULL);
+`;
+
+export class SqliteMessageStore implements MessageStore {
+  private db: any;
+  
+  /**
+   * @param {string} file Fișierul bazei de date
+   */
+  constructor(file: string) {
+    let Database: any;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SqliteMessageStore requires the optional "better-sqlite3" package (npm install better-sqlite3)');
+    }
+    
+    const resolved = path.resolve(file);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    
+    this.db = new Database(resolved);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+  }
+  
+  /**
+   * Salvare mesaj (înlocuiește mesajul cu același ID din conversație)
+   * @param {Object} message Mesajul formatat
+   */
+  public async saveMessage(message: any): Promise<void> {
+    this.db.prepare(`
+      INSERT INTO messages (chat_jid, id, sender, from_me, type, timestamp, body, data)
+      VALUES (@chatJid, @id, @sender, @fromMe, @type, @timestamp, @body, @data)
+      ON CONFLICT (chat_jid, id) DO UPDATE SET
+        sender = excluded.sender,
+        from_me = excluded.from_me,
+        type = excluded.type,
+        timestamp = excluded.timestamp,
+        body = excluded.body,
+        data = excluded.data
+    `).run({
+      chatJid: messageChatJid(message),
+      id: message.id,
+      sender: messageSender(message) || null,
+      fromMe: message.fromMe ? 1 : 0,
+      type: message.type || null,
+      timestamp: Number(message.timestamp) || Date.now(),
+      body: messageBody(message) || null,
+      data: JSON.stringify(serialize(message))
+    });
+  }
+  
+  /**
+   * Citire mesaj
+   * @param {string} chatJid Conversația
+   * @param {string} id ID-ul mesajului
+   */
+  public async getMessage(chatJid: string, id: string): Promise<any | undefined> {
+    const row = this.db.prepare('SELECT data FROM messages WHERE chat_jid = ? AND id = ?').get(storeJid(chatJid), id);
+    return row ? this._parse(row.data) : undefined;
+  }
+  
+  /**
+   * Actualizare câmpuri ale unui mesaj existent
+   * @param {string} chatJid Conversația
+   * @param {string} id ID-ul mesajului
+   * @param {Object} update Câmpurile modificate
+   */
+  public async updateMessage(chatJid: string, id: string, update: any): Promise<void> {
+    const message = await this.getMessage(chatJid, id);
+    if (message) {
+      await this.saveMessage({ ...message, ...update, chatJid });
+    }
+  }
+  
+  /**
+   * Ștergere mesaj
+   * @param {string} chatJid Conversația
+   * @param {string} id ID-ul mesajului
+   */
+  public async deleteMessage(chatJid: string, id: string): Promise<void> {
+    this.db.prepare('DELETE FROM messages WHERE chat_jid = ? AND id = ?').run(storeJid(chatJid), id);
+  }
+  
+  /**
+   * Interogare mesaje
+   * @param {MessageQuery} query Filtrele (conversație, expeditor, tip, interval, cursor)
+   * @returns {Promise<Array>} Mesajele, implicit de la cel mai nou (`order: 'asc'` pentru invers)
+   */
+  public async queryMessages(query: MessageQuery = {}): Promise<any[]> {
+    return this._select(query);
+  }
+  
+  /**
+   * Căutare text în `text`/`caption` (toate cuvintele, ca prefix)
+   * @param {string} text Textul căutat
+   * @param {MessageQuery} query Filtre suplimentare
+   * @returns {Promise<Array>} Mesajele găsite, implicit de la cel mai nou
+   */
+  public async searchMessages(text: string, query: MessageQuery = {}): Promise<any[]> {
+    const tokens = searchTokens(text);
+    if (tokens.length === 0) {
+      return [];
+    }
+    
+    // Fiecare cuvânt este citat, deci sintaxa FTS5 din textul căutat nu este interpretată
+    const match = tokens.map(token => `"${token.replace(/"/g, '""')}"*`).join(' ');
+    return this._select(query, match);
+  }
+  
+  public async saveChat(chat: any): Promise<void> {
+    const existing = await this.getChat(chat.jid);
+    this.db.prepare('INSERT OR REPLACE INTO chats (jid, data) VALUES (?, ?)')
+      .run(chat.jid, JSON.stringify(serialize({ ...existing, ...chat })));
+  }
+  
+  public async getChat(jid: string): Promise<any | undefined> {
+    const row = this.db.prepare('SELECT data FROM chats WHERE jid = ?').get(jid);
+    return row ? this._parse(row.data) : undefined;
+  }
+  
+  public async getChats(): Promise<any[]> {
+    return this.db.prepare('SELECT data FROM chats').all().map((row: any) => this._parse(row.data));
+  }
+  
+  public async saveContact(contact: any): Promise<void> {
+    const existing = await this.getContact(contact.jid);
+    this.db.prepare('INSERT OR REPLACE INTO contacts (jid, data) VALUES (?, ?)')
+      .run(contact.jid, JSON.stringify(serialize({ ...existing, ...contact })));
+  }
+  
+  public async getContact(jid: string): Promise<any | undefined> {
+    const row = this.db.prepare('SELECT data FROM contacts WHERE jid = ?').get(jid);
+    return row ? this._parse(row.data) : undefined;
+  }
+  
+  public async getContacts(): Promise<any[]> {
+    return this.db.prepare('SELECT data FROM contacts').all().map((row: any) => this._parse(row.data));
+  }
+  
+  /**
+   * Închidere bază de date
+   */
+  public async close(): Promise<void> {
+    this.db.close();
+  }
+  
+  /**
+   * Construire și executare interogare
+   * @param {MessageQuery} query Filtrele
+   * @param {string} match Expresia FTS5 (opțional)
+   * @private
+   */
+  private _select(query: MessageQuery, match?: string): any[] {
+    query = normalizeQuery(query);
+    const where: string[] = [];
+    const params: any[] = [];
+    
+    if (match) {
+      where.push('m.seq IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH ?)');
+      params.push(match);
+    }
+    if (query.chatJid) {
+      where.push('m.chat_jid = ?');
+      params.push(query.chatJid);
+    }
+    if (query.sender) {
+      where.push('m.sender = ?');
+      params.push(query.sender);
+    }
+    if (query.fromMe !== undefined) {
+      where.push('m.from_me = ?');
+      params.push(query.fromMe ? 1 : 0);
+    }
+    if (query.type !== undefined) {
+      const types = ([] as string[]).concat(query.type);
+      where.push(`m.type IN (${types.map(() => '?').join(', ')})`);
+      params.push(...types);
+    }
+    if (query.since !== undefined) {
+      where.push('m.timestamp >= ?');
+      params.push(query.since);
+    }
+    if (query.until !== undefined) {
+      where.push('m.timestamp <= ?');
+      params.push(query.until);
+    }
+    if (query.before) {
+      if (!query.chatJid) {
+        throw new Error('A chatJid is required when paging with before');
+      }
+      where.push('(m.timestamp, m.seq) < (SELECT timestamp, seq FROM messages WHERE chat_jid = ? AND id = ?)');
+      params.push(query.chatJid, query.before);
+    }
+    
+    const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+    const sql = `SELECT m.data FROM messages m${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}`
+      + ` ORDER BY m.timestamp ${direction}, m.seq ${direction}`
+      + (query.limit ? ' LIMIT ?' : '');
+    
+    if (query.limit) {
+      params.push(query.limit);
+    }
+    
+    return this.db.prepare(sql).all(...params).map((row: any) => this._parse(row.data));
+  }
+  
+  /**
+   * @private
+   */
+  private _parse(data: string): any {
+    return deserialize(JSON.parse(data));
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Câmpurile derivate ale unui mesaj, folosite pentru indexare în store
+ *
+ * JID-urile sunt indexate fără agent și dispozitiv, deci mesajele aceluiași
+ * utilizator ajung în aceeași conversație indiferent de dispozitivul folosit.
+ */
+
+import { MessageQuery } from '../types';
+import { normalizeJid } from '../utils/jid';
+
+/**
+ * JID în forma folosită pentru indexare
+ * @param {string} jid JID-ul (poate include dispozitivul)
+ */
+export function storeJid(jid: string): string {
+  return jid ? normalizeJid(jid) : jid;
+}
+
+/**
+ * Conversația mesajului
+ * @param {Object} message Mesajul
+ */
+export function messageChatJid(message: any): string {
+  return storeJid(message.chatJid || (message.fromMe ? message.to : message.from));
+}
+
+/**
+ * Expeditorul mesajului (în grupuri: participantul)
+ * @param {Object} message Mesajul
+ */
+export function messageSender(message: any): string | undefined {
+  const sender = message.participant || message.from;
+  return sender ? storeJid(sender) : undefined;
+}
+
+/**
+ * Filtrele unei interogări, cu JID-urile în forma folosită pentru indexare
+ * @param {MessageQuery} query Filtrele
+ */
+export function normalizeQuery(query: MessageQuery): MessageQuery {
+  return {
+    ...query,
+    chatJid: query.chatJid && storeJid(query.chatJid),
+    sender: query.sender && storeJid(query.sender)
+  };
+}
+
+/**
+ * Textul căutabil al mesajului (text, body sau caption)
+ * @param {Object} message Mesajul
+ */
+export function messageBody(message: any): string {
+  return [message.text || message.body, message.caption]
+    .filter(value => typeof value === 'string' && value.length > 0)
+    .join('\n');
+}
+
+/**
+ * Împărțire text de căutare în cuvinte (litere mici)
+ * @param {string} text Textul căutat
+ */
+export function searchTokens(text: string): string[] {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
@@ -0,0 +1,9 @@
+/**
+ * Declarații de tip pentru modulul nativ curve25519-n
+ */
+
+declare module 'curve25519-n' {
+  export function makeSecretKey(secret: Buffer): Buffer;
+  export function derivePublicKey(secretKey: Buffer): Buffer;
+  export function deriveSharedSecret(secretKey: Buffer, publicKey: Buffer): Buffer;
+}
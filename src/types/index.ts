@@ -2,6 +2,8 @@
  * Tipuri de date pentru biblioteca WhatsApp Web API
  */
 
+import { Agent } from 'http';
+
 // Enum pentru tipurile de mesaje
 export enum MessageType {
   TEXT = 'text',
@@ -18,7 +20,8 @@ export enum MessageType {
   GROUP_INVITE = 'groupInvite',
   VIEW_ONCE = 'viewOnce',
   POLL = 'poll',
-  REACTION = 'reaction'
+  REACTION = 'reaction',
+  REVOKED = 'revoked'
 }
 
 // Tipuri pentru mesaje
@@ -27,22 +30,54 @@ export interface Message {
   type: MessageType;
   from: string;
   to: string;
+  participant?: string;
   fromMe: boolean;
   timestamp: number;
   content?: any;
   text?: string;
   caption?: string;
   url?: string;
-  status?: 'sent' | 'delivered' | 'read' | 'failed';
+  chatJid?: string;
+  status?: 'queued' | 'sent' | 'delivered' | 'read' | 'played' | 'received' | 'failed';
+  edited?: boolean;
+  editTimestamp?: number;
+  revokedBy?: string;
+  contextInfo?: ContextInfo;
+}
+
+// Mesaj citat, mențiuni și redirecționare
+export interface ContextInfo {
+  stanzaId?: string;
+  participant?: string;
+  remoteJid?: string;
+  quotedMessage?: any;
+  mentionedJid?: string[];
+  isForwarded?: boolean;
+  forwardingScore?: number;
+  forwardedManyTimes?: boolean;
+}
+
+// Redirecționarea unui mesaj către mai multe conversații
+export interface ForwardBatchOptions {
+  delay?: number;
+  jitter?: number;
+}
+
+export interface ForwardResult {
+  to: string;
+  message?: Message;
+  error?: Error;
 }
 
 // Tipuri pentru sesiuni
 export interface Session {
   clientId: string;
-  serverToken: string;
-  clientToken: string;
-  encKey: any;
-  macKey: any;
+  lid?: string;
+  noiseKey?: {
+    private: string;
+    public: string;
+  };
+  signal?: any;
   me: {
     id: string;
     name: string;
@@ -55,13 +90,52 @@ export interface WhatsAppOptions {
   debug?: boolean;
   maxReconnects?: number;
   reconnectDelay?: number;
+  maxReconnectDelay?: number;
   autoReconnect?: boolean;
   qrMaxRetries?: number;
   qrTimeout?: number;
+  historySyncTimeout?: number;
+  queryTimeout?: number;
+  keepAliveInterval?: number;
+  keepAliveTimeout?: number;
   wsUrl?: string;
+  wsUrls?: string[];
+  connectTimeout?: number;
   userAgent?: string;
   proxy?: string;
+  agent?: Agent;
+  mediaProxy?: string;
+  mediaAgent?: Agent;
   authMethod?: 'qr' | 'pairing-code';
+  authState?: AuthStateStore;
+  authStatePassphrase?: string;
+  mediaHost?: string;
+  outbox?: OutboxOptions;
+  sendScheduler?: SendSchedulerOptions;
+  store?: MessageStore;
+}
+
+// Limite de rată pentru trimitere (jetoane pe secundă și rezervă pentru rafale)
+export interface SendSchedulerOptions {
+  enabled?: boolean;
+  globalRate?: number;
+  globalBurst?: number;
+  chatRate?: number;
+  chatBurst?: number;
+  minJitter?: number;
+  maxJitter?: number;
+  simulateTyping?: boolean;
+  typingSpeed?: number;
+  maxTypingDelay?: number;
+}
+
+// Opțiuni pentru coada de trimitere offline
+export interface OutboxOptions {
+  enabled?: boolean;
+  path?: string;
+  maxAge?: number;
+  maxRetries?: number;
+  retryDelay?: number;
 }
 
 // Tipuri pentru grupuri
@@ -80,4 +154,70 @@ export interface GroupParticipant {
   jid: string;
   isAdmin: boolean;
   isSuperAdmin: boolean;
-}
\ No newline at end of file
+}
+
+// Nod al protocolului binar WhatsApp (WABinary)
+export interface BinaryNode {
+  tag: string;
+  attrs: { [key: string]: string };
+  content?: BinaryNode[] | Buffer | string;
+}
+
+// Pereche de chei Curve25519
+export interface KeyPair {
+  publicKey: Buffer;
+  privateKey: Buffer;
+}
+
+// Spațiile de chei ale stării de autentificare (lista este folosită și de
+// operațiile care parcurg toată starea, ex: rotația parolei)
+export const AUTH_STATE_NAMESPACES = [
+  'creds',
+  'prekeys',
+  'sessions',
+  'identities',
+  'sender-keys',
+  'sender-key-memory',
+  'app-state-versions',
+  'app-state-sync-keys'
+] as const;
+
+export type AuthStateNamespace = typeof AUTH_STATE_NAMESPACES[number];
+
+// Stocare pentru starea de autentificare (credențiale, chei și sesiuni Signal)
+export interface AuthStateStore {
+  get(namespace: AuthStateNamespace, key: string): Promise<any | undefined>;
+  set(namespace: AuthStateNamespace, key: string, value: any): Promise<void>;
+  delete(namespace: AuthStateNamespace, key: string): Promise<void>;
+  keys?(namespace: AuthStateNamespace): Promise<string[]>;
+}
+
+// Filtre pentru interogarea mesajelor din store
+export interface MessageQuery {
+  chatJid?: string;
+  sender?: string;
+  fromMe?: boolean;
+  type?: string | string[];
+  since?: number;
+  until?: number;
+  before?: string;
+  limit?: number;
+  order?: 'asc' | 'desc';
+}
+
+// Stocare pentru mesaje, conversații și contacte
+export interface MessageStore {
+  saveMessage(message: any): Promise<void>;
+  getMessage(chatJid: string, id: string): Promise<any | undefined>;
+  updateMessage(chatJid: string, id: string, update: any): Promise<void>;
+  deleteMessage(chatJid: string, id: string): Promise<void>;
+  queryMessages(query: MessageQuery): Promise<any[]>;
+  searchMessages(text: string, query?: MessageQuery): Promise<any[]>;
+  saveChat(chat: any): Promise<void>;
+  getChat(jid: string): Promise<any | undefined>;
+  getChats(): Promise<any[]>;
+  saveContact(contact: any): Promise<void>;
+  getContact(jid: string): Promise<any | undefined>;
+  getContacts(): Promise<any[]>;
+  close?(): Promise<void>;
+}
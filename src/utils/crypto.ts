@@ -9,12 +9,12 @@ import * as curve from 'curve25519-n';
  * Generează o pereche de chei Curve25519
  */
 export function generateKeyPair(): { publicKey: Buffer, privateKey: Buffer } {
-  const privateKey = crypto.randomBytes(32);
-  const keyPair = curve.makeKeyPair(privateKey);
+  const privateKey = curve.makeSecretKey(crypto.randomBytes(32));
+  const publicKey = curve.derivePublicKey(privateKey);
   
   return {
     privateKey: Buffer.from(privateKey),
-    publicKey: Buffer.from(keyPair.publicKey)
+    publicKey: Buffer.from(publicKey)
   };
 }
 
@@ -36,7 +36,7 @@ export function hkdf(ikm: Buffer, length: number, info?: Buffer, salt?: Buffer):
   
   for (let i = 1; i <= Math.ceil(length / 32); i++) {
     t = crypto.createHmac('sha256', prk)
-      .update(Buffer.concat([t, info || Buffer.alloc(0), Buffer.from([i])])
+      .update(Buffer.concat([t, info || Buffer.alloc(0), Buffer.from([i])]))
       .digest();
     output = Buffer.concat([output, t]);
   }
@@ -92,4 +92,99 @@ export function hmacVerify(data: Buffer, key: Buffer, signature: Buffer): boolea
  */
 export function sha256(data: Buffer): Buffer {
   return crypto.createHash('sha256').update(data).digest();
-}
\ No newline at end of file
+}
+
+/**
+ * Calcul secret partajat Curve25519 (ECDH)
+ * @param {Buffer} privateKey Cheia privată proprie
+ * @param {Buffer} publicKey Cheia publică a celeilalte părți
+ */
+export function sharedKey(privateKey: Buffer, publicKey: Buffer): Buffer {
+  return Buffer.from(curve.deriveSharedSecret(privateKey, publicKey));
+}
+
+/**
+ * Criptare AES-256-GCM (rezultat: ciphertext || tag de autentificare)
+ * @param {Buffer} data Date de criptat
+ * @param {Buffer} key Cheia de criptare
+ * @param {Buffer} iv Vector de inițializare (12 octeți)
+ * @param {Buffer} aad Date adiționale autentificate
+ */
+export function aesGcmEncrypt(data: Buffer, key: Buffer, iv: Buffer, aad?: Buffer): Buffer {
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+  return Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Decriptare AES-256-GCM (intrare: ciphertext || tag de autentificare)
+ * @param {Buffer} data Date de decriptat
+ * @param {Buffer} key Cheia de decriptare
+ * @param {Buffer} iv Vector de inițializare (12 octeți)
+ * @param {Buffer} aad Date adiționale autentificate
+ */
+export function aesGcmDecrypt(data: Buffer, key: Buffer, iv: Buffer, aad?: Buffer): Buffer {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+  decipher.setAuthTag(data.slice(data.length - 16));
+  return Buffer.concat([decipher.update(data.slice(0, data.length - 16)), decipher.final()]);
+}
+
+/**
+ * Derivare cheie dintr-o parolă cu scrypt
+ * @param {string|Buffer} passphrase Parola
+ * @param {Buffer} salt Salt
+ * @param {number} length Lungimea cheii
+ * @param {Object} params Parametrii scrypt (N, r, p)
+ */
+export function scrypt(
+  passphrase: string | Buffer,
+  salt: Buffer,
+  length = 32,
+  params: { N: number, r: number, p: number } = { N: 32768, r: 8, p: 1 }
+): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const maxmem = 256 * params.N * params.r;
+    crypto.scrypt(passphrase, salt, length, { ...params, maxmem }, (error, key) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+/**
+ * Criptare/decriptare AES-256-CTR (aceeași operație în ambele sensuri)
+ * @param {Buffer} data Datele
+ * @param {Buffer} key Cheia
+ * @param {Buffer} iv Contorul inițial (16 octeți)
+ */
+export function aesCtr(data: Buffer, key: Buffer, iv: Buffer): Buffer {
+  const cipher = crypto.createCipheriv('aes-256-ctr', key, iv);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * Derivare cheie dintr-o parolă cu PBKDF2-SHA256
+ * @param {string} password Parola
+ * @param {Buffer} salt Salt
+ * @param {number} iterations Numărul de iterații
+ * @param {number} length Lungimea cheii
+ */
+export function pbkdf2(password: string, salt: Buffer, iterations: number, length = 32): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    crypto.pbkdf2(password, salt, iterations, length, 'sha256', (error, key) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
@@ -0,0 +1,48 @@
+/**
+ * Utilități pentru JID-uri WhatsApp (user[_agent][:device]@server)
+ */
+
+export interface DecodedJid {
+  user: string;
+  agent: number;
+  device: number;
+  server: string;
+}
+
+/**
+ * Descompunere JID în părți
+ * @param {string} jid JID-ul de descompus
+ */
+export function decodeJid(jid: string): DecodedJid {
+  const atIndex = jid.indexOf('@');
+  const server = atIndex === -1 ? 's.whatsapp.net' : jid.slice(atIndex + 1);
+  const userPart = atIndex === -1 ? jid : jid.slice(0, atIndex);
+  
+  const [userAgent, device] = userPart.split(':');
+  const [user, agent] = userAgent.split('_');
+  
+  return {
+    user,
+    agent: agent ? Number(agent) : 0,
+    device: device ? Number(device) : 0,
+    server
+  };
+}
+
+/**
+ * JID-ul utilizatorului, fără agent și dispozitiv
+ * @param {string} jid JID-ul complet
+ */
+export function normalizeJid(jid: string): string {
+  const { user, server } = decodeJid(jid);
+  return `${user}@${server}`;
+}
+
+/**
+ * Adresa Signal a unui dispozitiv (user.device)
+ * @param {string} jid JID-ul dispozitivului
+ */
+export function signalAddress(jid: string): string {
+  const { user, device } = decodeJid(jid);
+  return `${user}.${device}`;
+}
@@ -0,0 +1,166 @@
+/**
+ * Encodare/decodare minimală Protocol Buffers pentru mesajele protocolului
+ *
+ * Suportă câmpuri varint (wire type 0), length-delimited (wire type 2) și
+ * double (wire type 1), suficiente pentru mesajele de handshake și pentru
+ * structurile folosite de client.
+ */
+
+// Valoare encodată ca double (wire type 1), ex: coordonatele unei locații
+export interface ProtoDouble {
+  double: number;
+}
+
+export type ProtoValue = Buffer | string | number | boolean | ProtoDouble;
+
+/**
+ * Marcare valoare de encodat ca double
+ * @param {number} value Valoarea
+ */
+export function protoDouble(value: number): ProtoDouble {
+  return { double: value };
+}
+
+/**
+ * Encodare varint
+ * @param {number} value Valoarea (întreg pozitiv)
+ */
+export function encodeVarint(value: number): Buffer {
+  const bytes: number[] = [];
+  let remaining = value;
+  
+  while (remaining > 0x7f) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encodare mesaj din perechi [număr câmp, valoare]
+ * @param {Array} fields Câmpurile mesajului (valorile undefined/null sunt omise)
+ */
+export function encodeProto(fields: [number, ProtoValue | undefined | null][]): Buffer {
+  const parts: Buffer[] = [];
+  
+  for (const [field, value] of fields) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      parts.push(encodeVarint(field << 3), encodeVarint(Number(value)));
+    } else if (!Buffer.isBuffer(value) && typeof value === 'object') {
+      const bytes = Buffer.alloc(8);
+      bytes.writeDoubleLE(value.double);
+      parts.push(encodeVarint((field << 3) | 1), bytes);
+    } else {
+      const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+      parts.push(encodeVarint((field << 3) | 2), encodeVarint(bytes.length), bytes);
+    }
+  }
+  
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decodare mesaj în map câmp -> listă de valori
+ * @param {Buffer} buffer Mesajul encodat
+ */
+export function decodeProto(buffer: Buffer): Map<number, (Buffer | number)[]> {
+  const fields = new Map<number, (Buffer | number)[]>();
+  let index = 0;
+  
+  const readVarint = (): number => {
+    let value = 0;
+    let multiplier = 1;
+    
+    while (true) {
+      if (index >= buffer.length) {
+        throw new Error('Invalid protobuf: truncated varint');
+      }
+      const byte = buffer[index++];
+      value += (byte & 0x7f) * multiplier;
+      if (!(byte & 0x80)) {
+        return value;
+      }
+      multiplier *= 0x80;
+    }
+  };
+  
+  while (index < buffer.length) {
+    const key = readVarint();
+    const field = Math.floor(key / 8);
+    const wireType = key & 0x07;
+    let value: Buffer | number;
+    
+    if (wireType === 0) {
+      value = readVarint();
+    } else if (wireType === 2) {
+      const length = readVarint();
+      if (index + length > buffer.length) {
+        throw new Error('Invalid protobuf: truncated field');
+      }
+      value = buffer.slice(index, index + length);
+      index += length;
+    } else if (wireType === 5) {
+      value = buffer.readUInt32LE(index);
+      index += 4;
+    } else if (wireType === 1) {
+      value = buffer.readDoubleLE(index);
+      index += 8;
+    } else {
+      throw new Error(`Invalid protobuf: unsupported wire type ${wireType}`);
+    }
+    
+    if (!fields.has(field)) {
+      fields.set(field, []);
+    }
+    fields.get(field)!.push(value);
+  }
+  
+  return fields;
+}
+
+/**
+ * Citire primul câmp length-delimited dintr-un mesaj decodat
+ * @param {Map} fields Câmpurile decodate
+ * @param {number} field Numărul câmpului
+ */
+export function getBytes(fields: Map<number, (Buffer | number)[]>, field: number): Buffer | undefined {
+  const value = fields.get(field)?.[0];
+  return Buffer.isBuffer(value) ? value : undefined;
+}
+
+/**
+ * Citire primul câmp varint dintr-un mesaj decodat
+ * @param {Map} fields Câmpurile decodate
+ * @param {number} field Numărul câmpului
+ */
+export function getNumber(fields: Map<number, (Buffer | number)[]>, field: number): number | undefined {
+  const value = fields.get(field)?.[0];
+  return typeof value === 'number' ? value : undefined;
+}
+
+/**
+ * Citire primul câmp length-delimited ca text UTF-8
+ * @param {Map} fields Câmpurile decodate
+ * @param {number} field Numărul câmpului
+ */
+export function getString(fields: Map<number, (Buffer | number)[]>, field: number): string | undefined {
+  const value = getBytes(fields, field);
+  return value ? value.toString('utf8') : undefined;
+}
+
+/**
+ * Decodare toate aparițiile unui câmp repetat de tip mesaj
+ * @param {Map} fields Câmpurile decodate
+ * @param {number} field Numărul câmpului
+ */
+export function getMessages(fields: Map<number, (Buffer | number)[]>, field: number): Map<number, (Buffer | number)[]>[] {
+  return (fields.get(field) || [])
+    .filter((value): value is Buffer => Buffer.isBuffer(value))
+    .map(value => decodeProto(value));
+}
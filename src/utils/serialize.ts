@@ -0,0 +1,65 @@
+/**
+ * Serializare JSON a stărilor care conțin Buffer-e (chei, sesiuni)
+ *
+ * Buffer-ele devin `{ type: 'Buffer', data: '<base64>' }`, astfel încât starea
+ * poate fi salvată cu JSON.stringify și restaurată fără pierderi.
+ */
+
+/**
+ * Conversie valoare în formă serializabilă JSON
+ * @param {*} value Valoarea de convertit
+ */
+export function serialize(value: any): any {
+  if (Buffer.isBuffer(value)) {
+    return { type: 'Buffer', data: value.toString('base64') };
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  
+  if (value instanceof Map) {
+    return serialize(Object.fromEntries(value));
+  }
+  
+  if (value !== null && typeof value === 'object') {
+    const result: any = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) {
+        result[key] = serialize(item);
+      }
+    }
+    return result;
+  }
+  
+  return value;
+}
+
+/**
+ * Restaurare valoare serializată cu `serialize`
+ * @param {*} value Valoarea serializată
+ */
+export function deserialize(value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(deserialize);
+  }
+  
+  if (value !== null && typeof value === 'object') {
+    if (value.type === 'Buffer' && typeof value.data === 'string') {
+      return Buffer.from(value.data, 'base64');
+    }
+    
+    // Format implicit Buffer.toJSON()
+    if (value.type === 'Buffer' && Array.isArray(value.data)) {
+      return Buffer.from(value.data);
+    }
+    
+    const result: any = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = deserialize(item);
+    }
+    return result;
+  }
+  
+  return value;
+}
@@ -0,0 +1,115 @@
+/**
+ * Teste pentru aplicarea patch-urilor de stare a aplicației (syncd, LT-hash)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { AppStateHandler } from '../src/appstate/AppStateHandler';
+import { MemoryAuthStateStore } from '../src/auth/MemoryAuthStateStore';
+import { MemoryMessageStore } from '../src/store/MemoryMessageStore';
+import {
+  SyncdOperation,
+  LT_HASH_LENGTH,
+  expandAppStateKey,
+  encryptMutation,
+  ltHashUpdate,
+  generateSnapshotMac,
+  generatePatchMac
+} from '../src/appstate/syncdCrypto';
+import { encodeProto, decodeProto } from '../src/utils/proto';
+
+const KEY_ID = Buffer.from('0001', 'hex');
+const KEY_DATA = crypto.randomBytes(32);
+const KEYS = expandAppStateKey(KEY_DATA);
+const CHAT = '40721000001@s.whatsapp.net';
+
+async function createHandler() {
+  const client: any = new EventEmitter();
+  client.log = () => undefined;
+  client.authState = new MemoryAuthStateStore();
+  client.store = new MemoryMessageStore();
+  await client.authState.set('app-state-sync-keys', KEY_ID.toString('base64'), { keyData: KEY_DATA });
+  return { client, handler: new AppStateHandler(client) as any };
+}
+
+// Patch cu o mutație `archive` pentru conversație, semnat pornind de la hash-ul dat
+function archivePatch(version: number, archived: boolean, previousHash: Buffer, previousValueMac?: Buffer) {
+  const value = encodeProto([[1, 1700000000000], [17, encodeProto([[1, archived]])]]);
+  const mutation = encryptMutation({ operation: SyncdOperation.SET, index: ['archive', CHAT], value, version: 3 }, KEY_ID, KEYS);
+  
+  const hash = ltHashUpdate(previousHash, [mutation.valueMac], previousValueMac ? [previousValueMac] : []);
+  const snapshotMac = generateSnapshotMac(hash, version, 'regular_low', KEYS.snapshotMacKey);
+  const record = encodeProto([
+    [1, encodeProto([[1, mutation.indexMac]])],
+    [2, encodeProto([[1, mutation.valueBlob]])],
+    [3, encodeProto([[1, KEY_ID]])]
+  ]);
+  
+  const fields: [number, any][] = [
+    [1, encodeProto([[1, version]])],
+    [2, encodeProto([[1, SyncdOperation.SET], [2, record]])],
+    [4, snapshotMac],
+    [5, generatePatchMac(snapshotMac, [mutation.valueMac], version, 'regular_low', KEYS.patchMacKey)],
+    [6, encodeProto([[1, KEY_ID]])]
+  ];
+  return { fields, hash, valueMac: mutation.valueMac };
+}
+
+const empty = () => ({ version: 0, hash: Buffer.alloc(LT_HASH_LENGTH), indexValueMap: {} });
+
+test('applies valid patches and keeps the LT-hash of the collection', async () => {
+  const { client, handler } = await createHandler();
+  const mutations: any[] = [];
+  
+  const first = archivePatch(1, true, Buffer.alloc(LT_HASH_LENGTH));
+  const afterFirst = await handler._applyPatch('regular_low', empty(), decodeProto(encodeProto(first.fields)), mutations);
+  assert.strictEqual(afterFirst.version, 1);
+  assert.deepStrictEqual(afterFirst.hash, first.hash);
+  
+  // Aceeași cheie de index: valoarea anterioară este scoasă din hash
+  const second = archivePatch(2, false, first.hash, first.valueMac);
+  const afterSecond = await handler._applyPatch('regular_low', afterFirst, decodeProto(encodeProto(second.fields)), mutations);
+  assert.deepStrictEqual(afterSecond.hash, ltHashUpdate(Buffer.alloc(LT_HASH_LENGTH), [second.valueMac]));
+  assert.strictEqual(Object.keys(afterSecond.indexValueMap).length, 1);
+  
+  for (const mutation of mutations) {
+    await handler._applyAction(mutation);
+  }
+  assert.deepStrictEqual(mutations.map(mutation => mutation.index), [['archive', CHAT], ['archive', CHAT]]);
+  assert.strictEqual((await client.store.getChat(CHAT)).archived, false);
+});
+
+test('rejects a patch with a tampered patch MAC', async () => {
+  const { handler } = await createHandler();
+  const patch = archivePatch(1, true, Buffer.alloc(LT_HASH_LENGTH));
+  patch.fields[3][1] = Buffer.from(patch.fields[3][1]);
+  patch.fields[3][1][0] ^= 1;
+  
+  await assert.rejects(handler._applyPatch('regular_low', empty(), decodeProto(encodeProto(patch.fields)), []),
+    /Patch MAC mismatch for regular_low v1/);
+});
+
+test('rejects a patch that does not match the local LT-hash', async () => {
+  const { handler } = await createHandler();
+  // Patch-ul a fost semnat pentru o stare anterioară diferită de cea locală
+  const patch = archivePatch(1, true, crypto.randomBytes(LT_HASH_LENGTH));
+  
+  await assert.rejects(handler._applyPatch('regular_low', empty(), decodeProto(encodeProto(patch.fields)), []),
+    /Snapshot MAC mismatch for regular_low v1/);
+});
+
+test('rejects a mutation whose encrypted value was modified', async () => {
+  const { handler } = await createHandler();
+  const value = encodeProto([[1, 1700000000000], [17, encodeProto([[1, true]])]]);
+  const mutation = encryptMutation({ operation: SyncdOperation.SET, index: ['archive', CHAT], value, version: 3 }, KEY_ID, KEYS);
+  mutation.valueBlob[20] ^= 1;
+  const record = decodeProto(encodeProto([
+    [1, encodeProto([[1, mutation.indexMac]])],
+    [2, encodeProto([[1, mutation.valueBlob]])],
+    [3, encodeProto([[1, KEY_ID]])]
+  ]));
+  
+  await assert.rejects(handler._decryptRecord(SyncdOperation.SET, record), /Mutation value MAC mismatch/);
+});
@@ -0,0 +1,106 @@
+/**
+ * Teste pentru stocările stării de autentificare (memorie și fișiere)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { MemoryAuthStateStore } from '../src/auth/MemoryAuthStateStore';
+import { FileAuthStateStore } from '../src/auth/FileAuthStateStore';
+import { SignalStore } from '../src/signal/SignalStore';
+import { AuthStateStore } from '../src/types';
+
+// Director temporar șters după test
+async function withDirectory(run: (dir: string) => Promise<void>): Promise<void> {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-state-'));
+  try {
+    await run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const adapters: [string, (dir: string) => AuthStateStore][] = [
+  ['memory', () => new MemoryAuthStateStore()],
+  ['file', dir => new FileAuthStateStore(dir)]
+];
+
+for (const [name, create] of adapters) {
+  test(`${name} store reads, lists and deletes entries`, () => withDirectory(async (dir) => {
+    const store = create(dir);
+    const value = { counter: 3, key: Buffer.from('01020304', 'hex'), chain: [Buffer.from('ff', 'hex')] };
+    
+    assert.strictEqual(await store.get('sessions', '40721000001.0'), undefined);
+    await store.set('sessions', '40721000001.0', value);
+    await store.set('sender-keys', '120363000000000001@g.us::40721000001.0', { chain: 1 });
+    
+    const read = await store.get('sessions', '40721000001.0');
+    assert.deepStrictEqual(read, value);
+    assert.ok(Buffer.isBuffer(read.key));
+    
+    // Fiecare citire întoarce o copie independentă
+    read.counter = 4;
+    assert.strictEqual((await store.get('sessions', '40721000001.0')).counter, 3);
+    
+    assert.deepStrictEqual(await store.keys!('sender-keys'), ['120363000000000001@g.us::40721000001.0']);
+    assert.deepStrictEqual(await store.keys!('prekeys'), []);
+    
+    await store.delete('sessions', '40721000001.0');
+    await store.delete('sessions', 'missing');
+    assert.strictEqual(await store.get('sessions', '40721000001.0'), undefined);
+    assert.deepStrictEqual(await store.keys!('sessions'), []);
+  }));
+  
+  test(`${name} store keeps the Signal identity and prekeys`, () => withDirectory(async (dir) => {
+    const store = create(dir);
+    const signal = new SignalStore(store);
+    const creds = await signal.getCreds();
+    const preKeys = await signal.generatePreKeys(3);
+    await signal.removePreKey(preKeys[0].keyId);
+    
+    // O instanță nouă peste aceeași stocare reia identitatea
+    const reopened = new SignalStore(store);
+    assert.deepStrictEqual((await reopened.getCreds()).identityKey, creds.identityKey);
+    assert.strictEqual(await reopened.countPreKeys(), 2);
+    assert.strictEqual(await reopened.getPreKey(preKeys[0].keyId), undefined);
+  }));
+}
+
+test('file store keeps entries across instances, one file per key', () => withDirectory(async (dir) => {
+  await new FileAuthStateStore(dir).set('creds', 'session', { clientId: 'client' });
+  
+  assert.deepStrictEqual(await new FileAuthStateStore(dir).get('creds', 'session'), { clientId: 'client' });
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'creds')), ['session.json']);
+  
+  const mode = fs.statSync(path.join(dir, 'creds', 'session.json')).mode & 0o777;
+  assert.strictEqual(mode, 0o600);
+}));
+
+test('file store applies concurrent writes to one key in order', () => withDirectory(async (dir) => {
+  const store = new FileAuthStateStore(dir);
+  
+  await Promise.all([1, 2, 3, 4, 5].map(counter => store.set('sessions', 'A', { counter })));
+  
+  assert.deepStrictEqual(await store.get('sessions', 'A'), { counter: 5 });
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'sessions')), ['A.json']);
+}));
+
+test('file store reports a corrupt entry instead of treating it as missing', () => withDirectory(async (dir) => {
+  const store = new FileAuthStateStore(dir);
+  await store.set('creds', 'session', { clientId: 'client' });
+  fs.writeFileSync(path.join(dir, 'creds', 'session.json'), '{"clientId"');
+  
+  await assert.rejects(store.get('creds', 'session'), /Failed to read auth state creds\/session/);
+}));
+
+test('memory store exports its state and is created from the export', async () => {
+  const store = new MemoryAuthStateStore();
+  await store.set('identities', '40721000001.0', { key: Buffer.from('0506', 'hex') });
+  
+  const copy = new MemoryAuthStateStore(JSON.parse(JSON.stringify(store.toJSON())));
+  
+  assert.deepStrictEqual(await copy.get('identities', '40721000001.0'), { key: Buffer.from('0506', 'hex') });
+  assert.deepStrictEqual(await copy.keys('identities'), ['40721000001.0']);
+});
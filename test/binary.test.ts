@@ -0,0 +1,86 @@
+/**
+ * Teste pentru codec-ul WABinary (BinaryEncoder/BinaryDecoder)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import { BinaryEncoder, BinaryDecoder } from '../src/binary';
+import { BinaryNode } from '../src/types';
+
+interface FixtureNode {
+  tag: string;
+  attrs: { [key: string]: string };
+  content?: FixtureNode[] | { bytes: string } | string;
+}
+
+const corpus: { frames: { name: string, frame: string, node: FixtureNode }[] } = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'binary-frames.json'), 'utf8')
+);
+
+// Conversie nod din fixture (conținut binar în hex) în nod binar
+function toNode(fixture: FixtureNode): BinaryNode {
+  const node: BinaryNode = { tag: fixture.tag, attrs: fixture.attrs };
+  if (Array.isArray(fixture.content)) {
+    node.content = fixture.content.map(toNode);
+  } else if (fixture.content && typeof fixture.content === 'object') {
+    node.content = Buffer.from(fixture.content.bytes, 'hex');
+  } else if (fixture.content !== undefined) {
+    node.content = fixture.content;
+  }
+  return node;
+}
+
+// Eliminare câmpuri `content` nedefinite, pentru comparația strictă
+function strip(node: BinaryNode): BinaryNode {
+  const result: BinaryNode = { tag: node.tag, attrs: node.attrs };
+  if (Array.isArray(node.content)) {
+    result.content = node.content.map(strip);
+  } else if (node.content !== undefined) {
+    result.content = node.content;
+  }
+  return result;
+}
+
+function roundTrip(node: BinaryNode): BinaryNode {
+  return strip(new BinaryDecoder().decode(new BinaryEncoder().encode(node)));
+}
+
+for (const { name, frame, node } of corpus.frames) {
+  test(`decodes fixture frame ${name}`, () => {
+    assert.deepStrictEqual(strip(new BinaryDecoder().decode(Buffer.from(frame, 'hex'))), toNode(node));
+  });
+  
+  test(`encodes fixture node ${name} to the same bytes`, () => {
+    assert.strictEqual(new BinaryEncoder().encode(toNode(node)).toString('hex'), frame);
+  });
+}
+
+test('keeps text containing @ that is not a JID as a plain string', () => {
+  for (const text of ['@', 'mail me@', 'ana@example.com', 'a@b@g.us', 'x y@s.whatsapp.net', '40712:a@s.whatsapp.net', '40712_1:2@s.whatsapp.net']) {
+    const node: BinaryNode = { tag: 'message', attrs: { id: '1', text } };
+    assert.deepStrictEqual(roundTrip(node), node, text);
+  }
+});
+
+test('encodes user@server with a known server as a JID pair', () => {
+  const encoded = new BinaryEncoder().encode({ tag: 'iq', attrs: { to: '120363041234567890@g.us' } });
+  assert.ok(encoded.includes(250), 'JID_PAIR tag');
+  assert.deepStrictEqual(roundTrip({ tag: 'iq', attrs: { to: '120363041234567890@g.us' } }).attrs.to, '120363041234567890@g.us');
+});
+
+test('round-trips device JIDs on s.whatsapp.net and lid', () => {
+  for (const jid of ['40712345678:3@s.whatsapp.net', '40712345678_2:3@s.whatsapp.net', '123456789012345:7@lid', '@s.whatsapp.net']) {
+    assert.strictEqual(roundTrip({ tag: 'receipt', attrs: { from: jid } }).attrs.from, jid);
+  }
+});
+
+test('round-trips empty strings, packed strings and large binaries', () => {
+  const node: BinaryNode = {
+    tag: 'iq',
+    attrs: { id: '', hex: 'DEADBEEF', nibble: '12.34-5', text: 'not packed' },
+    content: [{ tag: 'media', attrs: {}, content: Buffer.alloc(70000, 1) }]
+  };
+  assert.deepStrictEqual(roundTrip(node), node);
+});
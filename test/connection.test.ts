@@ -0,0 +1,96 @@
+/**
+ * Teste pentru clientul WAConnection (opțiuni și reconectare)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { WAConnection } from '../src/WAConnection';
+import { WA_WEB_URL, ConnectionState, DisconnectReason } from '../src/constants';
+
+// Conexiune deschisă pe un socket fals; reconectările programate sunt înregistrate, nu executate
+function createConnection(options: any = {}) {
+  const connection = new WAConnection(options);
+  const ws: any = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.terminate = () => ws.emit('close', 1006, Buffer.from(''));
+  ws.on('close', (code: number, reason: Buffer) => (connection as any)._onWebSocketClose(code, reason));
+  
+  connection.ws = ws;
+  connection.state = ConnectionState.READY;
+  connection.connect = async () => undefined;
+  
+  const events: any[] = [];
+  for (const event of ['reconnecting', 'reconnect_failed', 'session_invalidated', 'disconnected']) {
+    connection.on(event, (payload: any) => events.push({ event, ...payload }));
+  }
+  return { connection, events };
+}
+
+// Nod primit de la server (după decodare)
+function receive(connection: WAConnection, type: string, data: any) {
+  (connection.protocolManager as any)._processBinaryMessage({ tag: null, type, data });
+}
+
+test('keeps the defaults for options passed as undefined', () => {
+  const connection = new WAConnection({ queryTimeout: undefined, wsUrl: undefined, authMethod: undefined, maxReconnects: 0 });
+  
+  assert.strictEqual(connection.options.queryTimeout, 60000);
+  assert.strictEqual(connection.options.wsUrl, WA_WEB_URL);
+  assert.strictEqual(connection.options.authMethod, 'qr');
+  assert.strictEqual(connection.options.maxReconnects, 0);
+});
+
+test('reconnects at once when the server asks for a restart', async () => {
+  const { connection, events } = createConnection();
+  
+  receive(connection, 'stream:error', { type: 'stream:error', code: '515' });
+  
+  assert.strictEqual(events[0].disconnectReason, DisconnectReason.RESTART_REQUIRED);
+  assert.deepStrictEqual(events[1], { event: 'reconnecting', attempt: 0, delay: 0, reason: DisconnectReason.RESTART_REQUIRED });
+  await connection.disconnect();
+});
+
+test('does not reconnect when the session was replaced or logged out', async () => {
+  const replaced = createConnection();
+  receive(replaced.connection, 'stream:error', { type: 'stream:error', content: [{ type: 'replaced' }] });
+  assert.deepStrictEqual(replaced.events.map(event => event.event), ['disconnected']);
+  assert.strictEqual(replaced.events[0].disconnectReason, DisconnectReason.CONNECTION_REPLACED);
+  
+  const loggedOut = createConnection();
+  loggedOut.connection.session = { clientId: 'client', me: { id: '40721000000:5@s.whatsapp.net', name: '', phone: '' } };
+  receive(loggedOut.connection, 'failure', { type: 'failure', reason: '401' });
+  assert.deepStrictEqual(loggedOut.events.map(event => event.event), ['disconnected', 'session_invalidated']);
+  assert.strictEqual(loggedOut.events[1].reason, DisconnectReason.LOGGED_OUT);
+  assert.strictEqual(loggedOut.connection.session, null);
+  
+  const badSession = createConnection();
+  receive(badSession.connection, 'failure', { type: 'failure', reason: '403' });
+  assert.strictEqual(badSession.events[1].reason, DisconnectReason.BAD_SESSION);
+});
+
+test('spaces reconnects of a lost connection with decorrelated jitter', async (t) => {
+  const { connection, events } = createConnection({ reconnectDelay: 1000, maxReconnectDelay: 20000, maxReconnects: 4 });
+  const random = t.mock.method(Math, 'random', () => 1);
+  
+  // Fiecare întârziere este aleasă între bază și triplul celei anterioare, limitată de maxim
+  for (let attempt = 0; attempt < 5; attempt++) {
+    connection.state = ConnectionState.READY;
+    connection.disconnectReason = null;
+    (connection.ws as any).terminate();
+  }
+  
+  const delays = events.filter(event => event.event === 'reconnecting').map(event => event.delay);
+  assert.deepStrictEqual(delays, [3000, 9000, 20000, 20000]);
+  assert.ok(events.every(event => event.event !== 'reconnecting' || event.reason === DisconnectReason.CONNECTION_LOST));
+  assert.deepStrictEqual(events[events.length - 1], { event: 'reconnect_failed', attempts: 4, reason: DisconnectReason.CONNECTION_LOST });
+  
+  // Cu valoarea aleatoare minimă, întârzierea revine la bază
+  random.mock.mockImplementation(() => 0);
+  connection.reconnectCount = 0;
+  (connection as any)._scheduleReconnect(DisconnectReason.TIMED_OUT);
+  assert.strictEqual(events[events.length - 1].delay, 1000);
+  
+  await connection.disconnect();
+});
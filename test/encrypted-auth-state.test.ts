@@ -0,0 +1,133 @@
+/**
+ * Teste pentru criptarea stării de autentificare și rotația parolei
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { EncryptedAuthStateStore, AuthStateDecryptionError } from '../src/auth/EncryptedAuthStateStore';
+import { MemoryAuthStateStore } from '../src/auth/MemoryAuthStateStore';
+import { AuthStateNamespace, AUTH_STATE_NAMESPACES } from '../src/types';
+import { WAConnection } from '../src/WAConnection';
+import { deserialize } from '../src/utils/serialize';
+
+// Stocare care eșuează după un număr de scrieri (întreruperea procesului)
+class InterruptedStore extends MemoryAuthStateStore {
+  public writesLeft = Infinity;
+  
+  public async set(namespace: AuthStateNamespace, key: string, value: any): Promise<void> {
+    if (this.writesLeft-- <= 0) {
+      throw new Error('interrupted');
+    }
+    return super.set(namespace, key, value);
+  }
+}
+
+const entries: [AuthStateNamespace, string, any][] = [
+  ['prekeys', '1', { keyId: 1 }],
+  ['prekeys', '2', { keyId: 2 }],
+  ['sessions', '40721000001.0', { counter: 3 }],
+  ['identities', '40721000001.0', { key: Buffer.from('01020304', 'hex') }],
+  ['sender-keys', 'group@g.us::40721000001', { chain: 4 }]
+];
+
+// Rotație oprită după `writes` scrieri, inclusiv cea a metadatelor
+async function interruptRotation(inner: InterruptedStore, passphrase: string, newPassphrase: string, writes: number) {
+  const store = new EncryptedAuthStateStore(inner, { passphrase });
+  inner.writesLeft = writes;
+  await assert.rejects(store.rotatePassphrase(newPassphrase), /interrupted/);
+  inner.writesLeft = Infinity;
+}
+
+async function readAll(store: EncryptedAuthStateStore): Promise<any[]> {
+  return Promise.all(entries.map(([namespace, key]) => store.get(namespace, key)));
+}
+
+test('reads every entry after rotations interrupted one after another', async () => {
+  const inner = new InterruptedStore();
+  const initial = new EncryptedAuthStateStore(inner, { passphrase: 'A' });
+  for (const [namespace, key, value] of entries) {
+    await initial.set(namespace, key, value);
+  }
+  
+  // A -> B: metadatele și o singură intrare recriptată
+  await interruptRotation(inner, 'A', 'B', 2);
+  // B -> C: oprită după metadate, intrările rămân cu cheile A și B
+  await interruptRotation(inner, 'B', 'C', 1);
+  
+  const kids = new Set(await Promise.all(entries.map(async ([namespace, key]) => (await inner.get(namespace, key)).kid)));
+  assert.strictEqual(kids.size, 2);
+  assert.strictEqual((await inner.get('creds', 'encryption')).previous.length, 2);
+  
+  const reopened = new EncryptedAuthStateStore(inner, { passphrase: 'C' });
+  assert.deepStrictEqual(await readAll(reopened), entries.map(([, , value]) => value));
+  
+  // Reluarea rotației cu aceeași parolă o finalizează
+  await reopened.rotatePassphrase('C');
+  const meta = await inner.get('creds', 'encryption');
+  assert.strictEqual(meta.previous, undefined);
+  for (const [namespace, key] of entries) {
+    assert.strictEqual((await inner.get(namespace, key)).kid, meta.current.kid);
+  }
+  
+  assert.deepStrictEqual(await readAll(new EncryptedAuthStateStore(inner, { passphrase: 'C' })), entries.map(([, , value]) => value));
+  await assert.rejects(
+    new EncryptedAuthStateStore(inner, { passphrase: 'B' }).get('prekeys', '1'),
+    (error: AuthStateDecryptionError) => error.code === 'WRONG_PASSPHRASE'
+  );
+});
+
+test('reads state left by a rotation that kept a single previous key', async () => {
+  const inner = new InterruptedStore();
+  const initial = new EncryptedAuthStateStore(inner, { passphrase: 'A' });
+  await initial.set('prekeys', '1', { keyId: 1 });
+  await interruptRotation(inner, 'A', 'B', 1);
+  
+  // Formatul vechi al metadatelor: `previous` este un obiect
+  const meta = await inner.get('creds', 'encryption');
+  await inner.set('creds', 'encryption', { ...meta, previous: meta.previous[0] });
+  
+  const reopened = new EncryptedAuthStateStore(inner, { passphrase: 'B' });
+  assert.deepStrictEqual(await reopened.get('prekeys', '1'), { keyId: 1 });
+  
+  await reopened.rotatePassphrase('C');
+  assert.deepStrictEqual(await new EncryptedAuthStateStore(inner, { passphrase: 'C' }).get('prekeys', '1'), { keyId: 1 });
+});
+
+test('exports and restores the Signal keys of a passphrase-protected session', async () => {
+  const session = { clientId: 'client', me: { id: '40721000000:5@s.whatsapp.net', name: 'Test', phone: '40721000000' } };
+  const source = new WAConnection({ authStatePassphrase: 'A' });
+  source.session = session;
+  await source.authState.set('sessions', '40721000001.0', { counter: 3 });
+  
+  const exported = source.getSession()!;
+  assert.ok(EncryptedAuthStateStore.isEncryptedExport(exported.signal));
+  // Intrările rămân criptate în sesiunea exportată
+  assert.notDeepStrictEqual(deserialize(exported.signal.sessions['40721000001.0']), { counter: 3 });
+  
+  const restored = new WAConnection({ authStatePassphrase: 'A' });
+  restored.connect = async () => undefined;
+  await restored.restoreSession(JSON.parse(JSON.stringify(exported)));
+  
+  assert.deepStrictEqual(await restored.authState.get('sessions', '40721000001.0'), { counter: 3 });
+  assert.deepStrictEqual(await restored.authState.get('creds', 'session'), session);
+  
+  // Fără parolă, sesiunea criptată nu poate fi importată
+  const plain = new WAConnection();
+  plain.connect = async () => undefined;
+  await assert.rejects(plain.restoreSession(exported), /set authStatePassphrase/);
+});
+
+test('re-encrypts every auth state namespace on rotation', async () => {
+  const inner = new MemoryAuthStateStore();
+  const store = new EncryptedAuthStateStore(inner, { passphrase: 'A' });
+  for (const namespace of AUTH_STATE_NAMESPACES) {
+    await store.set(namespace, 'K', { namespace });
+  }
+  
+  await store.rotatePassphrase('B');
+  
+  const { current } = await inner.get('creds', 'encryption');
+  for (const namespace of AUTH_STATE_NAMESPACES) {
+    assert.strictEqual((await inner.get(namespace, 'K')).kid, current.kid);
+  }
+});
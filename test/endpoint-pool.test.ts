@@ -0,0 +1,83 @@
+/**
+ * Teste pentru alegerea endpoint-urilor WebSocket (failover, EndpointPool)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { EndpointPool } from '../src/protocol/EndpointPool';
+import { WAConnection } from '../src/WAConnection';
+import { ConnectionState } from '../src/constants';
+
+const A = 'wss://a.example/ws';
+const B = 'wss://b.example/ws';
+const C = 'wss://c.example/ws';
+
+test('prefers untried endpoints in order, then the lowest average latency', () => {
+  const pool = new EndpointPool([A, B, C, A]);
+  
+  assert.deepStrictEqual(pool.getHealth().map(health => health.url), [A, B, C]);
+  assert.strictEqual(pool.select(), A);
+  
+  pool.recordSuccess(A, 300);
+  assert.strictEqual(pool.select(), A);
+  
+  pool.recordSuccess(B, 100);
+  pool.recordSuccess(B, 200);
+  assert.strictEqual(pool.select(), B);
+  assert.strictEqual(pool.getHealth()[1].latency, 150);
+});
+
+test('skips a failed endpoint for a cooldown that doubles with each failure', (t) => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const pool = new EndpointPool([A, B]);
+  
+  assert.deepStrictEqual(pool.recordFailure(A), { url: A, failures: 1, lastFailureAt: now, retryAt: now + 30000, latency: null });
+  assert.strictEqual(pool.select(), B);
+  assert.strictEqual(pool.hasAlternative(A), true);
+  
+  // Toate endpoint-urile ocolite: este ales cel care revine primul
+  pool.recordFailure(B);
+  assert.strictEqual(pool.hasAlternative(A), false);
+  assert.strictEqual(pool.select(), A);
+  
+  now += 30000;
+  assert.strictEqual(pool.getHealth()[0].retryAt, null);
+  assert.strictEqual(pool.recordFailure(A)!.retryAt, now + 60000);
+  for (let failures = 3; failures <= 7; failures++) {
+    pool.recordFailure(A);
+  }
+  assert.strictEqual(pool.getHealth()[0].retryAt, now + 10 * 60 * 1000);
+  
+  // Un handshake reușit anulează ocolirea
+  pool.recordSuccess(A, 80);
+  assert.deepStrictEqual(pool.getHealth()[0], { url: A, failures: 0, lastFailureAt: now, retryAt: null, latency: 80 });
+});
+
+test('fails over to the next URL at once when a connection drops before the handshake', async () => {
+  const connection = new WAConnection({ wsUrls: [A, B] });
+  const ws: any = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.on('close', (code: number, reason: Buffer) => (connection as any)._onWebSocketClose(code, reason));
+  connection.ws = ws;
+  connection.state = ConnectionState.CONNECTING;
+  connection.connect = async () => undefined;
+  (connection as any).endpoint = A;
+  
+  const events: any[] = [];
+  connection.on('endpoint_failed', (health: any) => events.push({ event: 'endpoint_failed', url: health.url }));
+  connection.on('reconnecting', (event: any) => events.push({ event: 'reconnecting', ...event }));
+  
+  ws.emit('close', 1006, Buffer.from(''));
+  
+  assert.deepStrictEqual(events.map(event => event.event), ['endpoint_failed', 'reconnecting']);
+  assert.strictEqual(events[0].url, A);
+  // Trecerea la alt endpoint nu consumă o încercare de reconectare
+  assert.strictEqual(events[1].delay, 0);
+  assert.strictEqual(connection.reconnectCount, 0);
+  assert.strictEqual(connection.endpoints.select(), B);
+  
+  await connection.disconnect();
+});
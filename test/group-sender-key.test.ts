@@ -0,0 +1,105 @@
+/**
+ * Teste pentru sender key-ul propriu în grupuri (distribuție și rotație)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { EventEmitter } from 'events';
+import { MessageHandler } from '../src/messaging/MessageHandler';
+import { GroupHandler } from '../src/groups/GroupHandler';
+import { SignalHandler } from '../src/signal';
+import { senderKeyMessageId } from '../src/signal/group';
+import { MemoryAuthStateStore } from '../src/auth/MemoryAuthStateStore';
+import { MemoryMessageStore } from '../src/store/MemoryMessageStore';
+
+const GROUP = '120363000000000001@g.us';
+const FIRST = '40721000001@s.whatsapp.net';
+const SECOND = '40721000002@s.whatsapp.net';
+const THIRD = '40721000003@s.whatsapp.net';
+
+// Client cu SignalHandler real; sesiunile 1:1 și rețeaua sunt înlocuite, nodurile trimise sunt păstrate
+function createClient(members: string[]) {
+  const client: any = new EventEmitter();
+  client.user = { id: '40721000000:5@s.whatsapp.net' };
+  client.log = () => undefined;
+  client.authState = new MemoryAuthStateStore();
+  client.store = new MemoryMessageStore();
+  client.members = members;
+  client.sent = [];
+  client.protocolManager = {
+    _generateMessageTag: () => 'tag',
+    sendBinary: async (node: any) => {
+      client.sent.push(node);
+    }
+  };
+  client.deviceHandler = {
+    getOwnDeviceJid: async () => null,
+    getDevices: async (jids: string[]) => jids
+  };
+  client.receiptHandler = { trackMessage: () => undefined };
+  client.signalHandler = new SignalHandler(client);
+  client.signalHandler.encrypt = async (jid: string) => ({ type: 'msg', ciphertext: Buffer.from(jid) });
+  client.groupHandler = new GroupHandler(client);
+  client.groupHandler.getParticipantJids = async () => client.members;
+  client.messageHandler = new MessageHandler(client);
+  return client;
+}
+
+// Trimitere mesaj în grup; întoarce ID-ul sender key-ului și destinatarii distribuției
+async function sendToGroup(client: any) {
+  await client.messageHandler.relayMessage({ type: 'message', data: { to: GROUP, id: 'M', content: [{ type: 'text', text: 'salut' }] } });
+  const content = client.sent[client.sent.length - 1].data.content;
+  const participants = content.find((node: any) => node.tag === 'participants');
+  const skmsg = content.find((node: any) => node.tag === 'enc');
+  
+  return {
+    keyId: senderKeyMessageId(skmsg.content),
+    recipients: participants ? participants.content.map((node: any) => node.attrs.jid) : []
+  };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('sends a new sender key only to the remaining members after a remove', async () => {
+  const client = createClient([FIRST, SECOND, THIRD]);
+  
+  const first = await sendToGroup(client);
+  assert.deepStrictEqual(first.recipients, [FIRST, SECOND, THIRD]);
+  
+  // Membrii care au cheia nu o mai primesc
+  const second = await sendToGroup(client);
+  assert.strictEqual(second.keyId, first.keyId);
+  assert.deepStrictEqual(second.recipients, []);
+  
+  client.members = [FIRST, THIRD];
+  client.groupHandler.handleGroupNotification({ subtype: 'group', from: GROUP, content: [{ type: 'remove' }] });
+  await settle();
+  
+  const third = await sendToGroup(client);
+  assert.notStrictEqual(third.keyId, first.keyId);
+  assert.deepStrictEqual(third.recipients, [FIRST, THIRD]);
+});
+
+test('does not keep the old sender key when a rotation overlaps a send', async () => {
+  const client = createClient([FIRST, SECOND]);
+  const { signalHandler } = client;
+  const first = await signalHandler.encryptGroup(GROUP, Buffer.from('unu'));
+  
+  // Salvarea sender key-ului durează: rotația pornește cât mesajul este în curs
+  const set = client.authState.set.bind(client.authState);
+  client.authState.set = async (namespace: string, key: string, value: any) => {
+    if (namespace === 'sender-keys') {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return set(namespace, key, value);
+  };
+  
+  const sending = signalHandler.encryptGroup(GROUP, Buffer.from('doi'));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await signalHandler.rotateSenderKey(GROUP);
+  await sending;
+  
+  const next = await signalHandler.encryptGroup(GROUP, Buffer.from('trei'));
+  assert.notStrictEqual(senderKeyMessageId(next.ciphertext), senderKeyMessageId(first.ciphertext));
+  assert.deepStrictEqual(await signalHandler.getPendingSenderKeyRecipients(GROUP, [FIRST, SECOND]), [FIRST, SECOND]);
+});
@@ -0,0 +1,48 @@
+/**
+ * Teste pentru conversațiile primite prin sincronizarea istoricului
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as zlib from 'zlib';
+import { EventEmitter } from 'events';
+import { HistorySyncHandler } from '../src/messaging/HistorySyncHandler';
+import { MemoryMessageStore } from '../src/store/MemoryMessageStore';
+import { encodeProto } from '../src/utils/proto';
+
+const OWN = '40721000000:5@s.whatsapp.net';
+const CHAT = '40721000001@s.whatsapp.net';
+
+// Client minimal: istoricul „descărcat” este blob-ul dat, comprimat zlib
+function createClient(history: Buffer) {
+  const client: any = new EventEmitter();
+  client.user = { id: OWN };
+  client.store = new MemoryMessageStore();
+  client.log = () => {};
+  client.authState = { get: async () => undefined, set: async () => {} };
+  client.mediaHandler = { downloadMedia: async () => zlib.deflateSync(history) };
+  client.protocolManager = { _generateMessageTag: () => 'T1', sendBinary: async () => {} };
+  return client;
+}
+
+async function sync(conversation: Buffer) {
+  // HistorySync: syncType RECENT (3), conversations (2)
+  const client = createClient(encodeProto([[1, 3], [2, conversation]]));
+  await new HistorySyncHandler(client).handleNotification({ id: 'H1', from: '40721000000@s.whatsapp.net' }, {});
+  return client.store.getChat(CHAT);
+}
+
+test('stores the conversation times in milliseconds', async () => {
+  // Conversation: id (1), conversationTimestamp (12), pinned (24), muteEndTime (25) în secunde
+  const chat = await sync(encodeProto([[1, CHAT], [12, 1700000000], [24, 1700000100], [25, 1700003600]]));
+  
+  assert.strictEqual(chat.timestamp, 1700000000000);
+  assert.strictEqual(chat.pinned, 1700000100000);
+  assert.strictEqual(chat.muteEndTime, 1700003600000);
+});
+
+test('leaves the mute end time out of a chat that is not muted', async () => {
+  const chat = await sync(encodeProto([[1, CHAT], [12, 1700000000], [25, 0]]));
+  
+  assert.strictEqual(chat.muteEndTime, undefined);
+});
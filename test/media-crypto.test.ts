@@ -0,0 +1,85 @@
+/**
+ * Teste pentru criptarea media în flux (mediaCrypto)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Readable } from 'stream';
+import { encryptMediaStream, decryptMediaStream, expandMediaKey, MEDIA_MAC_LENGTH, EncryptedMediaInfo } from '../src/media/mediaCrypto';
+
+// Conținut cu o lungime care nu este multiplu de 16 (ultimul bloc are padding)
+const PLAINTEXT = crypto.randomBytes(1000);
+
+// Bucăți de dimensiunile date, ciclic, ca fluxul să fie tăiat oriunde
+async function* chunks(data: Buffer, sizes: number[]): AsyncGenerator<Buffer> {
+  for (let offset = 0, index = 0; offset < data.length; index++) {
+    const size = sizes[index % sizes.length];
+    yield data.slice(offset, offset + size);
+    offset += size;
+  }
+}
+
+async function collect(source: AsyncIterable<Buffer>): Promise<Buffer> {
+  const parts: Buffer[] = [];
+  for await (const part of source) {
+    parts.push(part);
+  }
+  return Buffer.concat(parts);
+}
+
+// Criptare într-un fișier temporar; întoarce datele criptate și informațiile media
+async function encrypt(sizes: number[], mediaKey?: Buffer): Promise<{ encrypted: Buffer, info: EncryptedMediaInfo }> {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+  const file = path.join(dir, 'media.enc');
+  
+  try {
+    const info = await encryptMediaStream(Readable.from(chunks(PLAINTEXT, sizes)), 'image', file, mediaKey);
+    return { encrypted: fs.readFileSync(file), info };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function decrypt(encrypted: Buffer, info: EncryptedMediaInfo, sizes: number[] = [encrypted.length]): Promise<Buffer> {
+  return collect(decryptMediaStream(chunks(encrypted, sizes), expandMediaKey(info.mediaKey, 'image'), {
+    verify: { fileEncSha256: info.fileEncSha256, fileSha256: info.fileSha256 }
+  }));
+}
+
+test('decrypts what the streaming encryption wrote', async () => {
+  const { encrypted, info } = await encrypt([PLAINTEXT.length]);
+  
+  assert.strictEqual(info.fileLength, PLAINTEXT.length);
+  assert.strictEqual(encrypted.length, 1008 + MEDIA_MAC_LENGTH);
+  assert.deepStrictEqual(info.fileSha256, crypto.createHash('sha256').update(PLAINTEXT).digest());
+  assert.deepStrictEqual(info.fileEncSha256, crypto.createHash('sha256').update(encrypted).digest());
+  assert.deepStrictEqual(await decrypt(encrypted, info), PLAINTEXT);
+});
+
+test('rejects media whose MAC does not match', async () => {
+  const { encrypted, info } = await encrypt([PLAINTEXT.length]);
+  
+  const badMac = Buffer.from(encrypted);
+  badMac[badMac.length - 1] ^= 1;
+  await assert.rejects(decrypt(badMac, info), /Media MAC mismatch/);
+  
+  const badCiphertext = Buffer.from(encrypted);
+  badCiphertext[100] ^= 1;
+  await assert.rejects(decrypt(badCiphertext, info), /Media MAC mismatch/);
+});
+
+test('handles streams split across block and MAC boundaries', async () => {
+  // Bucăți de 1, 7, 15 și 33 de octeți la criptare și la decriptare
+  const { encrypted, info } = await encrypt([1, 7, 15, 33]);
+  
+  // Aceeași cheie dă aceleași date criptate, indiferent de bucăți
+  assert.deepStrictEqual((await encrypt([PLAINTEXT.length], info.mediaKey)).encrypted, encrypted);
+  assert.deepStrictEqual(await decrypt(encrypted, info, [1, 7, 15, 33]), PLAINTEXT);
+  // MAC-ul tăiat în două: ultima bucată are mai puțin decât MAC-ul
+  assert.deepStrictEqual(await decrypt(encrypted, info, [encrypted.length - 4, 4]), PLAINTEXT);
+  assert.deepStrictEqual(await decrypt(encrypted, info, [encrypted.length - MEDIA_MAC_LENGTH - 3, 5]), PLAINTEXT);
+});
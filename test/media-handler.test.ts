@@ -0,0 +1,111 @@
+/**
+ * Teste pentru descărcarea media (intervale de octeți, re-încărcare)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { MediaHandler } from '../src/media/MediaHandler';
+import { encryptMediaStream } from '../src/media/mediaCrypto';
+
+// 1000 de octeți: 62 de blocuri complete și un ultim bloc de 8 octeți cu padding
+const PLAINTEXT = crypto.randomBytes(1000);
+
+function createClient() {
+  const client: any = new EventEmitter();
+  client.user = { id: '40721000000:5@s.whatsapp.net' };
+  client.options = { userAgent: 'test' };
+  client.log = () => undefined;
+  client.sent = [];
+  client.protocolManager = {
+    _generateMessageTag: () => 'tag',
+    sendBinary: async (node: any) => {
+      client.sent.push(node);
+    }
+  };
+  return client;
+}
+
+// Mesaj media criptat; descărcările sunt servite din memorie, cu intervalele cerute înregistrate
+async function createDownload() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+  const file = path.join(dir, 'media.enc');
+  
+  try {
+    const info = await encryptMediaStream(Readable.from([PLAINTEXT]), 'image', file);
+    const encrypted = fs.readFileSync(file);
+    const handler = new MediaHandler(createClient());
+    const ranges: [number, number | undefined][] = [];
+    
+    (handler as any)._get = async (url: string, start: number, end?: number) => {
+      ranges.push([start, end]);
+      const response: any = Readable.from([encrypted.slice(start, end !== undefined ? end + 1 : undefined)]);
+      response.statusCode = start > 0 || end !== undefined ? 206 : 200;
+      response.complete = true;
+      return response;
+    };
+    
+    const message = { id: 'M', type: 'image', url: 'https://mmg.whatsapp.net/m', ...info };
+    return { handler, message, ranges };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('downloads a range that starts at offset 0 without an IV block', async () => {
+  const { handler, message, ranges } = await createDownload();
+  
+  assert.deepStrictEqual(await handler.downloadMedia(message, { end: 99 }), PLAINTEXT.slice(0, 100));
+  assert.deepStrictEqual(ranges, [[0, 111]]);
+});
+
+test('fetches the previous block as IV for a range that starts mid-block', async () => {
+  const { handler, message, ranges } = await createDownload();
+  
+  assert.deepStrictEqual(await handler.downloadMedia(message, { start: 40, end: 70 }), PLAINTEXT.slice(40, 71));
+  // Blocul 2 (octeții 32-47) are IV-ul în blocul 1 (16-31); octetul 70 este în blocul 4
+  assert.deepStrictEqual(ranges, [[16, 79]]);
+});
+
+test('downloads the last, padded block', async () => {
+  const { handler, message, ranges } = await createDownload();
+  
+  // Capătul cerut după finalul fișierului este limitat la ultimul octet
+  assert.deepStrictEqual(await handler.downloadMedia(message, { start: 992, end: 5000 }), PLAINTEXT.slice(992));
+  assert.deepStrictEqual(ranges[0], [976, 1007]);
+  
+  // Fără capăt, fluxul se termină cu MAC-ul, iar padding-ul este eliminat
+  assert.deepStrictEqual(await handler.downloadMedia(message, { start: 995 }), PLAINTEXT.slice(995));
+  assert.deepStrictEqual(ranges[1], [976, undefined]);
+});
+
+test('matches re-upload notifications by chat and message ID', async () => {
+  const handler = new MediaHandler(createClient());
+  const media = { type: 'image', mediaKey: crypto.randomBytes(32) };
+  const first = { id: 'SAME', from: '40721000001:3@s.whatsapp.net' };
+  const second = { id: 'SAME', chatJid: '120363000000000001@g.us', from: '120363000000000001@g.us' };
+  
+  const firstRequest = (handler as any)._requestMediaReupload(first, media);
+  const secondRequest = (handler as any)._requestMediaReupload(second, media);
+  const secondFailed = assert.rejects(secondRequest, /Media re-upload failed \(code 2\)/);
+  await new Promise(resolve => setImmediate(resolve));
+  
+  // Răspunsul fără date criptate pentru grup nu atinge cererea din conversația 1:1
+  handler.handleMediaRetryNotification({
+    id: 'SAME',
+    content: [{ type: 'rmr', jid: '120363000000000001@g.us' }, { type: 'error', code: '2' }]
+  });
+  await secondFailed;
+  assert.deepStrictEqual([...(handler as any).mediaRetries.keys()], ['40721000001@s.whatsapp.net:SAME']);
+  
+  handler.handleMediaRetryNotification({
+    id: 'SAME',
+    content: [{ type: 'rmr', jid: '40721000001@s.whatsapp.net' }, { type: 'error', code: '1' }]
+  });
+  await assert.rejects(firstRequest, /Media re-upload failed \(code 1\)/);
+});
@@ -0,0 +1,71 @@
+/**
+ * Teste pentru codec-ul conținutului mesajelor (protobuf `Message`)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import { encodeMessage, decodeMessage } from '../src/messaging/messageProto';
+import { toBinaryNode, fromBinaryNode } from '../src/binary';
+
+const vectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'message-protos.json'), 'utf8'));
+
+// Conversie valori din fixture ({ bytes: hex }) în Buffer-e
+function fromFixture(value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(fromFixture);
+  }
+  if (value !== null && typeof value === 'object') {
+    if (typeof value.bytes === 'string' && Object.keys(value).length === 1) {
+      return Buffer.from(value.bytes, 'hex');
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFixture(item)]));
+  }
+  return value;
+}
+
+// Eliminare câmpuri nedefinite, pentru comparația strictă
+function compact(value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(compact);
+  }
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [key, compact(item)]));
+  }
+  return value;
+}
+
+for (const { name, content, message, decoded } of vectors.encode) {
+  test(`encodes ${name} like the reference schema`, () => {
+    assert.strictEqual(encodeMessage(fromFixture(content)).toString('hex'), message);
+  });
+  
+  test(`decodes ${name}`, () => {
+    assert.deepStrictEqual(compact(decodeMessage(Buffer.from(message, 'hex'))), fromFixture(decoded));
+  });
+}
+
+for (const { name, message, decoded } of vectors.decode) {
+  test(`decodes received ${name}`, () => {
+    assert.deepStrictEqual(compact(decodeMessage(Buffer.from(message, 'hex'))), fromFixture(decoded));
+  });
+}
+
+test('rejects content it cannot encode instead of dropping it', () => {
+  assert.throws(() => encodeMessage([{ type: 'sticker-pack' }]), /Unsupported message content: sticker-pack/);
+  assert.throws(() => encodeMessage([{ type: 'protocol', action: 'pin' }]), /Unsupported protocol message action: pin/);
+});
+
+test('decoded content has the shape of received content nodes', () => {
+  const poll = vectors.encode.find((vector: any) => vector.name === 'poll');
+  const node = fromBinaryNode(toBinaryNode('message', { content: decodeMessage(Buffer.from(poll.message, 'hex')) }));
+  const [content] = node.content;
+  
+  assert.strictEqual(content.type, 'poll');
+  assert.strictEqual(content.selectableCount, '1');
+  assert.deepStrictEqual(content.content.map((child: any) => child.name || child.type), ['messageSecret', 'Munte', 'Mare', 'Delta']);
+  assert.ok(Buffer.isBuffer(content.content[0].content));
+});
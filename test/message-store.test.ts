@@ -0,0 +1,78 @@
+/**
+ * Teste pentru indexarea mesajelor în store (JID-uri fără dispozitiv)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { MemoryMessageStore } from '../src/store/MemoryMessageStore';
+import { SqliteMessageStore } from '../src/store/SqliteMessageStore';
+import { messageChatJid, messageSender } from '../src/store/fields';
+
+const USER = '40721000001@s.whatsapp.net';
+const DEVICE = '40721000001:3@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+// `better-sqlite3` este opțional: testele SQLite rulează doar dacă este instalat
+let hasSqlite = true;
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+
+// Store creat într-un director temporar, închis și șters după test
+async function withStore(create: (dir: string) => any, run: (store: any) => Promise<void>): Promise<void> {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-store-'));
+  const store = create(dir);
+  try {
+    await run(store);
+  } finally {
+    await store.close?.();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const stores: [string, (dir: string) => any][] = [
+  ['memory', () => new MemoryMessageStore()],
+  ['sqlite', dir => new SqliteMessageStore(path.join(dir, 'messages.db'))]
+];
+
+test('indexes messages by the user JID, not the device JID', () => {
+  assert.strictEqual(messageChatJid({ from: DEVICE }), USER);
+  assert.strictEqual(messageChatJid({ fromMe: true, to: '40721000002:12@s.whatsapp.net' }), '40721000002@s.whatsapp.net');
+  assert.strictEqual(messageChatJid({ chatJid: GROUP, from: GROUP, participant: DEVICE }), GROUP);
+  assert.strictEqual(messageSender({ from: GROUP, participant: DEVICE }), USER);
+  assert.strictEqual(messageSender({}), undefined);
+});
+
+for (const [name, create] of stores) {
+  test(`${name} store finds messages from any device of the same chat`, { skip: name === 'sqlite' && !hasSqlite }, () => withStore(create, async (store) => {
+    await store.saveMessage({ id: 'A', from: DEVICE, timestamp: 1, text: 'de pe telefon' });
+    await store.saveMessage({ id: 'B', from: '40721000001:7@s.whatsapp.net', timestamp: 2, text: 'de pe laptop' });
+    await store.saveMessage({ id: 'C', fromMe: true, to: USER, timestamp: 3, text: 'răspuns' });
+    
+    assert.strictEqual((await store.getMessage(USER, 'A')).text, 'de pe telefon');
+    assert.strictEqual((await store.getMessage(DEVICE, 'B')).text, 'de pe laptop');
+    assert.deepStrictEqual((await store.queryMessages({ chatJid: DEVICE, order: 'asc' })).map((message: any) => message.id), ['A', 'B', 'C']);
+    assert.deepStrictEqual((await store.queryMessages({ sender: USER, order: 'asc' })).map((message: any) => message.id), ['A', 'B']);
+    assert.deepStrictEqual((await store.searchMessages('laptop', { chatJid: USER })).map((message: any) => message.id), ['B']);
+    
+    await store.updateMessage(DEVICE, 'A', { edited: true });
+    assert.strictEqual((await store.getMessage(USER, 'A')).edited, true);
+    
+    await store.deleteMessage(DEVICE, 'A');
+    assert.strictEqual(await store.getMessage(USER, 'A'), undefined);
+  }));
+  
+  test(`${name} store pages a group chat and filters by a device sender`, { skip: name === 'sqlite' && !hasSqlite }, () => withStore(create, async (store) => {
+    for (let index = 1; index <= 3; index++) {
+      await store.saveMessage({ id: `M${index}`, chatJid: GROUP, from: GROUP, participant: DEVICE, timestamp: index });
+    }
+    
+    assert.deepStrictEqual((await store.queryMessages({ chatJid: GROUP, before: 'M3' })).map((message: any) => message.id), ['M2', 'M1']);
+    assert.deepStrictEqual((await store.queryMessages({ chatJid: GROUP, sender: DEVICE, limit: 1 })).map((message: any) => message.id), ['M3']);
+  }));
+}
@@ -0,0 +1,122 @@
+/**
+ * Teste pentru handshake-ul Noise (NoiseHandler) și ClientPayload
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import { NoiseHandler } from '../src/protocol/NoiseHandler';
+import { encodeLoginPayload, encodeRegisterPayload } from '../src/protocol/clientPayload';
+import { decodeProto, getBytes, getNumber, getString } from '../src/utils/proto';
+import { WA_VERSION, WA_BROWSER } from '../src/constants';
+
+const vectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'noise-handshake.json'), 'utf8'));
+
+const hex = (value: string): Buffer => Buffer.from(value, 'hex');
+
+const keyPair = (key: { privateKey: string, publicKey: string }) => ({
+  privateKey: hex(key.privateKey),
+  publicKey: hex(key.publicKey)
+});
+
+// Client cu cheile fixe din vectori, după ClientHello
+function createClient(): { noise: NoiseHandler, clientHello: Buffer } {
+  const noise = new NoiseHandler(keyPair(vectors.clientStatic), {
+    ephemeralKey: keyPair(vectors.clientEphemeral),
+    rootKey: hex(vectors.rootKey)
+  });
+  return { noise, clientHello: noise.clientHello() };
+}
+
+test('builds the recorded ClientHello', () => {
+  assert.strictEqual(createClient().clientHello.toString('hex'), vectors.clientHello);
+});
+
+test('answers the recorded ServerHello with the expected ClientFinish', () => {
+  const { noise } = createClient();
+  const finish = noise.processServerHello(hex(vectors.serverHello), hex(vectors.payload));
+  
+  assert.strictEqual(finish.toString('hex'), vectors.clientFinish);
+  assert.strictEqual(noise.isFinished, true);
+});
+
+test('decrypts and encrypts transport frames with the split keys', () => {
+  const { noise } = createClient();
+  noise.processServerHello(hex(vectors.serverHello), hex(vectors.payload));
+  
+  const frames: Buffer[] = [];
+  const inbound = hex(vectors.transport.inbound.frame);
+  // Cadrul sosește fragmentat
+  noise.decodeFrames(inbound.slice(0, 10), frame => frames.push(frame));
+  noise.decodeFrames(inbound.slice(10), frame => frames.push(frame));
+  
+  assert.deepStrictEqual(frames.map(frame => frame.toString('hex')), [vectors.transport.inbound.plaintext]);
+  assert.strictEqual(noise.encodeFrame(hex(vectors.transport.outbound.plaintext)).toString('hex'), vectors.transport.outbound.frame);
+});
+
+for (const [name, vector] of Object.entries<{ serverHello: string, error: string }>(vectors.rejected)) {
+  test(`rejects a ServerHello with ${name}`, () => {
+    const { noise } = createClient();
+    assert.throws(
+      () => noise.processServerHello(hex(vector.serverHello), hex(vectors.payload)),
+      (error: Error) => error.message.includes(vector.error)
+    );
+    assert.strictEqual(noise.isFinished, false);
+  });
+}
+
+test('rejects the recorded ServerHello under the production root key', () => {
+  const noise = new NoiseHandler(keyPair(vectors.clientStatic), { ephemeralKey: keyPair(vectors.clientEphemeral) });
+  noise.clientHello();
+  
+  assert.throws(() => noise.processServerHello(hex(vectors.serverHello), hex(vectors.payload)), /intermediate certificate signature invalid/);
+});
+
+test('encodes the login ClientPayload as protobuf', () => {
+  const payload = decodeProto(encodeLoginPayload('40721000000:3@s.whatsapp.net', { pushName: 'Test' }));
+  
+  assert.strictEqual(getNumber(payload, 1), 40721000000);
+  assert.strictEqual(getNumber(payload, 3), 1);
+  assert.strictEqual(getString(payload, 7), 'Test');
+  assert.strictEqual(getNumber(payload, 18), 3);
+  assert.strictEqual(getNumber(payload, 33), 1);
+  assert.strictEqual(payload.has(19), false);
+  
+  const userAgent = decodeProto(getBytes(payload, 5)!);
+  const appVersion = decodeProto(getBytes(userAgent, 2)!);
+  assert.deepStrictEqual([1, 2, 3].map(field => getNumber(appVersion, field)), WA_VERSION);
+});
+
+test('rejects a login ClientPayload for a non-phone JID', () => {
+  assert.throws(() => encodeLoginPayload('abc@s.whatsapp.net'), /Invalid device JID/);
+});
+
+test('encodes the registration ClientPayload with the Signal keys', () => {
+  const creds = {
+    identityKey: { publicKey: Buffer.alloc(32, 1), privateKey: Buffer.alloc(32, 2) },
+    registrationId: 0x01020304,
+    signedPreKey: {
+      keyId: 0x0a0b0c,
+      keyPair: { publicKey: Buffer.alloc(32, 3), privateKey: Buffer.alloc(32, 4) },
+      signature: Buffer.alloc(64, 5)
+    },
+    nextPreKeyId: 1,
+    preKeyIds: []
+  };
+  const payload = decodeProto(encodeRegisterPayload(creds));
+  
+  assert.strictEqual(payload.has(1), false);
+  assert.strictEqual(getNumber(payload, 3), 0);
+  assert.strictEqual(getNumber(payload, 33), 0);
+  
+  const pairing = decodeProto(getBytes(payload, 19)!);
+  assert.strictEqual(getBytes(pairing, 1)!.toString('hex'), '01020304');
+  assert.strictEqual(getBytes(pairing, 2)!.toString('hex'), '05');
+  assert.ok(getBytes(pairing, 3)!.equals(creds.identityKey.publicKey));
+  assert.strictEqual(getBytes(pairing, 4)!.toString('hex'), '0a0b0c');
+  assert.ok(getBytes(pairing, 5)!.equals(creds.signedPreKey.keyPair.publicKey));
+  assert.ok(getBytes(pairing, 6)!.equals(creds.signedPreKey.signature));
+  assert.strictEqual(getBytes(pairing, 7)!.length, 16);
+  assert.strictEqual(getString(decodeProto(getBytes(pairing, 8)!), 1), WA_BROWSER[0]);
+});
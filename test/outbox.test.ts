@@ -0,0 +1,116 @@
+/**
+ * Teste pentru coada de trimitere (Outbox)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { EventEmitter } from 'events';
+import { Outbox } from '../src/messaging/Outbox';
+import { ConnectionState } from '../src/constants';
+
+// Client minimal: trimiterile sunt înregistrate, iar prima poate pica odată cu conexiunea
+function createClient() {
+  const client: any = new EventEmitter();
+  client.state = ConnectionState.READY;
+  client.logs = [];
+  client.log = (...args: any[]) => client.logs.push(args.join(' '));
+  client.sent = [];
+  client.failNext = false;
+  client.messageHandler = {
+    sendText: async (to: string, text: string, options: any) => {
+      client.sent.push({ to, text, id: options.id });
+      if (client.failNext) {
+        client.failNext = false;
+        client.state = ConnectionState.DISCONNECTED;
+        throw new Error('Connection closed');
+      }
+      return { id: options.id, to, text };
+    }
+  };
+  return client;
+}
+
+test('keeps the message ID of an interrupted send when it is retried from the queue', async () => {
+  const client = createClient();
+  const outbox = new Outbox(client);
+  client.failNext = true;
+  
+  const queued = await outbox.send('text', ['40721000001@s.whatsapp.net', 'salut', {}]);
+  assert.strictEqual(queued.status, 'queued');
+  assert.strictEqual(client.sent.length, 1);
+  assert.strictEqual(queued.id, client.sent[0].id);
+  
+  client.state = ConnectionState.READY;
+  await outbox.flush();
+  
+  assert.deepStrictEqual(client.sent.map((item: any) => item.id), [queued.id, queued.id]);
+  assert.strictEqual(outbox.size, 0);
+});
+
+test('keeps an ID given by the caller', async () => {
+  const client = createClient();
+  const sent = await new Outbox(client).send('text', ['40721000001@s.whatsapp.net', 'salut', { id: 'ABCDEF' }]);
+  
+  assert.strictEqual(sent.id, 'ABCDEF');
+});
+
+test('moves a corrupt saved outbox aside and starts empty', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  const file = path.join(dir, 'outbox.json');
+  fs.writeFileSync(file, '[{"id": "A"');
+  
+  try {
+    const client = createClient();
+    const outbox = new Outbox(client, { path: file });
+    
+    assert.strictEqual(outbox.size, 0);
+    assert.strictEqual(fs.existsSync(file), false);
+    
+    const moved = fs.readdirSync(dir).filter(name => name.startsWith('outbox.json.corrupt-'));
+    assert.strictEqual(moved.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(dir, moved[0]), 'utf8'), '[{"id": "A"');
+    assert.ok(client.logs.some((line: string) => line.includes('Failed to load outbox')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('loads a saved outbox', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  const file = path.join(dir, 'outbox.json');
+  const entry = { id: 'A', method: 'text', args: ['40721000001@s.whatsapp.net', 'salut', { id: 'A' }], attempts: 0, createdAt: Date.now(), nextAttemptAt: 0 };
+  fs.writeFileSync(file, JSON.stringify([entry]));
+  
+  try {
+    assert.strictEqual(new Outbox(createClient(), { path: file }).size, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('keeps the defaults for options passed as undefined', async () => {
+  const client = createClient();
+  client.state = ConnectionState.DISCONNECTED;
+  const outbox = new Outbox(client, { enabled: undefined, maxAge: undefined, maxRetries: undefined, retryDelay: undefined });
+  
+  const queued = await outbox.send('text', ['40721000001@s.whatsapp.net', 'salut', {}]);
+  assert.strictEqual(queued.status, 'queued');
+  
+  // Un mesaj mai vechi decât vârsta implicită (24 de ore) expiră
+  const failed: any[] = [];
+  client.on('message_failed', (event: any) => failed.push(event));
+  (outbox as any).entries[0].createdAt = Date.now() - 25 * 60 * 60 * 1000;
+  (outbox as any)._removeExpired();
+  
+  assert.strictEqual(outbox.size, 0);
+  assert.strictEqual(failed[0].id, queued.id);
+});
+
+test('rejects invalid numeric options', () => {
+  assert.throws(() => new Outbox(createClient(), { maxAge: NaN }), /Invalid outbox option maxAge/);
+  assert.throws(() => new Outbox(createClient(), { maxRetries: -1 }), /Invalid outbox option maxRetries/);
+  assert.throws(() => new Outbox(createClient(), { retryDelay: '2000' as any }), /Invalid outbox option retryDelay/);
+});
@@ -0,0 +1,107 @@
+/**
+ * Teste pentru sondaje: creare, decriptarea voturilor și numărarea lor
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { MessageHandler } from '../src/messaging/MessageHandler';
+import { PollHandler } from '../src/messaging/PollHandler';
+import { MemoryMessageStore } from '../src/store/MemoryMessageStore';
+import { encodeMessage, decodeMessage } from '../src/messaging/messageProto';
+import { toBinaryNode, fromBinaryNode } from '../src/binary';
+import { hmacSign, sha256, aesGcmEncrypt } from '../src/utils/crypto';
+import { encodeProto } from '../src/utils/proto';
+
+const OWN = '40721000000:5@s.whatsapp.net';
+const PEER = '40721000001@s.whatsapp.net';
+const OTHER = '40721000002@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+// Client minimal: mesajele trimise ajung în store, ca în WAConnection
+function createClient() {
+  const client: any = new EventEmitter();
+  client.user = { id: OWN };
+  client.store = new MemoryMessageStore();
+  client.log = () => undefined;
+  client.relayed = [];
+  client.protocolManager = { _generateMessageTag: () => 'tag' };
+  client.pollHandler = new PollHandler(client);
+  client.messageHandler = new MessageHandler(client);
+  client.messageHandler.relayMessage = async (node: any) => {
+    client.relayed.push(node);
+  };
+  client.on('message_sent', (message: any) => client.store.saveMessage({ ...message, chatJid: message.to }));
+  return client;
+}
+
+// Conținutul primit, în forma decodată a nodurilor de mesaj
+function receivedContent(content: any[]): any[] {
+  return fromBinaryNode(toBinaryNode('message', { content: decodeMessage(encodeMessage(content)) })).content;
+}
+
+// Votul criptat de dispozitivul votantului (cheia derivată din secretul sondajului)
+function encryptVote(secret: Buffer, pollId: string, creator: string, voter: string, options: string[]) {
+  const sign = Buffer.concat([Buffer.from(pollId), Buffer.from(creator), Buffer.from(voter), Buffer.from('Poll Vote'), Buffer.from([1])]);
+  const key = hmacSign(sign, hmacSign(secret, Buffer.alloc(32)));
+  const iv = crypto.randomBytes(12);
+  const payload = encodeProto(options.map((name): [number, Buffer] => [1, sha256(Buffer.from(name))]));
+  
+  return { encPayload: aesGcmEncrypt(payload, key, iv, Buffer.from(`${pollId}\u0000${voter}`)), encIv: iv };
+}
+
+test('tallies votes decrypted with the secret of a created poll', async () => {
+  const client = createClient();
+  const poll = await client.messageHandler.sendPoll(GROUP, 'Unde mergem?', ['Munte', 'Mare', 'Delta'], { selectableCount: 2 });
+  
+  // Secretul ajunge la votanți în contextul mesajului trimis
+  const [sent] = receivedContent(client.relayed[0].data.content);
+  const secret = sent.content.find((child: any) => child.type === 'messageSecret').content;
+  assert.deepStrictEqual(secret, poll.messageSecret);
+  
+  const vote = async (voter: string, device: string, options: string[], timestamp: number) => {
+    const encrypted = encryptVote(secret, poll.id, '40721000000@s.whatsapp.net', voter, options);
+    const content = receivedContent([{
+      type: 'pollVote',
+      key: { remoteJid: GROUP, fromMe: true, id: poll.id },
+      senderTimestampMs: timestamp,
+      ...encrypted
+    }]);
+    await client.messageHandler.handleIncomingMessage({ id: `V${timestamp}`, from: GROUP, participant: device, timestamp, content });
+  };
+  
+  const events: any[] = [];
+  client.on('poll_vote', (event: any) => events.push(event));
+  
+  await vote(PEER, '40721000001:3@s.whatsapp.net', ['Munte', 'Delta'], 1000);
+  assert.deepStrictEqual(events[0].selectedOptions, ['Munte', 'Delta']);
+  
+  // Votul schimbat înlocuiește votul anterior; unul mai vechi este ignorat
+  await vote(PEER, '40721000001:7@s.whatsapp.net', ['Mare'], 2000);
+  await vote(PEER, '40721000001:3@s.whatsapp.net', ['Delta'], 1500);
+  await vote(OTHER, OTHER, ['Mare'], 3000);
+  
+  const results = await client.pollHandler.getPollResults(poll.id);
+  assert.strictEqual(results.question, 'Unde mergem?');
+  assert.strictEqual(results.selectableCount, 2);
+  assert.deepStrictEqual(results.options.map((option: any) => [option.name, option.votes, option.voters]), [
+    ['Munte', 0, []],
+    ['Mare', 2, [PEER, OTHER]],
+    ['Delta', 0, []]
+  ]);
+  assert.strictEqual(events.length, 3);
+});
+
+test('ignores a vote encrypted for another voter', async () => {
+  const client = createClient();
+  const poll = await client.messageHandler.sendPoll(PEER, 'Da sau nu?', ['Da', 'Nu']);
+  
+  // Votul este legat de votant: copiat de la alt expeditor, nu poate fi decriptat
+  const encrypted = encryptVote(poll.messageSecret, poll.id, '40721000000@s.whatsapp.net', OTHER, ['Da']);
+  const content = receivedContent([{ type: 'pollVote', key: { remoteJid: PEER, id: poll.id }, ...encrypted }]);
+  await client.messageHandler.handleIncomingMessage({ id: 'V', from: PEER, timestamp: 1, content });
+  
+  const results = await client.pollHandler.getPollResults(poll.id);
+  assert.deepStrictEqual(results.options.map((option: any) => option.votes), [0, 0]);
+});
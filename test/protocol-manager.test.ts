@@ -0,0 +1,77 @@
+/**
+ * Teste pentru interogările trimise prin ProtocolManager
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { WAConnection } from '../src/WAConnection';
+import { WAQueryError } from '../src/protocol/ProtocolManager';
+import { BinaryEncoder } from '../src/binary';
+import { ConnectionState, DisconnectReason } from '../src/constants';
+
+// Socket deschis care acceptă orice cadru; `terminate` emite închiderea
+function createSocket() {
+  const ws: any = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.sent = [];
+  ws.send = (data: Buffer, callback: (error?: Error) => void) => {
+    ws.sent.push(data);
+    callback();
+  };
+  ws.terminate = () => {
+    ws.readyState = WebSocket.CLOSED;
+    ws.emit('close', 1006, Buffer.from(''));
+  };
+  return ws;
+}
+
+// Conexiune cu handshake-ul încheiat: cadrele sunt trimise necriptate
+function createConnection() {
+  const connection = new WAConnection({ autoReconnect: false });
+  const ws = createSocket();
+  ws.on('close', (code: number, reason: Buffer) => (connection as any)._onWebSocketClose(code, reason));
+  connection.ws = ws;
+  connection.state = ConnectionState.CONNECTED;
+  (connection.protocolManager as any).noise = { isFinished: true, encodeFrame: (frame: Buffer) => frame };
+  return connection;
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('rejects pending queries as soon as the socket closes', async () => {
+  const connection = createConnection();
+  const startedAt = Date.now();
+  const query = connection.protocolManager.query({ type: 'iq', data: { xmlns: 'w:p', type: 'get' } });
+  const rejected = assert.rejects(query, (error: WAQueryError) =>
+    error instanceof WAQueryError && error.code === 428 && error.text === 'connection-closed');
+  await settle();
+  
+  connection.protocolManager.closeWithReason(DisconnectReason.TIMED_OUT);
+  await rejected;
+  
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.strictEqual((connection.protocolManager as any).callbacks.size, 0);
+});
+
+// Cadru primit după handshake: octetul de flag-uri urmat de nodul codat
+function receive(connection: WAConnection, node: any) {
+  const frame = Buffer.concat([Buffer.from([0]), new BinaryEncoder().encode(node)]);
+  (connection.protocolManager as any)._processFrame(frame);
+}
+
+test('reads the code of an error child that has a type attribute', async () => {
+  const connection = createConnection();
+  const query = connection.protocolManager.query({ type: 'iq', data: { id: 'Q1', xmlns: 'w:g2', type: 'get' } });
+  const rejected = assert.rejects(query, (error: WAQueryError) =>
+    error instanceof WAQueryError && error.code === 404 && error.text === 'item-not-found');
+  await settle();
+  
+  receive(connection, {
+    tag: 'iq',
+    attrs: { id: 'Q1', type: 'error', from: 'g.us' },
+    content: [{ tag: 'error', attrs: { type: 'cancel', code: '404', text: 'item-not-found' } }]
+  });
+  await rejected;
+});
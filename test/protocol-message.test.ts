@@ -0,0 +1,125 @@
+/**
+ * Teste pentru editările și ștergerile primite (verificarea autorului)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { EventEmitter } from 'events';
+import { MessageHandler } from '../src/messaging/MessageHandler';
+import { MemoryMessageStore } from '../src/store/MemoryMessageStore';
+
+const OWN = '40721000000:5@s.whatsapp.net';
+const AUTHOR = '40721000001@s.whatsapp.net';
+const ADMIN = '40721000002@s.whatsapp.net';
+const MEMBER = '40721000003@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+// Client minimal: store în memorie, participanții grupului și evenimentele emise
+function createClient(participants: () => Promise<any[]>) {
+  const client: any = new EventEmitter();
+  client.user = { id: OWN };
+  client.store = new MemoryMessageStore();
+  client.logs = [];
+  client.log = (...args: any[]) => client.logs.push(args.join(' '));
+  client.groupHandler = { getParticipants: participants };
+  client.events = [];
+  for (const event of ['message_edit', 'message_revoke']) {
+    client.on(event, (payload: any) => client.events.push({ event, ...payload }));
+  }
+  return client;
+}
+
+const members = async () => [
+  { jid: AUTHOR, isAdmin: false, isSuperAdmin: false },
+  { jid: ADMIN, isAdmin: true, isSuperAdmin: false },
+  { jid: MEMBER, isAdmin: false, isSuperAdmin: false }
+];
+
+// Mesajul cu nodul `protocol` în forma primită
+function protocolMessage(action: string, sender: string, extra: any = {}) {
+  const content = [{ type: 'key', id: 'A', remoteJid: GROUP }];
+  if (action === 'edit') {
+    content.push({ type: 'text', text: 'text nou' } as any);
+  }
+  return {
+    message: { id: 'P', chatJid: GROUP, from: GROUP, participant: sender, timestamp: 1700000000000, ...extra },
+    protocol: { type: 'protocol', action, content }
+  };
+}
+
+async function receive(client: any, action: string, sender: string, extra?: any) {
+  const { message, protocol } = protocolMessage(action, sender, extra);
+  await (new MessageHandler(client) as any)._handleProtocolMessage(message, protocol);
+}
+
+async function storeOriginal(client: any, original: any = { participant: AUTHOR }) {
+  await client.store.saveMessage({ id: 'A', type: 'text', chatJid: GROUP, from: GROUP, text: 'text vechi', timestamp: 1, ...original });
+}
+
+test('ignores edits and revokes of messages missing from the store', async () => {
+  const client = createClient(members);
+  
+  await receive(client, 'edit', AUTHOR);
+  await receive(client, 'revoke', AUTHOR);
+  await receive(client, 'revoke', ADMIN, { edit: '8' });
+  
+  assert.deepStrictEqual(client.events, []);
+  assert.strictEqual(client.logs.filter((line: string) => line.includes('unknown message A')).length, 3);
+});
+
+test('applies an edit from another device of the author', async () => {
+  const client = createClient(members);
+  await storeOriginal(client);
+  
+  await receive(client, 'edit', '40721000001:2@s.whatsapp.net');
+  
+  assert.strictEqual(client.events[0].event, 'message_edit');
+  assert.strictEqual(client.events[0].after.text, 'text nou');
+  assert.strictEqual((await client.store.getMessage(GROUP, 'A')).text, 'text nou');
+});
+
+test('ignores edits and sender revokes from someone other than the author', async () => {
+  const client = createClient(members);
+  await storeOriginal(client);
+  
+  await receive(client, 'edit', MEMBER);
+  await receive(client, 'revoke', ADMIN);
+  
+  assert.deepStrictEqual(client.events, []);
+  assert.strictEqual((await client.store.getMessage(GROUP, 'A')).text, 'text vechi');
+});
+
+test('applies an admin revoke only when the sender is a group admin', async () => {
+  const client = createClient(members);
+  await storeOriginal(client);
+  
+  await receive(client, 'revoke', MEMBER, { edit: '8' });
+  assert.deepStrictEqual(client.events, []);
+  
+  await receive(client, 'revoke', '40721000002:7@s.whatsapp.net', { edit: '8' });
+  assert.strictEqual(client.events[0].event, 'message_revoke');
+  assert.strictEqual(client.events[0].admin, true);
+  assert.strictEqual((await client.store.getMessage(GROUP, 'A')).type, 'revoked');
+});
+
+test('ignores an admin revoke when the participant list cannot be read', async () => {
+  const client = createClient(async () => {
+    throw new Error('not a participant');
+  });
+  await storeOriginal(client);
+  
+  await receive(client, 'revoke', ADMIN, { edit: '8' });
+  
+  assert.deepStrictEqual(client.events, []);
+  assert.ok(client.logs.some((line: string) => line.includes('Error checking admin rights')));
+});
+
+test('applies a revoke of our own message sent from another own device', async () => {
+  const client = createClient(members);
+  await storeOriginal(client, { fromMe: true, from: undefined, to: GROUP });
+  
+  await receive(client, 'revoke', '40721000000:1@s.whatsapp.net');
+  
+  assert.strictEqual(client.events[0].event, 'message_revoke');
+  assert.strictEqual(client.events[0].admin, false);
+});
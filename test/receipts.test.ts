@@ -0,0 +1,106 @@
+/**
+ * Teste pentru confirmările de livrare/citire (ReceiptHandler)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { EventEmitter } from 'events';
+import { ReceiptHandler } from '../src/messaging/ReceiptHandler';
+import { MemoryMessageStore } from '../src/store/MemoryMessageStore';
+import { WAQueryError } from '../src/protocol/ProtocolManager';
+
+const OWN_DEVICE = '40721000000:5@s.whatsapp.net';
+const PEER = '40721000001@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+// Client minimal cu store în memorie; evenimentele `message_ack` sunt păstrate
+function createClient() {
+  const client: any = new EventEmitter();
+  client.user = { id: OWN_DEVICE };
+  client.store = new MemoryMessageStore();
+  client.log = () => undefined;
+  client.acks = [];
+  client.on('message_ack', (ack: any) => client.acks.push(ack));
+  return client;
+}
+
+// Actualizările din store nu sunt așteptate de handler
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('attributes a 1:1 receipt from a peer device to the chat with the peer', async () => {
+  const client = createClient();
+  const handler = new ReceiptHandler(client);
+  await client.store.saveMessage({ id: 'A', fromMe: true, to: PEER, status: 'sent' });
+  handler.trackMessage('A', `${PEER.split('@')[0]}:0@s.whatsapp.net`, [PEER]);
+  
+  handler.handleReceipt({ id: 'A', from: '40721000001:3@s.whatsapp.net', type: 'read', t: '1700000000' });
+  await settle();
+  
+  assert.strictEqual(client.acks[0].chatJid, PEER);
+  assert.strictEqual(client.acks[0].status, 'read');
+  assert.deepStrictEqual(handler.getMessageReceipts('A'), {
+    id: 'A',
+    chatJid: PEER,
+    status: 'read',
+    recipients: [{ jid: PEER, deliveredAt: 1700000000000, readAt: 1700000000000 }]
+  });
+  assert.strictEqual((await client.store.getMessage(PEER, 'A')).status, 'read');
+});
+
+test('aggregates group receipts per participant', async () => {
+  const client = createClient();
+  const handler = new ReceiptHandler(client);
+  const [first, second] = ['40721000002@s.whatsapp.net', '40721000003@s.whatsapp.net'];
+  await client.store.saveMessage({ id: 'G', chatJid: GROUP, fromMe: true, to: GROUP, status: 'sent' });
+  handler.trackMessage('G', GROUP, [first, second]);
+  
+  handler.handleReceipt({ id: 'G', from: GROUP, participant: '40721000002:4@s.whatsapp.net', type: 'read' });
+  assert.strictEqual(client.acks[0].chatJid, GROUP);
+  assert.strictEqual(client.acks[0].status, 'sent');
+  
+  handler.handleReceipt({ id: 'G', from: GROUP, participant: '40721000003:1@s.whatsapp.net' });
+  assert.strictEqual(client.acks[1].status, 'delivered');
+  
+  handler.handleReceipt({ id: 'G', from: GROUP, participant: second, type: 'read' });
+  await settle();
+  
+  assert.strictEqual(client.acks[2].status, 'read');
+  assert.deepStrictEqual(handler.getMessageReceipts('G')!.recipients.map(item => item.jid), [first, second]);
+  assert.strictEqual((await client.store.getMessage(GROUP, 'G')).status, 'read');
+});
+
+test('attributes a -self receipt to the chat named in recipient', async () => {
+  const client = createClient();
+  const handler = new ReceiptHandler(client);
+  await client.store.saveMessage({ id: 'B', from: '40721000001:3@s.whatsapp.net', status: 'received' });
+  
+  // Mesajul primit a fost citit pe telefon (alt dispozitiv propriu)
+  handler.handleReceipt({ id: 'B', from: '40721000000@s.whatsapp.net', recipient: PEER, type: 'read-self' });
+  await settle();
+  
+  assert.strictEqual(client.acks[0].chatJid, PEER);
+  assert.deepStrictEqual(handler.getMessageReceipts('B')!.recipients.map(item => item.jid), ['40721000000@s.whatsapp.net']);
+  assert.strictEqual((await client.store.getMessage(PEER, 'B')).status, 'read');
+});
+
+test('keeps a -self receipt in a group attributed to the group', () => {
+  const client = createClient();
+  const handler = new ReceiptHandler(client);
+  
+  handler.handleReceipt({ id: 'C', from: GROUP, participant: OWN_DEVICE, type: 'read-self' });
+  
+  assert.strictEqual(client.acks[0].chatJid, GROUP);
+});
+
+test('keeps the query error code when read receipts cannot be sent', async () => {
+  const client = createClient();
+  client.protocolManager = {
+    _generateMessageTag: () => 'tag',
+    sendBinary: async () => {
+      throw new WAQueryError(403);
+    }
+  };
+  
+  await assert.rejects(new ReceiptHandler(client).markRead(PEER, ['A']), (error: WAQueryError) =>
+    error instanceof WAQueryError && error.code === 403 && error.message.startsWith('Failed to mark messages as read: '));
+});
@@ -0,0 +1,44 @@
+/**
+ * Teste pentru opțiunile planificatorului de trimitere (SendScheduler)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { EventEmitter } from 'events';
+import { SendScheduler } from '../src/protocol/SendScheduler';
+
+const message = (to: string) => ({ type: 'message', data: { xmlns: 'w:m', to } });
+
+test('keeps the defaults for options passed as undefined', async () => {
+  const scheduler = new SendScheduler(new EventEmitter(), { enabled: undefined, globalRate: undefined, chatBurst: undefined });
+  
+  // Activat, cu rafala implicită de 5 mesaje pe conversație
+  for (let index = 0; index < 5; index++) {
+    await scheduler.acquire(message('40721000001@s.whatsapp.net'));
+  }
+  const waiting = scheduler.acquire(message('40721000001@s.whatsapp.net'));
+  assert.strictEqual(scheduler.size, 1);
+  
+  scheduler.clear(new Error('stop'));
+  await assert.rejects(waiting, /stop/);
+});
+
+test('rejects rates and bursts that would stall the queue', () => {
+  const invalid: [object, RegExp][] = [
+    [{ globalRate: 0 }, /globalRate: expected a positive number/],
+    [{ chatRate: -1 }, /chatRate: expected a positive number/],
+    [{ chatRate: NaN }, /chatRate: expected a positive number/],
+    [{ globalBurst: 0.5 }, /globalBurst: expected a number of at least 1/],
+    [{ chatBurst: '5' }, /chatBurst: expected a number of at least 1/],
+    [{ maxJitter: -10 }, /maxJitter: expected a non-negative number/],
+    [{ minJitter: 500, maxJitter: 100 }, /minJitter is greater than maxJitter/]
+  ];
+  
+  for (const [options, error] of invalid) {
+    assert.throws(() => new SendScheduler(new EventEmitter(), options as any), error);
+  }
+});
+
+test('accepts zero delays', () => {
+  assert.doesNotThrow(() => new SendScheduler(new EventEmitter(), { minJitter: 0, maxJitter: 0, maxTypingDelay: 0 }));
+});
@@ -0,0 +1,203 @@
+/**
+ * Teste pentru X3DH, Double Ratchet și XEdDSA (vectori generați cu libsignal)
+ */
+
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  initiateSession,
+  acceptSession,
+  encryptMessage,
+  decryptMessage,
+  parsePreKeyMessage,
+  cloneSession,
+  serializeKey,
+  SessionState
+} from '../src/signal/ratchet';
+import { calculateSignature, verifySignature } from '../src/signal/xeddsa';
+import { deserialize } from '../src/utils/serialize';
+import { generateKeyPair } from '../src/utils/crypto';
+
+const vectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'signal-vectors.json'), 'utf8'));
+
+const hex = (value: string): Buffer => Buffer.from(value, 'hex');
+
+const keyPair = (key: { privateKey: string, publicKey: string }) => ({
+  privateKey: hex(key.privateKey),
+  publicKey: hex(key.publicKey)
+});
+
+const bob = vectors.bob;
+
+// Sesiune acceptată de destinatar din PreKeyWhisperMessage-ul dat
+function acceptFrom(ciphertext: string, withPreKey: boolean): SessionState {
+  return acceptSession(
+    keyPair(bob.identityKey),
+    bob.registrationId,
+    keyPair(bob.signedPreKey),
+    withPreKey ? keyPair(bob.preKey) : undefined,
+    parsePreKeyMessage(hex(ciphertext))
+  );
+}
+
+// Octet modificat la poziția dată
+function flip(data: Buffer, index: number): Buffer {
+  const copy = Buffer.from(data);
+  copy[index] ^= 0x01;
+  return copy;
+}
+
+test('parses the reference PreKeyWhisperMessage', () => {
+  const message = parsePreKeyMessage(hex(vectors.withPreKey.firstChain[0].ciphertext));
+  
+  assert.strictEqual(message.registrationId, vectors.withPreKey.registrationId);
+  assert.strictEqual(message.preKeyId, bob.preKeyId);
+  assert.strictEqual(message.signedPreKeyId, bob.signedPreKeyId);
+  assert.strictEqual(message.identityKey.toString('hex'), vectors.withPreKey.identityKey);
+});
+
+test('accepts an X3DH session with a one-time prekey and decrypts out of order', () => {
+  const chain = vectors.withPreKey.firstChain;
+  const state = acceptFrom(chain[2].ciphertext, true);
+  
+  for (const index of [2, 0, 3, 1]) {
+    const { message } = parsePreKeyMessage(hex(chain[index].ciphertext));
+    assert.strictEqual(decryptMessage(state, message).toString('hex'), chain[index].plaintext);
+  }
+});
+
+test('accepts an X3DH session without a one-time prekey', () => {
+  const { ciphertext, plaintext } = vectors.withoutPreKey.message;
+  const parsed = parsePreKeyMessage(hex(ciphertext));
+  assert.strictEqual(parsed.preKeyId, undefined);
+  
+  const state = acceptFrom(ciphertext, false);
+  assert.strictEqual(decryptMessage(state, parsed.message).toString('hex'), plaintext);
+});
+
+test('derives different keys when the one-time prekey is left out', () => {
+  const { ciphertext } = vectors.withPreKey.firstChain[0];
+  const state = acceptFrom(ciphertext, false);
+  
+  assert.throws(() => decryptMessage(state, parsePreKeyMessage(hex(ciphertext)).message), /bad MAC/);
+});
+
+test('rejects replayed and tampered messages', () => {
+  const chain = vectors.withPreKey.firstChain;
+  const state = acceptFrom(chain[0].ciphertext, true);
+  const first = parsePreKeyMessage(hex(chain[0].ciphertext)).message;
+  const third = parsePreKeyMessage(hex(chain[2].ciphertext)).message;
+  
+  decryptMessage(state, third);
+  decryptMessage(state, first);
+  assert.throws(() => decryptMessage(state, first), /Duplicate message/);
+  assert.throws(() => decryptMessage(state, third), /Duplicate message/);
+  
+  // Decriptarea se face pe o copie (ca în SignalHandler), deci cheia sărită rămâne validă
+  const second = parsePreKeyMessage(hex(chain[1].ciphertext)).message;
+  assert.throws(() => decryptMessage(cloneSession(state), flip(second, second.length - 1)), /bad MAC/);
+  assert.strictEqual(decryptMessage(state, second).toString('hex'), chain[1].plaintext);
+});
+
+test('follows the reference ratchet step after a reply, out of order', () => {
+  const state: SessionState = deserialize(vectors.withPreKey.bobAfterReply);
+  const chain = vectors.withPreKey.secondChain;
+  
+  for (const index of [2, 0, 1]) {
+    assert.strictEqual(decryptMessage(state, hex(chain[index].ciphertext)).toString('hex'), chain[index].plaintext);
+  }
+  assert.throws(() => decryptMessage(state, hex(chain[0].ciphertext)), /Duplicate message/);
+});
+
+test('exchanges messages across ratchet steps with delayed delivery', () => {
+  const aliceIdentity = generateKeyPair();
+  const bundle = {
+    registrationId: bob.registrationId,
+    identityKey: serializeKey(hex(bob.identityKey.publicKey)),
+    signedPreKey: {
+      keyId: bob.signedPreKeyId,
+      publicKey: serializeKey(hex(bob.signedPreKey.publicKey)),
+      signature: hex(bob.signedPreKeySignature)
+    },
+    preKey: { keyId: bob.preKeyId, publicKey: serializeKey(hex(bob.preKey.publicKey)) }
+  };
+  const alice = initiateSession(aliceIdentity, 1, bundle);
+  const send = (state: SessionState, text: string) => ({ text, ...encryptMessage(state, Buffer.from(text)) });
+  const read = (state: SessionState, data: Buffer) => decryptMessage(state, data).toString();
+  
+  const a0 = send(alice, 'a0');
+  const a1 = send(alice, 'a1');
+  assert.strictEqual(a0.type, 'pkmsg');
+  
+  const bobState = acceptFrom(a1.ciphertext.toString('hex'), true);
+  assert.strictEqual(read(bobState, parsePreKeyMessage(a1.ciphertext).message), 'a1');
+  
+  const b0 = send(bobState, 'b0');
+  const b1 = send(bobState, 'b1');
+  assert.strictEqual(b0.type, 'msg');
+  assert.strictEqual(read(alice, b1.ciphertext), 'b1');
+  
+  // Lanț nou al inițiatorului; mesajele vechi sosesc după el
+  const a2 = send(alice, 'a2');
+  assert.strictEqual(a2.type, 'msg');
+  assert.strictEqual(read(bobState, a2.ciphertext), 'a2');
+  assert.strictEqual(read(bobState, parsePreKeyMessage(a0.ciphertext).message), 'a0');
+  
+  const b2 = send(bobState, 'b2');
+  assert.strictEqual(read(alice, b2.ciphertext), 'b2');
+  assert.strictEqual(read(alice, b0.ciphertext), 'b0');
+  
+  // Starea clonată rămâne neschimbată după decriptare
+  const a3 = send(alice, 'a3');
+  const snapshot = cloneSession(bobState);
+  assert.strictEqual(read(bobState, a3.ciphertext), 'a3');
+  assert.strictEqual(read(snapshot, a3.ciphertext), 'a3');
+});
+
+test('rejects a bundle whose signed prekey signature does not verify', () => {
+  const bundle = {
+    registrationId: bob.registrationId,
+    identityKey: serializeKey(hex(bob.identityKey.publicKey)),
+    signedPreKey: {
+      keyId: bob.signedPreKeyId,
+      publicKey: serializeKey(hex(bob.signedPreKey.publicKey)),
+      signature: flip(hex(bob.signedPreKeySignature), 10)
+    }
+  };
+  assert.throws(() => initiateSession(generateKeyPair(), 1, bundle), /Invalid signed prekey signature/);
+});
+
+test('verifies the reference XEdDSA signatures', () => {
+  const publicKey = hex(vectors.xeddsa.publicKey);
+  
+  for (const { message, signature } of vectors.xeddsa.signatures) {
+    assert.strictEqual(verifySignature(publicKey, hex(message), hex(signature)), true);
+  }
+  
+  const signedPreKey = serializeKey(hex(bob.signedPreKey.publicKey));
+  assert.strictEqual(verifySignature(hex(bob.identityKey.publicKey), signedPreKey, hex(bob.signedPreKeySignature)), true);
+});
+
+test('rejects altered XEdDSA signatures', () => {
+  const publicKey = hex(vectors.xeddsa.publicKey);
+  const { message, signature } = vectors.xeddsa.signatures[1];
+  
+  assert.strictEqual(verifySignature(publicKey, flip(hex(message), 0), hex(signature)), false);
+  assert.strictEqual(verifySignature(publicKey, hex(message), flip(hex(signature), 5)), false);
+  assert.strictEqual(verifySignature(publicKey, hex(message), flip(hex(signature), 40)), false);
+  assert.strictEqual(verifySignature(hex(bob.identityKey.publicKey), hex(message), hex(signature)), false);
+});
+
+test('produces XEdDSA signatures that verify', () => {
+  const { privateKey, publicKey } = keyPair(bob.identityKey);
+  const message = Buffer.from('mesaj semnat');
+  const first = calculateSignature(privateKey, message);
+  const second = calculateSignature(privateKey, message);
+  
+  // Nonce aleator: semnături diferite, ambele valide
+  assert.notStrictEqual(first.toString('hex'), second.toString('hex'));
+  assert.strictEqual(verifySignature(publicKey, message, first), true);
+  assert.strictEqual(verifySignature(publicKey, message, second), true);
+});